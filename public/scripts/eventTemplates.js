@@ -0,0 +1,193 @@
+/**
+ * Event Templates Module
+ *
+ * Loads the action bet and commentary templates for the match timeline from
+ * data/event-templates.json and validates them when the module loads, so a bad
+ * definition stops the game at start-up instead of part way through a match.
+ * The schema and its validation live in templateSchema.js, shared with the modular
+ * engine's TemplateRegistry. Choices may carry fixed odds; fair odds are derived
+ * from the probability otherwise.
+ *
+ * @module eventTemplates
+ * @exports {Function} validateEventTemplates - Validates template definitions
+ * @exports {Function} loadEventTemplates - Validates and normalizes template definitions
+ * @exports {Function} pickEventTemplate - Picks a template whose trigger fits the match context
+ * @exports {Function} createActionBetEvents - Builds an action bet and its resolution for the timeline
+ * @exports {Function} createCommentaryEvent - Builds a commentary event for the timeline
+ * @exports {Function} createVarReviewEvents - Builds a VAR check on a goal and its decision
+ * @exports {Object} EVENT_TEMPLATES - Templates loaded from data/event-templates.json
+ */
+
+import definitions from '../data/event-templates.json' with { type: 'json' };
+import { validateEventTemplates, matchesTrigger } from './templateSchema.js';
+
+export { validateEventTemplates, getScoreState, SCORE_STATES } from './templateSchema.js';
+
+// --- CONSTANTS ---
+
+/**
+ * Share of goals checked by VAR
+ * @type {number}
+ */
+export const VAR_REVIEW_PROBABILITY = 0.2;
+
+/**
+ * Outcomes of a VAR check on a goal and how often each is given
+ * @type {Array<Object>}
+ */
+const VAR_CHOICES = [
+    { outcome: 'Goal Stands', description: 'VAR: the goal stands!', probability: 0.7 },
+    { outcome: 'Goal Disallowed', description: 'VAR: the goal is disallowed!', probability: 0.3 }
+];
+
+// --- LOADING ---
+
+/**
+ * Validates and normalizes template definitions
+ * @param {Object} templateDefinitions - Definitions { actionBets, commentary }
+ * @returns {{actionBets: Array<Object>, commentary: Array<Object>}} Templates ready for timeline generation
+ * @throws {Error} When the definitions fail validation
+ */
+export function loadEventTemplates(templateDefinitions) {
+    const { valid, errors } = validateEventTemplates(templateDefinitions);
+    if (!valid) {
+        throw new Error(`Invalid event templates: ${errors.join('; ')}`);
+    }
+
+    const normalize = template => ({
+        ...template,
+        priority: template.priority ?? 1,
+        trigger: template.trigger || {}
+    });
+
+    return {
+        actionBets: (templateDefinitions.actionBets || []).map(template => ({
+            ...normalize(template),
+            betType: template.betType || `${template.category.toUpperCase()}_OUTCOME`,
+            choices: template.choices.map(choice => ({
+                ...choice,
+                odds: choice.odds ?? Math.round(100 / choice.probability) / 100
+            }))
+        })),
+        commentary: (templateDefinitions.commentary || []).map(normalize)
+    };
+}
+
+// --- SELECTION ---
+
+/**
+ * Picks an item in proportion to the weight of each
+ * @param {Array<Object>} items - Items to pick from
+ * @param {Function} getWeight - Weight of an item
+ * @param {Function} random - Random number source
+ * @returns {Object} Picked item
+ * @private
+ */
+function pickWeighted(items, getWeight, random) {
+    let threshold = random() * items.reduce((sum, item) => sum + getWeight(item), 0);
+    return items.find(item => (threshold -= getWeight(item)) < 0) || items[items.length - 1];
+}
+
+/**
+ * Picks a template whose trigger fits the match context, weighted by priority
+ * @param {Array<Object>} templates - Loaded templates
+ * @param {{minute: number, score: Object}} context - Event minute and score at that minute
+ * @param {Function} [random=Math.random] - Random number source
+ * @returns {Object|null} Template, or null when none can fire
+ */
+export function pickEventTemplate(templates, context, random = Math.random) {
+    const candidates = templates.filter(({ trigger }) => matchesTrigger(trigger, context));
+    if (candidates.length === 0) return null;
+
+    return pickWeighted(candidates, template => template.priority, random);
+}
+
+// --- EVENT BUILDERS ---
+
+/**
+ * Builds an action bet event and its resolution four minutes later. The outcome
+ * is drawn from the choice probabilities up front, like the rest of the timeline.
+ * @param {Object} template - Loaded action bet template
+ * @param {number} time - Event time in match minutes
+ * @param {Function} [random=Math.random] - Random number source
+ * @returns {Array<Object>} [action bet event, resolution event]
+ */
+export function createActionBetEvents(template, time, random = Math.random) {
+    const description = template.descriptions[Math.floor(random() * template.descriptions.length)];
+    const outcome = pickWeighted(template.choices, choice => choice.probability, random);
+
+    return [
+        {
+            time,
+            type: 'MULTI_CHOICE_ACTION_BET',
+            betType: template.betType,
+            description,
+            choices: template.choices.map(choice => ({ text: choice.outcome, odds: choice.odds }))
+        },
+        {
+            time: time + 4,
+            type: 'RESOLUTION',
+            betType: template.betType,
+            result: outcome.outcome,
+            description: outcome.description
+        }
+    ];
+}
+
+/**
+ * Builds a commentary event
+ * @param {Object} template - Loaded commentary template
+ * @param {number} time - Event time in match minutes
+ * @param {Function} [random=Math.random] - Random number source
+ * @returns {Object} Commentary event
+ */
+export function createCommentaryEvent(template, time, random = Math.random) {
+    return {
+        time,
+        type: 'COMMENTARY',
+        description: template.descriptions[Math.floor(random() * template.descriptions.length)]
+    };
+}
+
+/**
+ * Builds a VAR check on a goal, offered as an action bet, and the decision a minute
+ * later. A decision against the goal carries overturnsGoal so the score can be corrected.
+ * @param {{time: number, team: string}} goal - Goal event under review ('HOME' or 'AWAY')
+ * @param {string} teamName - Name of the scoring team
+ * @param {Function} [random=Math.random] - Random number source
+ * @returns {Array<Object>} [VAR review event, decision event]
+ */
+export function createVarReviewEvents(goal, teamName, random = Math.random) {
+    const decision = pickWeighted(VAR_CHOICES, choice => choice.probability, random);
+
+    return [
+        {
+            time: goal.time,
+            type: 'VAR_REVIEW',
+            betType: 'VAR_DECISION',
+            team: goal.team,
+            title: '📺 VAR Review 📺',
+            description: `VAR is checking the goal for ${teamName}. Will it stand?`,
+            choices: VAR_CHOICES.map(choice => ({
+                text: choice.outcome,
+                odds: Math.round(100 / choice.probability) / 100
+            }))
+        },
+        {
+            time: goal.time + 1,
+            type: 'RESOLUTION',
+            betType: 'VAR_DECISION',
+            result: decision.outcome,
+            description: decision.description,
+            team: goal.team,
+            goalTime: goal.time,
+            overturnsGoal: decision.outcome === 'Goal Disallowed'
+        }
+    ];
+}
+
+/**
+ * Templates loaded from data/event-templates.json, validated at module load
+ * @type {{actionBets: Array<Object>, commentary: Array<Object>}}
+ */
+export const EVENT_TEMPLATES = loadEventTemplates(definitions);
@@ -46,6 +46,14 @@ import {
 } from './gameState.js';
 
 import { MOCK_MATCHES, formatMatchTime } from './utils.js';
+import {
+    EVENT_TEMPLATES,
+    VAR_REVIEW_PROBABILITY,
+    pickEventTemplate,
+    createActionBetEvents,
+    createCommentaryEvent,
+    createVarReviewEvents
+} from './eventTemplates.js';
 
 // --- GAME SIMULATION VARIABLES ---
 
@@ -285,6 +293,7 @@ export function processMatchEvent(event) {
             break;
             
         case 'MULTI_CHOICE_ACTION_BET':
+        case 'VAR_REVIEW':
             // Show action betting modal if not in classic mode and no active action bet
             if (!state.classicMode && !state.currentActionBet.active) {
                 if (window.showMultiChoiceActionBet) {
@@ -298,6 +307,11 @@ export function processMatchEvent(event) {
             if (window.resolveBets) {
                 window.resolveBets(event.betType, event.result);
             }
+            // A disallowed goal comes off the score
+            if (event.overturnsGoal) {
+                const scoreKey = event.team === 'HOME' ? 'homeScore' : 'awayScore';
+                updateMatchState({ [scoreKey]: Math.max(0, state.match[scoreKey] - 1) });
+            }
             break;
             
         default:
@@ -465,12 +479,14 @@ export function updateOdds() {
  * - 45% chance of action betting opportunities (fouls with outcomes)
  * - 35% chance of commentary events (near misses, saves, etc.)
  * - Action bets include resolution events 4 minutes later
+ * - 20% of goals are checked by VAR, with the decision a minute later
  * 
  * Event Types Generated:
  * - KICK_OFF: Match start event
  * - GOAL: Scoring events with team attribution
  * - MULTI_CHOICE_ACTION_BET: Interactive betting opportunities
- * - RESOLUTION: Action bet outcome determination
+ * - VAR_REVIEW: Bet on whether a goal stands
+ * - RESOLUTION: Action bet outcome determination (or VAR decision)
  * - COMMENTARY: Atmospheric match events
  * 
  * @param {Object} matchData - Match data containing team information
@@ -510,76 +526,44 @@ export function generateMatchTimeline(matchData) {
         eventTimes.add(time);
     }
     
+    // Running score so template triggers can check the score state at each event
+    const score = { home: 0, away: 0 };
+    
     // Create events for each time slot with weighted probabilities
     // This creates a balanced mix of goals, action bets, and commentary
     Array.from(eventTimes).sort((a, b) => a - b).forEach(time => {
         const rand = Math.random();
+        const context = { minute: time, score: { ...score } };
+        
+        // 45% chance of an action betting opportunity, when a template's trigger fits the moment
+        const actionBetTemplate = rand >= 0.20 && rand < 0.65
+            ? pickEventTemplate(EVENT_TEMPLATES.actionBets, context)
+            : null;
         
         if (rand < 0.20) {
             // 20% chance of goal - the most exciting and impactful events
             const team = Math.random() > 0.5 ? 'HOME' : 'AWAY';
             const teamName = team === 'HOME' ? matchData.home : matchData.away;
+            score[team.toLowerCase()]++;
             timeline.push({ 
                 time, 
                 type: 'GOAL', 
                 team, 
                 description: `GOAL! A stunning strike for the ${teamName}!` 
             });
-        } else if (rand < 0.65) {
-            // 45% chance of action betting opportunity (foul scenario)
-            // These create interactive betting moments during the match
-            const foulOutcomes = [
-                { result: 'Yellow Card', text: 'The ref shows a Yellow Card!', odds: 2.5 },
-                { result: 'Red Card', text: 'It\'s a RED CARD! The player is off!', odds: 8.0 },
-                { result: 'Warning', text: 'The referee gives a stern warning.', odds: 1.5 },
-            ];
-            
-            // Determine the actual outcome using weighted probabilities
-            // This creates realistic referee decision distribution
-            const outcomeRand = Math.random();
-            let chosenOutcome;
-            if (outcomeRand < 0.6) {
-                chosenOutcome = foulOutcomes[0]; // Yellow Card - 60% (most common)
-            } else if (outcomeRand < 0.9) {
-                chosenOutcome = foulOutcomes[2]; // Warning - 30% (second most common)
-            } else {
-                chosenOutcome = foulOutcomes[1]; // Red Card - 10% (rare but high impact)
+            if (Math.random() < VAR_REVIEW_PROBABILITY) {
+                timeline.push(...createVarReviewEvents({ time, team }, teamName));
             }
-
-            // Add the action betting event
-            timeline.push({
-                time,
-                type: 'MULTI_CHOICE_ACTION_BET',
-                betType: 'FOUL_OUTCOME',
-                description: 'Crunching tackle near the box! What will the ref do?',
-                choices: [
-                    { text: 'Yellow Card', odds: 2.5 },
-                    { text: 'Red Card', odds: 8.0 },
-                    { text: 'Warning', odds: 1.5 },
-                ],
-            });
-            
-            // Add the resolution event a few seconds later
-            timeline.push({ 
-                time: time + 4, 
-                type: 'RESOLUTION', 
-                betType: 'FOUL_OUTCOME', 
-                result: chosenOutcome.result, 
-                description: chosenOutcome.text 
-            });
+        } else if (actionBetTemplate) {
+            // The action bet and its resolution a few minutes later, with the outcome
+            // drawn from the template's choice probabilities (data/event-templates.json)
+            timeline.push(...createActionBetEvents(actionBetTemplate, time));
         } else {
-            // 35% chance of general commentary event
-            const eventTypes = [
-                'A great save by the keeper!', 
-                'The shot goes just wide!', 
-                'A crunching tackle in midfield.', 
-                'A promising attack breaks down.'
-            ];
-            timeline.push({ 
-                time, 
-                type: 'COMMENTARY', 
-                description: eventTypes[Math.floor(Math.random() * eventTypes.length)] 
-            });
+            // General commentary event
+            const commentaryTemplate = pickEventTemplate(EVENT_TEMPLATES.commentary, context);
+            if (commentaryTemplate) {
+                timeline.push(createCommentaryEvent(commentaryTemplate, time));
+            }
         }
     });
     
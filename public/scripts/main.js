@@ -6,6 +6,14 @@
 // Import existing modules
 import { pauseManager } from './pauseManager.js';
 import { pauseUI } from './pauseUI.js';
+import {
+    EVENT_TEMPLATES,
+    VAR_REVIEW_PROBABILITY,
+    pickEventTemplate,
+    createActionBetEvents,
+    createCommentaryEvent,
+    createVarReviewEvents
+} from './eventTemplates.js';
 
 // --- CONSTANTS ---
 const MOCK_MATCHES = [
@@ -1406,7 +1414,11 @@ export class SoccerBettingGame {
                             try {
                                 if (!this.pauseUI.isOverlayVisible()) {
                                     const pauseInfo = this.pauseManager.getPauseInfo();
-                                    this.pauseUI.showPauseOverlay(pauseInfo.reason || 'Game Paused');
+                                    if (pauseInfo.reason === 'VAR_REVIEW') {
+                                        this.pauseUI.showVarReviewOverlay();
+                                    } else {
+                                        this.pauseUI.showPauseOverlay(pauseInfo.reason || 'Game Paused');
+                                    }
                                 }
                             } catch (uiError) {
                                 this.logError('PAUSE_UI_ERROR', 'Error updating pause overlay during tick', {
@@ -1634,9 +1646,10 @@ export class SoccerBettingGame {
                 }
             }
             
-            // Pause game for betting opportunity (Requirement 4.1)
+            // Pause game for betting opportunity (Requirement 4.1); a VAR check stops play in its own state
+            const pauseReason = event.type === 'VAR_REVIEW' ? 'VAR_REVIEW' : 'BETTING_OPPORTUNITY';
             if (this.pauseManager && !this.pauseManager.isPaused()) {
-                const pauseSuccess = this.pauseManager.pauseGame('BETTING_OPPORTUNITY', 15000);
+                const pauseSuccess = this.pauseManager.pauseGame(pauseReason, 15000);
                 if (pauseSuccess) {
                     console.log(`SoccerBettingGame: Game paused for betting event - ${event.type}`);
                 } else {
@@ -1644,7 +1657,7 @@ export class SoccerBettingGame {
                 }
             } else if (this.pauseManager && this.pauseManager.isPaused()) {
                 // Extend pause timeout for new betting event
-                this.pauseManager.pauseGame('BETTING_OPPORTUNITY', 15000);
+                this.pauseManager.pauseGame(pauseReason, 15000);
                 console.log(`SoccerBettingGame: Extended pause for new betting event - ${event.type}`);
             }
         }
@@ -1655,6 +1668,7 @@ export class SoccerBettingGame {
                 else this.state.match.awayScore++;
                 break;
             case 'MULTI_CHOICE_ACTION_BET':
+            case 'VAR_REVIEW':
                 // Handle in both classic and standard mode (Requirement 4.5)
                 if (!this.state.currentActionBet.active) {
                     this.showMultiChoiceActionBet(event);
@@ -1683,12 +1697,41 @@ export class SoccerBettingGame {
                 break;
             case 'RESOLUTION':
                 this.resolveBets(event.betType, event.result);
+                if (event.overturnsGoal) {
+                    this.overturnGoal(event);
+                }
                 // Process next queued betting event if any
                 this.processNextQueuedBettingEvent();
                 break;
         }
     }
     
+    /**
+     * Takes a goal disallowed by VAR off the score. Odds are rolled back to the corrected
+     * score, and full match bets placed while the goal stood were priced on the wrong
+     * score, so they are voided and their stakes refunded.
+     * @param {Object} event - VAR decision event with team ('HOME'/'AWAY') and goalTime
+     */
+    overturnGoal(event) {
+        const match = this.state.match;
+        if (event.team === 'HOME') match.homeScore = Math.max(0, match.homeScore - 1);
+        else match.awayScore = Math.max(0, match.awayScore - 1);
+
+        const teamName = event.team === 'HOME' ? match.homeTeam : match.awayTeam;
+        this.addEventToFeed(`❌ VAR: Goal for ${teamName} disallowed! Score: ${match.homeScore} - ${match.awayScore}`, 'text-yellow-300 font-bold');
+
+        this.state.bets.fullMatch
+            .filter(bet => bet.status !== 'VOID' && bet.matchTime >= event.goalTime)
+            .forEach(bet => {
+                bet.status = 'VOID';
+                this.state.wallet += bet.stake;
+                this.addEventToFeed(`↩️ Full Match Bet voided: ${bet.outcome} (${bet.stake.toFixed(2)} refunded)`, 'text-gray-400');
+            });
+
+        this.updateOdds();
+        this.render();
+    }
+
     endMatch() {
         clearInterval(this.matchInterval);
         if(this.state.currentActionBet.timeoutId) clearTimeout(this.state.currentActionBet.timeoutId);
@@ -1701,8 +1744,9 @@ export class SoccerBettingGame {
         else if (this.state.match.homeScore < this.state.match.awayScore) finalOutcome = 'AWAY';
         else finalOutcome = 'DRAW';
 
-        // Finalize full match bet statuses for summary
+        // Finalize full match bet statuses for summary (voided bets were already refunded)
         this.state.bets.fullMatch.forEach(bet => {
+            if (bet.status === 'VOID') return;
             bet.status = (bet.outcome === finalOutcome) ? 'WON' : 'LOST';
         });
 
@@ -1767,7 +1811,7 @@ export class SoccerBettingGame {
 
             if (type === 'full-match') {
                 try {
-                    const bet = { outcome, stake, odds, timestamp: Date.now() };
+                    const bet = { outcome, stake, odds, timestamp: Date.now(), matchTime: this.state.match.time };
                     this.state.bets.fullMatch.push(bet);
                     this.addEventToFeed(`Full Match Bet placed: ${outcome} (${stake.toFixed(2)} @ ${odds.toFixed(2)})`, 'text-blue-400');
                     
@@ -2114,7 +2158,10 @@ export class SoccerBettingGame {
                 }
             } else { // Full match bet
                 betText = `Match: ${bet.outcome} Win/Draw`;
-                statusClass = 'border-l-4 border-indigo-500';
+                statusClass = bet.status === 'VOID' ? 'border-l-4 border-gray-500' : 'border-l-4 border-indigo-500';
+                if (bet.status === 'VOID') {
+                    statusText = `<span class="font-bold text-gray-400">VOID</span>`;
+                }
             }
 
             item.className = `p-2 bg-gray-700 rounded-md text-xs flex justify-between items-center ${statusClass}`;
@@ -2152,6 +2199,9 @@ export class SoccerBettingGame {
                 }
                 resultText = `+ ${winAmount.toFixed(2)}`;
                 resultClass = 'text-green-400';
+            } else if (bet.status === 'VOID') {
+                resultText = 'Void (refunded)';
+                resultClass = 'text-gray-400';
             } else { // LOST or PENDING (for any unresolved action bets)
                 resultText = `- ${bet.stake.toFixed(2)}`;
                 resultClass = 'text-red-400';
@@ -2283,7 +2333,7 @@ export class SoccerBettingGame {
             };
 
             // Update betting modal content
-            document.getElementById('action-bet-title').textContent = '⚡ Foul Event! ⚡';
+            document.getElementById('action-bet-title').textContent = event.title || '⚡ Foul Event! ⚡';
             document.getElementById('action-bet-main-description').textContent = event.description;
             const choicesContainer = document.getElementById('action-bet-choices');
             choicesContainer.innerHTML = '';
@@ -2402,7 +2452,7 @@ export class SoccerBettingGame {
                 }
                 
                 // Verify this is a betting-related pause before resuming
-                if (pauseInfo.reason === 'BETTING_OPPORTUNITY' || pauseInfo.reason === 'FULL_MATCH_BETTING') {
+                if (['BETTING_OPPORTUNITY', 'FULL_MATCH_BETTING', 'VAR_REVIEW'].includes(pauseInfo.reason)) {
                     this.pauseManager.resumeGame(useCountdown, countdownSeconds);
                     console.log(`SoccerBettingGame: Game resuming with ${useCountdown ? countdownSeconds + 's countdown' : 'no countdown'} after ${decisionType}`);
                 } else {
@@ -2481,39 +2531,28 @@ export class SoccerBettingGame {
              eventTimes.add(time);
         }
         
+        // Running score so template triggers can check the score state at each event
+        const score = { home: 0, away: 0 };
         Array.from(eventTimes).sort((a,b) => a-b).forEach(time => {
             const rand = Math.random();
+            const context = { minute: time, score: { ...score } };
+            const actionBetTemplate = rand >= 0.20 && rand < 0.65 ? pickEventTemplate(EVENT_TEMPLATES.actionBets, context) : null;
             if (rand < 0.20) {
                 const team = Math.random() > 0.5 ? 'HOME' : 'AWAY';
-                timeline.push({ time, type: 'GOAL', team, description: `GOAL! A stunning strike for the ${team === 'HOME' ? matchData.home : matchData.away}!` });
-            } else if (rand < 0.65) {
-                const foulOutcomes = [
-                    { result: 'Yellow Card', text: 'The ref shows a Yellow Card!', odds: 2.5 },
-                    { result: 'Red Card', text: 'It\'s a RED CARD! The player is off!', odds: 8.0 },
-                    { result: 'Warning', text: 'The referee gives a stern warning.', odds: 1.5 },
-                ];
-                const outcomeRand = Math.random();
-                let chosenOutcome;
-                if (outcomeRand < 0.6) chosenOutcome = foulOutcomes[0]; // Yellow
-                else if (outcomeRand < 0.9) chosenOutcome = foulOutcomes[2]; // Warning
-                else chosenOutcome = foulOutcomes[1]; // Red
-
-                timeline.push({
-                    time,
-                    type: 'MULTI_CHOICE_ACTION_BET',
-                    betType: 'FOUL_OUTCOME',
-                    description: 'Crunching tackle near the box! What will the ref do?',
-                    choices: [
-                        { text: 'Yellow Card', odds: 2.5 },
-                        { text: 'Red Card', odds: 8.0 },
-                        { text: 'Warning', odds: 1.5 },
-                    ],
-                });
-                // Add the resolution event a few seconds later
-                timeline.push({ time: time + 4, type: 'RESOLUTION', betType: 'FOUL_OUTCOME', result: chosenOutcome.result, description: chosenOutcome.text });
+                const teamName = team === 'HOME' ? matchData.home : matchData.away;
+                score[team.toLowerCase()]++;
+                timeline.push({ time, type: 'GOAL', team, description: `GOAL! A stunning strike for the ${teamName}!` });
+                if (Math.random() < VAR_REVIEW_PROBABILITY) {
+                    // The decision is drawn up front like the rest of the timeline; a disallowed
+                    // goal still counts for the trigger score, as the check comes after it
+                    timeline.push(...createVarReviewEvents({ time, team }, teamName));
+                }
+            } else if (actionBetTemplate) {
+                // The action bet and its resolution a few minutes later come from data/event-templates.json
+                timeline.push(...createActionBetEvents(actionBetTemplate, time));
             } else {
-                const eventTypes = ['A great save by the keeper!', 'The shot goes just wide!', 'A crunching tackle in midfield.', 'A promising attack breaks down.'];
-                timeline.push({ time, type: 'COMMENTARY', description: eventTypes[Math.floor(Math.random() * eventTypes.length)] });
+                const commentaryTemplate = pickEventTemplate(EVENT_TEMPLATES.commentary, context);
+                if (commentaryTemplate) timeline.push(createCommentaryEvent(commentaryTemplate, time));
             }
         });
         
@@ -6,6 +6,14 @@ class PauseUI {
     constructor() {
         this.overlay = null;
         this.isVisible = false;
+        
+        // Overlay states: a plain pause, or play stopped while VAR checks a goal
+        this.overlayStates = {
+            paused: { icon: '⏸️', title: 'Game Paused', className: null },
+            varReview: { icon: '📺', title: 'VAR Review', className: 'var-review' }
+        };
+        this.overlayState = 'paused';
+        
         this.initializeOverlay();
     }
 
@@ -212,6 +220,20 @@ class PauseUI {
                 }
             }
 
+            /* VAR review state */
+            .pause-overlay.var-review .pause-content {
+                border-color: #f59e0b;
+            }
+
+            .pause-overlay.var-review .pause-reason {
+                color: #fbbf24;
+            }
+
+            .pause-overlay.var-review .pause-spinner {
+                border-color: #f59e0b;
+                border-top-color: #fde68a;
+            }
+
             /* Ensure overlay works on mobile */
             @media (max-width: 480px) {
                 .pause-content {
@@ -269,6 +291,8 @@ class PauseUI {
 
             // Update the content with error handling
             try {
+                this.setOverlayState('paused');
+                
                 const reasonElement = this.overlay.querySelector('.pause-reason');
                 const waitingTextElement = this.overlay.querySelector('.pause-waiting-text');
                 
@@ -325,6 +349,48 @@ class PauseUI {
         }
     }
 
+    /**
+     * Show the overlay in its VAR review state while a goal is checked
+     * @param {string} message - Message to display (default: "Checking the goal...")
+     */
+    showVarReviewOverlay(message = "Checking the goal...") {
+        this.showPauseOverlay("VAR Review in Progress", message);
+        this.setOverlayState('varReview');
+    }
+
+    /**
+     * Switch the overlay between its states, updating the icon, title and styling
+     * @param {string} state - 'paused' or 'varReview'
+     */
+    setOverlayState(state) {
+        const config = this.overlayStates[state];
+        if (!config || !this.overlay) {
+            return;
+        }
+
+        const iconElement = this.overlay.querySelector('.pause-icon');
+        const titleElement = this.overlay.querySelector('.pause-title');
+        if (iconElement) iconElement.textContent = config.icon;
+        if (titleElement) titleElement.textContent = config.title;
+
+        Object.values(this.overlayStates).forEach(({ className }) => {
+            if (className) this.overlay.classList.remove(className);
+        });
+        if (config.className) {
+            this.overlay.classList.add(config.className);
+        }
+
+        this.overlayState = state;
+    }
+
+    /**
+     * Get the current overlay state
+     * @returns {string} 'paused' or 'varReview'
+     */
+    getOverlayState() {
+        return this.overlayState;
+    }
+
     /**
      * Hide the pause overlay and restore normal display
      */
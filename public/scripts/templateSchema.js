@@ -0,0 +1,252 @@
+/**
+ * Template Schema Module
+ *
+ * Validation and trigger rules for action bet and commentary template definitions,
+ * shared by the prototype's eventTemplates module and the modular engine's
+ * TemplateRegistry (src/utils/TemplateRegistry.js). It lives under public/ because
+ * only public/ is deployed; the modular engine imports it from here.
+ *
+ * A template has a category, description variants, optional player-named variants,
+ * trigger conditions (minute range, score state) and a priority. Action bet templates
+ * add choices with probabilities, optionally with fixed odds; commentary templates
+ * add an intensity.
+ *
+ * @module templateSchema
+ * @exports {Function} validateEventTemplates - Validates template definitions
+ * @exports {Function} getScoreState - Classifies a score for trigger matching
+ * @exports {Function} matchesTrigger - Checks a template trigger against a match context
+ * @exports {Array<string>} SCORE_STATES - Score states a trigger can name
+ */
+
+// --- CONSTANTS ---
+
+/**
+ * Score states a trigger can name: level, a one-goal game, or two goals or more between the sides
+ * @type {Array<string>}
+ */
+export const SCORE_STATES = ['level', 'narrow', 'wide'];
+
+const INTENSITIES = ['low', 'medium', 'high'];
+const SIDES = ['attacking', 'defending'];
+
+// Latest minute a trigger can name (end of extra time)
+const MAX_MINUTE = 120;
+
+// Allowed gap between a template's choice probabilities and 1
+const PROBABILITY_TOLERANCE = 0.001;
+
+// Lowest price a choice may be offered at, the floor of the in-play pricers
+const MIN_ODDS = 1.01;
+
+// --- VALIDATION ---
+
+/**
+ * Checks for a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a string with visible content
+ * @private
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validates trigger conditions { minutes: [from, to], scoreStates: [...] }
+ * @param {Object} trigger - Trigger conditions
+ * @returns {Array<string>} Error messages
+ * @private
+ */
+function validateTrigger(trigger) {
+    if (!trigger || typeof trigger !== 'object') {
+        return ['trigger must be an object'];
+    }
+
+    const errors = [];
+    const { minutes, scoreStates } = trigger;
+
+    if (minutes !== undefined && !(Array.isArray(minutes) && minutes.length === 2
+        && minutes.every(minute => typeof minute === 'number' && minute >= 0 && minute <= MAX_MINUTE)
+        && minutes[0] <= minutes[1])) {
+        errors.push(`trigger.minutes must be [from, to] between 0 and ${MAX_MINUTE}`);
+    }
+    if (scoreStates !== undefined && !(Array.isArray(scoreStates) && scoreStates.length > 0
+        && scoreStates.every(state => SCORE_STATES.includes(state)))) {
+        errors.push(`trigger.scoreStates must list states from ${SCORE_STATES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the fields every template has
+ * @param {Object} template - Template definition
+ * @param {Array<string>|null} playerRoles - Lineup roles a template can name, or null to accept any
+ * @returns {Array<string>} Error messages
+ * @private
+ */
+function validateCommonFields(template, playerRoles) {
+    const errors = [];
+
+    if (!isNonEmptyString(template.category)) {
+        errors.push('category is required');
+    }
+    if (!Array.isArray(template.descriptions) || template.descriptions.length === 0
+        || !template.descriptions.every(isNonEmptyString)) {
+        errors.push('descriptions must be a non-empty list of text');
+    }
+    if (template.playerRole !== undefined && !(playerRoles
+        ? playerRoles.includes(template.playerRole)
+        : isNonEmptyString(template.playerRole))) {
+        errors.push(playerRoles ? `playerRole must be one of ${playerRoles.join(', ')}` : 'playerRole must be text');
+    }
+    if (template.playerDescriptions !== undefined) {
+        if (template.playerRole === undefined) {
+            errors.push('playerDescriptions need a playerRole');
+        }
+        if (!Array.isArray(template.playerDescriptions) || template.playerDescriptions.length === 0
+            || !template.playerDescriptions.every(text => isNonEmptyString(text) && text.includes('{player}'))) {
+            errors.push('playerDescriptions must be a non-empty list of text containing {player}');
+        }
+    }
+    if (template.priority !== undefined && !(typeof template.priority === 'number' && template.priority > 0)) {
+        errors.push('priority must be a positive number');
+    }
+    if (template.trigger !== undefined) {
+        errors.push(...validateTrigger(template.trigger));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the side and choices of an action bet template
+ * @param {Object} template - Action bet template definition
+ * @param {number} margin - Bookmaker margin the choices are priced with
+ * @returns {Array<string>} Error messages
+ * @private
+ */
+function validateChoices(template, margin) {
+    const errors = [];
+    // Highest probability that still prices at the odds floor once the margin is added
+    const maxProbability = Math.floor(10000 / (MIN_ODDS * (1 + margin))) / 10000;
+
+    if (template.side !== undefined && !SIDES.includes(template.side)) {
+        errors.push(`side must be one of ${SIDES.join(', ')}`);
+    }
+    if (!Array.isArray(template.choices) || template.choices.length < 2) {
+        return [...errors, 'choices must list at least two outcomes'];
+    }
+
+    const outcomes = new Set();
+    template.choices.forEach((choice, index) => {
+        if (!isNonEmptyString(choice?.outcome)) {
+            errors.push(`choices[${index}] needs an outcome`);
+        } else if (outcomes.has(choice.outcome)) {
+            errors.push(`choices[${index}] repeats outcome "${choice.outcome}"`);
+        } else {
+            outcomes.add(choice.outcome);
+        }
+        if (!isNonEmptyString(choice?.description)) {
+            errors.push(`choices[${index}] needs a description`);
+        }
+        if (typeof choice?.probability !== 'number' || !(choice.probability > 0 && choice.probability < 1)) {
+            errors.push(`choices[${index}] probability must be between 0 and 1`);
+        } else if (choice.probability > maxProbability) {
+            errors.push(`choices[${index}] probability must be at most ${maxProbability} to price at ${MIN_ODDS} or more`);
+        }
+        if (choice?.odds !== undefined && !(typeof choice.odds === 'number' && choice.odds > 1)) {
+            errors.push(`choices[${index}] odds must be a number above 1`);
+        }
+    });
+
+    const total = template.choices.reduce((sum, choice) => sum + (Number(choice?.probability) || 0), 0);
+    if (Math.abs(total - 1) > PROBABILITY_TOLERANCE) {
+        errors.push(`choice probabilities must add up to 1 (got ${Number(total.toFixed(4))})`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validates template definitions
+ * @param {Object} templateDefinitions - Definitions { actionBets, commentary }
+ * @param {Object} [options]
+ * @param {Array<string>} [options.playerRoles] - Lineup roles a template can name; any text when omitted
+ * @param {number} [options.margin=0] - Bookmaker margin choices are priced with; fair odds when omitted
+ * @returns {{valid: boolean, errors: Array<string>}} Validation result
+ * @example
+ * const { valid, errors } = validateEventTemplates({ actionBets: [...] });
+ */
+export function validateEventTemplates(templateDefinitions, { playerRoles = null, margin = 0 } = {}) {
+    if (!templateDefinitions || typeof templateDefinitions !== 'object' || Array.isArray(templateDefinitions)) {
+        return { valid: false, errors: ['Template definitions must be an object'] };
+    }
+
+    const errors = [];
+    const lists = { actionBets: templateDefinitions.actionBets, commentary: templateDefinitions.commentary };
+
+    if (lists.actionBets === undefined && lists.commentary === undefined) {
+        errors.push('Template definitions need actionBets or commentary');
+    }
+
+    Object.entries(lists).forEach(([kind, templates]) => {
+        if (templates === undefined) return;
+        if (!Array.isArray(templates)) {
+            errors.push(`${kind} must be an array`);
+            return;
+        }
+
+        const categories = new Set();
+        templates.forEach((template, index) => {
+            const label = `${kind}[${index}]${template?.category ? ` (${template.category})` : ''}`;
+            if (!template || typeof template !== 'object') {
+                errors.push(`${label}: template must be an object`);
+                return;
+            }
+
+            const templateErrors = validateCommonFields(template, playerRoles);
+            if (kind === 'actionBets') {
+                templateErrors.push(...validateChoices(template, margin));
+            } else if (!INTENSITIES.includes(template.intensity)) {
+                templateErrors.push(`intensity must be one of ${INTENSITIES.join(', ')}`);
+            }
+            if (template.category && categories.has(template.category)) {
+                templateErrors.push('duplicate category');
+            }
+            categories.add(template.category);
+
+            errors.push(...templateErrors.map(error => `${label}: ${error}`));
+        });
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+// --- TRIGGERS ---
+
+/**
+ * Gets the score state triggers are matched against
+ * @param {{home: number, away: number}} score - Current score
+ * @returns {string} 'level', 'narrow' or 'wide'
+ */
+export function getScoreState(score) {
+    const margin = Math.abs((score?.home || 0) - (score?.away || 0));
+    if (margin === 0) return 'level';
+    return margin === 1 ? 'narrow' : 'wide';
+}
+
+/**
+ * Checks whether trigger conditions hold in a match context
+ * @param {Object} [trigger] - Trigger conditions { minutes, scoreStates }
+ * @param {{minute: number, score: Object}} [context] - Match context; unknown parts are not checked
+ * @returns {boolean} True when the template can fire
+ */
+export function matchesTrigger(trigger, context = {}) {
+    const { minutes, scoreStates } = trigger || {};
+
+    if (minutes && typeof context.minute === 'number'
+        && (context.minute < minutes[0] || context.minute > minutes[1])) {
+        return false;
+    }
+    return !(scoreStates && context.score && !scoreStates.includes(getScoreState(context.score)));
+}
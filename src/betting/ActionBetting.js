@@ -6,13 +6,17 @@
  * - Betting opportunity modal with event descriptions and choices
  * - Skip betting and timeout handling
  * - Integration with TimerManager for pause/resume coordination
+ * - Opportunities arriving while one is open queue behind it, or replace it when they outrank it
  */
+import { OpportunityQueue } from './OpportunityQueue.js';
 
 export class ActionBetting {
-    constructor(stateManager, timerManager, bettingManager) {
+    constructor(stateManager, timerManager, bettingManager,
+        opportunityQueue = new OpportunityQueue(stateManager, bettingManager?.marketRegistry)) {
         this.stateManager = stateManager;
         this.timerManager = timerManager;
         this.bettingManager = bettingManager;
+        this.opportunityQueue = opportunityQueue;
         
         this.currentEvent = null;
         this.isModalOpen = false;
@@ -48,7 +52,8 @@ export class ActionBetting {
     }
 
     /**
-     * Shows action betting opportunity modal
+     * Shows action betting opportunity modal. While another opportunity is open the new
+     * one is queued, or takes its place when it outranks it.
      * @param {Object} eventData - Event information
      * @param {string} eventData.id - Event ID
      * @param {string} eventData.description - Event description
@@ -58,27 +63,13 @@ export class ActionBetting {
     async showActionBettingModal(eventData) {
         try {
             if (this.isModalOpen) {
-                console.warn('Action betting modal already open');
-                return { success: false, error: 'Modal already open' };
+                return this.queueOpportunity(eventData);
             }
 
             // Pause the game timer
             this.timerManager.pauseTimer();
             
-            this.currentEvent = eventData;
-            this.isModalOpen = true;
-
-            // Show modal UI
-            if (this.callbacks.onModalShow) {
-                this.callbacks.onModalShow(eventData);
-            }
-
-            // Start countdown timer
-            this.timerManager.startCountdown(this.countdownDuration, () => {
-                this.handleTimeout();
-            });
-
-            console.log(`Action betting modal shown for event: ${eventData.description}`);
+            this.presentOpportunity(eventData);
             
             return { success: true };
         } catch (error) {
@@ -87,6 +78,81 @@ export class ActionBetting {
         }
     }
 
+    /**
+     * Opens the modal on an opportunity and starts its countdown
+     * @param {Object} eventData - Event information
+     */
+    presentOpportunity(eventData) {
+        this.currentEvent = eventData;
+        this.isModalOpen = true;
+
+        // Show modal UI
+        if (this.callbacks.onModalShow) {
+            this.callbacks.onModalShow(eventData);
+        }
+
+        // Start countdown timer
+        this.timerManager.startCountdown(this.countdownDuration, () => {
+            this.handleTimeout();
+        });
+
+        console.log(`Action betting modal shown for event: ${eventData.description}`);
+    }
+
+    /**
+     * Handles an opportunity that arrives while another is open: one that outranks it
+     * takes its place and sends it back to the queue, any other waits in the queue
+     * @param {Object} eventData - Event information
+     * @returns {Object} Result { success, queued, replaced, dropped }; replaced is the displaced
+     *   opportunity, dropped the one a full queue pushed out and closed
+     */
+    queueOpportunity(eventData) {
+        if (eventData.id === this.currentEvent?.id) {
+            console.warn('Action betting modal already open');
+            return { success: false, error: 'Modal already open' };
+        }
+
+        if (!this.opportunityQueue.shouldReplace(this.currentEvent, eventData)) {
+            const result = this.opportunityQueue.enqueue(eventData);
+            if (!result.success) return result;
+
+            this.logDropped(result.dropped);
+            console.log(`Action betting opportunity queued: ${eventData.description}`);
+            return { success: true, queued: result.queued, replaced: null, dropped: result.dropped };
+        }
+
+        const displaced = this.currentEvent;
+        this.timerManager.stopCountdown();
+        const { dropped } = this.opportunityQueue.enqueue(displaced, { ahead: true });
+        this.logDropped(dropped);
+        this.presentOpportunity(eventData);
+
+        console.log(`Action betting opportunity replaced by a higher priority one: ${eventData.description}`);
+        return { success: true, queued: false, replaced: displaced, dropped };
+    }
+
+    /**
+     * Logs an opportunity a full queue pushed out
+     * @param {Object|null} dropped - Dropped opportunity
+     */
+    logDropped(dropped) {
+        if (dropped) {
+            console.log(`Action betting opportunity dropped from a full queue: ${dropped.description}`);
+        }
+    }
+
+    /**
+     * Opens the next queued opportunity still on offer
+     * @returns {boolean} True when one was opened
+     */
+    showNextOpportunity() {
+        const { event } = this.opportunityQueue.next();
+        if (!event) return false;
+
+        this.presentOpportunity(event);
+        return true;
+    }
+
     /**
      * Place a bet directly with choice object
      * @param {Object} choice - The selected choice object
@@ -263,6 +329,11 @@ export class ActionBetting {
             this.isModalOpen = false;
             this.currentEvent = null;
 
+            // Play stays stopped while queued opportunities are still on offer
+            if (this.showNextOpportunity()) {
+                return;
+            }
+
             // Start resume countdown before resuming game
             this.startResumeCountdown();
             
@@ -356,6 +427,7 @@ export class ActionBetting {
         return {
             isModalOpen: this.isModalOpen,
             currentEvent: this.currentEvent ? { ...this.currentEvent } : null,
+            queuedEvents: this.opportunityQueue.getQueue().map(entry => entry.event),
             remainingTime: this.getRemainingTime(),
             prePopulatedAmount: this.getPrePopulatedAmount(),
             timerStatus: this.timerManager.getStatus()
@@ -378,6 +450,7 @@ export class ActionBetting {
 
             this.isModalOpen = false;
             this.currentEvent = null;
+            this.opportunityQueue.clear();
             
         } catch (error) {
             console.error('Force close failed:', error);
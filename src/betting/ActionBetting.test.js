@@ -4,6 +4,8 @@
  */
 
 import { ActionBetting } from './ActionBetting.js';
+import { OpportunityQueue } from './OpportunityQueue.js';
+import { MarketRegistry } from './MarketRegistry.js';
 
 // Mock dependencies
 class MockStateManager {
@@ -422,6 +424,66 @@ describe('ActionBetting', () => {
         });
     });
 
+    describe('opportunity queue', () => {
+        const opportunity = (id, category) => ({
+            id,
+            description: `${category} opportunity`,
+            data: { category },
+            choices: [{ id: 'choice_1', description: 'Option 1', odds: 2.0, outcome: 'option1' }]
+        });
+
+        test('should queue an opportunity that arrives while another is open and offer it next', async () => {
+            await actionBetting.showActionBettingModal(opportunity('event_1', 'corner'));
+            const result = await actionBetting.showActionBettingModal(opportunity('event_2', 'attack'));
+
+            expect(result).toEqual(expect.objectContaining({ success: true, queued: true, replaced: null }));
+            expect(actionBetting.getCurrentEvent().id).toBe('event_1');
+            expect(actionBetting.getStatus().queuedEvents.map(event => event.id)).toEqual(['event_2']);
+
+            actionBetting.skipBetting();
+
+            expect(actionBetting.isModalActive()).toBe(true);
+            expect(actionBetting.getCurrentEvent().id).toBe('event_2');
+            expect(mockTimerManager.countdownTime).toBe(10);
+            expect(mockTimerManager.isPaused).toBe(true);
+            expect(mockStateManager.getState().opportunityQueue).toEqual([]);
+        });
+
+        test('should let a higher priority opportunity replace the open one and queue it again', async () => {
+            await actionBetting.showActionBettingModal(opportunity('event_1', 'corner'));
+            const result = await actionBetting.showActionBettingModal(opportunity('event_2', 'penalty'));
+
+            expect(result.replaced.id).toBe('event_1');
+            expect(actionBetting.getCurrentEvent().id).toBe('event_2');
+            expect(callbackResults.modalShow.id).toBe('event_2');
+            expect(actionBetting.getStatus().queuedEvents.map(event => event.id)).toEqual(['event_1']);
+
+            actionBetting.reset();
+            expect(mockStateManager.getState().opportunityQueue).toEqual([]);
+        });
+
+        test('should close the market of an opportunity a full queue drops and of those left queued on close', async () => {
+            const registry = new MarketRegistry(mockStateManager);
+            actionBetting = new ActionBetting(mockStateManager, mockTimerManager, mockBettingManager,
+                new OpportunityQueue(mockStateManager, registry));
+            await actionBetting.showActionBettingModal(opportunity('event_1', 'penalty'));
+            ['event_2', 'event_3', 'event_4'].forEach(id => actionBetting.showActionBettingModal(opportunity(id, 'corner')));
+
+            const result = await actionBetting.showActionBettingModal(opportunity('event_5', 'card'));
+
+            expect(result).toEqual(expect.objectContaining({ success: true, queued: true }));
+            expect(result.dropped.id).toBe('event_4');
+            expect(registry.getMarket('actionBet:event_4')).toEqual(expect.objectContaining({ status: 'closed', reason: 'dropped' }));
+            expect(registry.isOpen('actionBet:event_5')).toBe(true);
+
+            actionBetting.forceClose();
+
+            ['event_2', 'event_3', 'event_5'].forEach(id => {
+                expect(registry.getMarket(`actionBet:${id}`)).toEqual(expect.objectContaining({ status: 'closed', reason: 'dropped' }));
+            });
+        });
+    });
+
     describe('integration with TimerManager', () => {
         test('should coordinate pause/resume correctly', async () => {
             const sampleEvent = {
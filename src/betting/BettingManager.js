@@ -3,13 +3,83 @@
  * Handles bet placement, validation, resolution, and winnings calculation
  */
 import { errorHandler, ERROR_TYPES } from '../utils/ErrorHandler.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+import { MarketRegistry } from './MarketRegistry.js';
+import { SettlementEngine } from './SettlementEngine.js';
 
 export class BettingManager {
-    constructor(stateManager, powerUpManager) {
+    /**
+     * @param {StateManager} stateManager - Shared state manager
+     * @param {PowerUpManager} powerUpManager - Power-up manager
+     * @param {MarketRegistry} [marketRegistry] - Market statuses bets are checked against
+     * @param {SettlementEngine} [settlementEngine] - Settlement rules bets are settled by
+     */
+    constructor(stateManager, powerUpManager, marketRegistry = new MarketRegistry(stateManager),
+        settlementEngine = new SettlementEngine()) {
         try {
             this.stateManager = stateManager;
             this.powerUpManager = powerUpManager;
+            this.marketRegistry = marketRegistry;
+            this.settlementEngine = settlementEngine;
             this.betIdCounter = 1;
+
+            // Bet lists kept in state.bets; toQualify is the knockout "to qualify" market,
+            // overUnder the total goals market (outcomes such as 'over_2.5'), btts Both Teams
+            // To Score ('yes'/'no'), correctScore the 90-minute score ('2-1' or 'other'),
+            // nextGoal the next team to score ('home'/'none'/'away'), goalscorer an
+            // anytime scorer ('home:Saka') and accumulator a multiple built from their legs
+            this.BET_TYPES = [
+                'fullMatch', 'actionBet', 'toQualify', 'overUnder', 'btts', 'correctScore', 'nextGoal', 'goalscorer',
+                'accumulator'
+            ];
+
+            // Markets an accumulator leg can come from
+            this.ACCUMULATOR_MARKETS = ['fullMatch', 'toQualify', 'overUnder', 'btts', 'correctScore', 'nextGoal', 'goalscorer'];
+            this.MIN_ACCUMULATOR_LEGS = 2;
+            this.MAX_ACCUMULATOR_LEGS = 8;
+
+            // Markets whose results move together within one match, so they cannot be combined:
+            // a correct score decides the result, total goals and BTTS, goals decide the result
+            // and total goals, BTTS needs goals and rules out a nil result, and a goalscorer or
+            // next goal leg that wins guarantees a goal for its side. Two legs from the same
+            // market of a match are never allowed.
+            this.CORRELATED_MARKETS = [
+                ['fullMatch', 'correctScore'],
+                ['fullMatch', 'toQualify'],
+                ['fullMatch', 'btts'],
+                ['fullMatch', 'overUnder'],
+                ['overUnder', 'correctScore'],
+                ['overUnder', 'btts'],
+                ['btts', 'correctScore'],
+                ['nextGoal', 'goalscorer'],
+                ...['goalscorer', 'nextGoal'].flatMap(market => [
+                    [market, 'overUnder'],
+                    [market, 'btts'],
+                    [market, 'correctScore'],
+                    [market, 'fullMatch'],
+                    [market, 'toQualify']
+                ])
+            ];
+
+            // Periods after the 90-minute result is decided
+            this.EXTRA_PERIODS = ['EXTRA_TIME', 'PENALTIES'];
+
+            // Bets that can be cashed out before they settle, and the share of a cash-out's
+            // fair value the book keeps
+            this.CASH_OUT_TYPES = ['fullMatch'];
+            this.CASH_OUT_MARGIN = 0.05;
+
+            // What placement does when a price moved after the player saw it: 'any' takes
+            // the new price, 'higher' takes it only if it went up, 'confirm' always asks again
+            this.ODDS_CHANGE_POLICIES = ['any', 'higher', 'confirm'];
+            this.DEFAULT_ODDS_CHANGE_POLICY = 'higher';
+
+            // Why a bet is refused on a market that is not open
+            this.MARKET_STATUS_ERRORS = {
+                suspended: 'Betting on this market is suspended',
+                closed: 'This market is closed',
+                settled: 'This market has already been settled'
+            };
             this.setupErrorRecovery();
         } catch (error) {
             errorHandler.handleError(error, ERROR_TYPES.BETTING, {
@@ -23,17 +93,23 @@ export class BettingManager {
     /**
      * Validates and places a bet
      * @param {Object} betData - Bet information
-     * @param {string} betData.type - 'fullMatch' or 'actionBet'
-     * @param {string} betData.outcome - Bet outcome (e.g., 'home', 'draw', 'away')
+     * @param {string} betData.type - 'fullMatch', 'actionBet', 'toQualify', 'overUnder',
+     *   'btts', 'correctScore', 'nextGoal' or 'goalscorer'
+     * @param {string} betData.outcome - Bet outcome (e.g., 'home', 'draw', 'away', 'over_2.5')
      * @param {number} betData.stake - Bet amount
-     * @param {number} betData.odds - Betting odds
+     * @param {number} betData.odds - Odds the player saw; checked against the live price
+     *   under the player's odds change policy
      * @param {string} [betData.eventId] - Event ID for action bets
-     * @returns {Object} Placed bet object or error
+     * @returns {Object} Placed bet object or error; a rejected price change also carries
+     *   oddsChanged, requestedOdds and newOdds so the new price can be offered
      */
     placeBet(betData) {
         try {
             // Validate bet data first
             const validation = this.validateBet(betData);
+            if (validation.refused) {
+                return { success: false, error: validation.error };
+            }
             if (!validation.valid) {
                 throw new Error(validation.error);
             }
@@ -45,16 +121,32 @@ export class BettingManager {
                 throw new Error('Insufficient funds');
             }
 
+            // A moved price is not an error: hand the new one back for the player to confirm
+            const priceCheck = this.checkOddsChange(betData, state.match, state.oddsChangePolicy);
+            if (priceCheck.odds === null) {
+                return { success: false, error: 'That selection is not priced' };
+            }
+            if (!priceCheck.accepted) {
+                return {
+                    success: false,
+                    error: `Odds changed from ${betData.odds.toFixed(2)} to ${priceCheck.odds.toFixed(2)}`,
+                    oddsChanged: true,
+                    requestedOdds: betData.odds,
+                    newOdds: priceCheck.odds
+                };
+            }
+
             // Create bet object
             const bet = {
                 id: `bet_${this.betIdCounter++}`,
                 type: betData.type,
                 outcome: betData.outcome,
                 stake: betData.stake,
-                odds: betData.odds,
-                potentialWinnings: this.calculatePotentialWinnings(betData.stake, betData.odds),
+                odds: priceCheck.odds,
+                potentialWinnings: this.calculatePotentialWinnings(betData.stake, priceCheck.odds),
                 status: 'pending',
                 placedAt: Date.now(),
+                placedAtMinute: state.match?.time ?? null,
                 powerUpApplied: false,
                 eventId: betData.eventId || null
             };
@@ -89,17 +181,68 @@ export class BettingManager {
         }
     }
 
+    /**
+     * Finds the choice an action bet is placed on in the match timeline
+     * @param {Object} betData - Action bet data with eventId and outcome
+     * @param {Object} [match] - Current match state
+     * @returns {Object} Result { event, choice }; either is null when not found
+     */
+    findActionBetChoice(betData, match = {}) {
+        const event = (match?.timeline || []).find(entry => entry.id === betData.eventId) || null;
+        const choice = event?.data?.choices?.find(option => option.outcome === betData.outcome) || null;
+        return { event, choice };
+    }
+
+    /**
+     * Gets the live price of a bet's selection
+     * @param {Object} betData - Bet data
+     * @param {Object} [match] - Current match state
+     * @returns {number|null} Live odds: the offered choice's price for action bets, the
+     *   market price otherwise; null for selections without a price
+     */
+    getLiveOdds(betData, match = {}) {
+        const odds = betData.type === 'actionBet'
+            ? this.findActionBetChoice(betData, match).choice?.odds
+            : oddsCalculator.getSelectionOdds(match || {}, betData.type, betData.outcome);
+        return Number.isFinite(odds) && odds > 0 ? odds : null;
+    }
+
+    /**
+     * Checks the odds a bet was requested at against the live price
+     * @param {Object} betData - Bet data
+     * @param {Object} [match] - Current match state
+     * @param {string} [policy] - 'any', 'higher' or 'confirm'; unknown values use the default
+     * @returns {Object} Result { accepted, odds } where odds is the price the bet is placed
+     *   at, the new price to offer when it is not accepted, or null when the selection has
+     *   no live price and cannot be taken
+     */
+    checkOddsChange(betData, match, policy) {
+        const liveOdds = this.getLiveOdds(betData, match);
+        if (liveOdds === null) {
+            return { accepted: false, odds: null };
+        }
+        if (liveOdds === betData.odds) {
+            return { accepted: true, odds: betData.odds };
+        }
+
+        const activePolicy = this.ODDS_CHANGE_POLICIES.includes(policy) ? policy : this.DEFAULT_ODDS_CHANGE_POLICY;
+        const accepted = activePolicy === 'any' || (activePolicy === 'higher' && liveOdds > betData.odds);
+
+        return { accepted, odds: liveOdds };
+    }
+
     /**
      * Validates bet data and constraints
      * @param {Object} betData - Bet data to validate
-     * @returns {Object} Validation result
+     * @returns {Object} Validation result; refused marks a selection the market will not
+     *   take, or a market that is not open, which retrying with safe values cannot change
      */
     validateBet(betData) {
         if (!betData) {
             return { valid: false, error: 'Bet data is required' };
         }
 
-        if (!betData.type || !['fullMatch', 'actionBet'].includes(betData.type)) {
+        if (!betData.type || !this.BET_TYPES.includes(betData.type)) {
             return { valid: false, error: 'Invalid bet type' };
         }
 
@@ -126,9 +269,145 @@ export class BettingManager {
             return { valid: false, error: 'Insufficient funds' };
         }
 
+        const market = this.validateMarket(betData, state.match);
+        if (!market.valid) {
+            return { ...market, refused: true };
+        }
+
+        const marketStatus = this.validateMarketStatus(this.marketRegistry.getMarketId(betData.type, betData.eventId), state.markets);
+        return marketStatus.valid ? marketStatus : { ...marketStatus, refused: true };
+    }
+
+    /**
+     * Checks a market is open in the market registry
+     * @param {string} marketId - Market ID, e.g. 'fullMatch' or 'actionBet:event_3'
+     * @param {Array} [markets] - state.markets
+     * @returns {Object} Validation result
+     */
+    validateMarketStatus(marketId, markets) {
+        const status = this.marketRegistry.getStatus(marketId, markets);
+        return status === this.marketRegistry.STATUS.OPEN
+            ? { valid: true }
+            : { valid: false, error: this.MARKET_STATUS_ERRORS[status] };
+    }
+
+    /**
+     * Checks the market a bet is placed on is open for the match
+     * @param {Object} betData - Bet data to validate
+     * @param {Object} [match] - Current match state
+     * @returns {Object} Validation result
+     */
+    validateMarket(betData, match = {}) {
+        const inExtraPeriod = this.EXTRA_PERIODS.includes(match?.period);
+
+        if (betData.type === 'fullMatch' && match?.knockout && inExtraPeriod) {
+            return { valid: false, error: 'The match result market settled at 90 minutes' };
+        }
+
+        if (betData.type === 'actionBet') {
+            const { event, choice } = this.findActionBetChoice(betData, match);
+            if (!event) {
+                return { valid: false, error: 'Betting opportunity not found' };
+            }
+            if (!choice) {
+                return { valid: false, error: 'That choice is not offered for this opportunity' };
+            }
+        }
+
+        if (betData.type === 'toQualify') {
+            if (!match?.knockout) {
+                return { valid: false, error: 'To qualify bets are only available in knockout matches' };
+            }
+            if (!['home', 'away'].includes(betData.outcome)) {
+                return { valid: false, error: 'To qualify outcome must be home or away' };
+            }
+            if (match.qualifier) {
+                return { valid: false, error: 'The tie is already decided' };
+            }
+        }
+
+        if (betData.type === 'overUnder') {
+            const selection = oddsCalculator.parseOverUnderOutcome(betData.outcome);
+            if (!selection) {
+                return { valid: false, error: 'Over/under outcome must be over or under a line from 0.5 to 4.5' };
+            }
+            if (inExtraPeriod) {
+                return { valid: false, error: 'The total goals market settled at 90 minutes' };
+            }
+            if ((match?.homeScore || 0) + (match?.awayScore || 0) > selection.line) {
+                return { valid: false, error: `The ${selection.line} goals line is already decided` };
+            }
+        }
+
+        if (betData.type === 'btts') {
+            if (!['yes', 'no'].includes(betData.outcome)) {
+                return { valid: false, error: 'Both teams to score outcome must be yes or no' };
+            }
+            if (inExtraPeriod) {
+                return { valid: false, error: 'The both teams to score market settled at 90 minutes' };
+            }
+            if (match?.homeScore > 0 && match?.awayScore > 0) {
+                return { valid: false, error: 'Both teams have already scored' };
+            }
+        }
+
+        if (betData.type === 'correctScore') {
+            if (!oddsCalculator.getCorrectScoreOutcomes().includes(betData.outcome)) {
+                return { valid: false, error: 'Correct score outcome must be a score from 0-0 to 3-3 or other' };
+            }
+            if (inExtraPeriod) {
+                return { valid: false, error: 'The correct score market settled at 90 minutes' };
+            }
+            const homeScore = match?.homeScore || 0;
+            const awayScore = match?.awayScore || 0;
+            if (oddsCalculator.getCorrectScoreResult(homeScore, awayScore) === oddsCalculator.CORRECT_SCORE_OTHER) {
+                return { valid: false, error: 'The correct score market is already decided' };
+            }
+            const [home, away] = betData.outcome.split('-').map(Number);
+            if (betData.outcome !== oddsCalculator.CORRECT_SCORE_OTHER && (home < homeScore || away < awayScore)) {
+                return { valid: false, error: `The score can no longer finish ${betData.outcome}` };
+            }
+        }
+
+        if (betData.type === 'nextGoal') {
+            if (!['home', 'none', 'away'].includes(betData.outcome)) {
+                return { valid: false, error: 'Next goal outcome must be home, none or away' };
+            }
+            if (inExtraPeriod) {
+                return { valid: false, error: 'The next goal market closed at 90 minutes' };
+            }
+            if (match?.varReview) {
+                return { valid: false, error: 'The next goal market is suspended during the VAR check' };
+            }
+        }
+
+        if (betData.type === 'goalscorer') {
+            if (!oddsCalculator.parseGoalscorerOutcome(betData.outcome)) {
+                return { valid: false, error: 'Goalscorer outcome must name a team and a player' };
+            }
+            if (inExtraPeriod) {
+                return { valid: false, error: 'The goalscorer market closed at 90 minutes' };
+            }
+            if (match?.varReview) {
+                return { valid: false, error: 'The goalscorer market is suspended during the VAR check' };
+            }
+            if (match?.goalscorerOdds && !match.goalscorerOdds[betData.outcome]) {
+                return { valid: false, error: 'That player is not available in the goalscorer market' };
+            }
+        }
+
         return { valid: true };
     }
 
+    /**
+     * Collects every bet across all bet types
+     * @param {Object} bets - state.bets
+     * @returns {Array} All bets
+     */
+    getAllBets(bets = {}) {
+        return this.BET_TYPES.flatMap(type => bets[type] || []);
+    }
+
     /**
      * Validates bet amount against wallet balance
      * @param {number} amount - Bet amount
@@ -154,11 +433,13 @@ export class BettingManager {
     /**
      * Calculates actual winnings for a winning bet
      * @param {Object} bet - Bet object
-     * @param {string} outcome - Actual outcome
+     * @param {string|Array<string>} outcome - Actual outcome, or every winning outcome of a
+     *   market with several lines (e.g. Over/Under)
      * @returns {number} Actual winnings (0 if bet lost)
      */
     calculateWinnings(bet, outcome) {
-        if (bet.outcome !== outcome) {
+        const winningOutcomes = Array.isArray(outcome) ? outcome : [outcome];
+        if (!winningOutcomes.includes(bet.outcome)) {
             return 0; // Bet lost
         }
 
@@ -184,7 +465,7 @@ export class BettingManager {
             let targetBet = null;
             let betType = null;
             
-            for (const type of ['fullMatch', 'actionBet']) {
+            for (const type of this.BET_TYPES) {
                 const bet = state.bets[type]?.find(b => b.id === betId);
                 if (bet) {
                     targetBet = bet;
@@ -244,85 +525,440 @@ export class BettingManager {
     }
 
     /**
-     * Resolves bets based on outcome
-     * @param {string} outcome - The actual outcome
-     * @param {string} [betType] - Type of bets to resolve ('fullMatch' or 'actionBet')
+     * Resolves bets on declared winning outcomes instead of match facts, e.g. an action bet
+     * decided by its resolution event
+     * @param {string|Array<string>} outcome - The actual outcome, or all winning outcomes
+     * @param {string} [betType] - Type of bets to resolve (one of BET_TYPES), every type when omitted
      * @param {string} [eventId] - Event ID for action bet resolution
      * @returns {Object} Resolution results
      */
     resolveBets(outcome, betType = null, eventId = null) {
+        const declared = eventId
+            ? { actionOutcomes: { [eventId]: outcome } }
+            : { winningOutcomes: [].concat(outcome) };
+        const facts = this.settlementEngine.getMatchFacts(this.stateManager.getState().match, declared);
+        const resolution = this.settleBets(facts, betType ? [betType] : this.BET_TYPES);
+
+        return resolution.success
+            ? { ...resolution, results: resolution.results.map(result => ({ ...result, actualOutcome: outcome })) }
+            : resolution;
+    }
+
+    /**
+     * Settles pending bets by their markets' settlement rules, and the matching legs of
+     * pending accumulators. Bets the facts do not decide yet stay pending, so partial facts
+     * (a goal that just counted) settle only what they decide.
+     * @param {Object} facts - Match facts, see SettlementEngine.getMatchFacts
+     * @param {Array<string>} [betTypes] - Bet types to settle, every market with a rule by default
+     * @param {Object} [options]
+     * @param {string} [options.otherwise] - Result for bets the facts leave undecided, e.g. void when the match is abandoned
+     * @param {string} [options.reason] - Kept on the bets and records voided that way
+     * @returns {Object} Resolution results { success, totalWinnings, refundedAmount, resolvedBets, voidedBets, results, records }
+     */
+    settleBets(facts, betTypes = this.settlementEngine.getMarkets(), { otherwise = null, reason = null } = {}) {
         try {
             const state = this.stateManager.getState();
-            let totalWinnings = 0;
-            let resolvedBets = 0;
-            const results = [];
-
-            // Determine which bets to resolve
-            const betsToResolve = betType 
-                ? (state.bets[betType] || [])
-                : [...(state.bets.fullMatch || []), ...(state.bets.actionBet || [])];
-
-            // Filter by event ID for action bets if specified
-            const filteredBets = eventId 
-                ? betsToResolve.filter(bet => bet.eventId === eventId)
-                : betsToResolve;
-
-            // Process each bet
+            const engine = this.settlementEngine;
+            const settlement = this.createSettlement();
             const updatedBets = { ...state.bets };
+            const settle = (betType, selection) => engine.settleSelection(betType, selection, facts) || otherwise;
+            let accumulatorsChanged = false;
 
-            for (const betCategory of ['fullMatch', 'actionBet']) {
-                if (betType && betType !== betCategory) continue;
+            betTypes.forEach(betType => {
+                // Accumulators settle leg by leg with the markets of their legs
+                if (betType === 'accumulator') return;
 
-                updatedBets[betCategory] = (state.bets[betCategory] || []).map(bet => {
-                    // Skip if not in filtered bets or already resolved
-                    if (!filteredBets.includes(bet) || bet.status !== 'pending') {
-                        return bet;
-                    }
+                updatedBets[betType] = (state.bets[betType] || []).map(bet => {
+                    const result = bet.status === 'pending' ? settle(betType, bet) : null;
+                    if (!result) return bet;
 
-                    const winnings = this.calculateWinnings(bet, outcome);
-                    const won = winnings > 0;
-                    
-                    totalWinnings += winnings;
-                    resolvedBets++;
-
-                    results.push({
-                        betId: bet.id,
-                        outcome: bet.outcome,
-                        actualOutcome: outcome,
-                        won,
-                        winnings,
-                        stake: bet.stake
+                    const record = engine.createRecord(bet, result, facts, {
+                        reason: result === engine.RESULTS.VOID ? reason : null
                     });
+                    return this.applySettlement(bet, record, settlement);
+                });
 
-                    return {
-                        ...bet,
-                        status: won ? 'won' : 'lost',
-                        resolvedAt: Date.now(),
-                        actualWinnings: winnings
-                    };
+                if (this.ACCUMULATOR_MARKETS.includes(betType)) {
+                    const legs = this.settleAccumulatorLegs(updatedBets.accumulator, betType, state.match,
+                        leg => settle(betType, leg), facts, settlement, reason);
+
+                    updatedBets.accumulator = legs.accumulators;
+                    accumulatorsChanged = accumulatorsChanged || legs.changed;
+                }
+            });
+
+            if (settlement.records.length > 0 || accumulatorsChanged) {
+                this.stateManager.updateState({
+                    wallet: state.wallet + settlement.totalWinnings + settlement.refundedAmount,
+                    bets: updatedBets,
+                    settlements: [...(state.settlements || []), ...settlement.records]
                 });
             }
 
-            // Update wallet with winnings
-            const updates = {
-                wallet: state.wallet + totalWinnings,
-                bets: updatedBets
+            return {
+                success: true,
+                totalWinnings: settlement.totalWinnings,
+                refundedAmount: settlement.refundedAmount,
+                resolvedBets: settlement.results.length,
+                voidedBets: settlement.voidedBets,
+                results: settlement.results,
+                records: settlement.records
             };
+        } catch (error) {
+            console.error('Bet settlement failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Starts the running totals of one settlement pass
+     * @returns {Object} { totalWinnings, refundedAmount, voidedBets, results, records }
+     */
+    createSettlement() {
+        return { totalWinnings: 0, refundedAmount: 0, voidedBets: [], results: [], records: [] };
+    }
 
-            this.stateManager.updateState(updates);
+    /**
+     * Applies a settlement record to its bet and adds it to the running totals: void and
+     * pushed bets count as refunds, the rest as results paying their payout
+     * @param {Object} bet - Pending bet
+     * @param {Object} record - Record from SettlementEngine.createRecord
+     * @param {Object} settlement - Running totals from createSettlement
+     * @returns {Object} Settled bet
+     */
+    applySettlement(bet, record, settlement) {
+        const status = this.settlementEngine.RESULT_STATUS[record.result];
+        settlement.records.push(record);
+
+        if (status === 'void') {
+            settlement.refundedAmount += record.payout;
+            settlement.voidedBets.push(bet.id);
+            return { ...bet, status, resolvedAt: record.settledAt, actualWinnings: record.payout, voidReason: record.reason };
+        }
 
-            return {
-                success: true,
-                totalWinnings,
-                resolvedBets,
-                results
+        settlement.totalWinnings += record.payout;
+        settlement.results.push({
+            betId: bet.id,
+            outcome: bet.outcome,
+            won: status === 'won',
+            winnings: record.payout,
+            stake: bet.stake,
+            result: record.result,
+            powerUpBonus: record.powerUpBonus
+        });
+        return { ...bet, status, resolvedAt: record.settledAt, actualWinnings: record.payout };
+    }
+
+    /**
+     * Gets the id accumulator legs use to tell matches apart
+     * @param {Object} [match] - Match state
+     * @returns {string} Match id, e.g. 'Arsenal v Chelsea'
+     */
+    getMatchId(match = {}) {
+        return `${match?.homeTeam || 'Home'} v ${match?.awayTeam || 'Away'}`;
+    }
+
+    /**
+     * Checks whether two legs of the same match come from correlated markets
+     * @param {string} market - Market of one leg
+     * @param {string} otherMarket - Market of the other leg
+     * @returns {boolean} True when the legs cannot be combined
+     */
+    areMarketsCorrelated(market, otherMarket) {
+        return market === otherMarket || this.CORRELATED_MARKETS.some(([first, second]) =>
+            (first === market && second === otherMarket) || (first === otherMarket && second === market));
+    }
+
+    /**
+     * Checks a selection can join the other legs of an accumulator
+     * @param {Array} legs - Legs already selected [{ market, outcome, odds, matchId }]
+     * @param {Object} leg - Leg to add
+     * @param {Object} [match] - Current match state, to check the leg's market is open
+     * @returns {Object} Validation result { valid, error }
+     */
+    validateAccumulatorLeg(legs, leg, match = this.stateManager.getState().match) {
+        if (!leg || !this.ACCUMULATOR_MARKETS.includes(leg.market)) {
+            return { valid: false, error: 'That market cannot be used in an accumulator' };
+        }
+
+        if (!leg.odds || typeof leg.odds !== 'number' || leg.odds <= 0) {
+            return { valid: false, error: 'That selection is not available' };
+        }
+
+        if (leg.matchId === this.getMatchId(match)) {
+            const market = this.validateMarket({ type: leg.market, outcome: leg.outcome }, match);
+            if (!market.valid) {
+                return market;
+            }
+            const status = this.validateMarketStatus(leg.market, this.stateManager.getState().markets);
+            if (!status.valid) {
+                return status;
+            }
+        }
+
+        if (legs.some(other => other.matchId === leg.matchId && this.areMarketsCorrelated(other.market, leg.market))) {
+            return { valid: false, error: 'That selection is correlated with another leg from the same match' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validates an accumulator: the stake, the number of legs and every leg against the others
+     * @param {Object} accumulatorData - { legs, stake }
+     * @returns {Object} Validation result { valid, error }
+     */
+    validateAccumulator(accumulatorData) {
+        const { legs = [], stake } = accumulatorData || {};
+
+        if (!Array.isArray(legs) || legs.length < this.MIN_ACCUMULATOR_LEGS) {
+            return { valid: false, error: `An accumulator needs at least ${this.MIN_ACCUMULATOR_LEGS} selections` };
+        }
+
+        if (legs.length > this.MAX_ACCUMULATOR_LEGS) {
+            return { valid: false, error: `An accumulator can have at most ${this.MAX_ACCUMULATOR_LEGS} selections` };
+        }
+
+        const bet = this.validateBet({
+            type: 'accumulator',
+            outcome: `${legs.length}-fold`,
+            stake,
+            odds: this.getAccumulatorOdds(legs)
+        });
+        if (!bet.valid) {
+            return bet;
+        }
+
+        for (let index = 0; index < legs.length; index++) {
+            const leg = this.validateAccumulatorLeg(legs.slice(0, index), legs[index]);
+            if (!leg.valid) {
+                return leg;
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Calculates the combined odds of accumulator legs
+     * @param {Array} legs - Legs [{ odds }]
+     * @returns {number} Product of the leg odds, to two decimal places
+     */
+    getAccumulatorOdds(legs = []) {
+        return Math.round(legs.reduce((odds, leg) => odds * leg.odds, 1) * 100) / 100;
+    }
+
+    /**
+     * Places an accumulator: one stake on every leg winning, at the product of their odds
+     * @param {Object} accumulatorData - Accumulator information
+     * @param {Array} accumulatorData.legs - Legs [{ market, outcome, odds, matchId }]
+     * @param {number} accumulatorData.stake - Bet amount
+     * @returns {Object} Placed bet object or error
+     */
+    placeAccumulator(accumulatorData) {
+        try {
+            const validation = this.validateAccumulator(accumulatorData);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const state = this.stateManager.getState();
+            const { legs, stake } = accumulatorData;
+            const odds = this.getAccumulatorOdds(legs);
+
+            const bet = {
+                id: `bet_${this.betIdCounter++}`,
+                type: 'accumulator',
+                outcome: `${legs.length}-fold`,
+                legs: legs.map(({ market, outcome, odds: legOdds, matchId }) => ({
+                    market, outcome, odds: legOdds, matchId, status: 'pending'
+                })),
+                stake,
+                odds,
+                potentialWinnings: this.calculatePotentialWinnings(stake, odds),
+                status: 'pending',
+                placedAt: Date.now(),
+                placedAtMinute: state.match?.time ?? null,
+                powerUpApplied: false,
+                eventId: null
             };
+
+            const updateResult = this.stateManager.updateState({
+                wallet: state.wallet - stake,
+                bets: {
+                    ...state.bets,
+                    accumulator: [...(state.bets.accumulator || []), bet]
+                }
+            });
+            if (!updateResult.success) {
+                throw new Error('Failed to update state with bet');
+            }
+
+            return { success: true, bet };
+        } catch (error) {
+            errorHandler.handleError(error, ERROR_TYPES.BETTING, {
+                context: 'BettingManager_placeAccumulator',
+                accumulatorData,
+                walletBalance: this.stateManager.getState().wallet
+            });
+
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Works out where an accumulator stands from its legs: lost as soon as a leg loses,
+     * settled once no leg is pending. Legs count at their settlement factor (void legs at
+     * odds of 1); all void refunds the stake.
+     * @param {Object} bet - Accumulator bet
+     * @returns {Object|null} { result, odds } the accumulator settles at, or null while a leg is pending
+     */
+    getAccumulatorResult(bet) {
+        const engine = this.settlementEngine;
+        const legs = bet.legs || [];
+        const factors = legs.map(leg => (leg.status === 'pending' ? null : engine.getLegFactor(leg)));
+
+        if (factors.includes(0)) {
+            return { result: engine.RESULTS.LOSE, odds: bet.odds };
+        }
+        if (factors.includes(null)) {
+            return null;
+        }
+        if (legs.every(leg => leg.status === 'void')) {
+            return { result: engine.RESULTS.VOID, odds: bet.odds };
+        }
+
+        return { result: engine.RESULTS.WIN, odds: factors.reduce((product, factor) => product * factor, 1) };
+    }
+
+    /**
+     * Settles the pending legs of one market of the current match across pending accumulators,
+     * then each accumulator its legs have decided
+     * @param {Array} [accumulators] - Accumulator bets (state.bets.accumulator)
+     * @param {string} market - Market being settled
+     * @param {Object} [match] - Current match state
+     * @param {Function} settleLeg - Called with (leg, bet); returns a settlement result, or null to leave the leg pending
+     * @param {Object} facts - Facts the legs settle on, kept in the audit records
+     * @param {Object} settlement - Running totals from createSettlement
+     * @param {string} [voidReason] - Kept on accumulators voided whole
+     * @returns {Object} { accumulators, changed }
+     */
+    settleAccumulatorLegs(accumulators = [], market, match, settleLeg, facts, settlement, voidReason = null) {
+        const engine = this.settlementEngine;
+        const matchId = this.getMatchId(match);
+        let changed = false;
+
+        const updated = accumulators.map(bet => {
+            if (bet.status !== 'pending') return bet;
+
+            let legsChanged = false;
+            const legs = bet.legs.map(leg => {
+                if (leg.status !== 'pending' || leg.market !== market || leg.matchId !== matchId) return leg;
+
+                const result = settleLeg(leg, bet);
+                if (!result) return leg;
+                legsChanged = true;
+                return { ...leg, status: engine.RESULT_STATUS[result], result };
+            });
+            if (!legsChanged) return bet;
+            changed = true;
+
+            const accumulatorResult = this.getAccumulatorResult({ ...bet, legs });
+            if (!accumulatorResult) {
+                return { ...bet, legs };
+            }
+
+            const record = engine.createRecord(bet, accumulatorResult.result, facts, {
+                odds: accumulatorResult.odds,
+                reason: accumulatorResult.result === engine.RESULTS.VOID ? voidReason : null
+            });
+            return { ...this.applySettlement(bet, record, settlement), legs };
+        });
+
+        return { accumulators: updated, changed };
+    }
+
+    /**
+     * Voids pending bets and refunds their stakes (e.g. bets accepted at odds priced on
+     * a goal that VAR then disallowed)
+     * @param {Object} [filter] - Which pending bets to void
+     * @param {Array<string>} [filter.betTypes] - Bet types to include (all when omitted)
+     * @param {number} [filter.placedAfter] - Only bets placed after this time (ms)
+     * @param {string} [reason] - Why the bets were voided, kept on each bet and its settlement record
+     * @returns {Object} Void result { success, voidedBets, refundedAmount }
+     */
+    voidBets(filter = {}, reason = null) {
+        try {
+            const { betTypes = this.BET_TYPES, placedAfter = null } = filter;
+            const state = this.stateManager.getState();
+            const engine = this.settlementEngine;
+            const facts = engine.getMatchFacts(state.match);
+            const settlement = this.createSettlement();
+            const updatedBets = { ...state.bets };
+            const inWindow = bet => placedAfter === null
+                || (typeof bet.placedAt === 'number' && bet.placedAt > placedAfter);
+
+            betTypes.forEach(betType => {
+                if (!state.bets[betType]) return;
+
+                updatedBets[betType] = state.bets[betType].map(bet => (
+                    bet.status === 'pending' && inWindow(bet)
+                        ? this.applySettlement(bet, engine.createRecord(bet, engine.RESULTS.VOID, facts, { reason }), settlement)
+                        : bet
+                ));
+            });
+
+            // Accumulators that are not voided whole lose only their legs in the voided markets
+            let accumulatorsChanged = false;
+            if (!betTypes.includes('accumulator')) {
+                betTypes.filter(betType => this.ACCUMULATOR_MARKETS.includes(betType)).forEach(betType => {
+                    const legs = this.settleAccumulatorLegs(updatedBets.accumulator, betType, state.match,
+                        (leg, bet) => (inWindow(bet) ? engine.RESULTS.VOID : null), facts, settlement, reason);
+
+                    updatedBets.accumulator = legs.accumulators;
+                    accumulatorsChanged = accumulatorsChanged || legs.changed;
+                });
+            }
+
+            if (settlement.records.length > 0 || accumulatorsChanged) {
+                this.stateManager.updateState({
+                    wallet: state.wallet + settlement.refundedAmount + settlement.totalWinnings,
+                    bets: updatedBets,
+                    settlements: [...(state.settlements || []), ...settlement.records]
+                });
+            }
+
+            return { success: true, voidedBets: settlement.voidedBets, refundedAmount: settlement.refundedAmount };
         } catch (error) {
-            console.error('Bet resolution failed:', error);
+            console.error('Bet void failed:', error);
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Settles every pending bet of a match that will not finish (the player left it, or
+     * an error shut it down). Bets the match has already decided keep their result, e.g.
+     * an over already won; the rest are voided and their stakes refunded.
+     * @param {string} [reason='abandoned'] - Why the match was abandoned, kept on each voided bet
+     * @returns {Object} Result { success, totalWinnings, refundedAmount, voidedBets, results, records }
+     */
+    abandonBets(reason = 'abandoned') {
+        const engine = this.settlementEngine;
+        const facts = engine.getMatchFacts(this.stateManager.getState().match, { abandoned: true });
+        const settled = this.settleBets(facts, this.BET_TYPES, { otherwise: engine.RESULTS.VOID, reason });
+        if (!settled.success) return settled;
+
+        // Accumulators with legs from another match are still pending; nothing will settle them now
+        const voided = this.voidBets({ betTypes: ['accumulator'] }, reason);
+        if (!voided.success) return voided;
+
+        return {
+            ...settled,
+            refundedAmount: settled.refundedAmount + voided.refundedAmount,
+            voidedBets: [...settled.voidedBets, ...voided.voidedBets]
+        };
+    }
+
     /**
      * Gets all pending bets
      * @param {string} [betType] - Filter by bet type
@@ -335,10 +971,128 @@ export class BettingManager {
             return (state.bets[betType] || []).filter(bet => bet.status === 'pending');
         }
 
-        return [
-            ...(state.bets.fullMatch || []).filter(bet => bet.status === 'pending'),
-            ...(state.bets.actionBet || []).filter(bet => bet.status === 'pending')
-        ];
+        return this.getAllBets(state.bets).filter(bet => bet.status === 'pending');
+    }
+
+    /**
+     * Calculates what a pending bet can be cashed out for now: its potential winnings times
+     * the chance of winning implied by the current odds (with the odds margin taken out),
+     * less the cash-out margin. Only bets on an open market can be cashed out.
+     * @param {Object} bet - Bet to value
+     * @param {Object} [match] - Current match state
+     * @returns {number|null} Cash-out value, or null while the bet cannot be cashed out
+     */
+    getCashOutValue(bet, match = this.stateManager.getState().match) {
+        if (!bet || bet.status !== 'pending' || !this.CASH_OUT_TYPES.includes(bet.type)) {
+            return null;
+        }
+        if (!match?.active || match.varReview || this.EXTRA_PERIODS.includes(match.period)) {
+            return null;
+        }
+        if (!this.marketRegistry.isOpen(this.marketRegistry.getMarketId(bet.type))) {
+            return null;
+        }
+
+        const currentOdds = oddsCalculator.getSelectionOdds(match, bet.type, bet.outcome);
+        if (!(currentOdds > 0) || !Number.isFinite(currentOdds)) {
+            return null;
+        }
+
+        const probability = 1 / (currentOdds * (1 + oddsCalculator.getMargin()));
+        const value = bet.potentialWinnings * Math.min(probability, 1) * (1 - this.CASH_OUT_MARGIN);
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Cashes out all or part of a pending bet at its current cash-out value. A partial
+     * cash-out settles that share of the stake and leaves the rest of the bet running.
+     * @param {string} betId - Bet ID to cash out
+     * @param {number} [fraction=1] - Share of the bet to cash out, above 0 and up to 1
+     * @returns {Object} Result { success, bet, amount } or error
+     */
+    cashOut(betId, fraction = 1) {
+        try {
+            if (typeof fraction !== 'number' || !(fraction > 0 && fraction <= 1)) {
+                throw new Error('Cash-out share must be above 0 and up to 1');
+            }
+
+            const state = this.stateManager.getState();
+            const betType = this.CASH_OUT_TYPES.find(type => state.bets[type]?.some(bet => bet.id === betId));
+            if (!betType) {
+                throw new Error('Bet not found');
+            }
+
+            const bet = state.bets[betType].find(b => b.id === betId);
+            const value = this.getCashOutValue(bet, state.match);
+            if (value === null) {
+                throw new Error('Cash out is not available for this bet');
+            }
+
+            const minute = state.match?.time ?? null;
+            const amount = Math.round(value * fraction * 100) / 100;
+            let cashedOutBet;
+
+            if (fraction === 1) {
+                cashedOutBet = {
+                    ...bet,
+                    status: 'cashedOut',
+                    resolvedAt: Date.now(),
+                    actualWinnings: amount,
+                    cashedOutAtMinute: minute
+                };
+            } else {
+                const stakeCashedOut = Math.round(bet.stake * fraction * 100) / 100;
+                const stake = Math.round((bet.stake - stakeCashedOut) * 100) / 100;
+                if (stake < 1) {
+                    throw new Error('At least $1 must stay on the bet after a partial cash out');
+                }
+
+                cashedOutBet = {
+                    ...bet,
+                    stake,
+                    potentialWinnings: this.calculatePotentialWinnings(stake, bet.odds, bet.powerUpApplied),
+                    cashOuts: [...(bet.cashOuts || []), { stake: stakeCashedOut, amount, minute }]
+                };
+            }
+
+            const updateResult = this.stateManager.updateState({
+                wallet: state.wallet + amount,
+                bets: {
+                    ...state.bets,
+                    [betType]: state.bets[betType].map(b => (b.id === betId ? cashedOutBet : b))
+                }
+            });
+            if (!updateResult.success) {
+                throw new Error('Failed to update state for cash out');
+            }
+
+            return { success: true, bet: cashedOutBet, amount };
+        } catch (error) {
+            errorHandler.handleError(error, ERROR_TYPES.BETTING, {
+                context: 'BettingManager_cashOut',
+                betId,
+                fraction
+            });
+
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Gets what a bet has staked and returned so far, counting partial cash-outs and the
+     * half stake a half-lost bet returns. Voided stakes were refunded, so they count
+     * neither as staked nor as returned.
+     * @param {Object} bet - Bet
+     * @returns {Object} { staked, returned }
+     */
+    getBetReturns(bet) {
+        const cashOuts = bet.cashOuts || [];
+        const settled = ['won', 'lost', 'cashedOut'].includes(bet.status);
+
+        return {
+            staked: (bet.status === 'void' ? 0 : bet.stake) + cashOuts.reduce((sum, cashOut) => sum + cashOut.stake, 0),
+            returned: (settled ? bet.actualWinnings || 0 : 0) + cashOuts.reduce((sum, cashOut) => sum + cashOut.amount, 0)
+        };
     }
 
     /**
@@ -347,20 +1101,20 @@ export class BettingManager {
      */
     getBetStatistics() {
         const state = this.stateManager.getState();
-        const allBets = [
-            ...(state.bets.fullMatch || []),
-            ...(state.bets.actionBet || [])
-        ];
+        const allBets = this.getAllBets(state.bets);
+        const returns = allBets.map(bet => this.getBetReturns(bet));
 
         const stats = {
             totalBets: allBets.length,
-            totalStaked: allBets.reduce((sum, bet) => sum + bet.stake, 0),
-            totalWinnings: allBets
-                .filter(bet => bet.status === 'won')
-                .reduce((sum, bet) => sum + (bet.actualWinnings || 0), 0),
+            totalStaked: returns.reduce((sum, bet) => sum + bet.staked, 0),
+            totalWinnings: returns.reduce((sum, bet) => sum + bet.returned, 0),
             pendingBets: allBets.filter(bet => bet.status === 'pending').length,
             wonBets: allBets.filter(bet => bet.status === 'won').length,
-            lostBets: allBets.filter(bet => bet.status === 'lost').length
+            lostBets: allBets.filter(bet => bet.status === 'lost').length,
+            voidBets: allBets.filter(bet => bet.status === 'void').length,
+            cashedOutBets: allBets.filter(bet => bet.status === 'cashedOut' || bet.cashOuts?.length).length,
+            accumulatorBets: allBets.filter(bet => bet.type === 'accumulator').length,
+            accumulatorLegs: allBets.reduce((sum, bet) => sum + (bet.legs?.length || 0), 0)
         };
 
         stats.netProfit = stats.totalWinnings - stats.totalStaked;
@@ -383,7 +1137,7 @@ export class BettingManager {
             let betType = null;
 
             // Find the bet
-            for (const type of ['fullMatch', 'actionBet']) {
+            for (const type of this.BET_TYPES) {
                 const bet = state.bets[type]?.find(b => b.id === betId);
                 if (bet) {
                     targetBet = bet;
@@ -467,7 +1221,7 @@ export class BettingManager {
         const safeData = { ...betData };
 
         // Ensure valid bet type
-        if (!['fullMatch', 'actionBet'].includes(safeData.type)) {
+        if (!this.BET_TYPES.includes(safeData.type)) {
             safeData.type = 'fullMatch';
         }
 
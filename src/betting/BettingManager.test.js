@@ -4,6 +4,7 @@
  */
 
 import { BettingManager } from './BettingManager.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
 
 // Mock StateManager for testing
 class MockStateManager {
@@ -541,6 +542,263 @@ function runTests() {
         expect(actionBetPending.length).toBe(1);
     });
 
+    // Test: Knockout "to qualify" market
+    test('should accept and settle to-qualify bets in knockout matches', () => {
+        const stateManager = new MockStateManager({
+            match: { knockout: true, period: 'EXTRA_TIME', qualifier: null },
+            bets: {
+                fullMatch: [],
+                actionBet: [],
+                toQualify: [{ id: 'bet_1', type: 'toQualify', outcome: 'away', stake: 40, odds: 2.5, status: 'pending' }]
+            }
+        });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+
+        expect(bettingManager.validateBet({ type: 'toQualify', outcome: 'home', stake: 40, odds: 1.6 }).valid).toBeTruthy();
+
+        const resolution = bettingManager.resolveBets('away', 'toQualify');
+        expect(resolution.totalWinnings).toBe(100);
+        expect(stateManager.getState().bets.toQualify[0].status).toBe('won');
+        expect(stateManager.getState().wallet).toBe(1100);
+    });
+
+    // Test: Knockout market rules
+    test('should only open to-qualify bets in knockout matches and close 1X2 after 90 minutes', () => {
+        const stateManager = new MockStateManager({ match: { knockout: false } });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+
+        expect(bettingManager.validateBet({ type: 'toQualify', outcome: 'home', stake: 10, odds: 1.5 }).valid).toBeFalsy();
+
+        stateManager.updateState({ match: { knockout: true, period: 'EXTRA_TIME' } });
+        expect(bettingManager.validateBet({ type: 'toQualify', outcome: 'draw', stake: 10, odds: 1.5 }).valid).toBeFalsy();
+        expect(bettingManager.validateBet({ type: 'fullMatch', outcome: 'home', stake: 10, odds: 1.5 }).error)
+            .toBe('The match result market settled at 90 minutes');
+
+        stateManager.updateState({ match: { knockout: true, period: 'PENALTIES', qualifier: 'home' } });
+        expect(bettingManager.validateBet({ type: 'toQualify', outcome: 'home', stake: 10, odds: 1.5 }).error)
+            .toBe('The tie is already decided');
+    });
+
+    // Test: Over/Under total goals market
+    test('should validate over/under lines and settle every line at once', () => {
+        const bet = (id, outcome) => ({ id, type: 'overUnder', outcome, stake: 10, odds: 2.0, status: 'pending' });
+        const stateManager = new MockStateManager({
+            match: { homeScore: 1, awayScore: 1 },
+            bets: {
+                fullMatch: [],
+                actionBet: [],
+                overUnder: [bet('bet_1', 'over_2.5'), bet('bet_2', 'under_3.5'), bet('bet_3', 'over_3.5')]
+            }
+        });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+
+        expect(bettingManager.validateBet({ type: 'overUnder', outcome: 'over_2.5', stake: 10, odds: 1.8 }).valid).toBeTruthy();
+        expect(bettingManager.validateBet({ type: 'overUnder', outcome: 'over_2', stake: 10, odds: 1.8 }).valid).toBeFalsy();
+        expect(bettingManager.validateBet({ type: 'overUnder', outcome: 'under_1.5', stake: 10, odds: 1.8 }).error)
+            .toBe('The 1.5 goals line is already decided');
+
+        const resolution = bettingManager.resolveBets(['over_0.5', 'over_1.5', 'over_2.5', 'under_3.5', 'under_4.5'], 'overUnder');
+        const bets = stateManager.getState().bets.overUnder;
+
+        expect(resolution.totalWinnings).toBe(40);
+        expect(bets.map(b => b.status)).toEqual(['won', 'won', 'lost']);
+    });
+
+    // Test: Both Teams To Score and Correct Score markets
+    test('should close both teams to score and correct score selections the score has decided', () => {
+        const stateManager = new MockStateManager({ match: { homeScore: 2, awayScore: 0 } });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+        const validate = (type, outcome) => bettingManager.validateBet({ type, outcome, stake: 10, odds: 3 });
+
+        expect(validate('btts', 'yes').valid).toBeTruthy();
+        expect(validate('btts', 'maybe').valid).toBeFalsy();
+        expect(validate('correctScore', '2-1').valid).toBeTruthy();
+        expect(validate('correctScore', 'other').valid).toBeTruthy();
+        expect(validate('correctScore', '1-1').error).toBe('The score can no longer finish 1-1');
+        expect(validate('correctScore', '5-0').valid).toBeFalsy();
+
+        stateManager.updateState({ match: { homeScore: 4, awayScore: 1 } });
+        expect(validate('btts', 'no').error).toBe('Both teams have already scored');
+        expect(validate('correctScore', 'other').error).toBe('The correct score market is already decided');
+    });
+
+    // Test: Next goal and goalscorer markets
+    test('should suspend goal markets during a VAR check and pay goalscorers one at a time', () => {
+        const bet = (id, outcome, stake) => ({
+            id, type: 'goalscorer', outcome, stake, odds: 4.0, status: 'pending', powerUpApplied: false
+        });
+        const stateManager = new MockStateManager({
+            wallet: 970,
+            match: { goalscorerOdds: { 'home:Saka': 3.4 } },
+            bets: { goalscorer: [bet('bet_1', 'home:Saka', 10), bet('bet_2', 'away:Palmer', 20)] }
+        });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+        const validate = (type, outcome) => bettingManager.validateBet({ type, outcome, stake: 10, odds: 3 });
+
+        expect(validate('nextGoal', 'none').valid).toBeTruthy();
+        expect(validate('nextGoal', 'draw').valid).toBeFalsy();
+        expect(validate('goalscorer', 'home:Saka').valid).toBeTruthy();
+        expect(validate('goalscorer', 'away:Palmer').error).toBe('That player is not available in the goalscorer market');
+
+        stateManager.updateState({ match: { varReview: { goalTime: 30 }, goalscorerOdds: { 'home:Saka': 3.4 } } });
+        expect(validate('nextGoal', 'home').error).toBe('The next goal market is suspended during the VAR check');
+
+        const settlement = bettingManager.settleBets({ score: { home: 1, away: 0 }, goal: { team: 'home', player: 'Saka' } }, ['goalscorer']);
+        const bets = stateManager.getState().bets.goalscorer;
+
+        expect(settlement.totalWinnings).toBe(40);
+        expect(bets.map(b => b.status)).toEqual(['won', 'pending']);
+        expect(stateManager.getState().wallet).toBe(1010);
+    });
+
+    // Test: Accumulators
+    test('should settle an accumulator leg by leg and lose it as soon as a leg loses', () => {
+        const leg = (market, outcome, odds) => ({ market, outcome, odds, matchId: 'Arsenal v Chelsea', status: 'pending' });
+        const accumulator = (id, legs) => ({
+            id, type: 'accumulator', outcome: `${legs.length}-fold`, legs, stake: 10, odds: 6, status: 'pending', powerUpApplied: false
+        });
+        const stateManager = new MockStateManager({
+            wallet: 980,
+            match: { homeTeam: 'Arsenal', awayTeam: 'Chelsea', homeScore: 0, awayScore: 0 },
+            bets: {
+                fullMatch: [],
+                btts: [],
+                overUnder: [],
+                accumulator: [
+                    accumulator('bet_1', [leg('fullMatch', 'home', 2), leg('btts', 'yes', 3)]),
+                    accumulator('bet_2', [leg('overUnder', 'over_2.5', 2), leg('btts', 'no', 1.5)])
+                ]
+            }
+        });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+
+        const btts = bettingManager.resolveBets('yes', 'btts');
+        let bets = stateManager.getState().bets.accumulator;
+        expect(bets.map(b => b.status)).toEqual(['pending', 'lost']);
+        expect(bets[1].legs.map(l => l.status)).toEqual(['pending', 'lost']);
+        expect(btts.results.map(r => `${r.betId}:${r.won}`)).toEqual(['bet_2:false']);
+
+        const fullMatch = bettingManager.resolveBets('home', 'fullMatch');
+        bets = stateManager.getState().bets.accumulator;
+        expect(bets[0].status).toBe('won');
+        expect(fullMatch.totalWinnings).toBe(60);
+        expect(stateManager.getState().wallet).toBe(1040);
+        expect(bettingManager.getBetStatistics().accumulatorLegs).toBe(4);
+    });
+
+    test('should reject accumulators with correlated or too few legs', () => {
+        const stateManager = new MockStateManager({ match: { homeTeam: 'Arsenal', awayTeam: 'Chelsea', homeScore: 0, awayScore: 0 } });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+        const leg = (market, outcome, matchId = 'Arsenal v Chelsea') => ({ market, outcome, odds: 2, matchId });
+        const validate = legs => bettingManager.validateAccumulator({ legs, stake: 10 });
+
+        expect(validate([leg('fullMatch', 'home'), leg('overUnder', 'over_2.5', 'Spurs v Everton')]).valid).toBeTruthy();
+        expect(validate([leg('fullMatch', 'home'), leg('fullMatch', 'away', 'Spurs v Everton')]).valid).toBeTruthy();
+        expect(validate([leg('fullMatch', 'home')]).error).toBe('An accumulator needs at least 2 selections');
+        expect(validate([leg('overUnder', 'over_1.5'), leg('overUnder', 'over_2.5')]).error)
+            .toBe('That selection is correlated with another leg from the same match');
+        expect(validate([leg('btts', 'yes'), leg('correctScore', '2-1')]).error)
+            .toBe('That selection is correlated with another leg from the same match');
+        expect(validate([leg('overUnder', 'over_2.5'), leg('btts', 'yes')]).error)
+            .toBe('That selection is correlated with another leg from the same match');
+        expect(validate([leg('btts', 'no'), leg('fullMatch', 'draw')]).error)
+            .toBe('That selection is correlated with another leg from the same match');
+        expect(validate([leg('btts', 'yes'), leg('overUnder', 'over_2.5', 'Spurs v Everton')]).valid).toBeTruthy();
+        [
+            [leg('goalscorer', 'home:Saka'), leg('overUnder', 'over_0.5')],
+            [leg('goalscorer', 'home:Saka'), leg('fullMatch', 'home')],
+            [leg('nextGoal', 'home'), leg('overUnder', 'over_0.5')],
+            [leg('nextGoal', 'away'), leg('btts', 'yes')],
+            [leg('goalscorer', 'away:Palmer'), leg('correctScore', '1-1')],
+            [leg('fullMatch', 'home'), leg('overUnder', 'over_2.5')]
+        ].forEach(legs => {
+            expect(validate(legs).error).toBe('That selection is correlated with another leg from the same match');
+        });
+        expect(validate([leg('fullMatch', 'home'), leg('actionBet', 'yes')]).error)
+            .toBe('That market cannot be used in an accumulator');
+        expect(bettingManager.getAccumulatorOdds([{ odds: 1.85 }, { odds: 2.1 }])).toBe(3.89);
+    });
+
+    // Test: Cash out
+    test('should value a cash out from the current odds less the margins', () => {
+        const bet = { id: 'bet_1', type: 'fullMatch', outcome: 'home', stake: 10, odds: 3, potentialWinnings: 30, status: 'pending' };
+        const stateManager = new MockStateManager({
+            match: { active: true, time: 60, odds: { home: 1.5, draw: 4, away: 6 } },
+            bets: { fullMatch: [bet] }
+        });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+        const margin = oddsCalculator.getMargin();
+
+        expect(bettingManager.getCashOutValue(bet))
+            .toBe(Math.round(30 / (1.5 * (1 + margin)) * (1 - bettingManager.CASH_OUT_MARGIN) * 100) / 100);
+        expect(bettingManager.getCashOutValue({ ...bet, status: 'won' })).toBe(null);
+        expect(bettingManager.getCashOutValue({ ...bet, type: 'actionBet' })).toBe(null);
+
+        bettingManager.marketRegistry.suspend('fullMatch', 'goal');
+        expect(bettingManager.getCashOutValue(bet)).toBe(null);
+        bettingManager.marketRegistry.reopen();
+        expect(bettingManager.getCashOutValue(bet)).toBeGreaterThan(0);
+
+        stateManager.updateState({ match: { active: true, varReview: { goalTime: 58 }, odds: { home: 1.5 } } });
+        expect(bettingManager.getCashOutValue(bet)).toBe(null);
+    });
+
+    test('should count partial and full cash outs in the statistics', () => {
+        const stateManager = new MockStateManager({
+            bets: {
+                fullMatch: [
+                    { id: 'bet_1', stake: 20, status: 'cashedOut', actualWinnings: 35 },
+                    { id: 'bet_2', stake: 5, status: 'lost', cashOuts: [{ stake: 5, amount: 8, minute: 40 }] }
+                ]
+            }
+        });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+        const stats = bettingManager.getBetStatistics();
+
+        expect(stats.totalStaked).toBe(30);
+        expect(stats.totalWinnings).toBe(43);
+        expect(stats.netProfit).toBe(13);
+        expect(stats.cashedOutBets).toBe(2);
+    });
+
+    // Test: Voiding bets after a disallowed goal
+    test('should void and refund bets placed after a given time', () => {
+        // bet_1 was placed earlier in the minute of the goal, bet_2 after it
+        const bet = (id, type, placedAt, stake) => ({
+            id, type, outcome: 'home', stake, odds: 2.0, status: 'pending', placedAt, placedAtMinute: 30, powerUpApplied: false
+        });
+        const stateManager = new MockStateManager({
+            wallet: 920,
+            bets: {
+                fullMatch: [bet('bet_1', 'fullMatch', 1000, 50), bet('bet_2', 'fullMatch', 5000, 20)],
+                actionBet: [bet('bet_3', 'actionBet', 5000, 10)]
+            }
+        });
+        const powerUpManager = new MockPowerUpManager();
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+
+        const result = bettingManager.voidBets({ betTypes: ['fullMatch'], placedAfter: 2000 }, 'goalOverturned');
+        const bets = stateManager.getState().bets;
+
+        expect(result.voidedBets).toEqual(['bet_2']);
+        expect(result.refundedAmount).toBe(20);
+        expect(stateManager.getState().wallet).toBe(940);
+        expect(bets.fullMatch[1].status).toBe('void');
+        expect(bets.fullMatch[1].voidReason).toBe('goalOverturned');
+        expect(bets.fullMatch[0].status).toBe('pending');
+        expect(bets.actionBet[0].status).toBe('pending');
+        expect(bettingManager.getBetStatistics().totalStaked).toBe(60);
+    });
+
     // Run all tests
     console.log('Running BettingManager Tests...\n');
 
@@ -1,18 +1,29 @@
 /**
  * FullMatchBetting - Handles continuous betting on match outcomes without pausing
- * Provides always-visible betting buttons and instant bet placement
+ * Provides always-visible betting buttons and instant bet placement, with a
+ * market tab for Over/Under total goals and a bet slip for accumulators
  */
+import { oddsCalculator } from '../utils/OddsCalculator.js';
 
 export class FullMatchBetting {
-    constructor(stateManager, bettingManager) {
+    /**
+     * @param {StateManager} stateManager - Shared state manager
+     * @param {BettingManager} bettingManager - Places the bets
+     * @param {MarketRegistry} [marketRegistry] - Market statuses; buttons of a market that is
+     *   not open are disabled. Without one every market counts as open.
+     */
+    constructor(stateManager, bettingManager, marketRegistry = null) {
         this.stateManager = stateManager;
         this.bettingManager = bettingManager;
+        this.marketRegistry = marketRegistry;
+        this.enabled = true;
         this.activeBettingForm = null;
         this.bettingFormContainer = null;
         
         // Subscribe to state changes for odds updates
         this.stateManager.subscribe((state) => {
             this.updateOddsDisplay(state.match.odds);
+            this.updateOverUnderDisplay(state.match.overUnderOdds);
         });
     }
 
@@ -37,6 +48,7 @@ export class FullMatchBetting {
         // Create betting buttons section
         const buttonsSection = document.createElement('div');
         buttonsSection.className = 'betting-buttons-section';
+        buttonsSection.dataset.marketPanel = 'result';
         
         const state = this.stateManager.getState();
         const odds = state.match.odds;
@@ -58,7 +70,9 @@ export class FullMatchBetting {
         this.bettingFormContainer.id = 'betting-form-container';
         this.bettingFormContainer.className = 'betting-form-container hidden';
         
+        bettingContainer.appendChild(this.createMarketTabs());
         bettingContainer.appendChild(buttonsSection);
+        bettingContainer.appendChild(this.createOverUnderSection(state.match.overUnderOdds));
         bettingContainer.appendChild(this.bettingFormContainer);
         
         // Add to match screen (assuming it exists)
@@ -66,6 +80,82 @@ export class FullMatchBetting {
         matchScreen.appendChild(bettingContainer);
     }
 
+    /**
+     * Creates the tabs that switch between the match result and Over/Under markets
+     * @returns {HTMLElement} Tabs element
+     */
+    createMarketTabs() {
+        const tabs = document.createElement('div');
+        tabs.className = 'market-tabs';
+
+        [
+            { id: 'result', label: 'Match Result' },
+            { id: 'overUnder', label: 'Over/Under' }
+        ].forEach(({ id, label }) => {
+            const tab = document.createElement('button');
+            tab.className = id === 'result' ? 'market-tab active' : 'market-tab';
+            tab.dataset.marketTab = id;
+            tab.textContent = label;
+            tab.addEventListener('click', () => {
+                this.selectMarket(id);
+            });
+            tabs.appendChild(tab);
+        });
+
+        return tabs;
+    }
+
+    /**
+     * Shows the buttons of one market and hides the other
+     * @param {string} tabId - 'result' or 'overUnder'
+     */
+    selectMarket(tabId) {
+        document.querySelectorAll('#full-match-betting .market-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.marketTab === tabId);
+        });
+        document.querySelectorAll('#full-match-betting [data-market-panel]').forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.marketPanel !== tabId);
+        });
+        this.clearBettingForm();
+    }
+
+    /**
+     * Creates the Over/Under section (initially hidden), one row per goals line
+     * @param {Object} overUnderOdds - Odds keyed by line; lines already passed are missing
+     * @returns {HTMLElement} Over/Under section element
+     */
+    createOverUnderSection(overUnderOdds) {
+        const section = document.createElement('div');
+        section.className = 'over-under-section hidden';
+        section.dataset.marketPanel = 'overUnder';
+
+        oddsCalculator.OVER_UNDER_LINES.forEach(line => {
+            const row = document.createElement('div');
+            row.className = 'over-under-row';
+            row.innerHTML = `<span class="over-under-line">${line} goals</span>`;
+
+            ['over', 'under'].forEach(side => {
+                const button = document.createElement('button');
+                button.className = 'over-under-button';
+                button.dataset.outcome = `${side}_${line}`;
+                button.dataset.market = 'overUnder';
+                button.innerHTML = `
+                    <span class="outcome-label">${side === 'over' ? 'Over' : 'Under'}</span>
+                    <span class="odds-display">-</span>
+                `;
+                button.addEventListener('click', () => {
+                    this.showBettingForm(button.dataset.outcome, 'overUnder');
+                });
+                row.appendChild(button);
+            });
+
+            section.appendChild(row);
+        });
+
+        this.updateOverUnderDisplay(overUnderOdds, section);
+        return section;
+    }
+
     /**
      * Creates a betting button for a specific outcome
      * @param {Object} outcome - Outcome data (key, label, odds)
@@ -79,7 +169,7 @@ export class FullMatchBetting {
         button.innerHTML = `
             <div class="betting-button-content">
                 <span class="outcome-label">${outcome.label}</span>
-                <span class="odds-display">${outcome.odds.toFixed(2)}</span>
+                <span class="odds-display">${outcome.odds ? outcome.odds.toFixed(2) : '-'}</span>
             </div>
         `;
         
@@ -92,11 +182,14 @@ export class FullMatchBetting {
 
     /**
      * Shows inline betting form for selected outcome
-     * @param {string} outcome - Selected outcome ('home', 'draw', 'away')
+     * @param {string} outcome - Selected outcome ('home', 'draw', 'away', or e.g. 'over_2.5')
+     * @param {string} [market='fullMatch'] - 'fullMatch' or 'overUnder'
      */
-    showBettingForm(outcome) {
+    showBettingForm(outcome, market = 'fullMatch') {
         const state = this.stateManager.getState();
-        const odds = state.match.odds[outcome];
+        const odds = oddsCalculator.getSelectionOdds(state.match, market, outcome);
+        if (!odds || !this.isMarketOpen(market, state)) return;
+
         const rememberedAmount = state.betAmountMemory.fullMatch;
         
         // Clear any existing form
@@ -151,7 +244,7 @@ export class FullMatchBetting {
         `;
         
         // Add event listeners
-        this.setupFormEventListeners(form, outcome, odds);
+        this.setupFormEventListeners(form, outcome, odds, market);
         
         // Show form
         this.bettingFormContainer.appendChild(form);
@@ -169,8 +262,9 @@ export class FullMatchBetting {
      * @param {HTMLElement} form - Form element
      * @param {string} outcome - Betting outcome
      * @param {number} odds - Current odds
+     * @param {string} [market='fullMatch'] - Market the bet is placed in
      */
-    setupFormEventListeners(form, outcome, odds) {
+    setupFormEventListeners(form, outcome, odds, market = 'fullMatch') {
         const amountInput = form.querySelector('#bet-amount');
         const potentialWinningsDisplay = form.querySelector('#potential-winnings');
         const placeBetBtn = form.querySelector('.place-bet-btn');
@@ -200,7 +294,7 @@ export class FullMatchBetting {
         
         // Place bet button
         placeBetBtn.addEventListener('click', () => {
-            this.placeBet(outcome, parseFloat(amountInput.value));
+            this.placeBet(outcome, parseFloat(amountInput.value), market);
         });
         
         // Cancel/close buttons
@@ -213,7 +307,7 @@ export class FullMatchBetting {
         // Enter key to place bet
         amountInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !placeBetBtn.disabled) {
-                this.placeBet(outcome, parseFloat(amountInput.value));
+                this.placeBet(outcome, parseFloat(amountInput.value), market);
             }
         });
     }
@@ -236,14 +330,20 @@ export class FullMatchBetting {
      * Places a full match bet instantly while game continues
      * @param {string} outcome - Betting outcome
      * @param {number} amount - Bet amount
+     * @param {string} [market='fullMatch'] - 'fullMatch' (90-minute result), 'toQualify' (knockout ties),
+     *   'overUnder' (90-minute total goals), 'btts' (both teams to score), 'correctScore',
+     *   'nextGoal' (next team to score) or 'goalscorer' (anytime scorer, e.g. 'home:Saka')
+     * @param {number} [odds] - Odds the player was shown; the current price when omitted
      * @returns {Object} Bet placement result
      */
-    placeBet(outcome, amount) {
+    placeBet(outcome, amount, market = 'fullMatch', odds = null) {
         const state = this.stateManager.getState();
-        const odds = state.match.odds[outcome];
+        if (!odds) {
+            odds = oddsCalculator.getSelectionOdds(state.match, market, outcome);
+        }
         
         const betData = {
-            type: 'fullMatch',
+            type: market,
             outcome: outcome,
             stake: amount,
             odds: odds
@@ -273,6 +373,8 @@ export class FullMatchBetting {
                 // Handle DOM update errors gracefully in test environments
                 console.log('Interface update skipped in test environment');
             }
+        } else if (result.oddsChanged) {
+            this.showNotification(`${result.error} - confirm to bet at the new price`, 'info');
         } else {
             // Show error notification
             this.showNotification(`Failed to place bet: ${result.error}`, 'error');
@@ -281,6 +383,98 @@ export class FullMatchBetting {
         return result;
     }
 
+    /**
+     * Gets what a pending bet can be cashed out for now
+     * @param {Object} bet - Bet to value
+     * @returns {number|null} Cash-out value, or null while the bet cannot be cashed out
+     */
+    getCashOutValue(bet) {
+        return this.bettingManager.getCashOutValue(bet);
+    }
+
+    /**
+     * Cashes out all or part of a pending bet
+     * @param {string} betId - Bet ID
+     * @param {number} [fraction=1] - Share of the bet to cash out
+     * @returns {Object} Cash-out result
+     */
+    cashOut(betId, fraction = 1) {
+        const result = this.bettingManager.cashOut(betId, fraction);
+        
+        if (result.success) {
+            const share = fraction === 1 ? '' : `${Math.round(fraction * 100)}% of `;
+            this.showNotification(
+                `Cashed out ${share}${this.getOutcomeLabel(result.bet.outcome)} for $${result.amount.toFixed(2)}`, 'success');
+        } else {
+            this.showNotification(`Cash out failed: ${result.error}`, 'error');
+        }
+        
+        return result;
+    }
+
+    /**
+     * Adds a selection to the bet slip at its current odds, unless it is closed or
+     * correlated with a selection already on the slip
+     * @param {string} outcome - Betting outcome
+     * @param {string} [market='fullMatch'] - Market of the selection (see placeBet)
+     * @returns {Object} Result { success, error }
+     */
+    addToBetSlip(outcome, market = 'fullMatch') {
+        const state = this.stateManager.getState();
+        const betSlip = state.betSlip || [];
+        const leg = {
+            market,
+            outcome,
+            odds: oddsCalculator.getSelectionOdds(state.match, market, outcome),
+            matchId: this.bettingManager.getMatchId(state.match)
+        };
+        
+        const validation = this.bettingManager.validateAccumulatorLeg(betSlip, leg, state.match);
+        if (!validation.valid) {
+            this.showNotification(validation.error, 'error');
+            return { success: false, error: validation.error };
+        }
+        
+        this.stateManager.updateState({ betSlip: [...betSlip, leg] });
+        this.showNotification(`${this.getOutcomeLabel(outcome)} added to your bet slip`, 'success');
+        return { success: true };
+    }
+
+    /**
+     * Removes a selection from the bet slip
+     * @param {number} index - Position of the selection on the slip
+     */
+    removeFromBetSlip(index) {
+        const betSlip = this.stateManager.getState().betSlip || [];
+        this.stateManager.updateState({ betSlip: betSlip.filter((leg, legIndex) => legIndex !== index) });
+    }
+
+    /**
+     * Places the bet slip as an accumulator. Legs from the running match are re-priced
+     * at their current odds first.
+     * @param {number} amount - Bet amount
+     * @returns {Object} Bet placement result
+     */
+    placeBetSlip(amount) {
+        const state = this.stateManager.getState();
+        const matchId = this.bettingManager.getMatchId(state.match);
+        const legs = (state.betSlip || []).map(leg => (leg.matchId === matchId
+            ? { ...leg, odds: oddsCalculator.getSelectionOdds(state.match, leg.market, leg.outcome) }
+            : leg));
+        
+        const result = this.bettingManager.placeAccumulator({ legs, stake: amount });
+        
+        if (result.success) {
+            this.stateManager.updateState({ betSlip: [] });
+            this.showNotification(
+                `Accumulator placed: $${amount} on ${legs.length} selections @ ${result.bet.odds.toFixed(2)}`, 'success');
+        } else {
+            this.showNotification(`Failed to place accumulator: ${result.error}`, 'error');
+        }
+        
+        return result;
+    }
+
     /**
      * Clears the active betting form
      */
@@ -320,24 +514,60 @@ export class FullMatchBetting {
     }
 
     /**
-     * Updates odds display in betting buttons
+     * Checks whether a market is taking bets
+     * @param {string} market - Market ID, e.g. 'fullMatch' or 'overUnder'
+     * @param {Object} [state] - Current game state
+     * @returns {boolean} True while the market is open
+     */
+    isMarketOpen(market, state = this.stateManager.getState()) {
+        return !this.marketRegistry || this.marketRegistry.isOpen(market, state.markets);
+    }
+
+    /**
+     * Updates odds display in betting buttons, disabled while the 1X2 market is not open.
+     * An outcome too near certain to price shows a dash and is disabled.
      * @param {Object} odds - Current odds object
      */
     updateOddsDisplay(odds) {
-        Object.keys(odds).forEach(outcome => {
+        const outcomes = ['home', 'draw', 'away'];
+        outcomes.forEach(outcome => {
             const oddsDisplay = document.querySelector(`[data-outcome="${outcome}"] .odds-display`);
             if (oddsDisplay) {
-                oddsDisplay.textContent = odds[outcome].toFixed(2);
+                oddsDisplay.textContent = odds[outcome] ? odds[outcome].toFixed(2) : '-';
             }
         });
+
+        const open = this.enabled && this.isMarketOpen('fullMatch');
+        document.querySelectorAll('.betting-button').forEach(button => {
+            button.disabled = !open || (outcomes.includes(button.dataset.outcome) && !odds[button.dataset.outcome]);
+        });
     }
 
     /**
-     * Updates display of active full match bets
+     * Updates Over/Under odds and disables lines that have been passed, and every line
+     * while the market is not open
+     * @param {Object} overUnderOdds - Current odds keyed by line
+     * @param {HTMLElement} [root=document] - Element holding the Over/Under buttons
+     */
+    updateOverUnderDisplay(overUnderOdds, root = document) {
+        const open = this.enabled && this.isMarketOpen('overUnder');
+        root.querySelectorAll('.over-under-button').forEach(button => {
+            const parsed = oddsCalculator.parseOverUnderOutcome(button.dataset.outcome);
+            if (!parsed) return;
+
+            const odds = overUnderOdds?.[parsed.line]?.[parsed.side];
+            button.disabled = !odds || !open;
+            button.querySelector('.odds-display').textContent = odds ? odds.toFixed(2) : '-';
+        });
+    }
+
+    /**
+     * Updates display of active full match bets, including the goal markets
      */
     updateActiveBetsDisplay() {
         const state = this.stateManager.getState();
-        const fullMatchBets = state.bets.fullMatch || [];
+        const fullMatchBets = ['fullMatch', 'overUnder', 'btts', 'correctScore', 'nextGoal', 'goalscorer', 'accumulator']
+            .flatMap(type => state.bets[type] || []);
         const pendingBets = fullMatchBets.filter(bet => bet.status === 'pending');
         
         // Find or create active bets display
@@ -390,7 +620,27 @@ export class FullMatchBetting {
             case 'home': return state.match.homeTeam || 'Home';
             case 'away': return state.match.awayTeam || 'Away';
             case 'draw': return 'Draw';
-            default: return outcome;
+            case 'none': return 'No more goals';
+            case 'yes': return 'Both teams to score';
+            case 'no': return 'Not both teams to score';
+            case oddsCalculator.CORRECT_SCORE_OTHER: return 'Any other score';
+            default: {
+                const selection = oddsCalculator.parseOverUnderOutcome(outcome);
+                if (selection) {
+                    return `${selection.side === 'over' ? 'Over' : 'Under'} ${selection.line} goals`;
+                }
+                if (/^\d+-\d+$/.test(outcome)) {
+                    return `Correct score ${outcome}`;
+                }
+                const scorer = oddsCalculator.parseGoalscorerOutcome(outcome);
+                if (scorer) {
+                    return `${scorer.player} to score`;
+                }
+                if (/^\d+-fold$/.test(outcome)) {
+                    return `${outcome} accumulator`;
+                }
+                return outcome;
+            }
         }
     }
 
@@ -426,10 +676,12 @@ export class FullMatchBetting {
      * @param {boolean} enabled - Whether betting should be enabled
      */
     setEnabled(enabled) {
-        const bettingButtons = document.querySelectorAll('.betting-button');
-        bettingButtons.forEach(button => {
-            button.disabled = !enabled;
-        });
+        this.enabled = enabled;
+        
+        // Buttons of markets that are not open, and lines that have been passed, stay disabled
+        const { match } = this.stateManager.getState();
+        this.updateOddsDisplay(match.odds);
+        this.updateOverUnderDisplay(match.overUnderOdds);
         
         if (!enabled) {
             this.clearBettingForm();
@@ -485,6 +485,244 @@ describe('FullMatchBetting', () => {
         });
     });
 
+    describe('Odds Changes', () => {
+        test('should offer the new price when the odds drift under the default policy', () => {
+            const result = fullMatchBetting.placeBet('home', 50, 'fullMatch', 2.00);
+
+            expect(result.success).toBe(false);
+            expect(result.oddsChanged).toBe(true);
+            expect(result.requestedOdds).toBe(2.00);
+            expect(result.newOdds).toBe(1.85);
+            expect(result.error).toBe('Odds changed from 2.00 to 1.85');
+            expect(stateManager.getState().wallet).toBe(1000);
+            expect(stateManager.getState().bets.fullMatch).toHaveLength(0);
+        });
+
+        test('should take a shortened price only when any change is accepted', () => {
+            stateManager.updateState({ oddsChangePolicy: 'any' });
+
+            const result = fullMatchBetting.placeBet('home', 50, 'fullMatch', 2.00);
+
+            expect(result.success).toBe(true);
+            expect(result.bet.odds).toBe(1.85);
+            expect(result.bet.potentialWinnings).toBeCloseTo(92.5, 5);
+        });
+
+        test('should take a longer price unless the player always confirms', () => {
+            expect(fullMatchBetting.placeBet('away', 10, 'fullMatch', 4.00).bet.odds).toBe(4.20);
+
+            stateManager.updateState({ oddsChangePolicy: 'confirm' });
+            const result = fullMatchBetting.placeBet('away', 10, 'fullMatch', 4.00);
+
+            expect(result.oddsChanged).toBe(true);
+            expect(result.newOdds).toBe(4.20);
+            expect(fullMatchBetting.placeBet('away', 10, 'fullMatch', 4.20).success).toBe(true);
+        });
+    });
+
+    describe('Market Status', () => {
+        test('should refuse bets while the market is suspended and take them once it reopens', () => {
+            bettingManager.marketRegistry.suspend('fullMatch', 'goal');
+
+            const result = fullMatchBetting.placeBet('home', 50, 'fullMatch', 1.85);
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Betting on this market is suspended');
+            expect(stateManager.getState().wallet).toBe(1000);
+
+            bettingManager.marketRegistry.reopen('goal');
+            expect(fullMatchBetting.placeBet('home', 50, 'fullMatch', 1.85).success).toBe(true);
+        });
+
+        test('should refuse bets on closed and settled markets', () => {
+            const bet = { type: 'fullMatch', outcome: 'draw', stake: 10, odds: 3.5 };
+
+            bettingManager.marketRegistry.close('fullMatch', 'fullTime');
+            expect(bettingManager.validateBet(bet).error).toBe('This market is closed');
+
+            bettingManager.marketRegistry.settle('fullMatch');
+            expect(bettingManager.validateBet(bet).error).toBe('This market has already been settled');
+        });
+
+        test('should disable the buttons of a market that is not open', () => {
+            const registry = bettingManager.marketRegistry;
+            fullMatchBetting = new FullMatchBetting(stateManager, bettingManager, registry);
+            stateManager.updateState({ 'match.overUnderOdds': { 2.5: { over: 1.9, under: 1.9 } } });
+            fullMatchBetting.initialize();
+            const resultButtons = () => [...document.querySelectorAll('.betting-button')];
+            const overButton = () => document.querySelector('.over-under-button[data-outcome="over_2.5"]');
+
+            expect(resultButtons().every(button => !button.disabled)).toBe(true);
+            expect(overButton().disabled).toBe(false);
+
+            registry.suspend('fullMatch', 'goal');
+            registry.close('overUnder', 'fullTime');
+            expect(resultButtons().every(button => button.disabled)).toBe(true);
+            expect(overButton().disabled).toBe(true);
+
+            fullMatchBetting.showBettingForm('home');
+            expect(document.querySelector('.inline-betting-form')).toBeNull();
+
+            registry.reopen('goal');
+            expect(resultButtons().every(button => !button.disabled)).toBe(true);
+            expect(overButton().disabled).toBe(true);
+        });
+    });
+
+    describe('Settlement', () => {
+        test('should keep an audit record of each bet settled on the final facts', () => {
+            fullMatchBetting.placeBet('home', 50, 'fullMatch', 1.85);
+            fullMatchBetting.placeBet('draw', 20, 'fullMatch', 3.50);
+            const facts = bettingManager.settlementEngine.getMatchFacts(
+                { ...stateManager.getState().match, homeScore: 2, awayScore: 1, time: 90 }, { final: true });
+
+            const resolution = bettingManager.settleBets(facts, ['fullMatch']);
+
+            const { wallet, settlements } = stateManager.getState();
+            expect(resolution.totalWinnings).toBeCloseTo(92.5, 5);
+            expect(wallet).toBeCloseTo(1022.5, 5);
+            expect(settlements.map(record => [record.outcome, record.result, record.payout]))
+                .toEqual([['home', 'win', 92.5], ['draw', 'lose', 0]]);
+            expect(settlements[0].facts).toEqual(expect.objectContaining({ final: true, score: { home: 2, away: 1 }, minute: 90 }));
+        });
+
+        test('should record voided bets with their reason', () => {
+            fullMatchBetting.placeBet('away', 10, 'fullMatch', 4.20);
+
+            bettingManager.voidBets({ betTypes: ['fullMatch'] }, 'goalOverturned');
+
+            const [record] = stateManager.getState().settlements;
+            expect(record).toEqual(expect.objectContaining({ result: 'void', payout: 10, reason: 'goalOverturned' }));
+            expect(stateManager.getState().bets.fullMatch[0].voidReason).toBe('goalOverturned');
+        });
+
+        test('should void the undecided bets of an abandoned match and keep the decided ones', () => {
+            stateManager.updateState({
+                wallet: 930,
+                'match.homeScore': 1,
+                bets: {
+                    ...stateManager.getState().bets,
+                    fullMatch: [{
+                        id: 'bet_1', type: 'fullMatch', outcome: 'home', stake: 50, odds: 1.85,
+                        potentialWinnings: 92.5, status: 'pending', powerUpApplied: false
+                    }],
+                    overUnder: [{
+                        id: 'bet_2', type: 'overUnder', outcome: 'over_0.5', stake: 20, odds: 1.5,
+                        potentialWinnings: 30, status: 'pending', powerUpApplied: false
+                    }]
+                }
+            });
+
+            const result = bettingManager.abandonBets('returnedToLobby');
+
+            const { wallet, bets, settlements } = stateManager.getState();
+            expect(result.success).toBe(true);
+            expect(result.voidedBets).toEqual(['bet_1']);
+            expect(result.refundedAmount).toBe(50);
+            expect(wallet).toBeCloseTo(1010, 5);
+            expect(bets.fullMatch[0]).toEqual(expect.objectContaining({ status: 'void', voidReason: 'returnedToLobby' }));
+            expect(bets.overUnder[0].status).toBe('won');
+            expect(settlements.map(record => [record.betId, record.result, record.reason]))
+                .toEqual([['bet_1', 'void', 'returnedToLobby'], ['bet_2', 'win', null]]);
+        });
+    });
+
+    describe('Cash Out', () => {
+        const placeHomeBet = () => {
+            stateManager.updateState({
+                wallet: 900,
+                bets: {
+                    ...stateManager.getState().bets,
+                    fullMatch: [{
+                        id: 'bet_1', type: 'fullMatch', outcome: 'home', stake: 100, odds: 4.2,
+                        potentialWinnings: 420, status: 'pending', powerUpApplied: false
+                    }]
+                }
+            });
+        };
+
+        test('should cash out part of a bet and leave the rest running', () => {
+            placeHomeBet();
+            const value = fullMatchBetting.getCashOutValue(stateManager.getState().bets.fullMatch[0]);
+
+            const result = fullMatchBetting.cashOut('bet_1', 0.5);
+            const bet = stateManager.getState().bets.fullMatch[0];
+
+            expect(result.success).toBe(true);
+            expect(result.amount).toBeCloseTo(value / 2, 2);
+            expect(bet.status).toBe('pending');
+            expect(bet.stake).toBe(50);
+            expect(bet.potentialWinnings).toBeCloseTo(210, 5);
+            expect(bet.cashOuts).toEqual([{ stake: 50, amount: result.amount, minute: 0 }]);
+            expect(stateManager.getState().wallet).toBeCloseTo(900 + result.amount, 2);
+        });
+
+        test('should settle a full cash out at its value', () => {
+            placeHomeBet();
+
+            const result = fullMatchBetting.cashOut('bet_1');
+            const bet = stateManager.getState().bets.fullMatch[0];
+
+            expect(bet.status).toBe('cashedOut');
+            expect(bet.actualWinnings).toBe(result.amount);
+            expect(fullMatchBetting.cashOut('bet_1').error).toBe('Cash out is not available for this bet');
+        });
+    });
+
+    describe('Bet Slip', () => {
+        beforeEach(() => {
+            stateManager.updateState({
+                match: {
+                    ...stateManager.getState().match,
+                    bttsOdds: { yes: 1.90, no: 1.90 },
+                    nextGoalOdds: { home: 1.90, none: 9.00, away: 2.80 },
+                    correctScoreOdds: { '1-1': 6.50 }
+                }
+            });
+        });
+
+        // A selection kept on the slip from an earlier match
+        const earlierLeg = { market: 'fullMatch', outcome: 'away', odds: 1.90, matchId: 'Spurs v Everton' };
+
+        test('should add selections and block correlated ones', () => {
+            stateManager.updateState({ betSlip: [earlierLeg] });
+            expect(fullMatchBetting.addToBetSlip('home').success).toBe(true);
+
+            const correlated = fullMatchBetting.addToBetSlip('1-1', 'correctScore');
+            expect(correlated.success).toBe(false);
+            expect(correlated.error).toBe('That selection is correlated with another leg from the same match');
+            expect(fullMatchBetting.addToBetSlip('yes', 'btts').success).toBe(false);
+            expect(fullMatchBetting.addToBetSlip('home', 'nextGoal').success).toBe(false);
+
+            expect(stateManager.getState().betSlip).toEqual([
+                earlierLeg,
+                { market: 'fullMatch', outcome: 'home', odds: 1.85, matchId: 'Arsenal v Chelsea' }
+            ]);
+        });
+
+        test('should place the slip as an accumulator at the current odds', () => {
+            stateManager.updateState({ betSlip: [earlierLeg] });
+            fullMatchBetting.addToBetSlip('home');
+            stateManager.updateState({ match: { ...stateManager.getState().match, odds: { home: 2.00, draw: 3.40, away: 3.80 } } });
+
+            const result = fullMatchBetting.placeBetSlip(50);
+            const state = stateManager.getState();
+
+            expect(result.success).toBe(true);
+            expect(result.bet.odds).toBe(3.8);
+            expect(result.bet.legs.map(leg => leg.status)).toEqual(['pending', 'pending']);
+            expect(state.bets.accumulator).toHaveLength(1);
+            expect(state.betSlip).toEqual([]);
+            expect(state.wallet).toBe(950);
+        });
+
+        test('should not place a slip with a single selection', () => {
+            fullMatchBetting.addToBetSlip('home');
+
+            expect(fullMatchBetting.placeBetSlip(50).error).toBe('An accumulator needs at least 2 selections');
+            expect(stateManager.getState().betSlip).toHaveLength(1);
+        });
+    });
+
     describe('Error Handling', () => {
         beforeEach(() => {
             fullMatchBetting.initialize();
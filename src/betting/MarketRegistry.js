@@ -0,0 +1,254 @@
+/**
+ * MarketRegistry - Tracks the status of every market a bet can be placed on
+ * Markets are kept in state.markets so the betting rules and every screen read the same status
+ *
+ * Features:
+ * - Match markets by bet type ('fullMatch', 'overUnder', ...) and one market per action bet
+ *   event ('actionBet:<eventId>')
+ * - Each market moves through open, suspended, closed and settled; settled is final
+ * - Suspensions carry a reason ('goal', 'var', 'penalty', 'unpriced') and can lift themselves at a match minute
+ * - Markets with no entry yet are open
+ */
+export class MarketRegistry {
+    /**
+     * @param {StateManager} stateManager - Shared state manager
+     */
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+
+        this.STATUS = {
+            OPEN: 'open',
+            SUSPENDED: 'suspended',
+            CLOSED: 'closed',
+            SETTLED: 'settled'
+        };
+
+        // Moves each status allows; a suspended market can be suspended again with a new reason
+        this.TRANSITIONS = {
+            open: ['suspended', 'closed', 'settled'],
+            suspended: ['suspended', 'open', 'closed', 'settled'],
+            closed: ['settled'],
+            settled: []
+        };
+
+        // Markets priced for the match itself, as opposed to one action bet event
+        this.MATCH_MARKETS = ['fullMatch', 'toQualify', 'overUnder', 'btts', 'correctScore', 'nextGoal', 'goalscorer'];
+
+        // Markets decided on the 90-minute score, which close when a knockout tie goes to extra time
+        this.REGULATION_MARKETS = ['fullMatch', 'overUnder', 'btts', 'correctScore', 'nextGoal', 'goalscorer'];
+    }
+
+    /**
+     * Gets the market a bet is placed on
+     * @param {string} type - Bet type
+     * @param {string} [eventId] - Event ID for action bets
+     * @returns {string} Market ID
+     */
+    getMarketId(type, eventId = null) {
+        return type === 'actionBet' && eventId ? `actionBet:${eventId}` : type;
+    }
+
+    /**
+     * Gets all market entries
+     * @returns {Array} Markets [{ id, status, reason, until, changedAt }]
+     */
+    getMarkets() {
+        return this.stateManager.getState().markets || [];
+    }
+
+    /**
+     * Gets one market entry
+     * @param {string} id - Market ID
+     * @param {Array} [markets] - Markets to look in, the current state by default
+     * @returns {Object|null} Market entry, or null for a market without one
+     */
+    getMarket(id, markets = this.getMarkets()) {
+        return (markets || []).find(market => market.id === id) || null;
+    }
+
+    /**
+     * Gets the status of a market
+     * @param {string} id - Market ID
+     * @param {Array} [markets] - Markets to look in, the current state by default
+     * @returns {string} 'open', 'suspended', 'closed' or 'settled'
+     */
+    getStatus(id, markets = this.getMarkets()) {
+        return this.getMarket(id, markets)?.status || this.STATUS.OPEN;
+    }
+
+    /**
+     * Checks whether a market takes bets
+     * @param {string} id - Market ID
+     * @param {Array} [markets] - Markets to look in, the current state by default
+     * @returns {boolean} True while the market is open
+     */
+    isOpen(id, markets = this.getMarkets()) {
+        return this.getStatus(id, markets) === this.STATUS.OPEN;
+    }
+
+    /**
+     * Checks whether a market can move from one status to another
+     * @param {string} from - Current status
+     * @param {string} to - New status
+     * @returns {boolean} True when the move is allowed
+     */
+    canTransition(from, to) {
+        return (this.TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Moves markets to a new status. Markets that cannot make the move (a settled market,
+     * or a closed one asked to re-open) are left as they are.
+     * @param {string|Array<string>} ids - Market ID or IDs
+     * @param {string} status - New status
+     * @param {Object} [options]
+     * @param {string} [options.reason] - Why the market changed, e.g. 'goal' or 'var'
+     * @param {number} [options.until] - Match minute a suspension lifts at; held until re-opened when omitted
+     * @returns {Object} Result { success, changed }
+     */
+    setStatus(ids, status, { reason = null, until = null } = {}) {
+        if (!Object.values(this.STATUS).includes(status)) {
+            return { success: false, error: `Invalid market status: ${status}` };
+        }
+
+        const state = this.stateManager.getState();
+        const markets = [...(state.markets || [])];
+        const changed = [];
+
+        [].concat(ids).forEach(id => {
+            const index = markets.findIndex(market => market.id === id);
+            const current = index >= 0 ? markets[index].status : this.STATUS.OPEN;
+            if (current === status && status !== this.STATUS.SUSPENDED) return;
+            if (current !== status && !this.canTransition(current, status)) return;
+
+            const entry = {
+                id,
+                status,
+                reason: status === this.STATUS.OPEN ? null : reason,
+                until: status === this.STATUS.SUSPENDED ? until : null,
+                changedAt: state.match?.time ?? 0
+            };
+            if (index >= 0) {
+                markets[index] = entry;
+            } else {
+                markets.push(entry);
+            }
+            changed.push(id);
+        });
+
+        if (changed.length > 0) {
+            this.stateManager.updateState({ markets });
+        }
+
+        return { success: true, changed };
+    }
+
+    /**
+     * Opens the match markets for kick-off, dropping every entry from the last match.
+     * To qualify only trades in knockout ties.
+     * @param {Object} [match] - Match state
+     */
+    openMatchMarkets(match = {}) {
+        const changedAt = match.time ?? 0;
+        const markets = this.MATCH_MARKETS.map(id => ({
+            id,
+            status: id === 'toQualify' && !match.knockout ? this.STATUS.CLOSED : this.STATUS.OPEN,
+            reason: id === 'toQualify' && !match.knockout ? 'league match' : null,
+            until: null,
+            changedAt
+        }));
+
+        this.stateManager.updateState({ markets });
+    }
+
+    /**
+     * Suspends markets that are open or already suspended. A timed suspension does not
+     * replace one held until it is lifted (a goal during a VAR check keeps the VAR reason).
+     * @param {string|Array<string>} ids - Market ID or IDs
+     * @param {string} reason - Why betting stopped
+     * @param {number} [until] - Match minute the suspension lifts at
+     * @returns {Object} Result { success, changed }
+     */
+    suspend(ids, reason, until = null) {
+        const markets = this.getMarkets();
+        const suspendable = [].concat(ids).filter(id => {
+            const market = this.getMarket(id, markets);
+            return until === null || market?.status !== this.STATUS.SUSPENDED || market.until !== null;
+        });
+
+        return this.setStatus(suspendable, this.STATUS.SUSPENDED, { reason, until });
+    }
+
+    /**
+     * Suspends every match market still trading
+     * @param {string} reason - Why betting stopped
+     * @param {number} [until] - Match minute the suspension lifts at
+     * @returns {Object} Result { success, changed }
+     */
+    suspendMatchMarkets(reason, until = null) {
+        return this.suspend(this.MATCH_MARKETS, reason, until);
+    }
+
+    /**
+     * Re-opens suspended markets
+     * @param {string} [reason] - Only lift suspensions made for this reason
+     * @returns {Object} Result { success, changed }
+     */
+    reopen(reason = null) {
+        const ids = this.getMarkets()
+            .filter(market => market.status === this.STATUS.SUSPENDED && (reason === null || market.reason === reason))
+            .map(market => market.id);
+
+        return this.setStatus(ids, this.STATUS.OPEN);
+    }
+
+    /**
+     * Re-opens markets whose timed suspension has run out
+     * @param {number} time - Current match minute
+     * @returns {Object} Result { success, changed }
+     */
+    releaseSuspensions(time) {
+        const ids = this.getMarkets()
+            .filter(market => market.status === this.STATUS.SUSPENDED && market.until !== null && market.until <= time)
+            .map(market => market.id);
+
+        return ids.length > 0 ? this.setStatus(ids, this.STATUS.OPEN) : { success: true, changed: [] };
+    }
+
+    /**
+     * Closes markets to new bets while their bets wait to settle
+     * @param {string|Array<string>} ids - Market ID or IDs
+     * @param {string} [reason] - Why betting ended
+     * @returns {Object} Result { success, changed }
+     */
+    close(ids, reason = null) {
+        return this.setStatus(ids, this.STATUS.CLOSED, { reason });
+    }
+
+    /**
+     * Closes every action bet market of a match: those with an entry, and those of
+     * timeline events that never opened, which would otherwise count as open
+     * @param {Array} [timeline] - Match timeline
+     * @param {string} [reason] - Why betting ended
+     * @returns {Object} Result { success, changed }
+     */
+    closeActionMarkets(timeline = [], reason = null) {
+        const ids = new Set(this.getMarkets()
+            .map(market => market.id)
+            .filter(id => id.startsWith('actionBet:')));
+        timeline
+            .filter(event => Array.isArray(event.data?.choices))
+            .forEach(event => ids.add(this.getMarketId('actionBet', event.id)));
+
+        return this.close([...ids], reason);
+    }
+
+    /**
+     * Marks markets as settled once their bets are paid
+     * @param {string|Array<string>} ids - Market ID or IDs
+     * @returns {Object} Result { success, changed }
+     */
+    settle(ids) {
+        return this.setStatus(ids, this.STATUS.SETTLED);
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * MarketRegistry Tests
+ * Tests for market statuses and the moves between them
+ */
+
+import { MarketRegistry } from './MarketRegistry.js';
+import { StateManager } from '../core/StateManager.js';
+
+describe('MarketRegistry', () => {
+    let stateManager;
+    let registry;
+
+    beforeEach(() => {
+        stateManager = new StateManager();
+        registry = new MarketRegistry(stateManager);
+    });
+
+    test('should treat markets without an entry as open', () => {
+        expect(registry.getMarkets()).toEqual([]);
+        expect(registry.getStatus('fullMatch')).toBe('open');
+        expect(registry.isOpen(registry.getMarketId('actionBet', 'event_3'))).toBe(true);
+        expect(registry.getMarketId('actionBet', 'event_3')).toBe('actionBet:event_3');
+    });
+
+    test('should open the match markets at kick-off, with to qualify only in knockout ties', () => {
+        registry.suspend('actionBet:event_3', 'penalty');
+        registry.openMatchMarkets({ knockout: false });
+
+        expect(registry.getMarkets().map(market => market.id)).toEqual(registry.MATCH_MARKETS);
+        expect(registry.isOpen('fullMatch')).toBe(true);
+        expect(registry.getMarket('toQualify')).toEqual(expect.objectContaining({ status: 'closed', reason: 'league match' }));
+
+        registry.openMatchMarkets({ knockout: true });
+        expect(registry.isOpen('toQualify')).toBe(true);
+    });
+
+    test('should re-open only the suspensions made for a reason', () => {
+        registry.suspend('fullMatch', 'var');
+        registry.suspend('nextGoal', 'penalty');
+
+        expect(registry.reopen('var').changed).toEqual(['fullMatch']);
+        expect(registry.isOpen('fullMatch')).toBe(true);
+        expect(registry.getStatus('nextGoal')).toBe('suspended');
+    });
+
+    test('should lift timed suspensions at their minute without replacing held ones', () => {
+        registry.suspend('fullMatch', 'var');
+        registry.suspend(['fullMatch', 'btts'], 'goal', 31);
+
+        expect(registry.getMarket('fullMatch')).toEqual(expect.objectContaining({ reason: 'var', until: null }));
+        expect(registry.releaseSuspensions(30).changed).toEqual([]);
+        expect(registry.releaseSuspensions(31).changed).toEqual(['btts']);
+        expect(registry.getStatus('fullMatch')).toBe('suspended');
+    });
+
+    test('should not re-open closed markets or move settled ones', () => {
+        registry.close('fullMatch', 'fullTime');
+        registry.reopen();
+        registry.suspend('fullMatch', 'goal');
+
+        expect(registry.getStatus('fullMatch')).toBe('closed');
+
+        registry.settle('fullMatch');
+        expect(registry.setStatus('fullMatch', 'open').changed).toEqual([]);
+        expect(registry.getStatus('fullMatch')).toBe('settled');
+    });
+
+    test('should reject unknown statuses', () => {
+        expect(registry.setStatus('fullMatch', 'paused')).toEqual({ success: false, error: 'Invalid market status: paused' });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * OpportunityQueue - Orders the action bet opportunities that arrive while another one is on screen
+ * The queue is kept in state.opportunityQueue so the match screen can list what is coming up
+ *
+ * Features:
+ * - Ranked by event category: penalty, VAR check, card, corner, free kick, then the rest
+ * - An opportunity that outranks the one on screen replaces it; the displaced one waits again
+ * - Queued opportunities expire when their market stops trading or after waiting too long
+ * - A full queue drops its lowest-ranked opportunity
+ * - Opportunities leaving the queue unoffered have their markets closed
+ */
+export class OpportunityQueue {
+    /**
+     * @param {StateManager} stateManager - Shared state manager
+     * @param {MarketRegistry} [marketRegistry] - Market statuses; without one, opportunities expire only with age
+     */
+    constructor(stateManager, marketRegistry = null) {
+        this.stateManager = stateManager;
+        this.marketRegistry = marketRegistry;
+
+        // Rank of each action bet category; categories not listed rank 0
+        this.PRIORITIES = {
+            penalty: 10,
+            var: 9,
+            card: 8,
+            corner: 7,
+            freekick: 6,
+            attack: 5
+        };
+
+        // Real seconds an opportunity waits before it expires; the match clock is stopped meanwhile
+        this.MAX_WAIT_SECONDS = 30;
+        this.MAX_SIZE = 3;
+    }
+
+    /**
+     * Gets the rank of an opportunity
+     * @param {Object} event - Action bet event
+     * @returns {number} Priority, higher first
+     */
+    getPriority(event) {
+        return this.PRIORITIES[event?.data?.category] ?? 0;
+    }
+
+    /**
+     * Gets the queued opportunities, highest rank first
+     * @returns {Array} Entries [{ event, priority, queuedAt }]
+     */
+    getQueue() {
+        return this.stateManager.getState().opportunityQueue || [];
+    }
+
+    /**
+     * Checks whether a new opportunity takes the place of the one on screen
+     * @param {Object|null} current - Opportunity on screen
+     * @param {Object} next - New opportunity
+     * @returns {boolean} True when nothing is on screen or the new one outranks it
+     */
+    shouldReplace(current, next) {
+        return !current || this.getPriority(next) > this.getPriority(current);
+    }
+
+    /**
+     * Queues an opportunity behind every one of its rank, or ahead of them for one that
+     * was already on screen
+     * @param {Object} event - Action bet event
+     * @param {Object} [options]
+     * @param {boolean} [options.ahead=false] - Queue ahead of opportunities of the same rank
+     * @param {number} [options.now] - Current time in milliseconds
+     * @returns {Object} Result { success, queued, dropped }; dropped is the opportunity a full
+     *   queue pushed out, which may be the new one, and its market is closed
+     */
+    enqueue(event, { ahead = false, now = Date.now() } = {}) {
+        const queue = this.getQueue();
+        if (queue.some(entry => entry.event.id === event.id)) {
+            return { success: false, error: 'Opportunity already queued' };
+        }
+
+        const entry = { event, priority: this.getPriority(event), queuedAt: now };
+        const index = queue.findIndex(queued => (ahead ? queued.priority <= entry.priority : queued.priority < entry.priority));
+        const ordered = index < 0 ? [...queue, entry] : [...queue.slice(0, index), entry, ...queue.slice(index)];
+        const dropped = ordered.length > this.MAX_SIZE ? ordered.pop() : null;
+
+        this.stateManager.updateState({ opportunityQueue: ordered });
+        if (dropped) {
+            this.closeMarkets([dropped.event], 'dropped');
+        }
+
+        return { success: true, queued: dropped !== entry, dropped: dropped?.event || null };
+    }
+
+    /**
+     * Checks whether a queued opportunity can no longer be offered
+     * @param {Object} entry - Queue entry
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {boolean} True once its market stopped trading or it waited too long
+     */
+    isExpired(entry, now = Date.now()) {
+        if (now - entry.queuedAt > this.MAX_WAIT_SECONDS * 1000) return true;
+        if (!this.marketRegistry) return false;
+
+        return !this.marketRegistry.isOpen(this.marketRegistry.getMarketId('actionBet', entry.event.id));
+    }
+
+    /**
+     * Takes the highest-ranked opportunity still on offer. Expired ones leave the queue and
+     * their markets close.
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object} { event, expired }; event is null when nothing is left to offer
+     */
+    next(now = Date.now()) {
+        const queue = this.getQueue();
+        if (queue.length === 0) {
+            return { event: null, expired: [] };
+        }
+
+        const live = queue.filter(entry => !this.isExpired(entry, now));
+        const expired = queue.filter(entry => !live.includes(entry)).map(entry => entry.event);
+        this.closeMarkets(expired, 'expired');
+
+        this.stateManager.updateState({ opportunityQueue: live.slice(1) });
+
+        return { event: live[0]?.event || null, expired };
+    }
+
+    /**
+     * Empties the queue and closes the markets of the opportunities it held
+     */
+    clear() {
+        const queued = this.getQueue().map(entry => entry.event);
+        this.stateManager.updateState({ opportunityQueue: [] });
+        this.closeMarkets(queued, 'dropped');
+    }
+
+    /**
+     * Closes the markets of opportunities that will not be offered
+     * @param {Array} events - Action bet events
+     * @param {string} reason - Why they will not be offered
+     */
+    closeMarkets(events, reason) {
+        if (!this.marketRegistry || events.length === 0) return;
+
+        this.marketRegistry.close(events.map(event => this.marketRegistry.getMarketId('actionBet', event.id)), reason);
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * OpportunityQueue Tests
+ * Tests for the priority, expiry and replacement rules of queued action bet opportunities
+ */
+
+import { OpportunityQueue } from './OpportunityQueue.js';
+import { MarketRegistry } from './MarketRegistry.js';
+import { StateManager } from '../core/StateManager.js';
+
+describe('OpportunityQueue', () => {
+    let stateManager;
+    let registry;
+    let queue;
+    const opportunity = (id, category) => ({ id, time: 30, description: `${category} opportunity`, data: { category } });
+
+    beforeEach(() => {
+        stateManager = new StateManager();
+        registry = new MarketRegistry(stateManager);
+        queue = new OpportunityQueue(stateManager, registry);
+    });
+
+    test('should order opportunities by priority, oldest first within a priority', () => {
+        queue.enqueue(opportunity('event_1', 'corner'));
+        queue.enqueue(opportunity('event_2', 'penalty'));
+        queue.enqueue(opportunity('event_3', 'corner'));
+
+        expect(queue.getQueue().map(entry => entry.event.id)).toEqual(['event_2', 'event_1', 'event_3']);
+        expect(stateManager.getState().opportunityQueue).toHaveLength(3);
+        expect(queue.enqueue(opportunity('event_1', 'corner')).success).toBe(false);
+    });
+
+    test('should replace only an opportunity the new one outranks', () => {
+        expect(queue.shouldReplace(null, opportunity('event_1', 'attack'))).toBe(true);
+        expect(queue.shouldReplace(opportunity('event_1', 'corner'), opportunity('event_2', 'penalty'))).toBe(true);
+        expect(queue.shouldReplace(opportunity('event_1', 'corner'), opportunity('event_2', 'corner'))).toBe(false);
+    });
+
+    test('should put a displaced opportunity ahead of the ones of its priority', () => {
+        queue.enqueue(opportunity('event_1', 'corner'));
+        queue.enqueue(opportunity('event_2', 'corner'), { ahead: true });
+
+        expect(queue.getQueue().map(entry => entry.event.id)).toEqual(['event_2', 'event_1']);
+    });
+
+    test('should drop the lowest-ranked opportunity from a full queue', () => {
+        queue.enqueue(opportunity('event_1', 'attack'));
+        queue.enqueue(opportunity('event_2', 'corner'));
+        queue.enqueue(opportunity('event_3', 'card'));
+
+        const result = queue.enqueue(opportunity('event_4', 'penalty'));
+        expect(result.dropped.id).toBe('event_1');
+        expect(queue.getQueue().map(entry => entry.event.id)).toEqual(['event_4', 'event_3', 'event_2']);
+
+        const late = queue.enqueue(opportunity('event_5', 'attack'));
+        expect(late).toEqual(expect.objectContaining({ success: true, queued: false }));
+
+        ['event_1', 'event_5'].forEach(id => {
+            expect(registry.getMarket(`actionBet:${id}`)).toEqual(expect.objectContaining({ status: 'closed', reason: 'dropped' }));
+        });
+        expect(registry.isOpen('actionBet:event_2')).toBe(true);
+    });
+
+    test('should close the markets of the opportunities left when the queue is cleared', () => {
+        queue.enqueue(opportunity('event_1', 'corner'));
+        queue.enqueue(opportunity('event_2', 'card'));
+
+        queue.clear();
+
+        expect(queue.getQueue()).toEqual([]);
+        expect(registry.getMarkets().map(market => [market.id, market.status, market.reason])).toEqual([
+            ['actionBet:event_2', 'closed', 'dropped'],
+            ['actionBet:event_1', 'closed', 'dropped']
+        ]);
+    });
+
+    test('should skip opportunities whose market closed or that waited too long', () => {
+        queue.enqueue(opportunity('event_1', 'penalty'), { now: 0 });
+        queue.enqueue(opportunity('event_2', 'card'), { now: 20000 });
+        queue.enqueue(opportunity('event_3', 'corner'), { now: 20000 });
+        registry.settle(registry.getMarketId('actionBet', 'event_2'));
+
+        const next = queue.next(40000);
+
+        expect(next.event.id).toBe('event_3');
+        expect(next.expired.map(event => event.id)).toEqual(['event_1', 'event_2']);
+        expect(registry.getMarket('actionBet:event_1')).toEqual(expect.objectContaining({ status: 'closed', reason: 'expired' }));
+        expect(queue.getQueue()).toEqual([]);
+        expect(queue.next(40000).event).toBeNull();
+    });
+});
@@ -0,0 +1,275 @@
+/**
+ * SettlementEngine - Decides how bets settle from the facts of a match
+ * Each market type has one rule; a rule reads a selection and the facts known so far and
+ * returns a result, or null while the selection is still undecided
+ *
+ * Features:
+ * - Results: win, lose, void, push (stake back), half-win and half-lose (quarter lines)
+ * - Rules work on final facts (full time) or partial ones (a goal that just counted)
+ * - Every settlement produces an audit record of the facts, result and payout
+ * - New markets register a rule instead of changing the callers
+ */
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+
+export class SettlementEngine {
+    constructor() {
+        this.RESULTS = {
+            WIN: 'win',
+            LOSE: 'lose',
+            VOID: 'void',
+            PUSH: 'push',
+            HALF_WIN: 'halfWin',
+            HALF_LOSE: 'halfLose'
+        };
+
+        // Bet status each result leaves behind; a push refunds the stake like a void
+        this.RESULT_STATUS = {
+            win: 'won',
+            halfWin: 'won',
+            lose: 'lost',
+            halfLose: 'lost',
+            push: 'void',
+            void: 'void'
+        };
+
+        this.rules = new Map();
+        this.registerDefaultRules();
+    }
+
+    /**
+     * Registers the rule for a market type, replacing any rule it had
+     * @param {string} market - Market type, e.g. 'fullMatch'
+     * @param {Function} rule - Called with (selection, facts); returns a result or null while undecided
+     */
+    registerRule(market, rule) {
+        this.rules.set(market, rule);
+    }
+
+    /**
+     * Gets the rule for a market type
+     * @param {string} market - Market type
+     * @returns {Function|null} Rule, or null for a market without one
+     */
+    getRule(market) {
+        return this.rules.get(market) || null;
+    }
+
+    /**
+     * Gets the market types that have a rule
+     * @returns {Array<string>} Market types
+     */
+    getMarkets() {
+        return [...this.rules.keys()];
+    }
+
+    /**
+     * Registers the rules for the markets the game offers
+     */
+    registerDefaultRules() {
+        const { WIN, LOSE } = this.RESULTS;
+        const decide = won => (won ? WIN : LOSE);
+
+        this.registerRule('fullMatch', (selection, facts) => (
+            facts.final ? decide(selection.outcome === this.getResultOutcome(facts.score)) : null
+        ));
+
+        this.registerRule('toQualify', (selection, facts) => (
+            facts.qualifier ? decide(selection.outcome === facts.qualifier) : null
+        ));
+
+        this.registerRule('overUnder', (selection, facts) => this.settleOverUnder(selection.outcome, facts));
+
+        this.registerRule('btts', (selection, facts) => {
+            const bothScored = facts.score.home > 0 && facts.score.away > 0;
+            if (!bothScored && !facts.final) return null;
+            return decide(selection.outcome === (bothScored ? 'yes' : 'no'));
+        });
+
+        this.registerRule('correctScore', (selection, facts) => (
+            facts.final
+                ? decide(selection.outcome === oddsCalculator.getCorrectScoreResult(facts.score.home, facts.score.away))
+                : null
+        ));
+
+        // A goal settles the bets placed before it; the rest lose to "no more goals" at full time
+        this.registerRule('nextGoal', (selection, facts) => {
+            if (facts.goal) return decide(selection.outcome === facts.goal.team);
+            return facts.final ? decide(selection.outcome === 'none') : null;
+        });
+
+        // Anytime goalscorer bets win on their player's goal and lose only at full time
+        this.registerRule('goalscorer', (selection, facts) => {
+            if (facts.goal && selection.outcome === `${facts.goal.team}:${facts.goal.player}`) return WIN;
+            return facts.final ? LOSE : null;
+        });
+
+        this.registerRule('actionBet', (selection, facts) => {
+            const outcome = facts.actionOutcomes?.[selection.eventId];
+            return outcome === undefined ? null : decide(selection.outcome === outcome);
+        });
+    }
+
+    /**
+     * Builds the facts rules settle on from the match state
+     * @param {Object} [match] - Match state
+     * @param {Object} [extra] - Facts to add, e.g. { final: true } or { goal: { team, player } }
+     * @returns {Object} Facts { minute, score, final, qualifier, ... }; score is the
+     *   90-minute score, so goals in extra time settle nothing
+     */
+    getMatchFacts(match = {}, extra = {}) {
+        return {
+            minute: match?.time ?? null,
+            score: match?.regulationScore || { home: match?.homeScore || 0, away: match?.awayScore || 0 },
+            final: false,
+            qualifier: match?.qualifier || null,
+            ...extra
+        };
+    }
+
+    /**
+     * Gets the match result outcome of a score
+     * @param {Object} score - Score { home, away }
+     * @returns {string} 'home', 'draw' or 'away'
+     */
+    getResultOutcome(score) {
+        if (score.home > score.away) return 'home';
+        if (score.away > score.home) return 'away';
+        return 'draw';
+    }
+
+    /**
+     * Settles one selection. Facts with declared winning outcomes settle any market
+     * without reading its rule.
+     * @param {string} market - Market type
+     * @param {Object} selection - Bet or accumulator leg { outcome, eventId }
+     * @param {Object} facts - Match facts
+     * @param {Array<string>} [facts.winningOutcomes] - Declared winners of the market
+     * @returns {string|null} Result, or null while undecided or without a rule
+     */
+    settleSelection(market, selection, facts) {
+        if (facts.winningOutcomes) {
+            return facts.winningOutcomes.includes(selection.outcome) ? this.RESULTS.WIN : this.RESULTS.LOSE;
+        }
+
+        const rule = this.getRule(market);
+        return rule ? rule(selection, facts) : null;
+    }
+
+    /**
+     * Settles an Over/Under selection on a whole, half or quarter line. Before full time
+     * only results more goals cannot change are given: an over that is already won, or
+     * an under that is already lost.
+     * @param {string} outcome - Selection, e.g. 'over_2.5' or 'under_2.25'
+     * @param {Object} facts - Match facts
+     * @returns {string|null} Result, or null while undecided
+     */
+    settleOverUnder(outcome, facts) {
+        const [side, line] = (outcome || '').split('_');
+        const total = facts.score.home + facts.score.away;
+        const result = this.getLineResult(side, parseFloat(line), total);
+
+        if (facts.final) return result;
+        if (side === 'over' && result === this.RESULTS.WIN) return result;
+        if (side === 'under' && result === this.RESULTS.LOSE) return result;
+        return null;
+    }
+
+    /**
+     * Gets the result of an Over/Under line for a goal total. A quarter line splits the
+     * stake over the whole and half lines either side of it.
+     * @param {string} side - 'over' or 'under'
+     * @param {number} line - Goal line, e.g. 2, 2.25 or 2.5
+     * @param {number} total - Goals scored
+     * @returns {string} Result
+     */
+    getLineResult(side, line, total) {
+        if ((line * 4) % 2 === 1) {
+            const lower = this.getLineResult(side, line - 0.25, total);
+            const upper = this.getLineResult(side, line + 0.25, total);
+            if (lower === upper) return lower;
+            return [lower, upper].includes(this.RESULTS.WIN) ? this.RESULTS.HALF_WIN : this.RESULTS.HALF_LOSE;
+        }
+
+        const margin = side === 'over' ? total - line : line - total;
+        if (margin > 0) return this.RESULTS.WIN;
+        return margin < 0 ? this.RESULTS.LOSE : this.RESULTS.PUSH;
+    }
+
+    /**
+     * Calculates what a settled stake returns. The power-up doubles the winning part.
+     * @param {number} stake - Bet amount
+     * @param {number} odds - Decimal odds
+     * @param {string} result - Settlement result
+     * @param {boolean} [powerUpApplied=false] - Whether the 2x power-up is on the bet
+     * @returns {number} Amount paid back, stake included
+     */
+    getPayout(stake, odds, result, powerUpApplied = false) {
+        const multiplier = powerUpApplied ? 2 : 1;
+
+        switch (result) {
+            case this.RESULTS.WIN:
+                return stake * odds * multiplier;
+            case this.RESULTS.HALF_WIN:
+                return (stake / 2) * odds * multiplier + stake / 2;
+            case this.RESULTS.HALF_LOSE:
+                return stake / 2;
+            case this.RESULTS.PUSH:
+            case this.RESULTS.VOID:
+                return stake;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Gets what an accumulator leg multiplies the stake by: void and pushed legs count at
+     * odds of 1, half results at the average of their two halves
+     * @param {Object} leg - Accumulator leg { odds, status, result }
+     * @returns {number} Multiplier, 0 for a lost leg
+     */
+    getLegFactor(leg) {
+        const result = leg.result || { won: this.RESULTS.WIN, lost: this.RESULTS.LOSE, void: this.RESULTS.VOID }[leg.status];
+
+        switch (result) {
+            case this.RESULTS.WIN:
+                return leg.odds;
+            case this.RESULTS.HALF_WIN:
+                return (leg.odds + 1) / 2;
+            case this.RESULTS.HALF_LOSE:
+                return 0.5;
+            case this.RESULTS.LOSE:
+                return 0;
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Creates the audit record of one settled bet
+     * @param {Object} bet - Settled bet
+     * @param {string} result - Settlement result
+     * @param {Object} facts - Facts the bet settled on
+     * @param {Object} [options]
+     * @param {number} [options.odds] - Odds paid at, the bet's odds by default (accumulators pass their legs' product)
+     * @param {string} [options.reason] - Why the bet settled outside its rule, e.g. a void reason
+     * @returns {Object} Record { betId, market, outcome, stake, odds, result, payout, powerUpBonus, facts, reason, minute, settledAt }
+     */
+    createRecord(bet, result, facts, { odds = bet.odds, reason = null } = {}) {
+        const payout = this.getPayout(bet.stake, odds, result, bet.powerUpApplied);
+
+        return {
+            betId: bet.id,
+            market: bet.type,
+            outcome: bet.outcome,
+            stake: bet.stake,
+            odds,
+            result,
+            payout,
+            powerUpBonus: bet.powerUpApplied ? payout - this.getPayout(bet.stake, odds, result) : 0,
+            facts: { ...facts },
+            reason,
+            minute: facts.minute ?? null,
+            settledAt: Date.now()
+        };
+    }
+}
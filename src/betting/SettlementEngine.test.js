@@ -0,0 +1,114 @@
+/**
+ * SettlementEngine Tests
+ * Tests for market settlement rules, payouts and audit records
+ */
+
+import { SettlementEngine } from './SettlementEngine.js';
+
+describe('SettlementEngine', () => {
+    let engine;
+    const facts = (home, away, extra = {}) => ({ minute: 90, score: { home, away }, final: false, qualifier: null, ...extra });
+
+    beforeEach(() => {
+        engine = new SettlementEngine();
+    });
+
+    describe('Rules', () => {
+        test('should settle the match result only on final facts', () => {
+            expect(engine.settleSelection('fullMatch', { outcome: 'home' }, facts(2, 1))).toBeNull();
+            expect(engine.settleSelection('fullMatch', { outcome: 'home' }, facts(2, 1, { final: true }))).toBe('win');
+            expect(engine.settleSelection('fullMatch', { outcome: 'draw' }, facts(2, 1, { final: true }))).toBe('lose');
+        });
+
+        test('should settle both teams to score as soon as both sides score', () => {
+            expect(engine.settleSelection('btts', { outcome: 'yes' }, facts(1, 0))).toBeNull();
+            expect(engine.settleSelection('btts', { outcome: 'yes' }, facts(1, 1))).toBe('win');
+            expect(engine.settleSelection('btts', { outcome: 'no' }, facts(1, 0, { final: true }))).toBe('win');
+        });
+
+        test('should settle next goal and goalscorer bets on the goal that counted', () => {
+            const goal = facts(1, 0, { goal: { team: 'home', player: 'Saka' } });
+
+            expect(engine.settleSelection('nextGoal', { outcome: 'away' }, goal)).toBe('lose');
+            expect(engine.settleSelection('goalscorer', { outcome: 'home:Saka' }, goal)).toBe('win');
+            expect(engine.settleSelection('goalscorer', { outcome: 'home:Odegaard' }, goal)).toBeNull();
+            expect(engine.settleSelection('nextGoal', { outcome: 'none' }, facts(1, 0, { final: true }))).toBe('win');
+        });
+
+        test('should settle an action bet only from its own event outcome', () => {
+            const resolved = facts(0, 0, { actionOutcomes: { event_1: 'goal' } });
+
+            expect(engine.settleSelection('actionBet', { outcome: 'goal', eventId: 'event_1' }, resolved)).toBe('win');
+            expect(engine.settleSelection('actionBet', { outcome: 'goal', eventId: 'event_2' }, resolved)).toBeNull();
+        });
+
+        test('should settle declared winning outcomes without reading the rule', () => {
+            const declared = facts(0, 0, { winningOutcomes: ['over_0.5'] });
+            expect(engine.settleSelection('overUnder', { outcome: 'over_0.5' }, declared)).toBe('win');
+        });
+
+        test('should settle new markets by the rule they register', () => {
+            expect(engine.settleSelection('cleanSheet', { outcome: 'home' }, facts(1, 0, { final: true }))).toBeNull();
+
+            engine.registerRule('cleanSheet', (selection, matchFacts) => (
+                matchFacts.final ? (matchFacts.score[selection.outcome === 'home' ? 'away' : 'home'] === 0 ? 'win' : 'lose') : null
+            ));
+
+            expect(engine.getMarkets()).toContain('cleanSheet');
+            expect(engine.settleSelection('cleanSheet', { outcome: 'home' }, facts(1, 0, { final: true }))).toBe('win');
+        });
+    });
+
+    describe('Goal Lines', () => {
+        test('should win an over early and lose an under early, leaving the rest open', () => {
+            expect(engine.settleSelection('overUnder', { outcome: 'over_1.5' }, facts(1, 1))).toBe('win');
+            expect(engine.settleSelection('overUnder', { outcome: 'under_1.5' }, facts(1, 1))).toBe('lose');
+            expect(engine.settleSelection('overUnder', { outcome: 'over_2.5' }, facts(1, 1))).toBeNull();
+        });
+
+        test('should push a whole line and split a quarter line', () => {
+            const final = facts(1, 1, { final: true });
+
+            expect(engine.settleSelection('overUnder', { outcome: 'over_2' }, final)).toBe('push');
+            expect(engine.settleSelection('overUnder', { outcome: 'over_2.25' }, final)).toBe('halfLose');
+            expect(engine.settleSelection('overUnder', { outcome: 'under_2.25' }, final)).toBe('halfWin');
+            expect(engine.settleSelection('overUnder', { outcome: 'over_1.75' }, final)).toBe('halfWin');
+        });
+    });
+
+    describe('Payouts', () => {
+        test('should pay each result from the stake and odds', () => {
+            expect(engine.getPayout(10, 3, 'win')).toBe(30);
+            expect(engine.getPayout(10, 3, 'lose')).toBe(0);
+            expect(engine.getPayout(10, 3, 'push')).toBe(10);
+            expect(engine.getPayout(10, 3, 'void')).toBe(10);
+            expect(engine.getPayout(10, 3, 'halfWin')).toBe(20);
+            expect(engine.getPayout(10, 3, 'halfLose')).toBe(5);
+            expect(engine.getPayout(10, 3, 'win', true)).toBe(60);
+        });
+
+        test('should count accumulator legs by their result', () => {
+            expect(engine.getLegFactor({ odds: 3, status: 'won' })).toBe(3);
+            expect(engine.getLegFactor({ odds: 3, status: 'void' })).toBe(1);
+            expect(engine.getLegFactor({ odds: 3, status: 'won', result: 'halfWin' })).toBe(2);
+            expect(engine.getLegFactor({ odds: 3, status: 'lost' })).toBe(0);
+        });
+    });
+
+    test('should record the facts, result and power-up bonus of a settled bet', () => {
+        const bet = { id: 'bet_1', type: 'fullMatch', outcome: 'home', stake: 10, odds: 2.5, powerUpApplied: true };
+        const record = engine.createRecord(bet, 'win', facts(2, 1, { final: true }));
+
+        expect(record).toEqual(expect.objectContaining({
+            betId: 'bet_1',
+            market: 'fullMatch',
+            outcome: 'home',
+            result: 'win',
+            payout: 50,
+            powerUpBonus: 25,
+            reason: null,
+            minute: 90
+        }));
+        expect(record.facts.score).toEqual({ home: 2, away: 1 });
+    });
+});
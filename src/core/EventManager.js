@@ -4,22 +4,98 @@
  */
 
 import { EventGenerator } from '../utils/EventGenerator.js';
+import { RandomGenerator } from '../utils/RandomGenerator.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+import { MatchStatistics } from '../utils/MatchStatistics.js';
+import { CommentaryGenerator } from '../utils/CommentaryGenerator.js';
+import { penaltyShootout } from '../utils/PenaltyShootout.js';
+import { goalModel } from '../utils/GoalModel.js';
+import { teamRosters } from '../utils/TeamRosters.js';
+import { tempoProfiles } from '../utils/TempoProfiles.js';
+import { MarketRegistry } from '../betting/MarketRegistry.js';
 
 export class EventManager {
-    constructor(stateManager) {
+    /**
+     * @param {StateManager} stateManager - Shared state manager
+     * @param {RandomGenerator} [random] - Seeded generator for the match
+     * @param {MarketRegistry} [marketRegistry] - Market statuses suspended around goals, penalties and VAR
+     */
+    constructor(stateManager, random = new RandomGenerator(), marketRegistry = new MarketRegistry(stateManager)) {
         this.stateManager = stateManager;
+        this.marketRegistry = marketRegistry;
         this.eventGenerator = new EventGenerator();
+        this.commentaryGenerator = new CommentaryGenerator();
+        this.setRandom(random);
         this.currentEventIndex = 0;
+        this.processingEvent = null; // Timeline event checkForEvents is processing
+        this.deferredEvents = null; // Events scheduled during a tick, added once it is over
+        this.oddsCalculator = oddsCalculator;
+        this.matchStatistics = new MatchStatistics();
+        this.penaltyShootout = penaltyShootout;
+        this.goalModel = goalModel;
+        this.teamRosters = teamRosters;
+        this.tempoProfiles = tempoProfiles;
+        this.pendingPenaltyKick = null; // Shootout kick offered but not yet taken
+
+        // In-play odds are re-priced every ODDS_UPDATE_INTERVAL match minutes
+        this.ODDS_UPDATE_INTERVAL = 5;
+        this.lastOddsUpdateTick = 0;
         this.eventProcessingTimer = null;
         this.resolutionTimers = new Map(); // Track action bet resolution timers
+        this.eventDispatcher = null; // Optional non-DOM event sink (e.g. headless simulation)
         
         // Event type constants
         this.EVENT_TYPES = {
             GOAL: 'GOAL',
             ACTION_BET: 'ACTION_BET',
             COMMENTARY: 'COMMENTARY',
-            RESOLUTION: 'RESOLUTION'
+            RESOLUTION: 'RESOLUTION',
+            HALF_TIME: 'HALF_TIME',
+            FULL_TIME: 'FULL_TIME',
+            PENALTY_KICK: 'PENALTY_KICK',
+            INJURY: 'INJURY',
+            VAR_REVIEW: 'VAR_REVIEW'
         };
+
+        // Share of goals checked by VAR, and match minutes until the decision
+        this.VAR_REVIEW_PROBABILITY = 0.2;
+        this.VAR_DECISION_DELAY = 1;
+
+        // Match minutes the match markets stay suspended after a goal while they are re-priced
+        this.GOAL_SUSPENSION = 1;
+
+        // Match field holding the odds of each match market
+        this.MARKET_ODDS_FIELDS = {
+            fullMatch: 'odds',
+            toQualify: 'qualifyOdds',
+            overUnder: 'overUnderOdds',
+            btts: 'bttsOdds',
+            correctScore: 'correctScoreOdds',
+            nextGoal: 'nextGoalOdds',
+            goalscorer: 'goalscorerOdds'
+        };
+
+        // A side reduced below this many players cannot continue
+        this.MIN_PLAYERS = 7;
+
+        // Periods after the 90-minute result is decided (knockout ties only)
+        this.EXTRA_PERIODS = ['EXTRA_TIME', 'PENALTIES'];
+    }
+
+    /**
+     * Sets the match random generator. Timeline generation and action bet
+     * resolution draw from separate streams, so resolving a bet early or late
+     * never changes the timeline of a replayed match.
+     * @param {RandomGenerator} random - Seeded generator for the match
+     */
+    setRandom(random) {
+        this.random = random;
+        this.eventGenerator.setRandom(random.fork('timeline'));
+        this.resolutionRandom = random.fork('resolution');
+        this.shootoutRandom = random.fork('shootout');
+        this.incidentRandom = random.fork('incidents');
+        this.varRandom = random.fork('var');
+        this.commentaryGenerator.setRandom(random.fork('commentary'));
     }
 
     /**
@@ -27,17 +103,26 @@ export class EventManager {
      * @returns {Array} Array of match events
      */
     generateTimeline() {
-        const timeline = this.eventGenerator.generateMatchTimeline();
+        const match = this.stateManager.getState().match;
+        const timeline = [
+            ...this.eventGenerator.generateMatchTimeline(match?.teamRatings, match?.lineups, match?.tempo),
+            ...this.eventGenerator.generatePeriodEvents()
+        ].sort((a, b) => this.compareEventTimes(a, b));
         
         // Update state with the generated timeline
         this.stateManager.updateState({
             match: {
                 ...this.stateManager.getState().match,
-                timeline: timeline
+                timeline: timeline,
+                stoppageTime: this.eventGenerator.stoppageTime,
+                period: 'FIRST_HALF',
+                addedTime: 0,
+                stats: this.matchStatistics.createStats(this.eventGenerator.expectedGoals)
             }
         });
 
         this.currentEventIndex = 0;
+        this.lastOddsUpdateTick = 0;
         return timeline;
     }
 
@@ -75,22 +160,152 @@ export class EventManager {
     checkForEvents() {
         const state = this.stateManager.getState();
         const currentTime = state.match.time;
-        const timeline = state.match.timeline;
+        const addedTime = state.match.addedTime || 0;
 
-        // Process all events that should have occurred by now
-        while (this.currentEventIndex < timeline.length) {
-            const event = timeline[this.currentEventIndex];
-            
-            if (event.time <= currentTime) {
-                console.log(`EventManager: Processing event at ${event.time}min (current time: ${currentTime.toFixed(2)}min)`);
-                this.processEvent(event);
-                this.currentEventIndex++;
-            } else {
-                break; // No more events to process yet
+        // Lift goal suspensions that have run their course
+        this.marketRegistry.releaseSuspensions(currentTime);
+
+        // Process all events that should have occurred by now. The timeline is re-read
+        // every step because red cards, injuries and extra time rewrite what is still to come.
+        // Events scheduled later than the one being processed (such as action bet resolutions)
+        // join the timeline once the tick is over, so they wait for the next one
+        this.deferredEvents = [];
+        try {
+            while (this.currentEventIndex < this.stateManager.getState().match.timeline.length) {
+                const event = this.stateManager.getState().match.timeline[this.currentEventIndex];
+
+                if (this.isEventDue(event, currentTime, addedTime)) {
+                    console.log(`EventManager: Processing event at ${event.time}min (current time: ${currentTime.toFixed(2)}min)`);
+                    this.processingEvent = event;
+                    this.processEvent(event);
+                    this.currentEventIndex++;
+                } else {
+                    break; // No more events to process yet
+                }
             }
+        } finally {
+            const deferredEvents = this.deferredEvents;
+            this.deferredEvents = null;
+            this.processingEvent = null;
+            deferredEvents.forEach(event => this.scheduleEvent(event, event.time));
+        }
+
+        // Re-price as the clock runs down even when nothing happens
+        const oddsTick = Math.floor(currentTime / this.ODDS_UPDATE_INTERVAL);
+        if (oddsTick > this.lastOddsUpdateTick) {
+            this.lastOddsUpdateTick = oddsTick;
+            this.updateOdds();
         }
     }
 
+    /**
+     * Checks whether an event has been reached by the match clock
+     * @param {Object} event - Timeline event, optionally with addedTime for stoppage time
+     * @param {number} time - Match clock in minutes
+     * @param {number} [addedTime] - Minutes into stoppage time
+     * @returns {boolean} True when the event is due
+     */
+    isEventDue(event, time, addedTime = 0) {
+        if (event.time !== time) {
+            return event.time < time;
+        }
+        return (event.addedTime || 0) <= addedTime;
+    }
+
+    /**
+     * Orders events by match clock, with stoppage time events after the minute they belong to
+     * @param {Object} a - Event
+     * @param {Object} b - Event
+     * @returns {number} Sort order
+     */
+    compareEventTimes(a, b) {
+        return (a.time - b.time) || ((a.addedTime || 0) - (b.addedTime || 0));
+    }
+
+    /**
+     * Re-prices the match odds for the current time and score
+     * @returns {Object} Updated odds
+     */
+    updateOdds() {
+        const match = this.stateManager.getState().match;
+        const markets = this.priceMatchMarkets(match, match.homeScore, match.awayScore, match.time);
+
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                ...markets
+            }
+        });
+        this.suspendUnpricedMarkets(markets);
+
+        console.log(`EventManager: Odds updated at ${Math.floor(match.time)}min:`, markets);
+        return markets.odds ?? match.odds;
+    }
+
+    /**
+     * Suspends the open match markets left with nothing to offer, their likely outcome too
+     * near certain to price above the odds floor and the rest at the maximum price, and
+     * re-opens the ones suspended for it once they have a price again
+     * @param {Object} markets - Match fields from priceMatchMarkets
+     */
+    suspendUnpricedMarkets(markets) {
+        const registry = this.marketRegistry;
+        const entries = registry.getMarkets();
+
+        Object.entries(this.MARKET_ODDS_FIELDS)
+            .filter(([, field]) => field in markets)
+            .forEach(([id, field]) => {
+                const market = registry.getMarket(id, entries);
+                if (this.oddsCalculator.isMarketDecided(markets[field])) {
+                    if (registry.isOpen(id, entries)) {
+                        registry.suspend(id, 'unpriced');
+                    }
+                } else if (market?.status === registry.STATUS.SUSPENDED && market.reason === 'unpriced') {
+                    registry.setStatus(id, registry.STATUS.OPEN);
+                }
+            });
+    }
+
+    /**
+     * Prices the open match markets for a score and time. The 1X2, Over/Under, Both Teams
+     * To Score, Correct Score, next goal and goalscorer markets settle in the 90 minutes,
+     * so they are frozen in extra time; knockout ties also price "to qualify".
+     * @param {Object} match - Current match state
+     * @param {number} homeScore - Home team score
+     * @param {number} awayScore - Away team score
+     * @param {number} [time] - Match time in minutes
+     * @returns {Object} Match fields to merge: odds, overUnderOdds, bttsOdds, correctScoreOdds,
+     *   nextGoalOdds, goalscorerOdds and/or qualifyOdds
+     */
+    priceMatchMarkets(match, homeScore, awayScore, time = match.time) {
+        const markets = {};
+        const matchState = {
+            time: time ?? 0,
+            homeScore,
+            awayScore,
+            teamRatings: match.teamRatings,
+            playersOnPitch: match.playersOnPitch,
+            teamStrength: match.teamStrength,
+            goalCurve: this.getGoalCurve(match),
+            lineups: match.lineups,
+            goals: match.goals
+        };
+
+        if (!this.EXTRA_PERIODS.includes(match.period)) {
+            markets.odds = this.calculateNewOdds(homeScore, awayScore, time);
+            markets.overUnderOdds = this.oddsCalculator.calculateOverUnderOdds(matchState);
+            markets.bttsOdds = this.oddsCalculator.calculateBttsOdds(matchState);
+            markets.correctScoreOdds = this.oddsCalculator.calculateCorrectScoreOdds(matchState);
+            markets.nextGoalOdds = this.oddsCalculator.calculateNextGoalOdds(matchState);
+            markets.goalscorerOdds = this.oddsCalculator.calculateGoalscorerOdds(matchState);
+        }
+        if (match.knockout) {
+            markets.qualifyOdds = this.oddsCalculator.calculateQualifyOdds(matchState);
+        }
+
+        return markets;
+    }
+
     /**
      * Processes a single match event
      * @param {Object} event - The event to process
@@ -107,10 +322,20 @@ export class EventManager {
                 break;
             case this.EVENT_TYPES.COMMENTARY:
                 this.processCommentaryEvent(event);
-                break;
+                return;
             case this.EVENT_TYPES.RESOLUTION:
                 this.processResolutionEvent(event);
                 break;
+            case this.EVENT_TYPES.HALF_TIME:
+            case this.EVENT_TYPES.FULL_TIME:
+                this.processPeriodEvent(event);
+                return;
+            case this.EVENT_TYPES.INJURY:
+                this.processInjuryEvent(event);
+                return;
+            case this.EVENT_TYPES.VAR_REVIEW:
+                this.processVarReviewEvent(event);
+                return;
             default:
                 console.warn('Unknown event type:', event.type);
         }
@@ -142,12 +367,23 @@ export class EventManager {
 
         const newScore = `${newMatch.homeScore}-${newMatch.awayScore}`;
 
-        // Update odds based on new score
+        newMatch.stats = this.matchStatistics.recordGoal(this.getMatchStats(match), event);
+        // scoredAt tells bets placed after the goal from those placed earlier in its minute
+        newMatch.goals = [...(match.goals || []), {
+            time: event.time,
+            team: event.data.team,
+            player: event.data.player,
+            goalType: event.data.goalType,
+            scoredAt: Date.now()
+        }];
+
+        // Update odds based on new score; the next goal market re-opens for the goal after this one
         const previousOdds = { ...match.odds };
-        newMatch.odds = this.calculateNewOdds(newMatch.homeScore, newMatch.awayScore);
+        Object.assign(newMatch, this.priceMatchMarkets(newMatch, newMatch.homeScore, newMatch.awayScore));
 
-        // Update state with new score and odds
+        // Update state with new score, odds and stats
         this.stateManager.updateState({ match: newMatch });
+        this.marketRegistry.suspendMatchMarkets('goal', event.time + this.GOAL_SUSPENSION);
 
         // Create enhanced goal event for feed
         const goalFeedEntry = {
@@ -166,6 +402,9 @@ export class EventManager {
         // Add goal event to feed
         this.addToEventFeed(goalFeedEntry);
 
+        // Markets that settle as soon as a goal counts wait for the VAR decision
+        const underReview = this.shouldReviewGoal(event);
+
         // Trigger goal celebration event with enhanced data
         this.triggerEvent('goal', {
             team: event.data.team,
@@ -175,10 +414,153 @@ export class EventManager {
             newScore,
             previousOdds,
             newOdds: newMatch.odds,
-            goalType: event.data.goalType
+            goalType: event.data.goalType,
+            underReview
         });
 
         console.log(`Goal scored! ${event.data.team} team. Score: ${newScore}. Odds updated.`);
+
+        if (underReview) {
+            this.scheduleEvent(this.eventGenerator.generateVarReviewEvent(event), event.time);
+        } else {
+            this.settleGoalMarkets(event.data.team, event.data.player, event.time);
+        }
+    }
+
+    /**
+     * Settles the markets a goal decides as soon as it counts: the next goal market it
+     * closed and bets on its scorer. A goal checked by VAR settles once it stands.
+     * @param {string} team - Scoring side
+     * @param {string} player - Scorer
+     * @param {number} time - Minute of the goal
+     */
+    settleGoalMarkets(team, player, time) {
+        const { homeScore, awayScore } = this.stateManager.getState().match;
+        this.triggerEvent('goalMarketsSettled', { team, player, time, homeScore, awayScore });
+    }
+
+    /**
+     * Decides whether VAR checks a goal. Only goals whose decision still falls inside
+     * their period can be checked: halves always have added time, extra time ends on the minute.
+     * @param {Object} goalEvent - Goal just scored
+     * @returns {boolean} True when the goal goes to a VAR review
+     */
+    shouldReviewGoal(goalEvent) {
+        const { HALF_DURATION, MATCH_DURATION, EXTRA_TIME_DURATION } = this.eventGenerator;
+        const extraTimeEnd = MATCH_DURATION + EXTRA_TIME_DURATION;
+        const periodEnd = [HALF_DURATION, MATCH_DURATION, extraTimeEnd].find(end => goalEvent.time <= end);
+        const lastMinute = periodEnd === extraTimeEnd ? periodEnd - 1 : periodEnd;
+
+        if (periodEnd === undefined || goalEvent.time + this.VAR_DECISION_DELAY > lastMinute) {
+            return false;
+        }
+        return this.varRandom.next() < this.VAR_REVIEW_PROBABILITY;
+    }
+
+    /**
+     * Processes a VAR review - play stops while the goal is checked and the decision is offered as an action bet
+     * @param {Object} event - VAR review event data
+     */
+    processVarReviewEvent(event) {
+        this.stateManager.updateState({
+            match: {
+                ...this.stateManager.getState().match,
+                varReview: { eventId: event.id, team: event.data.team, goalTime: event.data.goalTime }
+            }
+        });
+        this.marketRegistry.suspendMatchMarkets('var');
+        this.marketRegistry.setStatus(this.marketRegistry.getMarketId('actionBet', event.id), 'open');
+
+        this.addToEventFeed({
+            ...event,
+            description: `📺 ${event.description}`,
+            data: {
+                ...event.data,
+                isBettingOpportunity: true
+            }
+        });
+
+        this.triggerEvent('varReview', {
+            eventId: event.id,
+            team: event.data.team,
+            player: event.data.player,
+            goalTime: event.data.goalTime,
+            time: event.time
+        });
+
+        this.triggerEvent('actionBettingOpportunity', {
+            eventData: event,
+            choices: event.data.choices,
+            description: event.description
+        });
+
+        this.scheduleActionBetResolution(event, this.VAR_DECISION_DELAY);
+    }
+
+    /**
+     * Takes a goal disallowed by VAR off the score. The open markets are re-priced for
+     * the restored score, and bets accepted while the goal stood are voided by the listeners
+     * of the goalOverturned event.
+     * @param {Object} reviewEvent - VAR review event for the goal
+     */
+    overturnGoal(reviewEvent) {
+        const match = this.stateManager.getState().match;
+        const { team, player, goalTime } = reviewEvent.data;
+        const previousScore = `${match.homeScore}-${match.awayScore}`;
+
+        const newMatch = { ...match, varReview: null };
+        if (team === 'home') {
+            newMatch.homeScore = Math.max(0, match.homeScore - 1);
+        } else if (team === 'away') {
+            newMatch.awayScore = Math.max(0, match.awayScore - 1);
+        }
+        const newScore = `${newMatch.homeScore}-${newMatch.awayScore}`;
+
+        // The latest goal recorded for that side at that minute is the one under review
+        const goals = [...(match.goals || [])];
+        const goalIndex = goals.map(goal => goal.time === goalTime && goal.team === team).lastIndexOf(true);
+        const [disallowedGoal] = goalIndex >= 0 ? goals.splice(goalIndex, 1) : [{ time: goalTime, team, player }];
+        newMatch.goals = goals;
+        newMatch.disallowedGoals = [...(match.disallowedGoals || []), { ...disallowedGoal, reviewedAt: reviewEvent.time }];
+
+        // Roll the odds back to the score without the goal
+        const previousOdds = { ...match.odds };
+        Object.assign(newMatch, this.priceMatchMarkets(newMatch, newMatch.homeScore, newMatch.awayScore));
+
+        this.stateManager.updateState({ match: newMatch });
+        this.marketRegistry.reopen('var');
+
+        const teamName = team === 'home' ? match.homeTeam : match.awayTeam;
+        this.addToEventFeed({
+            id: `overturned_${reviewEvent.id}`,
+            type: this.EVENT_TYPES.VAR_REVIEW,
+            time: match.time,
+            description: `❌ VAR: ${player ? `${player}'s` : 'the'} goal for ${teamName || team} is disallowed! (${newScore})`,
+            data: {
+                team,
+                player,
+                goalTime,
+                previousScore,
+                newScore,
+                previousOdds,
+                newOdds: newMatch.odds,
+                overturned: true
+            }
+        });
+
+        this.triggerEvent('goalOverturned', {
+            team,
+            player,
+            goalTime,
+            scoredAt: disallowedGoal.scoredAt,
+            time: match.time,
+            previousScore,
+            newScore,
+            previousOdds,
+            newOdds: newMatch.odds
+        });
+
+        console.log(`EventManager: Goal at ${goalTime}min disallowed by VAR. Score: ${newScore}`);
     }
 
     /**
@@ -186,6 +568,8 @@ export class EventManager {
      * @param {Object} event - Action betting event data
      */
     processActionBetEvent(event) {
+        this.updateMatchStats(stats => this.matchStatistics.recordActionBetEvent(stats, event));
+
         // Add action bet event to feed with betting opportunity indicator
         const actionBetFeedEntry = {
             ...event,
@@ -197,6 +581,13 @@ export class EventManager {
         };
         this.addToEventFeed(actionBetFeedEntry);
 
+        // The event's choices trade until the betting window closes; a penalty also stops
+        // the match markets until it is taken
+        this.marketRegistry.setStatus(this.marketRegistry.getMarketId('actionBet', event.id), 'open');
+        if (event.data?.category === 'penalty') {
+            this.marketRegistry.suspendMatchMarkets('penalty');
+        }
+
         // Trigger action betting opportunity
         this.triggerEvent('actionBettingOpportunity', {
             eventData: event,
@@ -213,28 +604,286 @@ export class EventManager {
      * @param {Object} event - Commentary event data
      */
     processCommentaryEvent(event) {
+        // The line is written now, from the score, clock and momentum as they stand
+        const narration = this.commentaryGenerator.narrate(event, this.stateManager.getState().match);
+
+        this.updateMatchStats(stats => this.matchStatistics.recordCommentary(stats, event));
+
         // Add commentary icon to make it visually distinct
-        const commentaryFeedEntry = {
+        this.addToEventFeed({
             ...event,
-            description: `💬 ${event.description}`
-        };
+            description: `💬 ${narration.description}`,
+            data: {
+                ...event.data,
+                situation: narration.situation,
+                sequence: narration.sequence
+            }
+        });
 
         // Trigger commentary event for UI updates
         this.triggerEvent('commentary', {
-            description: event.description,
+            description: narration.description,
             time: event.time,
             category: event.data.category,
-            intensity: event.data.intensity
+            intensity: event.data.intensity,
+            team: event.data.team,
+            situation: narration.situation
+        });
+    }
+
+    /**
+     * Processes the half-time or full-time whistle with a score recap.
+     * Knockout ties that are level go to extra time at 90' and to penalties at 120'.
+     * @param {Object} event - HALF_TIME or FULL_TIME event
+     */
+    processPeriodEvent(event) {
+        const match = this.stateManager.getState().match;
+        const isHalfTime = event.type === this.EVENT_TYPES.HALF_TIME;
+        const endOfRegulation = !isHalfTime && event.time === this.eventGenerator.MATCH_DURATION;
+        const score = `${match.homeScore}-${match.awayScore}`;
+
+        if (!isHalfTime && match.knockout && match.homeScore === match.awayScore) {
+            if (endOfRegulation) {
+                this.startExtraTime(event);
+            } else {
+                this.startPenaltyShootout(event);
+            }
+            return;
+        }
+
+        const leader = match.homeScore > match.awayScore ? 'home' : 'away';
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                period: isHalfTime ? 'HALF_TIME' : 'FULL_TIME',
+                ...(endOfRegulation && { regulationScore: { home: match.homeScore, away: match.awayScore } }),
+                ...(!isHalfTime && match.knockout && { qualifier: leader })
+            }
+        });
+        if (!isHalfTime) {
+            this.marketRegistry.close(this.marketRegistry.MATCH_MARKETS, 'fullTime');
+        }
+
+        const whistle = isHalfTime ? '⏸️ Half-time'
+            : endOfRegulation ? '🏁 Full-time' : '🏁 Full-time (after extra time)';
+        this.addToEventFeed({
+            ...event,
+            description: `${whistle}: ${match.homeTeam} ${score} ${match.awayTeam}`,
+            data: {
+                ...event.data,
+                homeScore: match.homeScore,
+                awayScore: match.awayScore,
+                score
+            }
+        });
+
+        this.triggerEvent(isHalfTime ? 'halfTime' : 'fullTime', this.getPeriodRecap(event));
+
+        console.log(`EventManager: ${event.type} at ${event.time}+${event.addedTime || 0} (${score})`);
+    }
+
+    /**
+     * Builds the score recap sent with period events
+     * @param {Object} event - Period event
+     * @returns {Object} Recap { time, addedTime, teams, score, goals, bookings, substitutions, stats, shootout, qualifier }
+     */
+    getPeriodRecap(event) {
+        const match = this.stateManager.getState().match;
+        return {
+            time: event.time,
+            addedTime: event.addedTime || 0,
+            homeTeam: match.homeTeam,
+            awayTeam: match.awayTeam,
+            homeScore: match.homeScore,
+            awayScore: match.awayScore,
+            goals: match.goals || [],
+            bookings: match.bookings || [],
+            substitutions: match.substitutions || [],
+            stats: match.stats,
+            ...(match.knockout && {
+                regulationScore: match.regulationScore,
+                shootout: match.shootout,
+                qualifier: match.qualifier
+            })
+        };
+    }
+
+    /**
+     * Sends a level knockout tie into 30 minutes of extra time
+     * @param {Object} event - FULL_TIME event at 90'
+     */
+    startExtraTime(event) {
+        const match = this.stateManager.getState().match;
+        this.eventGenerator.lineups = match.lineups;
+        const extraTime = this.eventGenerator.generateExtraTimeTimeline(this.oddsCalculator.getSituationalExpectedGoals(match));
+        const timeline = [...match.timeline, ...extraTime]
+            .sort((a, b) => this.compareEventTimes(a, b));
+
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                timeline,
+                period: 'EXTRA_TIME',
+                addedTime: 0,
+                regulationScore: { home: match.homeScore, away: match.awayScore }
+            }
+        });
+        this.marketRegistry.close(this.marketRegistry.REGULATION_MARKETS, 'regulation');
+
+        this.addToEventFeed({
+            ...event,
+            description: `⏱️ Full-time: ${match.homeTeam} ${match.homeScore}-${match.awayScore} ${match.awayTeam}. Extra time to follow`
+        });
+
+        this.triggerEvent('extraTime', this.getPeriodRecap(event));
+        console.log('EventManager: Level after 90 minutes, extra time added to the timeline');
+    }
+
+    /**
+     * Starts a penalty shootout for a knockout tie still level after extra time
+     * @param {Object} event - FULL_TIME event at 120'
+     */
+    startPenaltyShootout(event) {
+        const match = this.stateManager.getState().match;
+        const firstTeam = this.shootoutRandom.next() < 0.5 ? 'home' : 'away';
+
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                period: 'PENALTIES',
+                shootout: this.penaltyShootout.createShootout(firstTeam)
+            }
+        });
+
+        this.addToEventFeed({
+            ...event,
+            description: `🥅 End of extra time: ${match.homeTeam} ${match.homeScore}-${match.awayScore} ${match.awayTeam}. Penalties!`
+        });
+
+        this.triggerEvent('penaltyShootout', this.getPeriodRecap(event));
+        console.log(`EventManager: Penalty shootout, ${firstTeam} kick first`);
+    }
+
+    /**
+     * Sets up the next shootout kick as an action bet
+     * @returns {Object|null} Kick event with priced choices, or null when the shootout is over
+     */
+    preparePenaltyKick() {
+        const match = this.stateManager.getState().match;
+        const shootout = match.shootout;
+        if (!shootout || shootout.winner) return null;
+        if (this.pendingPenaltyKick) return this.pendingPenaltyKick;
+
+        const team = this.penaltyShootout.getNextTeam(shootout);
+        const teamName = team === 'home' ? match.homeTeam : match.awayTeam;
+        const round = this.penaltyShootout.getNextRound(shootout);
+        const taker = this.penaltyShootout.pickTaker(this.shootoutRandom, shootout, match.lineups?.[team], team);
+        const player = taker?.name || `${teamName} player`;
+        const suddenDeath = round > this.penaltyShootout.REGULATION_KICKS ? ' (sudden death)' : '';
+
+        const kick = {
+            id: `shootout_kick_${shootout.kicks.length + 1}`,
+            type: this.EVENT_TYPES.PENALTY_KICK,
+            time: match.time,
+            description: `Shootout kick ${round}${suddenDeath}: ${player} steps up for ${teamName}. What will be the outcome?`,
+            data: {
+                category: 'penalty',
+                team,
+                player,
+                round,
+                choices: this.eventGenerator.priceChoices(this.penaltyShootout.getKickChoices(taker))
+            }
+        };
+
+        this.addToEventFeed({
+            ...kick,
+            description: `🎯 ${kick.description}`,
+            data: { ...kick.data, isBettingOpportunity: true }
         });
+
+        // The tie is not traded while a kick is being taken
+        this.marketRegistry.setStatus(this.marketRegistry.getMarketId('actionBet', kick.id), 'open');
+        this.marketRegistry.suspend('toQualify', 'penalty');
+
+        this.pendingPenaltyKick = kick;
+        return kick;
     }
 
     /**
-     * Schedules resolution of an action bet 4 minutes after the event
+     * Takes the pending shootout kick, settles its action bets and ends the tie when decided
+     * @returns {Object|null} Result { kick, outcome, shootout }, or null without a pending kick
+     */
+    takePenaltyKick() {
+        const kick = this.pendingPenaltyKick;
+        if (!kick) return null;
+        this.pendingPenaltyKick = null;
+
+        const winningChoice = this.shootoutRandom.weightedPick(kick.data.choices, choice => choice.probability);
+        const match = this.stateManager.getState().match;
+        const shootout = this.penaltyShootout.recordKick(match.shootout, {
+            team: kick.data.team,
+            player: kick.data.player,
+            outcome: winningChoice.outcome
+        });
+
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                shootout,
+                ...(shootout.winner && { period: 'FULL_TIME', qualifier: shootout.winner })
+            }
+        });
+
+        this.marketRegistry.settle(this.marketRegistry.getMarketId('actionBet', kick.id));
+        if (!shootout.winner) {
+            this.marketRegistry.reopen('penalty');
+        }
+
+        const resolutionEvent = {
+            id: `resolution_${kick.id}`,
+            type: this.EVENT_TYPES.RESOLUTION,
+            time: kick.time,
+            description: `${winningChoice.outcome === 'goal' ? '✅' : '❌'} ${kick.data.player}: ${winningChoice.description} (${this.penaltyShootout.formatScore(shootout)})`,
+            data: {
+                originalEventId: kick.id,
+                winningOutcome: winningChoice.outcome,
+                winningChoice,
+                resolved: true
+            }
+        };
+
+        this.triggerEvent('actionBetResolution', {
+            originalEvent: kick,
+            resolution: resolutionEvent,
+            winningOutcome: winningChoice.outcome,
+            eventId: kick.id
+        });
+        this.addToEventFeed(resolutionEvent);
+
+        if (shootout.winner) {
+            const winnerName = shootout.winner === 'home' ? match.homeTeam : match.awayTeam;
+            const finalWhistle = {
+                id: `shootout_end_${kick.id}`,
+                type: this.EVENT_TYPES.FULL_TIME,
+                time: kick.time,
+                description: `🏆 ${winnerName} win ${this.penaltyShootout.formatScore(shootout)} on penalties`,
+                data: { period: 'FULL_TIME', shootout: true }
+            };
+            this.addToEventFeed(finalWhistle);
+            this.triggerEvent('fullTime', this.getPeriodRecap(finalWhistle));
+        }
+
+        console.log(`EventManager: Shootout kick ${kick.id}: ${winningChoice.outcome} (${this.penaltyShootout.formatScore(shootout)})`);
+        return { kick, outcome: winningChoice.outcome, shootout };
+    }
+
+    /**
+     * Schedules resolution of an action bet, 4 minutes after the event by default
      * @param {Object} actionBetEvent - The original action betting event
+     * @param {number} [delay=4] - Match minutes until the outcome is known
      */
-    scheduleActionBetResolution(actionBetEvent) {
-        // Calculate resolution time (4 minutes after event)
-        const resolutionTime = actionBetEvent.time + 4;
+    scheduleActionBetResolution(actionBetEvent, delay = 4) {
+        const resolutionTime = actionBetEvent.time + delay;
         
         // Create resolution event and add to timeline
         const resolutionEvent = {
@@ -275,9 +924,13 @@ export class EventManager {
      * @param {Object} resolutionEvent - The resolution event
      */
     resolveActionBet(actionBetEvent, resolutionEvent) {
-        // Randomly determine outcome from available choices
+        // Sample the outcome from the choice probabilities the odds were priced on;
+        // fall back to a uniform pick for choices without probabilities
         const choices = actionBetEvent.data.choices;
-        const winningChoice = choices[Math.floor(Math.random() * choices.length)];
+        const hasProbabilities = choices.every(choice => typeof choice.probability === 'number');
+        const winningChoice = hasProbabilities
+            ? this.resolutionRandom.weightedPick(choices, choice => choice.probability)
+            : this.resolutionRandom.pick(choices);
 
         // Update resolution event with outcome
         const updatedResolutionEvent = {
@@ -291,6 +944,15 @@ export class EventManager {
             }
         };
 
+        this.updateMatchStats(stats =>
+            this.matchStatistics.recordActionBetResolution(stats, actionBetEvent, winningChoice.outcome));
+        const booking = this.recordBooking(actionBetEvent, winningChoice.outcome);
+
+        this.marketRegistry.settle(this.marketRegistry.getMarketId('actionBet', actionBetEvent.id));
+        if (actionBetEvent.data?.category === 'penalty') {
+            this.marketRegistry.reopen('penalty');
+        }
+
         // Trigger resolution event for betting system to process payouts
         this.triggerEvent('actionBetResolution', {
             originalEvent: actionBetEvent,
@@ -301,23 +963,60 @@ export class EventManager {
 
         // Add resolution to event feed with outcome
         this.addToEventFeed(updatedResolutionEvent);
+
+        if (booking && this.isDismissal(booking)) {
+            this.sendOff(booking);
+        }
+        if (actionBetEvent.type === this.EVENT_TYPES.VAR_REVIEW) {
+            this.applyVarDecision(actionBetEvent, winningChoice.outcome);
+        }
         
         console.log(`Action bet resolved for event ${actionBetEvent.id}: ${winningChoice.outcome}`);
     }
 
+    /**
+     * Ends a VAR review: play restarts with the goal standing, or the goal comes off the score
+     * @param {Object} reviewEvent - VAR review event
+     * @param {string} outcome - 'stands' or 'disallowed'
+     */
+    applyVarDecision(reviewEvent, outcome) {
+        if (outcome === 'disallowed') {
+            this.overturnGoal(reviewEvent);
+            return;
+        }
+
+        this.stateManager.updateState({
+            match: { ...this.stateManager.getState().match, varReview: null }
+        });
+        this.marketRegistry.reopen('var');
+        this.triggerEvent('goalConfirmed', {
+            team: reviewEvent.data.team,
+            player: reviewEvent.data.player,
+            goalTime: reviewEvent.data.goalTime,
+            time: reviewEvent.time
+        });
+        this.settleGoalMarkets(reviewEvent.data.team, reviewEvent.data.player, reviewEvent.data.goalTime);
+    }
+
     /**
      * Manually schedules an event at a specific time
      * @param {Object} event - Event to schedule
      * @param {number} time - Match time in minutes
      */
     scheduleEvent(event, time) {
-        const state = this.stateManager.getState();
-        const timeline = [...state.match.timeline];
-        
-        // Add event to timeline and sort by time
         const scheduledEvent = { ...event, time };
-        timeline.push(scheduledEvent);
-        timeline.sort((a, b) => a.time - b.time);
+        if (this.processingEvent && time > this.processingEvent.time) {
+            this.deferredEvents.push(scheduledEvent);
+            return;
+        }
+
+        // Sort the event in among those not yet processed, so an event already due is
+        // picked up on the next tick instead of slipping behind the current position
+        const state = this.stateManager.getState();
+        const processed = state.match.timeline.slice(0, this.currentEventIndex);
+        const upcoming = [...state.match.timeline.slice(this.currentEventIndex), scheduledEvent];
+        upcoming.sort((a, b) => this.compareEventTimes(a, b));
+        const timeline = [...processed, ...upcoming];
 
         this.stateManager.updateState({
             match: {
@@ -328,38 +1027,252 @@ export class EventManager {
     }
 
     /**
-     * Calculates new odds based on current score
+     * Calculates new odds based on current score, match time and team strength
      * @param {number} homeScore - Home team score
      * @param {number} awayScore - Away team score
+     * @param {number} [time] - Match time in minutes (defaults to the current match time)
      * @returns {Object} New odds object
      */
-    calculateNewOdds(homeScore, awayScore) {
-        const scoreDiff = homeScore - awayScore;
-        
-        // Base odds
-        let homeOdds = 1.85;
-        let drawOdds = 3.50;
-        let awayOdds = 4.20;
-
-        // Adjust odds based on score difference
-        if (scoreDiff > 0) {
-            // Home team leading
-            homeOdds = Math.max(1.20, homeOdds - (scoreDiff * 0.3));
-            drawOdds = Math.min(5.00, drawOdds + (scoreDiff * 0.4));
-            awayOdds = Math.min(8.00, awayOdds + (scoreDiff * 0.6));
-        } else if (scoreDiff < 0) {
-            // Away team leading
-            const absScoreDiff = Math.abs(scoreDiff);
-            awayOdds = Math.max(1.20, awayOdds - (absScoreDiff * 0.3));
-            drawOdds = Math.min(5.00, drawOdds + (absScoreDiff * 0.4));
-            homeOdds = Math.min(8.00, homeOdds + (absScoreDiff * 0.6));
-        }
+    calculateNewOdds(homeScore, awayScore, time) {
+        const match = this.stateManager.getState().match || {};
 
-        return {
-            home: Math.round(homeOdds * 100) / 100,
-            draw: Math.round(drawOdds * 100) / 100,
-            away: Math.round(awayOdds * 100) / 100
+        return this.oddsCalculator.calculateInPlayOdds({
+            time: time ?? match.time ?? 0,
+            homeScore,
+            awayScore,
+            teamRatings: match.teamRatings,
+            playersOnPitch: match.playersOnPitch,
+            teamStrength: match.teamStrength,
+            goalCurve: this.getGoalCurve(match)
+        });
+    }
+
+    /**
+     * Gets the goal curve of the match's tempo profile, which in-play prices follow
+     * so that a late-drama match still expects its goals late
+     * @param {Object} match - Match state
+     * @returns {Array} Curve [{ until, weight }]
+     */
+    getGoalCurve(match) {
+        return this.tempoProfiles.getGoalCurve(match?.tempo ?? undefined);
+    }
+
+    /**
+     * Records a yellow or red card shown in a card action bet
+     * @param {Object} actionBetEvent - The original action betting event
+     * @param {string} outcome - Winning outcome
+     * @returns {Object|null} Booking { time, team, player, card }, or null when nobody was booked
+     */
+    recordBooking(actionBetEvent, outcome) {
+        if (actionBetEvent.data.category !== 'card' || (outcome !== 'yellow' && outcome !== 'red')) return null;
+
+        const match = this.stateManager.getState().match;
+        const booking = {
+            time: actionBetEvent.time,
+            team: actionBetEvent.data.team,
+            player: actionBetEvent.data.player || null,
+            card: outcome
         };
+
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                bookings: [...(match.bookings || []), booking]
+            }
+        });
+        return booking;
+    }
+
+    /**
+     * Checks whether a booking sends the player off: a straight red or a second yellow
+     * @param {Object} booking - Booking { team, player, card }
+     * @returns {boolean} True when the player is sent off
+     */
+    isDismissal(booking) {
+        if (booking.card === 'red') return true;
+        if (!booking.player) return false;
+
+        const yellows = (this.stateManager.getState().match.bookings || []).filter(previous =>
+            previous.card === 'yellow' && previous.team === booking.team && previous.player === booking.player);
+        return yellows.length >= 2;
+    }
+
+    /**
+     * Sends a player off: the side plays a man down for the rest of the match
+     * @param {Object} booking - Booking { team, player, card }
+     */
+    sendOff(booking) {
+        const match = this.stateManager.getState().match;
+        const { team, player } = booking;
+        const teamName = team === 'home' ? match.homeTeam : match.awayTeam;
+        const players = this.getPlayersOnPitch(match);
+        const lineup = match.lineups?.[team];
+        const playersLeft = Math.max(this.MIN_PLAYERS, players[team] - 1);
+
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                playersOnPitch: { ...players, [team]: playersLeft },
+                ...(lineup && player && {
+                    lineups: { ...match.lineups, [team]: this.teamRosters.removePlayer(lineup, player) }
+                })
+            }
+        });
+
+        const reason = booking.card === 'yellow' ? 'a second yellow card' : 'a red card';
+        this.addToEventFeed({
+            id: `sent_off_${team}_${match.time}_${players[team]}`,
+            type: this.EVENT_TYPES.COMMENTARY,
+            time: match.time,
+            description: `🟥 ${player || 'A player'} is sent off for ${reason}! ${teamName} down to ${playersLeft} men`,
+            data: { category: 'sentOff', team, player }
+        });
+
+        this.triggerEvent('playerSentOff', { team, player, playersLeft, time: match.time });
+        this.applyMatchSituation();
+    }
+
+    /**
+     * Processes an injury: the player is replaced while substitutions remain,
+     * otherwise the side carries on a man down
+     * @param {Object} event - INJURY event
+     */
+    processInjuryEvent(event) {
+        const match = this.stateManager.getState().match;
+        const team = event.data.team;
+        const teamName = team === 'home' ? match.homeTeam : match.awayTeam;
+        const lineup = match.lineups?.[team];
+        const substitutions = match.substitutions || [];
+        const subsUsed = substitutions.filter(sub => sub.team === team).length;
+
+        const injured = lineup ? this.teamRosters.pickPlayer(this.incidentRandom, lineup.starting, 'injury') : null;
+        const replacement = subsUsed < this.teamRosters.SUBSTITUTION_LIMIT
+            ? (lineup ? this.teamRosters.pickReplacement(lineup.bench, injured) : { name: null })
+            : null;
+
+        const players = this.getPlayersOnPitch(match);
+        const teamStrength = match.teamStrength || { home: 1, away: 1 };
+        const injuredName = injured?.name || `A ${teamName} player`;
+        let update;
+        let description;
+
+        if (replacement) {
+            const substitution = { time: event.time, team, playerOff: injured?.name || null, playerOn: replacement.name, reason: 'injury' };
+            update = {
+                substitutions: [...substitutions, substitution],
+                teamStrength: {
+                    ...teamStrength,
+                    [team]: teamStrength[team] * this.goalModel.getSubstitutionStrength(injured, replacement)
+                },
+                ...(lineup && injured && {
+                    lineups: { ...match.lineups, [team]: this.teamRosters.substitute(lineup, injured.name, replacement) }
+                })
+            };
+            description = replacement.name
+                ? `🚑 ${injuredName} can't continue and is replaced by ${replacement.name}`
+                : `🚑 ${injuredName} can't continue - forced substitution for ${teamName}`;
+        } else {
+            const playersLeft = Math.max(this.MIN_PLAYERS, players[team] - 1);
+            update = {
+                playersOnPitch: { ...players, [team]: playersLeft },
+                ...(lineup && injured && {
+                    lineups: { ...match.lineups, [team]: this.teamRosters.removePlayer(lineup, injured.name) }
+                })
+            };
+            description = `🚑 ${injuredName} can't continue and ${teamName} have no substitutions left - down to ${playersLeft} men`;
+        }
+
+        this.stateManager.updateState({ match: { ...match, ...update } });
+        this.addToEventFeed({
+            ...event,
+            description,
+            data: { ...event.data, player: injured?.name || null, replacement: replacement?.name || null }
+        });
+
+        this.triggerEvent('substitution', {
+            team,
+            playerOff: injured?.name || null,
+            playerOn: replacement?.name || null,
+            forced: true,
+            time: event.time
+        });
+        this.applyMatchSituation();
+    }
+
+    /**
+     * Gets players on the pitch per side, assuming full teams when not tracked
+     * @param {Object} match - Match state
+     * @returns {Object} Players { home, away }
+     */
+    getPlayersOnPitch(match) {
+        return match.playersOnPitch || { home: this.goalModel.FULL_TEAM, away: this.goalModel.FULL_TEAM };
+    }
+
+    /**
+     * Feeds a change in the match situation back into the simulation: goals still to come
+     * are re-drawn from the adjusted ratings and the open markets are re-priced
+     */
+    applyMatchSituation() {
+        this.resampleRemainingGoals();
+        this.updateOdds();
+    }
+
+    /**
+     * Replaces the goals still to come in the current period with goals drawn from
+     * the ratings as they stand now (players short, substitutes' strength)
+     */
+    resampleRemainingGoals() {
+        const match = this.stateManager.getState().match;
+        const inExtraTime = match.period === 'EXTRA_TIME';
+        const periodStart = inExtraTime ? this.eventGenerator.MATCH_DURATION : 0;
+        const periodEnd = periodStart + (inExtraTime ? this.eventGenerator.EXTRA_TIME_DURATION : this.eventGenerator.MATCH_DURATION);
+        const from = Math.floor(match.time);
+        if (from >= periodEnd) return;
+
+        const expectedGoals = this.oddsCalculator.getSituationalExpectedGoals(match);
+        const periodGoals = inExtraTime ? this.goalModel.getExtraTimeExpectedGoals(expectedGoals) : expectedGoals;
+        // Extra time has no tempo curve
+        const goalCurve = inExtraTime ? null : this.getGoalCurve(match);
+        const remainingGoals = this.goalModel.getRemainingExpectedGoals(
+            periodGoals, from - periodStart, periodEnd - periodStart, goalCurve);
+
+        // Scorers come from whoever is still on the pitch
+        this.eventGenerator.lineups = match.lineups;
+        const newGoals = this.eventGenerator.generateGoalEvents(remainingGoals, from, periodEnd, goalCurve);
+
+        const timeline = match.timeline
+            .filter((event, index) => index < this.currentEventIndex
+                || event.type !== this.EVENT_TYPES.GOAL
+                || event.time <= from)
+            .concat(newGoals)
+            .sort((a, b) => this.compareEventTimes(a, b));
+
+        this.stateManager.updateState({ match: { ...match, timeline } });
+    }
+
+    /**
+     * Gets the match stats, creating empty ones if the timeline was set up without them
+     * @param {Object} match - Match state
+     * @returns {Object} Match stats
+     */
+    getMatchStats(match) {
+        return match.stats || this.matchStatistics.createStats(this.eventGenerator.expectedGoals);
+    }
+
+    /**
+     * Applies an update to the match stats in state
+     * @param {Function} updater - Receives the current stats and returns the new stats
+     */
+    updateMatchStats(updater) {
+        const match = this.stateManager.getState().match;
+        if (!match) return;
+
+        this.stateManager.updateState({
+            match: {
+                ...match,
+                stats: updater(this.getMatchStats(match))
+            }
+        });
     }
 
     /**
@@ -373,6 +1286,7 @@ export class EventManager {
         const feedEntry = {
             id: event.id,
             time: event.time,
+            ...(event.addedTime && { addedTime: event.addedTime }),
             type: event.type,
             description: event.description,
             data: event.data || {},
@@ -387,12 +1301,25 @@ export class EventManager {
         });
     }
 
+    /**
+     * Routes events to a callback instead of the DOM (used when running headless)
+     * @param {Function|null} dispatcher - Called with (eventType, eventData); null restores DOM events
+     */
+    setEventDispatcher(dispatcher) {
+        this.eventDispatcher = dispatcher;
+    }
+
     /**
      * Triggers a custom event for other modules to listen to
      * @param {string} eventType - Type of event to trigger
      * @param {Object} eventData - Data to pass with the event
      */
     triggerEvent(eventType, eventData) {
+        if (this.eventDispatcher) {
+            this.eventDispatcher(eventType, eventData);
+            return;
+        }
+
         const customEvent = new CustomEvent(`game:${eventType}`, {
             detail: eventData
         });
@@ -570,6 +1497,8 @@ export class EventManager {
     reset() {
         this.stopEventProcessing();
         this.currentEventIndex = 0;
+        this.pendingPenaltyKick = null;
+        this.lastOddsUpdateTick = 0;
         this.resolutionTimers.clear();
     }
 }
\ No newline at end of file
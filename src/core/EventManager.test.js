@@ -5,6 +5,7 @@
 
 import { EventManager } from './EventManager.js';
 import { StateManager } from './StateManager.js';
+import { RandomGenerator } from '../utils/RandomGenerator.js';
 
 // Mock StateManager for testing
 class MockStateManager {
@@ -177,6 +178,65 @@ describe('EventManager', () => {
             expect(newOdds.away).toBeGreaterThan(initialOdds.away); // Away odds should increase
         });
 
+        test('should close passed Over/Under lines and reprice the rest after a goal', () => {
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+            eventManager.processGoalEvent({
+                id: 'test_goal',
+                type: 'GOAL',
+                time: 25,
+                description: 'Goal!',
+                data: { team: 'home', player: 'Test Player' }
+            });
+
+            const overUnderOdds = mockStateManager.getState().match.overUnderOdds;
+            expect(overUnderOdds['0.5']).toBeUndefined();
+            expect(Object.keys(overUnderOdds)).toEqual(['1.5', '2.5', '3.5', '4.5']);
+            expect(overUnderOdds['2.5'].over).toBeLessThan(overUnderOdds['2.5'].under);
+        });
+
+        test('should close decided goal markets after a goal', () => {
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+            mockStateManager.updateState({ match: { ...mockStateManager.getState().match, awayScore: 1 } });
+
+            eventManager.processGoalEvent({
+                id: 'test_goal',
+                type: 'GOAL',
+                time: 25,
+                description: 'Goal!',
+                data: { team: 'home', player: 'Test Player' }
+            });
+
+            const match = mockStateManager.getState().match;
+            expect(match.bttsOdds).toBeNull();
+            expect(match.correctScoreOdds['0-1']).toBeUndefined();
+            expect(match.correctScoreOdds['1-1']).toBeGreaterThan(1);
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('goal', expect.objectContaining({
+                underReview: expect.any(Boolean)
+            }));
+        });
+
+        test('should settle the next goal market and re-open it after a goal that counts', () => {
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+            jest.spyOn(eventManager, 'shouldReviewGoal').mockReturnValue(false);
+            mockStateManager.updateState({ match: { ...mockStateManager.getState().match, nextGoalOdds: null } });
+
+            eventManager.processGoalEvent({
+                id: 'test_goal',
+                type: 'GOAL',
+                time: 25,
+                description: 'Goal!',
+                data: { team: 'away', player: 'Test Player' }
+            });
+
+            const nextGoalOdds = mockStateManager.getState().match.nextGoalOdds;
+            expect(Object.keys(nextGoalOdds)).toEqual(['home', 'none', 'away']);
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('goalMarketsSettled', expect.objectContaining({
+                team: 'away',
+                player: 'Test Player',
+                time: 25
+            }));
+        });
+
         test('should trigger goal event', () => {
             const goalEvent = {
                 id: 'test_goal',
@@ -198,6 +258,518 @@ describe('EventManager', () => {
         });
     });
 
+    describe('Market Status', () => {
+        test('should suspend the match markets until the minute after a goal', () => {
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+            eventManager.processGoalEvent({
+                id: 'test_goal',
+                type: 'GOAL',
+                time: 25,
+                description: 'Goal!',
+                data: { team: 'home', player: 'Test Player' }
+            });
+
+            const registry = eventManager.marketRegistry;
+            expect(registry.getMarket('fullMatch')).toEqual(expect.objectContaining({ status: 'suspended', reason: 'goal', until: 26 }));
+            expect(registry.isOpen('nextGoal')).toBe(false);
+
+            registry.releaseSuspensions(26);
+            expect(registry.isOpen('fullMatch')).toBe(true);
+            expect(registry.isOpen('nextGoal')).toBe(true);
+        });
+    });
+
+    describe('Match Stats', () => {
+        beforeEach(() => {
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+        });
+
+        test('should create empty stats with the timeline', () => {
+            eventManager.generateTimeline();
+
+            const stats = mockStateManager.getState().match.stats;
+            expect(stats.home.shots).toBe(0);
+            expect(stats.home.possession + stats.away.possession).toBe(100);
+        });
+
+        test('should count a goal as a shot on target with xG', () => {
+            eventManager.processGoalEvent({
+                id: 'test_goal',
+                type: 'GOAL',
+                time: 25,
+                description: 'Goal!',
+                data: { team: 'away', player: 'Test Player', goalType: 'header' }
+            });
+
+            const stats = mockStateManager.getState().match.stats;
+            expect(stats.away.shots).toBe(1);
+            expect(stats.away.shotsOnTarget).toBe(1);
+            expect(stats.away.xG).toBeCloseTo(0.12, 5);
+            expect(stats.home.shots).toBe(0);
+        });
+
+        test('should record the situation and its resolution for action bets', () => {
+            const actionBetEvent = {
+                id: 'test_corner',
+                type: 'ACTION_BET',
+                time: 30,
+                description: 'Corner kick opportunity',
+                data: {
+                    category: 'corner',
+                    team: 'home',
+                    choices: [{ outcome: 'shot', description: 'Shot on target', odds: 3.5, probability: 1 }]
+                }
+            };
+
+            eventManager.processActionBetEvent(actionBetEvent);
+            expect(mockStateManager.getState().match.stats.home.corners).toBe(1);
+
+            eventManager.resolveActionBet(actionBetEvent, { id: 'resolution_test_corner', time: 34, data: {} });
+
+            const stats = mockStateManager.getState().match.stats;
+            expect(stats.home.shotsOnTarget).toBe(1);
+            expect(stats.home.xG).toBeGreaterThan(0);
+        });
+
+        test('should book cards on the carded side', () => {
+            const cardEvent = {
+                id: 'test_card',
+                type: 'ACTION_BET',
+                time: 50,
+                description: 'Referee reaches for his pocket!',
+                data: {
+                    category: 'card',
+                    team: 'away',
+                    choices: [{ outcome: 'red', description: 'Red card!', odds: 9.5, probability: 1 }]
+                }
+            };
+
+            eventManager.processActionBetEvent(cardEvent);
+            eventManager.resolveActionBet(cardEvent, { id: 'resolution_test_card', time: 54, data: {} });
+
+            const stats = mockStateManager.getState().match.stats;
+            expect(stats.away.fouls).toBe(1);
+            expect(stats.away.redCards).toBe(1);
+            expect(stats.home.redCards).toBe(0);
+        });
+
+        test('should keep a record of scorers and booked players', () => {
+            eventManager.processGoalEvent({
+                id: 'test_goal',
+                type: 'GOAL',
+                time: 12,
+                description: 'Goal!',
+                data: { team: 'home', player: 'Saka', goalType: 'volley' }
+            });
+
+            const cardEvent = {
+                id: 'test_card',
+                type: 'ACTION_BET',
+                time: 50,
+                description: 'Referee reaches for his pocket!',
+                data: {
+                    category: 'card',
+                    team: 'away',
+                    player: 'Barkley',
+                    choices: [{ outcome: 'yellow', description: 'Yellow card shown', odds: 1.6, probability: 1 }]
+                }
+            };
+            eventManager.resolveActionBet(cardEvent, { id: 'resolution_test_card', time: 54, data: {} });
+
+            const match = mockStateManager.getState().match;
+            expect(match.goals).toEqual([{ time: 12, team: 'home', player: 'Saka', goalType: 'volley', scoredAt: expect.any(Number) }]);
+            expect(match.bookings).toEqual([{ time: 50, team: 'away', player: 'Barkley', card: 'yellow' }]);
+        });
+    });
+
+    describe('Period Events', () => {
+        beforeEach(() => {
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+        });
+
+        test('should add half-time and full-time whistles after stoppage time', () => {
+            const timeline = eventManager.generateTimeline();
+            const { stoppageTime } = mockStateManager.getState().match;
+
+            const halfTime = timeline.find(event => event.type === 'HALF_TIME');
+            const fullTime = timeline.find(event => event.type === 'FULL_TIME');
+            expect(halfTime).toMatchObject({ time: 45, addedTime: stoppageTime.firstHalf });
+            expect(fullTime).toMatchObject({ time: 90, addedTime: stoppageTime.secondHalf });
+            expect(timeline[timeline.length - 1]).toBe(fullTime);
+        });
+
+        test('should only treat stoppage time events as due once the added time is reached', () => {
+            const event = { time: 45, addedTime: 2 };
+
+            expect(eventManager.isEventDue(event, 45, 0)).toBe(false);
+            expect(eventManager.isEventDue(event, 45, 1.9)).toBe(false);
+            expect(eventManager.isEventDue(event, 45, 2)).toBe(true);
+            expect(eventManager.isEventDue({ time: 44 }, 45, 0)).toBe(true);
+            expect(eventManager.isEventDue({ time: 46 }, 45, 3)).toBe(false);
+        });
+
+        test('should blow for half-time with a score recap', () => {
+            mockStateManager.updateState({
+                match: {
+                    ...mockStateManager.getState().match,
+                    homeTeam: 'Arsenal',
+                    awayTeam: 'Chelsea',
+                    homeScore: 1,
+                    goals: [{ time: 30, team: 'home', player: 'Bukayo Saka', goalType: 'header' }],
+                    timeline: eventManager.eventGenerator.generatePeriodEvents({ firstHalf: 2, secondHalf: 4 }),
+                    time: 45,
+                    addedTime: 1
+                }
+            });
+
+            eventManager.checkForEvents();
+            expect(eventManager.triggerEvent).not.toHaveBeenCalledWith('halfTime', expect.anything());
+
+            mockStateManager.updateState({ match: { ...mockStateManager.getState().match, addedTime: 2 } });
+            eventManager.checkForEvents();
+
+            const match = mockStateManager.getState().match;
+            expect(match.period).toBe('HALF_TIME');
+            expect(match.eventFeed).toHaveLength(1);
+            expect(match.eventFeed[0].description).toBe('⏸️ Half-time: Arsenal 1-0 Chelsea');
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('halfTime', expect.objectContaining({
+                addedTime: 2,
+                homeScore: 1,
+                awayScore: 0,
+                goals: match.goals
+            }));
+        });
+
+        test('should blow for full-time', () => {
+            eventManager.processEvent(eventManager.eventGenerator.generatePeriodEvents({ firstHalf: 2, secondHalf: 4 })[1]);
+
+            expect(mockStateManager.getState().match.period).toBe('FULL_TIME');
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('fullTime', expect.objectContaining({ time: 90, addedTime: 4 }));
+        });
+    });
+
+    describe('Knockout Ties', () => {
+        const fullTimeWhistle = () => eventManager.eventGenerator.generatePeriodEvents({ firstHalf: 2, secondHalf: 4 })[1];
+
+        const startKnockout = (homeScore, awayScore) => {
+            mockStateManager.updateState({
+                match: {
+                    ...mockStateManager.getState().match,
+                    homeTeam: 'Arsenal',
+                    awayTeam: 'Chelsea',
+                    homeScore,
+                    awayScore,
+                    knockout: true,
+                    period: 'SECOND_HALF',
+                    time: 90
+                }
+            });
+        };
+
+        beforeEach(() => {
+            eventManager.setRandom(new RandomGenerator(42));
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+        });
+
+        test('should go to extra time when a knockout tie is level after 90 minutes', () => {
+            startKnockout(1, 1);
+            eventManager.processEvent(fullTimeWhistle());
+
+            const match = mockStateManager.getState().match;
+            expect(match.period).toBe('EXTRA_TIME');
+            expect(match.regulationScore).toEqual({ home: 1, away: 1 });
+            expect(match.timeline[match.timeline.length - 1]).toMatchObject({ type: 'FULL_TIME', time: 120 });
+            expect(match.eventFeed[0].description).toBe('⏱️ Full-time: Arsenal 1-1 Chelsea. Extra time to follow');
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('extraTime', expect.objectContaining({ homeScore: 1, awayScore: 1 }));
+            expect(eventManager.triggerEvent).not.toHaveBeenCalledWith('fullTime', expect.anything());
+        });
+
+        test('should end a knockout tie with a winner after 90 minutes', () => {
+            startKnockout(2, 1);
+            eventManager.processEvent(fullTimeWhistle());
+
+            const match = mockStateManager.getState().match;
+            expect(match.period).toBe('FULL_TIME');
+            expect(match.qualifier).toBe('home');
+            expect(match.regulationScore).toEqual({ home: 2, away: 1 });
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('fullTime', expect.objectContaining({ qualifier: 'home' }));
+        });
+
+        test('should freeze the 90-minute odds in extra time but keep pricing the qualifier', () => {
+            startKnockout(1, 1);
+            const match = { ...mockStateManager.getState().match, period: 'EXTRA_TIME' };
+            const markets = eventManager.priceMatchMarkets(match, 2, 1, 105);
+
+            expect(markets.odds).toBeUndefined();
+            expect(markets.overUnderOdds).toBeUndefined();
+            expect(markets.bttsOdds).toBeUndefined();
+            expect(markets.correctScoreOdds).toBeUndefined();
+            expect(markets.nextGoalOdds).toBeUndefined();
+            expect(markets.goalscorerOdds).toBeUndefined();
+            expect(markets.qualifyOdds.home).toBeLessThan(markets.qualifyOdds.away);
+        });
+
+        test('should play a penalty shootout kick by kick when still level after extra time', () => {
+            startKnockout(2, 2);
+            eventManager.processEvent(eventManager.eventGenerator.generateExtraTimeTimeline().pop());
+            expect(mockStateManager.getState().match.period).toBe('PENALTIES');
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('penaltyShootout', expect.objectContaining({
+                shootout: expect.objectContaining({ kicks: [] })
+            }));
+
+            let kicks = 0;
+            while (mockStateManager.getState().match.period === 'PENALTIES' && kicks < 40) {
+                const kick = eventManager.preparePenaltyKick();
+                expect(kick.type).toBe('PENALTY_KICK');
+                expect(kick.data.choices.map(choice => choice.outcome)).toEqual(['goal', 'save', 'miss']);
+                expect(eventManager.preparePenaltyKick()).toBe(kick);
+
+                const result = eventManager.takePenaltyKick();
+                expect(eventManager.triggerEvent).toHaveBeenCalledWith('actionBetResolution', expect.objectContaining({
+                    eventId: kick.id,
+                    winningOutcome: result.outcome
+                }));
+                kicks++;
+            }
+
+            const match = mockStateManager.getState().match;
+            expect(match.period).toBe('FULL_TIME');
+            expect(match.shootout.winner).toMatch(/^(home|away)$/);
+            expect(match.qualifier).toBe(match.shootout.winner);
+            expect(match.homeScore).toBe(2);
+            expect(eventManager.preparePenaltyKick()).toBeNull();
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('fullTime', expect.objectContaining({
+                qualifier: match.qualifier,
+                shootout: match.shootout
+            }));
+        });
+    });
+
+    describe('Red Cards and Injuries', () => {
+        const lineups = () => eventManager.teamRosters.getMatchLineups('Arsenal', 'Chelsea');
+
+        const startMatch = (overrides = {}) => {
+            mockStateManager.updateState({
+                match: {
+                    ...mockStateManager.getState().match,
+                    homeTeam: 'Arsenal',
+                    awayTeam: 'Chelsea',
+                    period: 'FIRST_HALF',
+                    time: 30,
+                    teamRatings: eventManager.goalModel.getMatchRatings('Arsenal', 'Chelsea'),
+                    lineups: lineups(),
+                    bookings: [],
+                    substitutions: [],
+                    playersOnPitch: { home: 11, away: 11 },
+                    teamStrength: { home: 1, away: 1 },
+                    ...overrides
+                }
+            });
+        };
+
+        const cardEvent = (player, card) => ({
+            id: `card_${player}_${card}`,
+            type: 'ACTION_BET',
+            time: 30,
+            description: 'Foul in midfield',
+            data: {
+                category: 'card',
+                team: 'home',
+                player,
+                choices: [{ outcome: card, description: `${card} card`, probability: 1 }]
+            }
+        });
+
+        const resolveCard = (player, card) => {
+            const event = cardEvent(player, card);
+            eventManager.resolveActionBet(event, { id: `resolution_${event.id}`, type: 'RESOLUTION', time: 34, data: {} });
+        };
+
+        beforeEach(() => {
+            eventManager.setRandom(new RandomGenerator(42));
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+        });
+
+        test('should send a player off for a red card and move the odds against that side', () => {
+            startMatch();
+            const oddsBefore = eventManager.calculateNewOdds(0, 0, 30);
+            const player = lineups().home.starting[4].name;
+
+            resolveCard(player, 'red');
+
+            const match = mockStateManager.getState().match;
+            expect(match.playersOnPitch).toEqual({ home: 10, away: 11 });
+            expect(match.lineups.home.starting.map(p => p.name)).not.toContain(player);
+            expect(match.odds.home).toBeGreaterThan(oddsBefore.home);
+            expect(match.odds.away).toBeLessThan(oddsBefore.away);
+            expect(match.eventFeed[0].description).toContain(`${player} is sent off`);
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('playerSentOff', expect.objectContaining({
+                team: 'home', player, playersLeft: 10
+            }));
+        });
+
+        test('should send a player off for a second yellow card only', () => {
+            startMatch();
+            const player = lineups().home.starting[5].name;
+
+            resolveCard(player, 'yellow');
+            expect(mockStateManager.getState().match.playersOnPitch.home).toBe(11);
+
+            resolveCard(player, 'yellow');
+            expect(mockStateManager.getState().match.playersOnPitch.home).toBe(10);
+            expect(mockStateManager.getState().match.eventFeed[0].description).toContain('second yellow card');
+        });
+
+        test('should re-draw the goals still to come from the weakened side', () => {
+            startMatch({ time: 20 });
+            const playedGoal = { id: 'played', type: 'GOAL', time: 10, description: 'Goal', data: { team: 'home' } };
+            const futureGoal = { id: 'future', type: 'GOAL', time: 60, description: 'Goal', data: { team: 'home' } };
+            const commentary = { id: 'chat', type: 'COMMENTARY', time: 70, description: 'Chat', data: {} };
+            mockStateManager.updateState({
+                match: { ...mockStateManager.getState().match, timeline: [playedGoal, futureGoal, commentary] }
+            });
+            eventManager.currentEventIndex = 1;
+
+            resolveCard(lineups().home.starting[2].name, 'red');
+
+            const timeline = mockStateManager.getState().match.timeline;
+            expect(timeline[0].id).toBe('played');
+            expect(timeline.map(event => event.id)).not.toContain('future');
+            expect(timeline.map(event => event.id)).toContain('chat');
+            timeline.filter(event => event.type === 'GOAL' && event.id !== 'played').forEach(goal => {
+                expect(goal.time).toBeGreaterThan(20);
+                expect(goal.time).toBeLessThan(90);
+            });
+        });
+
+        test('should force a substitution for an injury', () => {
+            startMatch();
+            eventManager.processEvent({ id: 'injury_1', type: 'INJURY', time: 30, description: 'Injury', data: { team: 'away' } });
+
+            const match = mockStateManager.getState().match;
+            const [substitution] = match.substitutions;
+            expect(substitution).toMatchObject({ time: 30, team: 'away', reason: 'injury' });
+            expect(match.playersOnPitch).toEqual({ home: 11, away: 11 });
+            expect(match.lineups.away.starting.map(p => p.name)).toContain(substitution.playerOn);
+            expect(match.lineups.away.starting.map(p => p.name)).not.toContain(substitution.playerOff);
+            expect(match.eventFeed[0].description).toContain(`replaced by ${substitution.playerOn}`);
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('substitution', expect.objectContaining({
+                team: 'away', forced: true, playerOn: substitution.playerOn
+            }));
+        });
+
+        test('should play on a man down when no substitutions are left', () => {
+            const used = Array.from({ length: eventManager.teamRosters.SUBSTITUTION_LIMIT },
+                () => ({ time: 20, team: 'away', playerOff: 'X', playerOn: 'Y', reason: 'injury' }));
+            startMatch({ substitutions: used });
+
+            eventManager.processEvent({ id: 'injury_2', type: 'INJURY', time: 30, description: 'Injury', data: { team: 'away' } });
+
+            const match = mockStateManager.getState().match;
+            expect(match.substitutions).toHaveLength(used.length);
+            expect(match.playersOnPitch).toEqual({ home: 11, away: 10 });
+            expect(match.eventFeed[0].description).toContain('no substitutions left');
+        });
+    });
+
+    describe('VAR Reviews', () => {
+        const goal = { id: 'goal_1', type: 'GOAL', time: 30, description: 'Goal', data: { team: 'home', player: 'Saka', goalType: 'header' } };
+
+        const scoreGoal = () => {
+            mockStateManager.updateState({
+                match: {
+                    ...mockStateManager.getState().match,
+                    homeTeam: 'Arsenal',
+                    awayTeam: 'Chelsea',
+                    period: 'FIRST_HALF',
+                    time: 30,
+                    goals: [],
+                    timeline: [goal]
+                }
+            });
+            eventManager.currentEventIndex = 0;
+            eventManager.VAR_REVIEW_PROBABILITY = 1;
+            eventManager.checkForEvents();
+        };
+
+        const decide = (outcome) => {
+            const review = mockStateManager.getState().match.timeline.find(event => event.type === 'VAR_REVIEW');
+            eventManager.resolutionRandom = { weightedPick: choices => choices.find(choice => choice.outcome === outcome) };
+            eventManager.processResolutionEvent({
+                id: `resolution_${review.id}`,
+                type: 'RESOLUTION',
+                time: 31,
+                data: { originalEventId: review.id, originalEvent: review, resolutionType: 'actionBet' }
+            });
+        };
+
+        beforeEach(() => {
+            eventManager.setRandom(new RandomGenerator(5));
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+        });
+
+        test('should follow a goal with a VAR review offered as an action bet', () => {
+            scoreGoal();
+
+            const match = mockStateManager.getState().match;
+            const review = match.timeline.find(event => event.type === 'VAR_REVIEW');
+            expect(review.time).toBe(30);
+            expect(review.data.choices.map(choice => choice.outcome)).toEqual(['stands', 'disallowed']);
+            expect(match.varReview).toEqual({ eventId: review.id, team: 'home', goalTime: 30 });
+            expect(match.eventFeed[0].description).toMatch(/^📺 VAR is checking Saka's goal/);
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('actionBettingOpportunity', expect.objectContaining({
+                eventData: expect.objectContaining({ type: 'VAR_REVIEW' })
+            }));
+            expect(match.timeline.find(event => event.type === 'RESOLUTION').time).toBe(31);
+        });
+
+        test('should take a disallowed goal off the score and roll the odds back', () => {
+            scoreGoal();
+            decide('disallowed');
+
+            const match = mockStateManager.getState().match;
+            expect(match.homeScore).toBe(0);
+            expect(match.goals).toEqual([]);
+            expect(match.disallowedGoals).toEqual([expect.objectContaining({ time: 30, team: 'home', player: 'Saka' })]);
+            expect(match.odds).toEqual(eventManager.calculateNewOdds(0, 0, 30));
+            expect(match.varReview).toBeNull();
+            expect(match.eventFeed[0].description).toContain('goal for Arsenal is disallowed! (0-0)');
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('goalOverturned', expect.objectContaining({
+                team: 'home', goalTime: 30, scoredAt: expect.any(Number), previousScore: '1-0', newScore: '0-0'
+            }));
+        });
+
+        test('should keep the goal when it stands', () => {
+            scoreGoal();
+            decide('stands');
+
+            const match = mockStateManager.getState().match;
+            expect(match.homeScore).toBe(1);
+            expect(match.goals).toHaveLength(1);
+            expect(match.varReview).toBeNull();
+            expect(eventManager.triggerEvent).toHaveBeenCalledWith('goalConfirmed', expect.objectContaining({ goalTime: 30 }));
+        });
+
+        test('should hold the match markets suspended until the VAR decision', () => {
+            scoreGoal();
+            eventManager.marketRegistry.releaseSuspensions(40);
+
+            expect(eventManager.marketRegistry.getMarket('fullMatch')).toEqual(expect.objectContaining({ status: 'suspended', reason: 'var' }));
+
+            decide('stands');
+            expect(eventManager.marketRegistry.isOpen('fullMatch')).toBe(true);
+        });
+
+        test('should not review goals whose decision would fall after the whistle', () => {
+            eventManager.VAR_REVIEW_PROBABILITY = 1;
+
+            expect(eventManager.shouldReviewGoal({ ...goal, time: 44 })).toBe(true);
+            expect(eventManager.shouldReviewGoal({ ...goal, time: 45 })).toBe(false);
+            expect(eventManager.shouldReviewGoal({ ...goal, time: 89 })).toBe(true);
+            expect(eventManager.shouldReviewGoal({ ...goal, time: 119 })).toBe(false);
+        });
+    });
+
     describe('Action Bet Event Processing', () => {
         test('should trigger action betting opportunity', () => {
             const actionBetEvent = {
@@ -288,6 +860,35 @@ describe('EventManager', () => {
                 time: commentaryEvent.time
             }));
         });
+
+        test('should narrate commentary from the match situation', () => {
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation(() => {});
+            mockStateManager.updateState({
+                match: {
+                    ...mockStateManager.getState().match,
+                    homeTeam: 'Arsenal',
+                    awayTeam: 'Luton',
+                    period: 'SECOND_HALF',
+                    homeScore: 1,
+                    awayScore: 0,
+                    playersOnPitch: { home: 11, away: 11 }
+                }
+            });
+
+            eventManager.processCommentaryEvent({
+                id: 'late_commentary',
+                type: 'COMMENTARY',
+                time: 80,
+                description: 'Good passing move in midfield',
+                data: { category: 'possession', intensity: 'medium', team: 'away' }
+            });
+
+            const [entry] = mockStateManager.getState().match.eventFeed;
+            expect(entry.description).toMatch(/^💬 .*Luton/);
+            expect(entry.description).toContain('10 minutes');
+            expect(entry.data.situation).toBe('chasingEqualiser');
+            expect(entry.data.sequence).toEqual({ team: 'away', step: 1 });
+        });
     });
 
     describe('Event Feed Management', () => {
@@ -388,10 +989,72 @@ describe('EventManager', () => {
 
         test('should keep odds reasonable within bounds', () => {
             const newOdds = eventManager.calculateNewOdds(5, 0);
+            const bounds = eventManager.oddsCalculator.inPlayBounds;
+            
+            // A five-goal lead is too near certain to price above the floor
+            expect(newOdds.home).toBeUndefined();
+            [newOdds.draw, newOdds.away].forEach(odds => {
+                expect(odds).toBeGreaterThanOrEqual(bounds.min);
+                expect(odds).toBeLessThanOrEqual(bounds.max);
+            });
+        });
+
+        test('should price the same score differently as time runs out', () => {
+            const early = eventManager.calculateNewOdds(1, 0, 5);
+            const late = eventManager.calculateNewOdds(1, 0, 80);
+            
+            expect(late.home).toBeLessThan(early.home);
+            expect(late.away).toBeGreaterThan(early.away);
+        });
+
+        test('should shorten the draw as a level match runs down', () => {
+            const early = eventManager.calculateNewOdds(0, 0, 10);
+            const late = eventManager.calculateNewOdds(0, 0, 80);
+            
+            expect(late.draw).toBeLessThan(early.draw);
+        });
+
+        test('should update odds every five match minutes', () => {
+            const updateOddsSpy = jest.spyOn(eventManager, 'updateOdds');
+            
+            mockStateManager.updateState({
+                match: { ...mockStateManager.getState().match, time: 4.5 }
+            });
+            eventManager.checkForEvents();
+            expect(updateOddsSpy).not.toHaveBeenCalled();
             
-            expect(newOdds.home).toBeGreaterThanOrEqual(1.20); // Minimum odds
-            expect(newOdds.away).toBeLessThanOrEqual(8.00); // Maximum odds
-            expect(newOdds.draw).toBeLessThanOrEqual(5.00); // Maximum draw odds
+            mockStateManager.updateState({
+                match: { ...mockStateManager.getState().match, time: 5.2 }
+            });
+            eventManager.checkForEvents();
+            eventManager.checkForEvents();
+            expect(updateOddsSpy).toHaveBeenCalledTimes(1);
+            
+            mockStateManager.updateState({
+                match: { ...mockStateManager.getState().match, time: 60 }
+            });
+            eventManager.checkForEvents();
+            expect(updateOddsSpy).toHaveBeenCalledTimes(2);
+            expect(mockStateManager.getState().match.odds)
+                .toEqual(eventManager.calculateNewOdds(0, 0, 60));
+        });
+
+        test('should suspend a market with nothing left to price and re-open it when it has', () => {
+            const registry = eventManager.marketRegistry;
+            mockStateManager.updateState({
+                match: { ...mockStateManager.getState().match, time: 89, homeScore: 3, awayScore: 0 }
+            });
+
+            eventManager.updateOdds();
+            expect(mockStateManager.getState().match.odds.home).toBeUndefined();
+            expect(registry.getMarket('fullMatch')).toEqual(expect.objectContaining({ status: 'suspended', reason: 'unpriced' }));
+            expect(registry.isOpen('overUnder')).toBe(true);
+
+            mockStateManager.updateState({
+                match: { ...mockStateManager.getState().match, time: 89, homeScore: 3, awayScore: 3 }
+            });
+            eventManager.updateOdds();
+            expect(registry.isOpen('fullMatch')).toBe(true);
         });
     });
 
@@ -434,6 +1097,38 @@ describe('EventManager', () => {
             );
         });
 
+        test('should resolve action bets according to choice probabilities', () => {
+            const actionBetEvent = {
+                id: 'weighted_action_bet',
+                type: 'ACTION_BET',
+                time: 20,
+                description: 'Penalty kick',
+                data: {
+                    choices: [
+                        { outcome: 'goal', description: 'Penalty scored', odds: 1.25, probability: 0.8 },
+                        { outcome: 'save', description: 'Penalty saved', odds: 4.76, probability: 0.2 },
+                        { outcome: 'miss', description: 'Penalty missed', odds: 99, probability: 0 }
+                    ]
+                }
+            };
+            const resolutionEvent = { id: 'resolution_weighted', type: 'RESOLUTION', time: 24, data: {} };
+            const counts = { goal: 0, save: 0, miss: 0 };
+
+            eventManager.setRandom(new RandomGenerator(2024));
+            jest.spyOn(eventManager, 'triggerEvent').mockImplementation((type, data) => {
+                counts[data.winningOutcome]++;
+            });
+            jest.spyOn(eventManager, 'addToEventFeed').mockImplementation(() => {});
+
+            for (let i = 0; i < 2000; i++) {
+                eventManager.resolveActionBet(actionBetEvent, resolutionEvent);
+            }
+
+            expect(counts.miss).toBe(0);
+            expect(counts.goal / 2000).toBeCloseTo(0.8, 1);
+            expect(counts.save / 2000).toBeCloseTo(0.2, 1);
+        });
+
         test('should get resolution statistics', () => {
             // Add some events to timeline
             mockStateManager.updateState({
@@ -9,23 +9,36 @@ import { UIManager } from '../ui/UIManager.js';
 import { BettingManager } from '../betting/BettingManager.js';
 import { FullMatchBetting } from '../betting/FullMatchBetting.js';
 import { ActionBetting } from '../betting/ActionBetting.js';
+import { MarketRegistry } from '../betting/MarketRegistry.js';
 import { TimerManager } from '../systems/TimerManager.js';
 import { PowerUpManager } from '../systems/PowerUpManager.js';
 import { AudioManager } from '../systems/AudioManager.js';
 import { LobbyScreen } from '../ui/LobbyScreen.js';
 import { MatchScreen } from '../ui/MatchScreen.js';
 import { BettingModal } from '../ui/BettingModal.js';
-import { OddsCalculator } from '../utils/OddsCalculator.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+import { RandomGenerator } from '../utils/RandomGenerator.js';
+import { goalModel } from '../utils/GoalModel.js';
+import { teamRosters } from '../utils/TeamRosters.js';
+import { tempoProfiles } from '../utils/TempoProfiles.js';
+import { errorHandler } from '../utils/ErrorHandler.js';
 
 export class GameController {
     constructor() {
         this.modules = {};
         this.isInitialized = false;
         this.currentMatch = null;
-        this.gamePhase = 'lobby'; // 'lobby', 'match', 'paused', 'ended'
+        this.gamePhase = 'lobby'; // 'lobby', 'match', 'paused', 'halftime', 'penalties', 'ended'
         this.errorRecoveryAttempts = 0;
+
+        // Real seconds the half-time break (and its betting window) lasts
+        this.HALF_TIME_BREAK_SECONDS = 15;
         this.maxRecoveryAttempts = 3;
         
+        // Session seed and generator (set in initialize)
+        this.seed = null;
+        this.random = null;
+        
         // Event listeners storage for cleanup
         this.eventListeners = new Map();
         
@@ -36,6 +49,7 @@ export class GameController {
             'audioManager',
             'powerUpManager',
             'oddsCalculator',
+            'marketRegistry',
             'bettingManager',
             'eventManager',
             'fullMatchBetting',
@@ -49,11 +63,25 @@ export class GameController {
 
     /**
      * Initialize the game controller and all modules
+     * @param {Object} [options] - Initialization options
+     * @param {number|string} [options.seed] - Session seed; lobby matches and their
+     *   match seeds are derived from it. A random seed is used when omitted.
+     * @param {number} [options.margin] - Bookmaker margin for every market (e.g. 0.05)
      */
-    async initialize() {
+    async initialize(options = {}) {
         try {
             console.log('GameController: Starting initialization...');
             
+            // Seed the session before any module draws random numbers
+            this.seed = options.seed ?? RandomGenerator.createSeed();
+            this.random = new RandomGenerator(this.seed);
+            console.log(`GameController: Session seed ${this.seed}`);
+            
+            // Bookmaker margin applied by every market pricer
+            if (options.margin !== undefined) {
+                oddsCalculator.setMargin(options.margin);
+            }
+            
             // Initialize modules in dependency order
             await this.initializeModules();
             
@@ -92,21 +120,33 @@ export class GameController {
         this.modules.stateManager = new StateManager();
         this.modules.timerManager = new TimerManager();
         this.modules.audioManager = new AudioManager();
-        this.modules.powerUpManager = new PowerUpManager(this.modules.stateManager);
-        this.modules.oddsCalculator = new OddsCalculator();
+        this.modules.powerUpManager = new PowerUpManager(
+            this.modules.stateManager,
+            this.random.fork('powerUps')
+        );
+        // Shared instance so every market is priced with the same margin
+        this.modules.oddsCalculator = oddsCalculator;
+        
+        // One registry of market statuses for the match engine, the betting rules and the screens
+        this.modules.marketRegistry = new MarketRegistry(this.modules.stateManager);
         
         // Betting modules
         this.modules.bettingManager = new BettingManager(
             this.modules.stateManager, 
-            this.modules.powerUpManager
+            this.modules.powerUpManager,
+            this.modules.marketRegistry
         );
         
-        this.modules.eventManager = new EventManager(this.modules.stateManager);
+        this.modules.eventManager = new EventManager(
+            this.modules.stateManager,
+            this.random.fork('match'),
+            this.modules.marketRegistry
+        );
         
         this.modules.fullMatchBetting = new FullMatchBetting(
             this.modules.stateManager,
             this.modules.bettingManager,
-            this.modules.audioManager
+            this.modules.marketRegistry
         );
         
         this.modules.actionBetting = new ActionBetting(
@@ -121,6 +161,7 @@ export class GameController {
                 this.showActionBettingModal(eventData);
             },
             onModalHide: () => {
+                this.closeActionBetMarket(this.modules.actionBetting.getCurrentEvent()?.id);
                 this.hideActionBettingModal();
             },
             onCountdownUpdate: (timeLeft) => {
@@ -133,7 +174,7 @@ export class GameController {
         
         // UI modules
         this.modules.uiManager = new UIManager();
-        this.modules.lobbyScreen = new LobbyScreen();
+        this.modules.lobbyScreen = new LobbyScreen(this.random.fork('lobby'));
         this.modules.matchScreen = new MatchScreen();
         this.modules.bettingModal = new BettingModal(
             this.modules.stateManager,
@@ -155,7 +196,8 @@ export class GameController {
         this.modules.lobbyScreen.initialize(this.modules.stateManager);
         this.modules.matchScreen.initialize({ 
             stateManager: this.modules.stateManager,
-            fullMatchBetting: this.modules.fullMatchBetting 
+            fullMatchBetting: this.modules.fullMatchBetting,
+            marketRegistry: this.modules.marketRegistry
         });
         
         // Register screens with UI Manager
@@ -167,19 +209,14 @@ export class GameController {
         
         // Setup timer callbacks
         this.modules.timerManager.setCallbacks({
-            onMatchTimeUpdate: (time) => {
-                this.modules.stateManager.updateState({ 'match.time': time });
+            onMatchTimeUpdate: (time, clock) => {
+                this.modules.stateManager.updateState({
+                    'match.time': time,
+                    'match.addedTime': clock?.addedTime ?? 0
+                });
                 
-                // Check for match end at 90 minutes
-                if (time >= 90) {
-                    console.log(`GameController: Match time reached ${time}, gamePhase: ${this.gamePhase}`);
-                    if (this.gamePhase === 'match' || this.gamePhase === 'paused') {
-                        console.log(`GameController: Ending match now`);
-                        this.endMatch();
-                    } else {
-                        console.log(`GameController: Cannot end match - not in active phase`);
-                    }
-                }
+                // Half-time and full-time follow the HALF_TIME/FULL_TIME events,
+                // which fall at the end of each half's stoppage time
             },
             onCountdownUpdate: (remaining) => {
                 this.triggerEvent('countdownUpdate', { remaining });
@@ -210,6 +247,40 @@ export class GameController {
             this.handleGoalEvent(event.detail);
         });
         
+        this.addEventListener('game:goalOverturned', (event) => {
+            this.handleGoalOverturned(event.detail);
+        });
+        
+        this.addEventListener('game:goalMarketsSettled', (event) => {
+            this.handleGoalMarketsSettled(event.detail);
+        });
+        
+        // Period events
+        this.addEventListener('game:halfTime', (event) => {
+            this.handleHalfTime(event.detail);
+        });
+        
+        this.addEventListener('game:fullTime', () => {
+            this.handleFullTime();
+        });
+        
+        this.addEventListener('game:extraTime', (event) => {
+            this.handleExtraTime(event.detail);
+        });
+        
+        this.addEventListener('game:penaltyShootout', (event) => {
+            this.handlePenaltyShootout(event.detail);
+        });
+        
+        // Incidents that change the sides on the pitch
+        this.addEventListener('game:playerSentOff', (event) => {
+            this.handlePlayerSentOff(event.detail);
+        });
+        
+        this.addEventListener('game:substitution', (event) => {
+            this.handleSubstitution(event.detail);
+        });
+        
         // Match events
         this.addEventListener('matchStart', () => {
             this.handleMatchStart();
@@ -234,6 +305,17 @@ export class GameController {
             this.handleError('runtime', event.detail);
         });
         
+        // A critical error shuts the match down; its open bets are voided rather than lost
+        errorHandler.registerRecoveryCallback('safe_shutdown', async () => {
+            const abandoned = this.abandonMatch('error');
+            return { success: abandoned.success, message: 'Match abandoned, open bets refunded' };
+        });
+        
+        // So does a state reset after a failed recovery, before it drops the match
+        this.modules.stateManager.setCallbacks({
+            onBeforeSafeReset: () => this.abandonMatch('error')
+        });
+        
         console.log('GameController: Event listeners setup complete');
     }
 
@@ -305,11 +387,21 @@ export class GameController {
             }
             
             this.gamePhase = 'match';
-            this.currentMatch = matchData;
+            
+            // Every match runs on its own seed so it can be replayed from
+            // { seed, playerInputs } regardless of what happened before it
+            const seed = matchData.seed ?? this.random.nextSeed();
+            this.currentMatch = { ...matchData, seed };
+            this.seedMatch(seed);
             
             // Reset match-specific state
             this.modules.stateManager.resetMatch();
             
+            const teamRatings = matchData.teamRatings || goalModel.getMatchRatings(matchData.homeTeam, matchData.awayTeam);
+            const lineups = matchData.lineups || teamRosters.getMatchLineups(matchData.homeTeam, matchData.awayTeam);
+            // Kick-off state the goal markets are priced from
+            const preMatchState = { teamRatings, lineups, goalCurve: tempoProfiles.getGoalCurve(matchData.tempo) };
+            
             // Update state with match data
             this.modules.stateManager.updateState({
                 currentScreen: 'match',
@@ -321,12 +413,28 @@ export class GameController {
                     homeScore: 0,
                     awayScore: 0,
                     odds: matchData.odds || { home: 1.85, draw: 3.50, away: 4.20 },
-                    initialOdds: matchData.odds || { home: 1.85, draw: 3.50, away: 4.20 }
+                    initialOdds: matchData.odds || { home: 1.85, draw: 3.50, away: 4.20 },
+                    teamRatings,
+                    knockout: Boolean(matchData.knockout),
+                    qualifyOdds: matchData.knockout
+                        ? matchData.qualifyOdds || oddsCalculator.calculateQualifyOdds({ teamRatings })
+                        : null,
+                    overUnderOdds: matchData.overUnderOdds || oddsCalculator.calculateOverUnderOdds(preMatchState),
+                    bttsOdds: matchData.bttsOdds || oddsCalculator.calculateBttsOdds(preMatchState),
+                    correctScoreOdds: matchData.correctScoreOdds || oddsCalculator.calculateCorrectScoreOdds(preMatchState),
+                    nextGoalOdds: matchData.nextGoalOdds || oddsCalculator.calculateNextGoalOdds(preMatchState),
+                    goalscorerOdds: matchData.goalscorerOdds || oddsCalculator.calculateGoalscorerOdds(preMatchState),
+                    lineups,
+                    tempo: matchData.tempo || null,
+                    seed
                 }
             });
             
+            this.modules.marketRegistry.openMatchMarkets(this.modules.stateManager.getState().match);
+            
             // Generate match timeline
             this.modules.eventManager.generateTimeline();
+            this.modules.timerManager.setStoppageTime(this.modules.stateManager.getState().match.stoppageTime);
             
             // Start match timer
             this.modules.timerManager.startMatch();
@@ -359,6 +467,16 @@ export class GameController {
         }
     }
 
+    /**
+     * Reseed the match engine so every random decision in the match is reproducible
+     * @param {number|string} seed - Match seed
+     */
+    seedMatch(seed) {
+        const matchRandom = new RandomGenerator(seed);
+        this.modules.eventManager.setRandom(matchRandom);
+        this.modules.powerUpManager.setRandom(matchRandom.fork('powerUps'));
+    }
+
     /**
      * Pause the match for action betting
      */
@@ -366,6 +484,13 @@ export class GameController {
         try {
             console.log('GameController: Pausing for action bet...', eventData);
             
+            // Play is already stopped for another opportunity; this one queues behind it or replaces it
+            if (this.gamePhase === 'paused') {
+                this.modules.actionBetting.showActionBettingModal(eventData);
+                this.updateOpportunityQueueNote();
+                return { success: true };
+            }
+            
             if (this.gamePhase !== 'match') {
                 throw new Error('Cannot pause - not in match phase');
             }
@@ -455,10 +580,18 @@ export class GameController {
                     `;
                     content.appendChild(stakeSection);
                     
+                    // Opportunities waiting behind this one
+                    const queueNote = document.createElement('div');
+                    queueNote.className = 'opportunity-queue-note';
+                    content.appendChild(queueNote);
+                    this.updateOpportunityQueueNote();
+                    
                     // Create betting options
                     choices.forEach((choice, index) => {
                         const button = document.createElement('button');
                         button.className = 'bet-option';
+                        button.disabled = !this.modules.marketRegistry.isOpen(
+                            this.modules.marketRegistry.getMarketId('actionBet', eventData.id));
                         button.textContent = `${choice.outcome} (${choice.odds}x)`;
                         button.onclick = () => {
                             const stakeInput = document.getElementById('action-stake');
@@ -483,6 +616,19 @@ export class GameController {
         }
     }
     
+    /**
+     * Show how many opportunities wait behind the one in the action betting modal
+     */
+    updateOpportunityQueueNote() {
+        const note = document.querySelector('.modal-content .opportunity-queue-note');
+        if (!note) return;
+        
+        const queued = this.modules.stateManager.getState().opportunityQueue || [];
+        note.textContent = queued.length > 0
+            ? `${queued.length} more betting ${queued.length === 1 ? 'opportunity' : 'opportunities'} waiting`
+            : '';
+    }
+    
     /**
      * Hide action betting modal
      */
@@ -531,14 +677,41 @@ export class GameController {
             // Place the bet through ActionBetting system
             this.modules.actionBetting.placeBetDirect(choice, stake);
             
-            // Hide modal
-            this.hideActionBettingModal();
+            // Hide modal, unless the next queued opportunity has already opened in it
+            const nextEvent = this.modules.actionBetting.getCurrentEvent();
+            if (!nextEvent || nextEvent.id === eventData.id) {
+                this.hideActionBettingModal();
+            }
             
         } catch (error) {
             console.error('GameController: Failed to handle action bet choice:', error);
         }
     }
     
+    /**
+     * Close the market of an action bet whose betting window has ended; its bets
+     * wait for the resolution and its choices can no longer be picked
+     * @param {string} eventId - Action bet event ID
+     */
+    closeActionBetMarket(eventId) {
+        if (!eventId) return;
+        
+        this.modules.marketRegistry.close(this.modules.marketRegistry.getMarketId('actionBet', eventId), 'bettingWindow');
+        document.querySelectorAll('.modal-content .betting-options .bet-option').forEach(button => {
+            button.disabled = true;
+        });
+    }
+    
+    /**
+     * Take down the action bet on screen and the queued ones, and close every action bet
+     * market of the match so nothing can be staked on them once it is over
+     * @param {string} reason - Why the markets closed
+     */
+    closeActionBetting(reason) {
+        this.modules.actionBetting?.forceClose();
+        this.modules.bettingManager.marketRegistry.closeActionMarkets(this.modules.stateManager.getState().match?.timeline, reason);
+    }
+    
     /**
      * Resume from action betting
      */
@@ -546,6 +719,12 @@ export class GameController {
         try {
             console.log('GameController: Resuming from action bet');
             
+            // In a shootout the "resume" is the kick itself
+            if (this.gamePhase === 'penalties') {
+                this.takePenaltyKick();
+                return;
+            }
+            
             if (this.gamePhase !== 'paused') {
                 console.warn('GameController: Cannot resume - not in paused phase');
                 return;
@@ -575,11 +754,12 @@ export class GameController {
         try {
             console.log('GameController: Ending match...');
             
-            if (this.gamePhase !== 'match' && this.gamePhase !== 'paused') {
+            if (!['match', 'paused', 'penalties'].includes(this.gamePhase)) {
                 throw new Error('Cannot end match - not in active phase');
             }
             
             this.gamePhase = 'ended';
+            this.closeActionBetting('fullTime');
             
             // Stop timers and event processing
             this.modules.timerManager.stopMatch();
@@ -587,10 +767,16 @@ export class GameController {
             
             // Get final match state
             const matchState = this.modules.stateManager.getState().match;
-            const outcome = this.determineMatchOutcome(matchState.homeScore, matchState.awayScore);
             
-            // Resolve all full-match bets based on final score
-            const resolution = this.modules.bettingManager.resolveBets(outcome, 'fullMatch');
+            // Settle every market on the final facts; match markets read the 90-minute score,
+            // even after extra time. Action bets still waiting on their event will never be
+            // decided, so they are voided and refunded.
+            const { marketRegistry, settlementEngine } = this.modules.bettingManager;
+            const facts = settlementEngine.getMatchFacts(matchState, { final: true });
+            const outcome = settlementEngine.getResultOutcome(facts.score);
+            const resolution = this.modules.bettingManager.settleBets(facts);
+            this.modules.bettingManager.voidBets({ betTypes: ['actionBet'] }, 'matchEnded');
+            marketRegistry.settle(marketRegistry.MATCH_MARKETS);
             
             // Calculate final winnings with power-up multipliers
             const finalWinnings = this.calculateFinalWinnings(resolution);
@@ -686,11 +872,8 @@ export class GameController {
         try {
             console.log('GameController: Returning to lobby...');
             
-            // Clean up current match
-            if (this.gamePhase === 'match' || this.gamePhase === 'paused') {
-                this.modules.timerManager.stopMatch();
-                this.modules.eventManager.stopEventProcessing();
-            }
+            // Leaving mid-match abandons it, refunding the bets it has not decided
+            const abandoned = this.abandonMatch('returnedToLobby');
             
             // Reset modules
             this.modules.eventManager.reset();
@@ -701,13 +884,64 @@ export class GameController {
             this.currentMatch = null;
             this.showLobby();
             
-            return { success: true };
+            return { success: true, abandoned: abandoned.resolution };
         } catch (error) {
             console.error('GameController: Return to lobby failed:', error);
             return this.handleError('returnToLobby', error);
         }
     }
 
+    /**
+     * Abandon the match in progress when it cannot finish (the player left it, or an error
+     * shut it down). Bets the match has already decided settle as normal; every other
+     * pending bet is voided, its stake refunded, and the summary lists the voided bets.
+     * @param {string} [reason='abandoned'] - Why the match stopped, kept on each voided bet
+     * @returns {Object} Result { success, resolution, summaryData }; resolution is null
+     *   when no match was in progress
+     */
+    abandonMatch(reason = 'abandoned') {
+        try {
+            if (!['match', 'paused', 'halftime', 'penalties'].includes(this.gamePhase)) {
+                return { success: true, resolution: null };
+            }
+            
+            console.log(`GameController: Abandoning match (${reason})...`);
+            this.gamePhase = 'ended';
+            this.closeActionBetting(reason);
+            
+            this.modules.timerManager.stopMatch();
+            this.modules.eventManager.stopEventProcessing();
+            
+            const { marketRegistry } = this.modules.bettingManager;
+            const resolution = this.modules.bettingManager.abandonBets(reason);
+            marketRegistry.settle(marketRegistry.MATCH_MARKETS);
+            
+            this.modules.stateManager.updateState({
+                'match.active': false,
+                'match.abandoned': reason
+            });
+            
+            const matchState = this.modules.stateManager.getState().match;
+            const summaryData = this.createMatchSummary(matchState, resolution, this.calculateFinalWinnings(resolution));
+            this.showMatchSummary(summaryData);
+            
+            if (resolution.refundedAmount > 0) {
+                this.modules.uiManager.showNotification(
+                    `${resolution.voidedBets.length} bet(s) voided, $${resolution.refundedAmount.toFixed(2)} refunded`,
+                    'info',
+                    'Match Abandoned'
+                );
+            }
+            
+            this.triggerEvent('matchAbandoned', { reason, resolution, summaryData });
+            
+            return { success: true, resolution, summaryData };
+        } catch (error) {
+            console.error('GameController: Match abandon failed:', error);
+            return { ...this.handleError('matchAbandon', error), resolution: null };
+        }
+    }
+
     /**
      * Toggle classic mode
      */
@@ -748,10 +982,12 @@ export class GameController {
         try {
             console.log('GameController: Handling action bet resolution...', eventData);
             
-            const resolution = this.modules.bettingManager.resolveBets(
-                eventData.winningOutcome,
-                'actionBet',
-                eventData.originalEvent.id
+            const { bettingManager, stateManager } = this.modules;
+            const resolution = bettingManager.settleBets(
+                bettingManager.settlementEngine.getMatchFacts(stateManager.getState().match, {
+                    actionOutcomes: { [eventData.originalEvent.id]: eventData.winningOutcome }
+                }),
+                ['actionBet']
             );
             
             if (resolution.success && resolution.results.length > 0) {
@@ -810,6 +1046,292 @@ export class GameController {
         }
     }
 
+    /**
+     * Handle a goal that counts (straight away, or once VAR lets it stand): settle the
+     * next goal market it closed, bets on its scorer and Both Teams To Score. Goals in
+     * extra time settle nothing, as these markets closed at 90 minutes.
+     */
+    handleGoalMarketsSettled(eventData) {
+        try {
+            const { match } = this.modules.stateManager.getState();
+            const bettingManager = this.modules.bettingManager;
+            
+            if (bettingManager.EXTRA_PERIODS.includes(match.period)) {
+                return;
+            }
+            
+            const resolution = bettingManager.settleBets(
+                bettingManager.settlementEngine.getMatchFacts(match, { goal: { team: eventData.team, player: eventData.player } }),
+                ['nextGoal', 'goalscorer']
+            );
+            const winnings = resolution.success ? resolution.totalWinnings : 0;
+            
+            if (winnings > 0) {
+                this.modules.uiManager.showNotification(
+                    `${eventData.player || 'The goal'} pays out - you won $${winnings.toFixed(2)}`,
+                    'success',
+                    'Goal Markets'
+                );
+            }
+            
+            this.settleBothTeamsToScore();
+        } catch (error) {
+            console.error('GameController: Goal market settlement failed:', error);
+            this.handleError('goalMarketsSettled', error);
+        }
+    }
+
+    /**
+     * Settle Both Teams To Score as soon as both sides have a goal that counts in the
+     * 90 minutes: "yes" wins and "no" loses without waiting for full time
+     */
+    settleBothTeamsToScore() {
+        const { match, bets } = this.modules.stateManager.getState();
+        const bettingManager = this.modules.bettingManager;
+        
+        if (match.homeScore === 0 || match.awayScore === 0 || match.varReview
+            || bettingManager.EXTRA_PERIODS.includes(match.period)) {
+            return;
+        }
+        
+        this.modules.marketRegistry.settle('btts');
+        if (!bets.btts?.some(bet => bet.status === 'pending')) {
+            return;
+        }
+        
+        const resolution = bettingManager.settleBets(bettingManager.settlementEngine.getMatchFacts(match), ['btts']);
+        if (resolution.success && resolution.totalWinnings > 0) {
+            this.modules.uiManager.showNotification(
+                `Both teams have scored - you won $${resolution.totalWinnings.toFixed(2)}`,
+                'success',
+                'Both Teams To Score'
+            );
+        }
+    }
+
+    /**
+     * Handle the half-time whistle: pause for the break, show the recap and
+     * open a short betting window before the second half
+     */
+    handleHalfTime(eventData) {
+        try {
+            console.log('GameController: Half-time', eventData);
+            
+            if (this.gamePhase !== 'match') {
+                console.warn(`GameController: Half-time ignored in phase ${this.gamePhase}`);
+                return;
+            }
+            
+            this.gamePhase = 'halftime';
+            this.modules.timerManager.pauseTimer();
+            this.modules.audioManager.playSound('gamePaused');
+            
+            const match = this.modules.stateManager.getState().match;
+            this.modules.bettingModal.showHalfTimeModal({ ...eventData, odds: match.odds }, {
+                onBet: (outcome, stake) => this.placeBet({
+                    type: 'fullMatch',
+                    outcome,
+                    stake,
+                    odds: this.modules.stateManager.getState().match.odds[outcome]
+                }),
+                onContinue: () => this.startSecondHalf()
+            });
+            
+            this.modules.timerManager.startCountdown(this.HALF_TIME_BREAK_SECONDS, () => this.startSecondHalf());
+            
+            this.triggerEvent('halfTimeBreak', eventData);
+        } catch (error) {
+            console.error('GameController: Half-time handling failed:', error);
+            this.handleError('halfTime', error);
+        }
+    }
+
+    /**
+     * Kick off the second half after the half-time break
+     */
+    startSecondHalf() {
+        try {
+            if (this.gamePhase !== 'halftime') {
+                return { success: false, error: 'Not at half-time' };
+            }
+            
+            console.log('GameController: Starting second half');
+            this.gamePhase = 'match';
+            
+            this.modules.timerManager.stopCountdown();
+            this.modules.bettingModal.closeModal();
+            this.modules.timerManager.startNextPeriod();
+            
+            this.modules.stateManager.updateState({
+                'match.period': 'SECOND_HALF',
+                'match.addedTime': 0
+            });
+            this.modules.eventManager.addToEventFeed({
+                id: `second_half_${Date.now()}`,
+                type: 'COMMENTARY',
+                time: this.modules.stateManager.getState().match.time,
+                description: '▶️ The second half is underway',
+                data: { period: 'SECOND_HALF' }
+            });
+            
+            this.modules.audioManager.playSound('gameResumed');
+            this.triggerEvent('secondHalfStart');
+            
+            return { success: true };
+        } catch (error) {
+            console.error('GameController: Second half start failed:', error);
+            return this.handleError('secondHalf', error);
+        }
+    }
+
+    /**
+     * Handle the full-time whistle at the end of second half stoppage time
+     */
+    handleFullTime() {
+        if (['match', 'paused', 'penalties'].includes(this.gamePhase)) {
+            console.log('GameController: Full-time - ending match now');
+            this.endMatch();
+        } else {
+            console.log(`GameController: Cannot end match - not in active phase (${this.gamePhase})`);
+        }
+    }
+
+    /**
+     * Handle a knockout tie going to extra time: the clock runs on from 90'
+     */
+    handleExtraTime(eventData) {
+        try {
+            console.log('GameController: Extra time', eventData);
+            
+            this.modules.timerManager.startNextPeriod();
+            this.modules.uiManager.showNotification(
+                `${eventData.homeTeam} ${eventData.homeScore}-${eventData.awayScore} ${eventData.awayTeam} after 90 minutes`,
+                'info',
+                'Extra Time'
+            );
+            
+            this.triggerEvent('extraTimeStart', eventData);
+        } catch (error) {
+            console.error('GameController: Extra time handling failed:', error);
+            this.handleError('extraTime', error);
+        }
+    }
+
+    /**
+     * Handle a goal disallowed by VAR: bets accepted while it stood were priced on the
+     * wrong score, so they are voided and refunded
+     */
+    handleGoalOverturned(eventData) {
+        try {
+            console.log('GameController: Goal overturned by VAR', eventData);
+            
+            const voided = this.modules.bettingManager.voidBets({
+                betTypes: ['fullMatch', 'toQualify', 'overUnder', 'btts', 'correctScore', 'nextGoal', 'goalscorer'],
+                placedAfter: eventData.scoredAt
+            }, 'goalOverturned');
+            
+            const refund = voided.refundedAmount > 0
+                ? ` - ${voided.voidedBets.length} bet(s) voided, $${voided.refundedAmount.toFixed(2)} refunded`
+                : '';
+            this.modules.uiManager.showNotification(
+                `Goal disallowed! Score is now ${eventData.newScore}${refund}`,
+                'warning',
+                'VAR'
+            );
+        } catch (error) {
+            console.error('GameController: Overturned goal handling failed:', error);
+            this.handleError('goalOverturned', error);
+        }
+    }
+
+    /**
+     * Handle a sending off: the side plays a man down and the odds have already moved
+     */
+    handlePlayerSentOff(eventData) {
+        try {
+            console.log('GameController: Player sent off', eventData);
+            
+            this.modules.uiManager.showNotification(
+                `${eventData.player || 'A player'} is sent off - ${eventData.playersLeft} men left`,
+                'warning',
+                'Red Card'
+            );
+        } catch (error) {
+            console.error('GameController: Sending off handling failed:', error);
+            this.handleError('playerSentOff', error);
+        }
+    }
+
+    /**
+     * Handle a forced substitution after an injury
+     */
+    handleSubstitution(eventData) {
+        try {
+            console.log('GameController: Substitution', eventData);
+            
+            const message = eventData.playerOn
+                ? `${eventData.playerOn} replaces the injured ${eventData.playerOff || 'player'}`
+                : `${eventData.playerOff || 'An injured player'} goes off with no substitutions left`;
+            this.modules.uiManager.showNotification(message, 'info', 'Injury');
+        } catch (error) {
+            console.error('GameController: Substitution handling failed:', error);
+            this.handleError('substitution', error);
+        }
+    }
+
+    /**
+     * Handle a penalty shootout: the clock stops and every kick is offered as an action bet
+     */
+    handlePenaltyShootout(eventData) {
+        try {
+            console.log('GameController: Penalty shootout', eventData);
+            
+            this.gamePhase = 'penalties';
+            this.modules.timerManager.pauseTimer();
+            this.modules.audioManager.playSound('gamePaused');
+            this.modules.uiManager.showNotification(
+                'Still level after extra time - bet on every kick!',
+                'info',
+                'Penalties'
+            );
+            
+            this.offerNextPenalty();
+            
+            this.triggerEvent('penaltyShootoutStart', eventData);
+        } catch (error) {
+            console.error('GameController: Penalty shootout handling failed:', error);
+            this.handleError('penaltyShootout', error);
+        }
+    }
+
+    /**
+     * Offer the next shootout kick as an action bet
+     */
+    offerNextPenalty() {
+        const kick = this.modules.eventManager.preparePenaltyKick();
+        if (kick) {
+            this.modules.actionBetting.showActionBettingModal(kick);
+        }
+    }
+
+    /**
+     * Take the kick once its betting window has closed, then offer the next one
+     * until the shootout is decided
+     */
+    takePenaltyKick() {
+        try {
+            this.modules.eventManager.takePenaltyKick();
+            
+            // A decided shootout blows the final whistle and ends the match
+            if (this.gamePhase === 'penalties') {
+                this.offerNextPenalty();
+            }
+        } catch (error) {
+            console.error('GameController: Penalty kick failed:', error);
+            this.handleError('penaltyKick', error);
+        }
+    }
+
     /**
      * Handle match start
      */
@@ -872,28 +1394,17 @@ export class GameController {
     }
 
     /**
-     * Calculate final winnings with power-up multipliers
+     * Calculate final winnings and the power-up bonuses within them, as recorded at settlement
      */
     calculateFinalWinnings(resolution) {
         let totalWinnings = 0;
         let powerUpBonuses = 0;
-        let additionalWinnings = 0;
         
         if (resolution.success && resolution.results) {
             resolution.results.forEach(result => {
                 if (result.won) {
                     totalWinnings += result.winnings;
-                    
-                    // Check if power-up was applied for additional bonus calculation
-                    const state = this.modules.stateManager.getState();
-                    const allBets = [...(state.bets.fullMatch || []), ...(state.bets.actionBet || [])];
-                    const bet = allBets.find(b => b.id === result.betId);
-                    
-                    if (bet && bet.powerUpApplied) {
-                        // Power-up doubles the winnings, so bonus is the base winnings
-                        const baseWinnings = bet.stake * bet.odds;
-                        powerUpBonuses += baseWinnings;
-                    }
+                    powerUpBonuses += result.powerUpBonus || 0;
                 }
             });
         }
@@ -913,14 +1424,17 @@ export class GameController {
         const stats = this.modules.bettingManager.getBetStatistics();
         
         // Get all bets for detailed breakdown
-        const allBets = [...(state.bets.fullMatch || []), ...(state.bets.actionBet || [])];
+        const allBets = this.modules.bettingManager.getAllBets(state.bets);
         const resolvedBets = allBets.filter(bet => bet.status !== 'pending');
         const wonBets = allBets.filter(bet => bet.status === 'won');
         const lostBets = allBets.filter(bet => bet.status === 'lost');
+        const voidBets = allBets.filter(bet => bet.status === 'void');
         
-        // Calculate net profit/loss
-        const totalStaked = allBets.reduce((sum, bet) => sum + bet.stake, 0);
-        const totalWinnings = wonBets.reduce((sum, bet) => sum + (bet.actualWinnings || 0), 0);
+        // Calculate net profit/loss; voided bets were refunded and count as never staked,
+        // cashed-out stakes count at the value they were cashed out for
+        const returns = allBets.map(bet => this.modules.bettingManager.getBetReturns(bet));
+        const totalStaked = returns.reduce((sum, bet) => sum + bet.staked, 0);
+        const totalWinnings = returns.reduce((sum, bet) => sum + bet.returned, 0);
         const netResult = totalWinnings - totalStaked;
         
         return {
@@ -930,16 +1444,32 @@ export class GameController {
                 homeScore: matchState.homeScore,
                 awayScore: matchState.awayScore,
                 finalTime: matchState.time,
-                outcome: this.determineMatchOutcome(matchState.homeScore, matchState.awayScore)
+                outcome: this.determineMatchOutcome(matchState.homeScore, matchState.awayScore),
+                knockout: Boolean(matchState.knockout),
+                tempo: matchState.tempo || null,
+                regulationScore: matchState.regulationScore || null,
+                shootout: matchState.shootout || null,
+                qualifier: matchState.qualifier || null,
+                seed: matchState.seed ?? null,
+                goals: matchState.goals || [],
+                bookings: matchState.bookings || [],
+                substitutions: matchState.substitutions || [],
+                playersOnPitch: matchState.playersOnPitch || null,
+                lineups: matchState.lineups || null,
+                abandoned: matchState.abandoned || null
             },
             betting: {
                 totalBets: allBets.length,
                 resolvedBets: resolvedBets.length,
                 wonBets: wonBets.length,
                 lostBets: lostBets.length,
+                voidBets: voidBets.length,
+                refundedAmount: voidBets.reduce((sum, bet) => sum + (bet.actualWinnings || 0), 0),
                 totalStaked,
                 totalWinnings,
                 netResult,
+                accumulatorBets: stats.accumulatorBets,
+                cashedOutBets: stats.cashedOutBets,
                 winRate: resolvedBets.length > 0 ? ((wonBets.length / resolvedBets.length) * 100).toFixed(1) : 0
             },
             bets: allBets.map(bet => ({
@@ -952,7 +1482,10 @@ export class GameController {
                 winnings: bet.actualWinnings || 0,
                 powerUpApplied: bet.powerUpApplied,
                 placedAt: bet.placedAt,
-                resolvedAt: bet.resolvedAt
+                resolvedAt: bet.resolvedAt,
+                voidReason: bet.voidReason || null,
+                legs: bet.legs || null,
+                cashOuts: bet.cashOuts || []
             })),
             powerUps: {
                 bonuses: finalWinnings.powerUpBonuses,
@@ -1090,6 +1623,9 @@ export class GameController {
         try {
             console.log('GameController: Resetting game...');
             
+            // Refund the bets of a match the reset cuts short before the state drops them
+            this.abandonMatch('reset');
+            
             // Stop all timers and processes
             if (this.modules.timerManager) {
                 this.modules.timerManager.reset();
@@ -1144,6 +1680,9 @@ export class GameController {
             isInitialized: this.isInitialized,
             gamePhase: this.gamePhase,
             currentMatch: this.currentMatch,
+            seed: this.seed,
+            matchSeed: this.currentMatch?.seed ?? null,
+            margin: this.modules.oddsCalculator?.getMargin(),
             errorRecoveryAttempts: this.errorRecoveryAttempts,
             modules: Object.keys(this.modules),
             timerStatus: this.modules.timerManager?.getStatus(),
@@ -129,12 +129,29 @@ describe('GameController', () => {
             
             expect(result.success).toBe(true);
             expect(gameController.gamePhase).toBe('match');
-            expect(gameController.currentMatch).toEqual(matchData);
+            expect(gameController.currentMatch).toEqual({ ...matchData, seed: expect.any(Number) });
             
             const state = gameController.modules.stateManager.getState();
             expect(state.match.active).toBe(true);
             expect(state.match.homeTeam).toBe('Team A');
             expect(state.match.awayTeam).toBe('Team B');
+            expect(state.match.seed).toBe(gameController.currentMatch.seed);
+
+            // The same session seed deals the same match seed
+            const replay = new GameController();
+            await replay.initialize({ seed: gameController.seed });
+            await replay.startMatch(matchData);
+            expect(replay.currentMatch.seed).toBe(gameController.currentMatch.seed);
+            replay.destroy();
+        });
+
+        test('should open the match markets at kick-off', async () => {
+            await gameController.startMatch({ homeTeam: 'Team A', awayTeam: 'Team B' });
+
+            const registry = gameController.modules.marketRegistry;
+            expect(registry.isOpen('fullMatch')).toBe(true);
+            expect(registry.getStatus('toQualify')).toBe('closed');
+            expect(gameController.modules.bettingManager.marketRegistry).toBe(registry);
         });
 
         test('should not start match if not in lobby phase', async () => {
@@ -168,6 +185,24 @@ describe('GameController', () => {
             expect(gameController.gamePhase).toBe('paused');
         });
 
+        test('should queue an action bet opportunity that arrives while paused for another', () => {
+            gameController.gamePhase = 'match';
+            const opportunity = (id, category) => ({
+                id,
+                description: `${category} opportunity`,
+                data: { category, choices: [{ outcome: 'goal', odds: 2.0 }] }
+            });
+            
+            gameController.pauseForActionBet(opportunity('event_1', 'corner'));
+            const result = gameController.pauseForActionBet(opportunity('event_2', 'attack'));
+            
+            expect(result.success).toBe(true);
+            expect(gameController.gamePhase).toBe('paused');
+            expect(gameController.modules.actionBetting.getCurrentEvent().id).toBe('event_1');
+            expect(gameController.modules.stateManager.getState().opportunityQueue.map(entry => entry.event.id))
+                .toEqual(['event_2']);
+        });
+
         test('should resume match after pause', () => {
             gameController.gamePhase = 'paused';
             
@@ -177,6 +212,213 @@ describe('GameController', () => {
             expect(gameController.gamePhase).toBe('match');
         });
 
+        test('should take a half-time break and kick off the second half', () => {
+            gameController.gamePhase = 'match';
+            jest.spyOn(gameController, 'triggerEvent').mockImplementation(() => {});
+            const showHalfTimeModal = jest.spyOn(gameController.modules.bettingModal, 'showHalfTimeModal')
+                .mockImplementation(() => {});
+            
+            gameController.handleHalfTime({ homeTeam: 'Team A', awayTeam: 'Team B', homeScore: 1, awayScore: 0 });
+            
+            expect(gameController.gamePhase).toBe('halftime');
+            expect(showHalfTimeModal).toHaveBeenCalledWith(
+                expect.objectContaining({ homeScore: 1, awayScore: 0 }),
+                expect.objectContaining({ onBet: expect.any(Function), onContinue: expect.any(Function) })
+            );
+            
+            const result = gameController.startSecondHalf();
+            
+            expect(result.success).toBe(true);
+            expect(gameController.gamePhase).toBe('match');
+            expect(gameController.modules.stateManager.getState().match.period).toBe('SECOND_HALF');
+        });
+
+        test('should offer every shootout kick as an action bet until the tie is decided', () => {
+            jest.spyOn(gameController, 'triggerEvent').mockImplementation(() => {});
+            jest.spyOn(gameController.modules.eventManager, 'triggerEvent').mockImplementation(() => {});
+            const showModal = jest.spyOn(gameController.modules.actionBetting, 'showActionBettingModal')
+                .mockImplementation(() => {});
+            const endMatch = jest.spyOn(gameController, 'endMatch').mockImplementation(() => {});
+            const eventManager = gameController.modules.eventManager;
+            
+            gameController.gamePhase = 'match';
+            gameController.modules.stateManager.updateState({
+                match: {
+                    ...gameController.modules.stateManager.getState().match,
+                    homeTeam: 'Team A',
+                    awayTeam: 'Team B',
+                    homeScore: 1,
+                    awayScore: 1,
+                    knockout: true,
+                    time: 120
+                }
+            });
+            eventManager.processEvent(eventManager.eventGenerator.generateExtraTimeTimeline().pop());
+            gameController.handlePenaltyShootout({});
+            
+            expect(gameController.gamePhase).toBe('penalties');
+            expect(showModal).toHaveBeenCalledWith(expect.objectContaining({ type: 'PENALTY_KICK' }));
+            
+            let kicks = 0;
+            while (!gameController.modules.stateManager.getState().match.qualifier && kicks < 40) {
+                gameController.resumeFromActionBet();
+                kicks++;
+            }
+            
+            const match = gameController.modules.stateManager.getState().match;
+            expect(match.shootout.kicks).toHaveLength(kicks);
+            expect(showModal).toHaveBeenCalledTimes(kicks);
+            
+            // The final whistle ends the match through the fullTime event
+            gameController.handleFullTime();
+            expect(endMatch).toHaveBeenCalled();
+        });
+
+        test('should settle the match result on 90 minutes and to qualify on the winner', async () => {
+            gameController.gamePhase = 'penalties';
+            jest.spyOn(gameController, 'triggerEvent').mockImplementation(() => {});
+            const settleBets = jest.spyOn(gameController.modules.bettingManager, 'settleBets');
+            jest.spyOn(gameController, 'showMatchSummary').mockImplementation(() => Promise.resolve());
+            const stateManager = gameController.modules.stateManager;
+            
+            stateManager.updateState({
+                match: {
+                    ...stateManager.getState().match,
+                    active: true,
+                    homeScore: 2,
+                    awayScore: 2,
+                    knockout: true,
+                    regulationScore: { home: 1, away: 1 },
+                    qualifier: 'away'
+                },
+                bets: {
+                    ...stateManager.getState().bets,
+                    fullMatch: [{ id: 'bet_1', type: 'fullMatch', outcome: 'draw', stake: 10, odds: 3, status: 'pending' }],
+                    toQualify: [{ id: 'bet_2', type: 'toQualify', outcome: 'home', stake: 10, odds: 2, status: 'pending' }]
+                }
+            });
+            
+            const result = await gameController.endMatch();
+            
+            expect(result.outcome).toBe('draw');
+            expect(settleBets).toHaveBeenCalledWith(expect.objectContaining({
+                final: true, score: { home: 1, away: 1 }, qualifier: 'away'
+            }));
+            const { bets } = stateManager.getState();
+            expect(bets.fullMatch[0].status).toBe('won');
+            expect(bets.toQualify[0].status).toBe('lost');
+        });
+
+        test('should settle every goal market on the 90-minute score', async () => {
+            gameController.gamePhase = 'match';
+            jest.spyOn(gameController, 'showMatchSummary').mockImplementation(() => Promise.resolve());
+            const stateManager = gameController.modules.stateManager;
+            const bet = (id, type, outcome) => ({ id, type, outcome, stake: 10, odds: 2, status: 'pending' });
+            
+            stateManager.updateState({
+                match: { active: true, homeScore: 2, awayScore: 1 },
+                bets: {
+                    ...stateManager.getState().bets,
+                    overUnder: [bet('bet_1', 'overUnder', 'over_2.5'), bet('bet_2', 'overUnder', 'over_3.5')],
+                    btts: [bet('bet_3', 'btts', 'yes')],
+                    correctScore: [bet('bet_4', 'correctScore', '2-1')],
+                    nextGoal: [bet('bet_5', 'nextGoal', 'none'), bet('bet_6', 'nextGoal', 'home')],
+                    goalscorer: [bet('bet_7', 'goalscorer', 'home:Saka')]
+                }
+            });
+            
+            await gameController.endMatch();
+            
+            const { bets } = stateManager.getState();
+            expect(bets.overUnder.map(b => b.status)).toEqual(['won', 'lost']);
+            expect(bets.btts[0].status).toBe('won');
+            expect(bets.correctScore[0].status).toBe('won');
+            expect(bets.nextGoal.map(b => b.status)).toEqual(['won', 'lost']);
+            expect(bets.goalscorer[0].status).toBe('lost');
+        });
+
+        test('should void and refund action bets still undecided at full time', async () => {
+            gameController.gamePhase = 'match';
+            const showMatchSummary = jest.spyOn(gameController, 'showMatchSummary').mockImplementation(() => Promise.resolve());
+            const stateManager = gameController.modules.stateManager;
+            
+            stateManager.updateState({
+                wallet: 980,
+                match: { active: true, homeScore: 1, awayScore: 0 },
+                bets: {
+                    ...stateManager.getState().bets,
+                    actionBet: [
+                        { id: 'bet_1', type: 'actionBet', outcome: 'goal', stake: 10, odds: 4, status: 'lost', eventId: 'event_1' },
+                        { id: 'bet_2', type: 'actionBet', outcome: 'goal', stake: 20, odds: 4, status: 'pending', eventId: 'event_2' }
+                    ]
+                }
+            });
+            
+            await gameController.endMatch();
+            
+            const state = stateManager.getState();
+            expect(state.bets.actionBet[1]).toEqual(expect.objectContaining({ status: 'void', voidReason: 'matchEnded', actualWinnings: 20 }));
+            expect(state.wallet).toBe(1000);
+            expect(state.settlements.at(-1)).toEqual(expect.objectContaining({ betId: 'bet_2', reason: 'matchEnded' }));
+            expect(showMatchSummary.mock.calls[0][0].betting).toEqual(expect.objectContaining({ voidBets: 1, refundedAmount: 20 }));
+        });
+
+        test('should count cash outs in the summary net result', async () => {
+            gameController.gamePhase = 'match';
+            const showMatchSummary = jest.spyOn(gameController, 'showMatchSummary').mockImplementation(() => Promise.resolve());
+            const stateManager = gameController.modules.stateManager;
+            
+            stateManager.updateState({
+                match: { active: true, homeScore: 0, awayScore: 1 },
+                bets: {
+                    ...stateManager.getState().bets,
+                    fullMatch: [
+                        { id: 'bet_1', type: 'fullMatch', outcome: 'home', stake: 50, odds: 2, status: 'cashedOut', actualWinnings: 70 },
+                        { id: 'bet_2', type: 'fullMatch', outcome: 'home', stake: 10, odds: 2, status: 'pending', cashOuts: [{ stake: 10, amount: 12, minute: 30 }] }
+                    ]
+                }
+            });
+            
+            await gameController.endMatch();
+            
+            const { betting, bets } = showMatchSummary.mock.calls[0][0];
+            expect(betting.totalStaked).toBe(70);
+            expect(betting.totalWinnings).toBe(82);
+            expect(betting.netResult).toBe(12);
+            expect(bets[0].status).toBe('cashedOut');
+        });
+
+        test('should pay an accumulator when its last leg settles at full time', async () => {
+            gameController.gamePhase = 'match';
+            const showMatchSummary = jest.spyOn(gameController, 'showMatchSummary').mockImplementation(() => Promise.resolve());
+            const leg = (market, outcome, status) => ({ market, outcome, odds: 2, matchId: 'Arsenal v Chelsea', status });
+            const stateManager = gameController.modules.stateManager;
+            
+            stateManager.updateState({
+                wallet: 990,
+                match: { active: true, homeTeam: 'Arsenal', awayTeam: 'Chelsea', homeScore: 2, awayScore: 1 },
+                bets: {
+                    ...stateManager.getState().bets,
+                    accumulator: [{
+                        id: 'bet_1',
+                        type: 'accumulator',
+                        outcome: '2-fold',
+                        legs: [leg('btts', 'yes', 'won'), leg('fullMatch', 'home', 'pending')],
+                        stake: 10,
+                        odds: 4,
+                        status: 'pending',
+                        powerUpApplied: false
+                    }]
+                }
+            });
+            
+            await gameController.endMatch();
+            
+            expect(stateManager.getState().bets.accumulator[0].status).toBe('won');
+            expect(stateManager.getState().wallet).toBe(1030);
+            expect(showMatchSummary.mock.calls[0][0].bets[0].legs).toHaveLength(2);
+        });
+
         test('should end match successfully', async () => {
             gameController.gamePhase = 'match';
             
@@ -206,6 +448,83 @@ describe('GameController', () => {
             expect(gameController.gamePhase).toBe('lobby');
             expect(gameController.currentMatch).toBeNull();
         });
+
+        test('should void and refund open bets when leaving a match for the lobby', () => {
+            const { stateManager } = gameController.modules;
+            gameController.gamePhase = 'match';
+            stateManager.updateState({
+                wallet: 900,
+                'match.active': true,
+                'match.time': 30,
+                bets: {
+                    ...stateManager.getState().bets,
+                    fullMatch: [{
+                        id: 'bet_1', type: 'fullMatch', outcome: 'home', stake: 100, odds: 2.0,
+                        potentialWinnings: 200, status: 'pending', powerUpApplied: false
+                    }]
+                }
+            });
+            const summarySpy = jest.spyOn(gameController, 'showMatchSummary');
+            
+            const result = gameController.returnToLobby();
+            
+            const state = stateManager.getState();
+            expect(result.success).toBe(true);
+            expect(result.abandoned.refundedAmount).toBe(100);
+            expect(state.wallet).toBe(1000);
+            expect(state.match.abandoned).toBe('returnedToLobby');
+            expect(state.bets.fullMatch[0]).toEqual(expect.objectContaining({ status: 'void', voidReason: 'returnedToLobby' }));
+            expect(summarySpy).toHaveBeenCalledWith(expect.objectContaining({
+                match: expect.objectContaining({ abandoned: 'returnedToLobby' }),
+                betting: expect.objectContaining({ voidBets: 1, refundedAmount: 100 })
+            }));
+        });
+
+        test('should abandon the match before a state reset drops its bets', () => {
+            const { stateManager } = gameController.modules;
+            gameController.gamePhase = 'match';
+            stateManager.updateState({
+                wallet: 900,
+                'match.active': true,
+                bets: {
+                    ...stateManager.getState().bets,
+                    fullMatch: [{ id: 'bet_1', type: 'fullMatch', outcome: 'home', stake: 100, odds: 2.0, status: 'pending' }]
+                }
+            });
+            const abandonMatch = jest.spyOn(gameController, 'abandonMatch');
+            
+            stateManager.resetToSafeState();
+            
+            expect(abandonMatch).toHaveBeenCalledWith('error');
+            expect(stateManager.getState().wallet).toBe(1000);
+            expect(stateManager.getState().match.active).toBe(false);
+        });
+
+        test('should close action betting and every action market when the match is abandoned', () => {
+            const { stateManager, actionBetting, marketRegistry, bettingManager } = gameController.modules;
+            const opportunity = id => ({
+                id, type: 'ACTION_BET', time: 20, description: id,
+                data: { choices: [{ outcome: 'goal', odds: 3.0 }, { outcome: 'no_goal', odds: 1.4 }] }
+            });
+            gameController.gamePhase = 'match';
+            stateManager.updateState({
+                wallet: 900,
+                'match.active': true,
+                'match.timeline': [opportunity('event_1'), opportunity('event_2')]
+            });
+            actionBetting.presentOpportunity(opportunity('event_1'));
+            actionBetting.queueOpportunity(opportunity('event_2'));
+
+            gameController.abandonMatch('returnedToLobby');
+
+            expect(actionBetting.isModalActive()).toBe(false);
+            expect(actionBetting.getStatus().queuedEvents).toEqual([]);
+            ['event_1', 'event_2'].forEach(id => {
+                expect(marketRegistry.isOpen(marketRegistry.getMarketId('actionBet', id))).toBe(false);
+            });
+            expect(bettingManager.placeBet({ type: 'actionBet', eventId: 'event_2', outcome: 'goal', stake: 10, odds: 3.0 }).success)
+                .toBe(false);
+        });
     });
 
     describe('Betting Integration', () => {
@@ -243,6 +562,30 @@ describe('GameController', () => {
             expect(result.error).toBeDefined();
         });
 
+        test('should price action bets from the offered choice and refuse unpriced selections', () => {
+            const { stateManager, bettingManager } = gameController.modules;
+            stateManager.updateState({
+                'match.timeline': [{
+                    id: 'event_1',
+                    type: 'ACTION_BET',
+                    time: 10,
+                    data: { choices: [{ outcome: 'goal', odds: 3.2 }, { outcome: 'no_goal', odds: 1.3 }] }
+                }],
+                'match.bttsOdds': null
+            });
+            const actionBet = outcome => ({ type: 'actionBet', eventId: 'event_1', outcome, stake: 10, odds: 500 });
+
+            expect(bettingManager.placeBet(actionBet('goal'))).toEqual(expect.objectContaining({
+                success: false, oddsChanged: true, newOdds: 3.2
+            }));
+            expect(bettingManager.placeBet({ ...actionBet('goal'), odds: 3.2 }).bet.odds).toBe(3.2);
+            expect(bettingManager.placeBet(actionBet('penalty')).error).toBe('That choice is not offered for this opportunity');
+            expect(bettingManager.placeBet({ ...actionBet('goal'), eventId: 'event_9' }).error).toBe('Betting opportunity not found');
+            expect(bettingManager.placeBet({ type: 'btts', outcome: 'yes', stake: 10, odds: 1.9 }).error)
+                .toBe('That selection is not priced');
+            expect(stateManager.getState().wallet).toBe(990);
+        });
+
         test('should update bet amount memory after successful bet', async () => {
             const betData = {
                 type: 'fullMatch',
@@ -296,6 +639,62 @@ describe('GameController', () => {
             }).not.toThrow();
         });
 
+        test('should settle both teams to score once both sides have a goal that counts', () => {
+            const stateManager = gameController.modules.stateManager;
+            const settleBets = jest.spyOn(gameController.modules.bettingManager, 'settleBets');
+            stateManager.updateState({
+                match: { ...stateManager.getState().match, homeScore: 1, awayScore: 1 },
+                bets: {
+                    ...stateManager.getState().bets,
+                    btts: [{ id: 'bet_1', type: 'btts', outcome: 'yes', stake: 10, odds: 1.8, status: 'pending' }]
+                }
+            });
+            
+            gameController.handleGoalEvent({ team: 'away', newScore: '1-1', underReview: true });
+            expect(settleBets).not.toHaveBeenCalled();
+            
+            gameController.handleGoalMarketsSettled({ team: 'away', player: 'Son', time: 30 });
+            expect(settleBets).toHaveBeenCalledWith(expect.objectContaining({ score: { home: 1, away: 1 } }), ['btts']);
+            expect(stateManager.getState().bets.btts[0].status).toBe('won');
+        });
+
+        test('should settle the next goal market and pay only the goalscorer who scored', () => {
+            const stateManager = gameController.modules.stateManager;
+            stateManager.updateState({
+                wallet: 100,
+                match: { ...stateManager.getState().match, homeScore: 1, awayScore: 0 },
+                bets: {
+                    ...stateManager.getState().bets,
+                    nextGoal: [
+                        { id: 'bet_1', type: 'nextGoal', outcome: 'home', stake: 10, odds: 2, status: 'pending' },
+                        { id: 'bet_2', type: 'nextGoal', outcome: 'none', stake: 10, odds: 4, status: 'pending' }
+                    ],
+                    goalscorer: [
+                        { id: 'bet_3', type: 'goalscorer', outcome: 'home:Saka', stake: 5, odds: 3, status: 'pending' },
+                        { id: 'bet_4', type: 'goalscorer', outcome: 'home:Odegaard', stake: 5, odds: 4, status: 'pending' }
+                    ]
+                }
+            });
+            
+            gameController.handleGoalMarketsSettled({ team: 'home', player: 'Saka', time: 30 });
+            
+            const { wallet, bets } = stateManager.getState();
+            expect(bets.nextGoal.map(bet => bet.status)).toEqual(['won', 'lost']);
+            expect(bets.goalscorer.map(bet => bet.status)).toEqual(['won', 'pending']);
+            expect(wallet).toBe(135);
+        });
+
+        test('should not settle goal markets on extra time goals', () => {
+            const stateManager = gameController.modules.stateManager;
+            const settleBets = jest.spyOn(gameController.modules.bettingManager, 'settleBets');
+            stateManager.updateState({
+                match: { ...stateManager.getState().match, period: 'EXTRA_TIME' }
+            });
+            
+            gameController.handleGoalMarketsSettled({ team: 'home', player: 'Saka', time: 100 });
+            expect(settleBets).not.toHaveBeenCalled();
+        });
+
         test('should handle power-up awarded', () => {
             const eventData = {
                 powerUp: {
@@ -412,6 +811,16 @@ describe('GameController', () => {
         });
 
         test('should coordinate betting and power-up systems', async () => {
+            const stateManager = gameController.modules.stateManager;
+            stateManager.updateState({
+                'match.timeline': [{
+                    id: 'event_1',
+                    type: 'ACTION_BET',
+                    time: 10,
+                    data: { choices: [{ outcome: 'choice1', odds: 2.0 }, { outcome: 'choice2', odds: 1.8 }] }
+                }]
+            });
+
             // Place a winning action bet
             const betData = {
                 type: 'actionBet',
@@ -539,7 +948,8 @@ describe('GameController', () => {
             const initialState = gameController.modules.stateManager.getState();
             expect(initialState.wallet).toBe(1000);
             
-            // Place and win a bet
+            // Place and win a bet at the live price
+            gameController.modules.stateManager.updateState({ 'match.odds': { home: 2.0, draw: 3.5, away: 4.2 } });
             const betData = {
                 type: 'fullMatch',
                 outcome: 'home',
@@ -173,7 +173,7 @@ describe('Match Conclusion and Summary', () => {
 
     describe('Full-Match Bet Resolution', () => {
         test('should resolve full-match bets based on final score', () => {
-            const resolveBetsSpy = jest.spyOn(bettingManager, 'resolveBets');
+            const settleBetsSpy = jest.spyOn(bettingManager, 'settleBets');
             
             // Mock the endMatch method to test bet resolution
             gameController.modules = {
@@ -190,7 +190,7 @@ describe('Match Conclusion and Summary', () => {
             // End the match
             gameController.endMatch();
             
-            expect(resolveBetsSpy).toHaveBeenCalledWith('home', 'fullMatch');
+            expect(settleBetsSpy).toHaveBeenCalledWith(expect.objectContaining({ final: true, score: { home: 2, away: 1 } }));
         });
 
         test('should calculate correct match outcome from scores', () => {
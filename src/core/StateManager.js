@@ -12,6 +12,7 @@ export class StateManager {
       this.validators = new Map();
       this.previousStates = [];
       this.maxStateHistory = 10;
+      this.callbacks = {};
       this.setupValidators();
       this.setupErrorRecovery();
     } catch (error) {
@@ -31,9 +32,14 @@ export class StateManager {
       currentScreen: 'lobby',
       wallet: 1000,
       classicMode: false,
+      // How bet placement handles a price that moved: 'any', 'higher' or 'confirm'
+      oddsChangePolicy: 'higher',
       match: {
         active: false,
         time: 0,
+        addedTime: 0,
+        period: 'FIRST_HALF',
+        stoppageTime: { firstHalf: 0, secondHalf: 0 },
         homeTeam: '',
         awayTeam: '',
         homeScore: 0,
@@ -41,12 +47,51 @@ export class StateManager {
         odds: { home: 1.85, draw: 3.50, away: 4.20 },
         initialOdds: { home: 1.85, draw: 3.50, away: 4.20 },
         timeline: [],
-        eventFeed: []
+        eventFeed: [],
+        teamRatings: null,
+        lineups: null,
+        goals: [],
+        disallowedGoals: [],
+        varReview: null,
+        bookings: [],
+        substitutions: [],
+        playersOnPitch: { home: 11, away: 11 },
+        teamStrength: { home: 1, away: 1 },
+        stats: null,
+        seed: null,
+        knockout: false,
+        tempo: null,
+        qualifyOdds: null,
+        overUnderOdds: null,
+        bttsOdds: null,
+        correctScoreOdds: null,
+        nextGoalOdds: null,
+        goalscorerOdds: null,
+        regulationScore: null,
+        shootout: null,
+        qualifier: null,
+        // Why the match stopped before full time, e.g. 'returnedToLobby'; its open bets were voided
+        abandoned: null
       },
       bets: {
         fullMatch: [],
-        actionBets: []
+        actionBets: [],
+        toQualify: [],
+        overUnder: [],
+        btts: [],
+        correctScore: [],
+        nextGoal: [],
+        goalscorer: [],
+        accumulator: []
       },
+      // Selections waiting to be combined into an accumulator [{ market, outcome, odds, matchId }]
+      betSlip: [],
+      // Market statuses kept by MarketRegistry [{ id, status, reason, until, changedAt }]
+      markets: [],
+      // Audit records of settled bets, one per bet, from SettlementEngine.createRecord
+      settlements: [],
+      // Action bet opportunities waiting behind the one on screen, kept by OpportunityQueue
+      opportunityQueue: [],
       powerUp: {
         held: null,
         applied: false
@@ -78,8 +123,33 @@ export class StateManager {
     });
 
     this.validators.set('match.time', (value) => {
-      if (typeof value !== 'number' || value < 0 || value > 90) {
-        throw new Error('Match time must be between 0 and 90 minutes');
+      if (typeof value !== 'number' || value < 0 || value > 120) {
+        throw new Error('Match time must be between 0 and 120 minutes');
+      }
+      return true;
+    });
+
+    // Stoppage time runs on a held clock (45+2' is time 45, addedTime 2)
+    this.validators.set('match.addedTime', (value) => {
+      if (typeof value !== 'number' || value < 0 || value > 15) {
+        throw new Error('Added time must be between 0 and 15 minutes');
+      }
+      return true;
+    });
+
+    this.validators.set('match.period', (value) => {
+      const validPeriods = ['FIRST_HALF', 'HALF_TIME', 'SECOND_HALF', 'EXTRA_TIME', 'PENALTIES', 'FULL_TIME'];
+      if (!validPeriods.includes(value)) {
+        throw new Error(`Invalid match period: ${value}`);
+      }
+      return true;
+    });
+
+    // A side needs seven players on the pitch for the match to go on
+    this.validators.set('match.playersOnPitch', (value) => {
+      const isValidCount = (count) => Number.isInteger(count) && count >= 7 && count <= 11;
+      if (!value || !isValidCount(value.home) || !isValidCount(value.away)) {
+        throw new Error('Players on pitch must be between 7 and 11 per team');
       }
       return true;
     });
@@ -98,6 +168,14 @@ export class StateManager {
       return true;
     });
 
+    this.validators.set('oddsChangePolicy', (value) => {
+      const validPolicies = ['any', 'higher', 'confirm'];
+      if (!validPolicies.includes(value)) {
+        throw new Error(`Invalid odds change policy: ${value}. Must be one of: ${validPolicies.join(', ')}`);
+      }
+      return true;
+    });
+
     this.validators.set('betAmountMemory.fullMatch', (value) => {
       if (typeof value !== 'number' || value <= 0) {
         throw new Error('Full match bet amount memory must be a positive number');
@@ -328,6 +406,9 @@ export class StateManager {
     const matchReset = {
       'match.active': false,
       'match.time': 0,
+      'match.addedTime': 0,
+      'match.period': 'FIRST_HALF',
+      'match.stoppageTime': { firstHalf: 0, secondHalf: 0 },
       'match.homeTeam': '',
       'match.awayTeam': '',
       'match.homeScore': 0,
@@ -336,7 +417,37 @@ export class StateManager {
       'match.initialOdds': { home: 1.85, draw: 3.50, away: 4.20 },
       'match.timeline': [],
       'match.eventFeed': [],
-      bets: { fullMatch: [], actionBets: [] },
+      'match.teamRatings': null,
+      'match.lineups': null,
+      'match.goals': [],
+      'match.disallowedGoals': [],
+      'match.varReview': null,
+      'match.bookings': [],
+      'match.substitutions': [],
+      'match.playersOnPitch': { home: 11, away: 11 },
+      'match.teamStrength': { home: 1, away: 1 },
+      'match.stats': null,
+      'match.seed': null,
+      'match.knockout': false,
+      'match.tempo': null,
+      'match.qualifyOdds': null,
+      'match.overUnderOdds': null,
+      'match.bttsOdds': null,
+      'match.correctScoreOdds': null,
+      'match.nextGoalOdds': null,
+      'match.goalscorerOdds': null,
+      'match.regulationScore': null,
+      'match.shootout': null,
+      'match.qualifier': null,
+      'match.abandoned': null,
+      bets: {
+        fullMatch: [], actionBets: [], toQualify: [], overUnder: [], btts: [], correctScore: [], nextGoal: [], goalscorer: [],
+        accumulator: []
+      },
+      betSlip: [],
+      markets: [],
+      settlements: [],
+      opportunityQueue: [],
       powerUp: { held: null, applied: false }
     };
     
@@ -457,17 +568,43 @@ export class StateManager {
     }
   }
 
+  /**
+   * Set callbacks for state events
+   * @param {Object} callbacks - { onBeforeSafeReset } runs before resetToSafeState drops
+   *   the match, so open bets can be voided and refunded through the betting manager
+   */
+  setCallbacks(callbacks) {
+    this.callbacks = { ...this.callbacks, ...callbacks };
+  }
+
+  /**
+   * Run a callback without letting its failure stop the caller
+   * @param {string} name - Callback name
+   */
+  runCallback(name) {
+    try {
+      this.callbacks[name]?.();
+    } catch (error) {
+      console.error(`StateManager: ${name} callback failed:`, error);
+    }
+  }
+
   /**
    * Reset to safe state with preserved wallet
    */
   resetToSafeState() {
     try {
+      // The reset drops the match and its bets, so the game abandons the match first
+      this.runCallback('onBeforeSafeReset');
+
       const currentWallet = this.state.wallet;
       const currentBetMemory = { ...this.state.betAmountMemory };
+      const currentOddsChangePolicy = this.state.oddsChangePolicy;
       
       this.state = this.getInitialState();
       this.state.wallet = currentWallet;
       this.state.betAmountMemory = currentBetMemory;
+      this.state.oddsChangePolicy = currentOddsChangePolicy;
       
       this.notifyObservers({}, this.state);
       
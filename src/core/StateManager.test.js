@@ -137,17 +137,46 @@ describe('StateManager', () => {
     test('should validate match time', () => {
       expect(() => {
         stateManager.updateState({ 'match.time': -5 });
-      }).toThrow('Match time must be between 0 and 90 minutes');
+      }).toThrow('Match time must be between 0 and 120 minutes');
       
       expect(() => {
-        stateManager.updateState({ 'match.time': 95 });
-      }).toThrow('Match time must be between 0 and 90 minutes');
+        stateManager.updateState({ 'match.time': 125 });
+      }).toThrow('Match time must be between 0 and 120 minutes');
       
       // Valid time should work
       stateManager.updateState({ 'match.time': 45 });
       expect(stateManager.getState().match.time).toBe(45);
     });
 
+    test('should validate stoppage time and match period', () => {
+      const validateAddedTime = stateManager.validators.get('match.addedTime');
+      const validatePeriod = stateManager.validators.get('match.period');
+
+      expect(() => validateAddedTime(-1)).toThrow('Added time must be between 0 and 15 minutes');
+      expect(() => validatePeriod('OVERTIME')).toThrow('Invalid match period: OVERTIME');
+      expect(validateAddedTime(2.5)).toBe(true);
+      expect(validatePeriod('HALF_TIME')).toBe(true);
+      expect(validatePeriod('PENALTIES')).toBe(true);
+      expect(stateManager.validators.get('match.time')(120)).toBe(true);
+    });
+
+    test('should validate players on pitch', () => {
+      const validatePlayers = stateManager.validators.get('match.playersOnPitch');
+
+      expect(validatePlayers({ home: 10, away: 11 })).toBe(true);
+      expect(() => validatePlayers({ home: 6, away: 11 })).toThrow('Players on pitch must be between 7 and 11 per team');
+      expect(() => validatePlayers({ home: 11 })).toThrow('Players on pitch must be between 7 and 11 per team');
+      expect(stateManager.getState().match.playersOnPitch).toEqual({ home: 11, away: 11 });
+    });
+
+    test('should validate the odds change policy', () => {
+      const validatePolicy = stateManager.validators.get('oddsChangePolicy');
+
+      expect(stateManager.getState().oddsChangePolicy).toBe('higher');
+      expect(validatePolicy('confirm')).toBe(true);
+      expect(() => validatePolicy('lower')).toThrow('Invalid odds change policy: lower');
+    });
+
     test('should validate scores', () => {
       expect(() => {
         stateManager.updateState({ 'match.homeScore': -1 });
@@ -413,6 +442,23 @@ describe('StateManager', () => {
       expect(state.match.homeScore).toBe(0);
       expect(state.match.awayScore).toBe(0);
     });
+
+    test('should let the game abandon the match before a safe reset', () => {
+      const order = [];
+      stateManager.updateState({ wallet: 900, 'match.time': 30 });
+      stateManager.setCallbacks({
+        onBeforeSafeReset: () => {
+          order.push(stateManager.getState().match.time);
+          stateManager.updateState({ wallet: 1000 });
+        }
+      });
+
+      expect(stateManager.resetToSafeState()).toBe(true);
+
+      expect(order).toEqual([30]);
+      expect(stateManager.getState().wallet).toBe(1000);
+      expect(stateManager.getState().match.time).toBe(0);
+    });
   });
 
   describe('State Validation Check', () => {
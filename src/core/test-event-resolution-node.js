@@ -519,6 +519,7 @@ test('Force Resolution - should resolve with specific outcome', () => {
 
 test('Event Processing Order - should process events chronologically', () => {
     const { eventManager, mockStateManager } = setupTest();
+    eventManager.VAR_REVIEW_PROBABILITY = 0; // A VAR review would add an event after the goal
     
     // Create timeline with mixed event types
     const timeline = [
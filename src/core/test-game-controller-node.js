@@ -314,7 +314,10 @@ testRunner.describe('Match Lifecycle Management', function() {
         
         expect(result.success).toBe(true);
         expect(this.gameController.gamePhase).toBe('match');
-        expect(this.gameController.currentMatch).toEqual(matchData);
+        // Every match gets its own seed so it can be replayed
+        const { seed, ...match } = this.gameController.currentMatch;
+        expect(match).toEqual(matchData);
+        expect(typeof seed).toBe('number');
         
         const state = this.gameController.modules.stateManager.getState();
         expect(state.match.active).toBe(true);
@@ -624,7 +627,8 @@ testRunner.describe('Complete Game Flow Integration', function() {
         const initialState = this.gameController.modules.stateManager.getState();
         expect(initialState.wallet).toBe(1000);
         
-        // Place and win a bet
+        // Place and win a bet at the live price
+        this.gameController.modules.stateManager.updateState({ 'match.odds': { home: 2.0, draw: 3.5, away: 4.2 } });
         const betData = {
             type: 'fullMatch',
             outcome: 'home',
@@ -28,17 +28,22 @@ export { PowerUpManager } from './systems/PowerUpManager.js';
 export { OddsCalculator } from './utils/OddsCalculator.js';
 export { EventGenerator } from './utils/EventGenerator.js';
 export { Validator } from './utils/Validator.js';
+export { RandomGenerator } from './utils/RandomGenerator.js';
+export { GoalModel } from './utils/GoalModel.js';
+export { MatchStatistics } from './utils/MatchStatistics.js';
+export { TeamRosters } from './utils/TeamRosters.js';
 
 // Game initialization
 import { GameController } from './core/GameController.js';
 
 /**
  * Initialize and start the game
+ * @param {Object} [options] - Options passed to GameController.initialize (e.g. { seed, margin })
  */
-export async function initializeGame() {
+export async function initializeGame(options = {}) {
     try {
         const gameController = new GameController();
-        await gameController.initialize();
+        await gameController.initialize(options);
         
         // Make GameController available globally for UI interactions
         if (typeof window !== 'undefined') {
@@ -55,6 +60,8 @@ export async function initializeGame() {
 // Auto-initialize when loaded in browser
 if (typeof window !== 'undefined') {
     window.addEventListener('DOMContentLoaded', () => {
-        initializeGame().catch(console.error);
+        // Allow testers to replay a session with ?seed=<value>
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        initializeGame(seed ? { seed } : {}).catch(console.error);
     });
 }
\ No newline at end of file
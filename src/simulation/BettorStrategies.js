@@ -0,0 +1,97 @@
+/**
+ * BettorStrategies - Simulated player behaviours for the Monte Carlo simulator
+ *
+ * Each strategy decides:
+ * - placeFullMatchBets(context): 1X2 bets at kickoff, as [{ outcome, stake }]
+ * - chooseActionBet(context): one action bet choice, as { outcome, stake } or null
+ * - usePowerUp(context): which pending full-match bet gets a held power-up, or null
+ *
+ * Contexts carry the current odds or choices, the wallet, the configured stake
+ * and a seeded RandomGenerator so strategy decisions are reproducible too.
+ */
+
+/**
+ * Gets the outcome key with the lowest or highest price
+ * @param {Object} odds - Odds keyed by outcome
+ * @param {boolean} longest - True for the highest price
+ * @returns {string} Outcome key
+ */
+function pickByPrice(odds, longest) {
+    return Object.keys(odds).reduce((best, outcome) => {
+        if (best === null) return outcome;
+        return (longest ? odds[outcome] > odds[best] : odds[outcome] < odds[best]) ? outcome : best;
+    }, null);
+}
+
+/**
+ * Gets the choice with the lowest or highest price
+ * @param {Array} choices - Action bet choices
+ * @param {boolean} longest - True for the highest price
+ * @returns {Object} Choice
+ */
+function pickChoiceByPrice(choices, longest) {
+    return choices.reduce((best, choice) => {
+        if (!best) return choice;
+        return (longest ? choice.odds > best.odds : choice.odds < best.odds) ? choice : best;
+    }, null);
+}
+
+/**
+ * Applies a held power-up to the pending full-match bet with the largest payout
+ * @param {Object} context - Power-up context
+ * @returns {string|null} Bet ID
+ */
+function powerUpLargestPayout({ pendingBets }) {
+    if (pendingBets.length === 0) return null;
+    return pendingBets.reduce((best, bet) => (bet.stake * bet.odds > best.stake * best.odds ? bet : best)).id;
+}
+
+export const BETTOR_STRATEGIES = {
+    favourite: {
+        description: 'Backs the 1X2 favourite and the most likely action bet outcome',
+        placeFullMatchBets: ({ odds, stake }) => [{ outcome: pickByPrice(odds, false), stake }],
+        chooseActionBet: ({ choices, stake }) => ({ outcome: pickChoiceByPrice(choices, false).outcome, stake }),
+        usePowerUp: powerUpLargestPayout
+    },
+
+    longshot: {
+        description: 'Backs the longest 1X2 price and the longest action bet price',
+        placeFullMatchBets: ({ odds, stake }) => [{ outcome: pickByPrice(odds, true), stake }],
+        chooseActionBet: ({ choices, stake }) => ({ outcome: pickChoiceByPrice(choices, true).outcome, stake }),
+        usePowerUp: powerUpLargestPayout
+    },
+
+    random: {
+        description: 'Picks 1X2 and action bet outcomes uniformly at random',
+        placeFullMatchBets: ({ odds, stake, random }) => [{ outcome: random.pick(Object.keys(odds)), stake }],
+        chooseActionBet: ({ choices, stake, random }) => ({ outcome: random.pick(choices).outcome, stake }),
+        usePowerUp: powerUpLargestPayout
+    },
+
+    actionOnly: {
+        description: 'Skips the 1X2 market and plays every action bet at random',
+        placeFullMatchBets: () => [],
+        chooseActionBet: ({ choices, stake, random }) => ({ outcome: random.pick(choices).outcome, stake }),
+        usePowerUp: () => null
+    },
+
+    fullMatchOnly: {
+        description: 'Backs a random 1X2 outcome and ignores action bets',
+        placeFullMatchBets: ({ odds, stake, random }) => [{ outcome: random.pick(Object.keys(odds)), stake }],
+        chooseActionBet: () => null,
+        usePowerUp: powerUpLargestPayout
+    }
+};
+
+/**
+ * Looks up a strategy by name
+ * @param {string} name - Strategy name
+ * @returns {Object} Strategy
+ */
+export function getBettorStrategy(name) {
+    const strategy = BETTOR_STRATEGIES[name];
+    if (!strategy) {
+        throw new Error(`Unknown bettor strategy "${name}". Available: ${Object.keys(BETTOR_STRATEGIES).join(', ')}`);
+    }
+    return strategy;
+}
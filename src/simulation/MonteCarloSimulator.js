@@ -0,0 +1,401 @@
+/**
+ * MonteCarloSimulator - Headless match simulation for RTP and house-edge reporting
+ *
+ * Features:
+ * - Runs matches through EventGenerator, EventManager, BettingManager and PowerUpManager
+ * - Instant one-minute ticks instead of TimerManager, no DOM events
+ * - Configurable simulated bettor strategies (see BettorStrategies.js)
+ * - Reports return-to-player per market, power-up cost and wallet variance
+ * - Fully reproducible from a seed
+ */
+
+import { StateManager } from '../core/StateManager.js';
+import { EventManager } from '../core/EventManager.js';
+import { BettingManager } from '../betting/BettingManager.js';
+import { PowerUpManager } from '../systems/PowerUpManager.js';
+import { RandomGenerator } from '../utils/RandomGenerator.js';
+import { goalModel } from '../utils/GoalModel.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+import { teamRosters } from '../utils/TeamRosters.js';
+import { tempoProfiles } from '../utils/TempoProfiles.js';
+import { getBettorStrategy } from './BettorStrategies.js';
+
+export class MonteCarloSimulator {
+    /**
+     * @param {Object} [options] - Simulation options
+     * @param {number} [options.matches=1000] - Number of matches to simulate
+     * @param {number|string} [options.seed] - Seed for the whole run (random when omitted)
+     * @param {string} [options.strategy='random'] - Bettor strategy name
+     * @param {number} [options.stake=25] - Stake per bet
+     * @param {number} [options.startingWallet=1000] - Wallet at the start of every match
+     * @param {boolean} [options.classicMode=false] - Disable power-ups
+     * @param {boolean} [options.quiet=true] - Silence module console output while running
+     */
+    constructor(options = {}) {
+        this.options = {
+            matches: 1000,
+            seed: null,
+            strategy: 'random',
+            stake: 25,
+            startingWallet: 1000,
+            classicMode: false,
+            quiet: true,
+            ...options
+        };
+
+        this.strategy = getBettorStrategy(this.options.strategy);
+        this.seed = this.options.seed ?? RandomGenerator.createSeed();
+        this.random = new RandomGenerator(this.seed);
+        this.teams = Object.keys(goalModel.teamRatings);
+
+        this.HALF_DURATION = 45;
+    }
+
+    /**
+     * Runs all matches and builds the report
+     * @returns {Object} Simulation report
+     */
+    run() {
+        const originalLog = console.log;
+        const originalWarn = console.warn;
+        if (this.options.quiet) {
+            console.log = () => {};
+            console.warn = () => {};
+        }
+
+        try {
+            const matchResults = [];
+            for (let i = 0; i < this.options.matches; i++) {
+                matchResults.push(this.simulateMatch(this.random.nextSeed()));
+            }
+            return this.buildReport(matchResults);
+        } finally {
+            console.log = originalLog;
+            console.warn = originalWarn;
+        }
+    }
+
+    /**
+     * Simulates a single match with fresh module instances
+     * @param {number} matchSeed - Seed for the match
+     * @returns {Object} Match result with every settled bet
+     */
+    simulateMatch(matchSeed) {
+        const matchRandom = new RandomGenerator(matchSeed);
+        const strategyRandom = matchRandom.fork('strategy');
+        const fixtureRandom = matchRandom.fork('fixture');
+
+        const stateManager = new StateManager();
+        const powerUpManager = new PowerUpManager(stateManager, matchRandom.fork('powerUps'));
+        const bettingManager = new BettingManager(stateManager, powerUpManager);
+        const eventManager = new EventManager(stateManager, matchRandom);
+
+        const [homeTeam, awayTeam] = fixtureRandom.shuffle(this.teams);
+        const teamRatings = goalModel.getMatchRatings(homeTeam, awayTeam);
+        const odds = oddsCalculator.getInitialOdds(teamRatings);
+
+        stateManager.updateState({
+            wallet: this.options.startingWallet,
+            classicMode: this.options.classicMode,
+            currentScreen: 'match',
+            match: {
+                ...stateManager.getState().match,
+                active: true,
+                time: 0,
+                homeTeam,
+                awayTeam,
+                homeScore: 0,
+                awayScore: 0,
+                odds,
+                initialOdds: odds,
+                teamRatings,
+                lineups: teamRosters.getMatchLineups(homeTeam, awayTeam),
+                tempo: tempoProfiles.pickProfile(matchRandom.fork('tempo'), homeTeam, awayTeam),
+                seed: matchSeed
+            }
+        });
+
+        // Action bet category per event, so settled bets can be grouped by market
+        const eventCategories = new Map();
+        const powerUps = { awarded: 0, applied: 0 };
+
+        eventManager.setEventDispatcher((eventType, eventData) => {
+            if (eventType === 'actionBettingOpportunity') {
+                this.handleActionBettingOpportunity(eventData, { stateManager, bettingManager, strategyRandom, eventCategories });
+            } else if (eventType === 'actionBetResolution') {
+                const resolution = bettingManager.resolveBets(eventData.winningOutcome, 'actionBet', eventData.eventId);
+                resolution.results.filter(result => result.won).forEach(() => {
+                    if (powerUpManager.awardPowerUp()) {
+                        powerUps.awarded++;
+                        if (this.applyHeldPowerUp({ stateManager, powerUpManager, strategyRandom })) {
+                            powerUps.applied++;
+                        }
+                    }
+                });
+            }
+        });
+
+        eventManager.generateTimeline();
+
+        // Kickoff bets on the 1X2 market
+        this.strategy.placeFullMatchBets({
+            odds,
+            stake: this.options.stake,
+            wallet: stateManager.getState().wallet,
+            random: strategyRandom
+        }).forEach(bet => {
+            bettingManager.placeBet({ type: 'fullMatch', outcome: bet.outcome, stake: bet.stake, odds: odds[bet.outcome] });
+        });
+
+        // Instant ticks replace the real-time TimerManager; there is no half-time break to wait out
+        const { stoppageTime } = stateManager.getState().match;
+        this.playPeriod(0, stoppageTime.firstHalf, { stateManager, eventManager });
+        stateManager.updateState({ 'match.period': 'SECOND_HALF', 'match.addedTime': 0 });
+        this.playPeriod(this.HALF_DURATION, stoppageTime.secondHalf, { stateManager, eventManager });
+
+        const match = stateManager.getState().match;
+        const outcome = match.homeScore > match.awayScore ? 'home'
+            : match.awayScore > match.homeScore ? 'away' : 'draw';
+        bettingManager.resolveBets(outcome, 'fullMatch');
+        // As in the game, action bets still waiting on their event are voided at full time
+        bettingManager.voidBets({ betTypes: ['actionBet'] }, 'matchEnded');
+
+        const finalState = stateManager.getState();
+        const bets = [
+            ...finalState.bets.fullMatch.map(bet => ({ ...bet, market: 'fullMatch' })),
+            ...(finalState.bets.actionBet || []).map(bet => ({
+                ...bet,
+                market: `actionBet:${eventCategories.get(bet.eventId) || 'unknown'}`
+            }))
+        ];
+
+        return {
+            seed: matchSeed,
+            homeTeam,
+            awayTeam,
+            score: `${match.homeScore}-${match.awayScore}`,
+            outcome,
+            bets,
+            powerUps,
+            netResult: finalState.wallet - this.options.startingWallet
+        };
+    }
+
+    /**
+     * Ticks one half minute by minute, then through its stoppage time
+     * @param {number} start - Clock minute the half kicks off at
+     * @param {number} stoppage - Minutes of stoppage time
+     * @param {Object} context - Match modules
+     */
+    playPeriod(start, stoppage, { stateManager, eventManager }) {
+        const end = start + this.HALF_DURATION;
+        for (let minute = start + 1; minute <= end; minute++) {
+            stateManager.updateState({ 'match.time': minute });
+            eventManager.checkForEvents();
+        }
+        for (let added = 1; added <= stoppage; added++) {
+            stateManager.updateState({ 'match.addedTime': added });
+            eventManager.checkForEvents();
+        }
+    }
+
+    /**
+     * Lets the strategy take an action betting opportunity
+     * @param {Object} eventData - actionBettingOpportunity event data
+     * @param {Object} context - Match modules and bookkeeping
+     */
+    handleActionBettingOpportunity(eventData, { stateManager, bettingManager, strategyRandom, eventCategories }) {
+        const event = eventData.eventData;
+        eventCategories.set(event.id, event.data.category);
+
+        const decision = this.strategy.chooseActionBet({
+            choices: eventData.choices,
+            category: event.data.category,
+            stake: this.options.stake,
+            wallet: stateManager.getState().wallet,
+            random: strategyRandom
+        });
+        if (!decision) return;
+
+        const choice = eventData.choices.find(c => c.outcome === decision.outcome);
+        if (!choice) return;
+
+        bettingManager.placeBet({
+            type: 'actionBet',
+            outcome: choice.outcome,
+            stake: decision.stake,
+            odds: choice.odds,
+            eventId: event.id
+        });
+    }
+
+    /**
+     * Applies a freshly awarded power-up if the strategy wants to
+     * @param {Object} context - Match modules
+     * @returns {boolean} True if the power-up was applied
+     */
+    applyHeldPowerUp({ stateManager, powerUpManager, strategyRandom }) {
+        const pendingBets = stateManager.getState().bets.fullMatch.filter(bet => bet.status === 'pending' && !bet.powerUpApplied);
+        const betId = this.strategy.usePowerUp({ pendingBets, random: strategyRandom });
+        return betId ? powerUpManager.applyPowerUp(betId) : false;
+    }
+
+    /**
+     * Aggregates match results into RTP, power-up and wallet statistics
+     * @param {Array} matchResults - Results from simulateMatch
+     * @returns {Object} Simulation report
+     */
+    buildReport(matchResults) {
+        const markets = {};
+        const powerUps = { awarded: 0, applied: 0, boostedBets: 0, bonusPaid: 0 };
+        let totalStaked = 0;
+        let totalReturned = 0;
+        let voidedStake = 0;
+
+        matchResults.forEach(result => {
+            powerUps.awarded += result.powerUps.awarded;
+            powerUps.applied += result.powerUps.applied;
+
+            result.bets.forEach(bet => {
+                const market = markets[bet.market] || (markets[bet.market] = {
+                    bets: 0, won: 0, staked: 0, returned: 0, powerUpBonus: 0, voided: 0, voidedStake: 0
+                });
+
+                // Voided bets (action bets offered in the last minutes, bets on a goal VAR
+                // overturned) get their stake back; keep them out of RTP but report them
+                if (bet.status === 'void') {
+                    market.voided++;
+                    market.voidedStake += bet.stake;
+                    voidedStake += bet.stake;
+                    return;
+                }
+
+                const returned = bet.actualWinnings || 0;
+                // Power-up doubles the payout, so the bonus is the unboosted payout
+                const bonus = bet.powerUpApplied && bet.status === 'won' ? returned / 2 : 0;
+
+                market.bets++;
+                market.won += bet.status === 'won' ? 1 : 0;
+                market.staked += bet.stake;
+                market.returned += returned;
+                market.powerUpBonus += bonus;
+
+                if (bet.powerUpApplied) powerUps.boostedBets++;
+                powerUps.bonusPaid += bonus;
+                totalStaked += bet.stake;
+                totalReturned += returned;
+            });
+        });
+
+        Object.values(markets).forEach(market => {
+            market.rtp = this.ratio(market.returned, market.staked);
+            market.rtpWithoutPowerUps = this.ratio(market.returned - market.powerUpBonus, market.staked);
+            market.houseEdge = market.staked > 0 ? this.round(1 - market.rtp) : null;
+        });
+
+        const netResults = matchResults.map(result => result.netResult);
+        const mean = netResults.reduce((sum, value) => sum + value, 0) / Math.max(1, netResults.length);
+        const variance = netResults.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, netResults.length - 1);
+
+        return {
+            config: {
+                matches: matchResults.length,
+                seed: this.seed,
+                strategy: this.options.strategy,
+                stake: this.options.stake,
+                startingWallet: this.options.startingWallet,
+                classicMode: this.options.classicMode,
+                margin: oddsCalculator.getMargin(),
+                powerUpProbability: this.options.classicMode ? 0 : 0.8
+            },
+            overall: {
+                bets: Object.values(markets).reduce((sum, market) => sum + market.bets, 0),
+                voided: Object.values(markets).reduce((sum, market) => sum + market.voided, 0),
+                staked: this.round(totalStaked),
+                returned: this.round(totalReturned),
+                rtp: this.ratio(totalReturned, totalStaked),
+                rtpWithoutPowerUps: this.ratio(totalReturned - powerUps.bonusPaid, totalStaked),
+                houseEdge: totalStaked > 0 ? this.round(1 - totalReturned / totalStaked) : null,
+                voidedStake: this.round(voidedStake)
+            },
+            markets: Object.fromEntries(Object.entries(markets)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, market]) => [name, {
+                    ...market,
+                    staked: this.round(market.staked),
+                    returned: this.round(market.returned),
+                    powerUpBonus: this.round(market.powerUpBonus),
+                    voidedStake: this.round(market.voidedStake)
+                }])),
+            powerUps: {
+                ...powerUps,
+                bonusPaid: this.round(powerUps.bonusPaid),
+                costOfStakes: this.ratio(powerUps.bonusPaid, totalStaked)
+            },
+            wallet: {
+                meanNetPerMatch: this.round(mean),
+                variance: this.round(variance),
+                standardDeviation: this.round(Math.sqrt(variance)),
+                worstMatch: netResults.length ? this.round(Math.min(...netResults)) : 0,
+                bestMatch: netResults.length ? this.round(Math.max(...netResults)) : 0
+            }
+        };
+    }
+
+    /**
+     * Formats a report as a plain-text table
+     * @param {Object} report - Report from run()
+     * @returns {string} Text table
+     */
+    static formatReport(report) {
+        const pct = (value) => (value === null ? '-' : `${(value * 100).toFixed(2)}%`);
+        const pad = (value, width) => String(value).padStart(width);
+        const lines = [];
+
+        lines.push(`Monte Carlo simulation: ${report.config.matches} matches, strategy "${report.config.strategy}", seed ${report.config.seed}`);
+        lines.push(`Stake ${report.config.stake}, margin ${pct(report.config.margin)}, power-ups ${report.config.classicMode ? 'off' : 'on'}`);
+        lines.push('');
+        lines.push(`${'Market'.padEnd(22)}${pad('Bets', 8)}${pad('Staked', 12)}${pad('Returned', 12)}${pad('RTP', 9)}${pad('RTP no PU', 11)}${pad('Edge', 9)}`);
+        lines.push('-'.repeat(83));
+
+        const row = (name, market) => lines.push(
+            `${name.padEnd(22)}${pad(market.bets, 8)}${pad(market.staked.toFixed(2), 12)}${pad(market.returned.toFixed(2), 12)}` +
+            `${pad(pct(market.rtp), 9)}${pad(pct(market.rtpWithoutPowerUps), 11)}${pad(pct(market.houseEdge), 9)}`
+        );
+
+        Object.entries(report.markets).forEach(([name, market]) => row(name, market));
+        lines.push('-'.repeat(83));
+        row('TOTAL', report.overall);
+
+        lines.push('');
+        if (report.overall.voided > 0) {
+            lines.push(`Voided: ${report.overall.voided} bets (${report.overall.voidedStake.toFixed(2)} staked, refunded)`);
+        }
+        lines.push(`Power-ups: ${report.powerUps.awarded} awarded, ${report.powerUps.applied} applied, ` +
+            `bonus paid ${report.powerUps.bonusPaid.toFixed(2)} (${pct(report.powerUps.costOfStakes)} of stakes)`);
+        lines.push(`Wallet per match: mean ${report.wallet.meanNetPerMatch.toFixed(2)}, ` +
+            `std dev ${report.wallet.standardDeviation.toFixed(2)}, ` +
+            `worst ${report.wallet.worstMatch.toFixed(2)}, best ${report.wallet.bestMatch.toFixed(2)}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Divides two totals, returning null when there is nothing to divide by
+     * @param {number} value - Numerator
+     * @param {number} total - Denominator
+     * @returns {number|null} Rounded ratio
+     */
+    ratio(value, total) {
+        return total > 0 ? this.round(value / total) : null;
+    }
+
+    /**
+     * Rounds to 4 decimal places
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
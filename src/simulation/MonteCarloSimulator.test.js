@@ -0,0 +1,101 @@
+/**
+ * MonteCarloSimulator Tests
+ * Tests for headless match simulation and RTP reporting
+ */
+
+import { MonteCarloSimulator } from './MonteCarloSimulator.js';
+import { BETTOR_STRATEGIES, getBettorStrategy } from './BettorStrategies.js';
+
+describe('MonteCarloSimulator', () => {
+    describe('Running Matches', () => {
+        test('should produce identical reports for the same seed', () => {
+            const a = new MonteCarloSimulator({ matches: 3, seed: 42 }).run();
+            const b = new MonteCarloSimulator({ matches: 3, seed: 42 }).run();
+
+            expect(a).toEqual(b);
+        });
+
+        test('should report every bet in a market', () => {
+            const report = new MonteCarloSimulator({ matches: 3, seed: 7, strategy: 'favourite' }).run();
+            const marketBets = Object.values(report.markets).reduce((sum, market) => sum + market.bets, 0);
+
+            expect(report.config.matches).toBe(3);
+            expect(report.markets.fullMatch.bets + report.markets.fullMatch.voided).toBe(3);
+            expect(report.overall.bets).toBe(marketBets);
+            expect(Object.keys(report.markets).some(name => name.startsWith('actionBet:'))).toBe(true);
+        });
+
+        test('should keep the RTP consistent with stakes and returns', () => {
+            const report = new MonteCarloSimulator({ matches: 3, seed: 11 }).run();
+
+            expect(report.overall.rtp).toBeCloseTo(report.overall.returned / report.overall.staked, 3);
+            expect(report.overall.houseEdge).toBeCloseTo(1 - report.overall.rtp, 3);
+            expect(report.overall.rtpWithoutPowerUps).toBeLessThanOrEqual(report.overall.rtp);
+        });
+
+        test('should not award power-ups in classic mode', () => {
+            const report = new MonteCarloSimulator({ matches: 3, seed: 5, classicMode: true }).run();
+
+            expect(report.powerUps.awarded).toBe(0);
+            expect(report.powerUps.bonusPaid).toBe(0);
+            expect(report.overall.rtpWithoutPowerUps).toBe(report.overall.rtp);
+        });
+
+        test('should place no full-match bets for the action-only strategy', () => {
+            const report = new MonteCarloSimulator({ matches: 2, seed: 9, strategy: 'actionOnly' }).run();
+
+            expect(report.markets.fullMatch).toBeUndefined();
+        });
+
+        test('should restore console output after running', () => {
+            const originalLog = console.log;
+            new MonteCarloSimulator({ matches: 1, seed: 1 }).run();
+
+            expect(console.log).toBe(originalLog);
+        });
+    });
+
+    describe('Wallet Statistics', () => {
+        test('should report wallet spread per match', () => {
+            const report = new MonteCarloSimulator({ matches: 4, seed: 3 }).run();
+
+            expect(report.wallet.standardDeviation).toBeCloseTo(Math.sqrt(report.wallet.variance), 2);
+            expect(report.wallet.worstMatch).toBeLessThanOrEqual(report.wallet.meanNetPerMatch);
+            expect(report.wallet.bestMatch).toBeGreaterThanOrEqual(report.wallet.meanNetPerMatch);
+        });
+    });
+
+    describe('Formatting', () => {
+        test('should format the report as a text table', () => {
+            const report = new MonteCarloSimulator({ matches: 2, seed: 21 }).run();
+            const text = MonteCarloSimulator.formatReport(report);
+
+            expect(text).toContain('fullMatch');
+            expect(text).toContain('TOTAL');
+            expect(text).toContain('Power-ups:');
+            expect(text).toContain('Wallet per match:');
+        });
+    });
+
+    describe('Strategies', () => {
+        test('should reject unknown strategies', () => {
+            expect(() => new MonteCarloSimulator({ strategy: 'martingale' })).toThrow('Unknown bettor strategy');
+        });
+
+        test('should give every strategy the full set of decisions', () => {
+            Object.keys(BETTOR_STRATEGIES).forEach(name => {
+                const strategy = getBettorStrategy(name);
+                expect(typeof strategy.placeFullMatchBets).toBe('function');
+                expect(typeof strategy.chooseActionBet).toBe('function');
+                expect(typeof strategy.usePowerUp).toBe('function');
+            });
+        });
+
+        test('should back the shortest and longest prices', () => {
+            const odds = { home: 1.5, draw: 4.0, away: 6.0 };
+
+            expect(getBettorStrategy('favourite').placeFullMatchBets({ odds, stake: 10 })).toEqual([{ outcome: 'home', stake: 10 }]);
+            expect(getBettorStrategy('longshot').placeFullMatchBets({ odds, stake: 10 })).toEqual([{ outcome: 'away', stake: 10 }]);
+        });
+    });
+});
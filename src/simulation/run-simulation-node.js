@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Node.js entry point for the Monte Carlo simulator
+ *
+ * Usage:
+ *   node src/simulation/run-simulation-node.js [--matches 1000] [--strategy random]
+ *       [--seed 42] [--stake 25] [--margin 0.05] [--classic] [--json]
+ *
+ * Prints a plain-text table by default, or the full JSON report with --json.
+ */
+
+import { MonteCarloSimulator } from './MonteCarloSimulator.js';
+import { BETTOR_STRATEGIES } from './BettorStrategies.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+
+/**
+ * Parses command line flags into simulator options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i];
+        const value = args[i + 1];
+
+        switch (flag) {
+            case '--matches':
+                options.matches = parseInt(value, 10);
+                i++;
+                break;
+            case '--strategy':
+                options.strategy = value;
+                i++;
+                break;
+            case '--seed':
+                options.seed = value;
+                i++;
+                break;
+            case '--stake':
+                options.stake = parseFloat(value);
+                i++;
+                break;
+            case '--margin':
+                options.margin = parseFloat(value);
+                i++;
+                break;
+            case '--classic':
+                options.classicMode = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    return options;
+}
+
+try {
+    const { json, help, margin, ...options } = parseArgs(process.argv.slice(2));
+
+    if (help) {
+        console.log('Usage: node src/simulation/run-simulation-node.js [--matches N] [--strategy NAME] [--seed S] [--stake N] [--margin M] [--classic] [--json]');
+        console.log('\nStrategies:');
+        Object.entries(BETTOR_STRATEGIES).forEach(([name, strategy]) => {
+            console.log(`  ${name.padEnd(14)} ${strategy.description}`);
+        });
+        process.exit(0);
+    }
+
+    if (margin !== undefined) {
+        oddsCalculator.setMargin(margin);
+    }
+
+    const report = new MonteCarloSimulator(options).run();
+    console.log(json ? JSON.stringify(report, null, 2) : MonteCarloSimulator.formatReport(report));
+} catch (error) {
+    console.error(`Simulation failed: ${error.message}`);
+    process.exit(1);
+}
@@ -9,9 +9,16 @@
  * - 5.6: Classic mode disable functionality
  */
 
+import { RandomGenerator } from '../utils/RandomGenerator.js';
+
 export class PowerUpManager {
-    constructor(stateManager) {
+    /**
+     * @param {StateManager} stateManager - Shared state manager
+     * @param {RandomGenerator} [random] - Seeded generator for award rolls
+     */
+    constructor(stateManager, random = new RandomGenerator()) {
         this.stateManager = stateManager;
+        this.random = random;
         this.powerUpProbability = 0.8; // 80% chance
         this.multiplier = 2; // 2x winnings multiplier
         
@@ -45,8 +52,8 @@ export class PowerUpManager {
         }
 
         // Requirement 5.1: 80% probability of power-up award
-        const random = Math.random();
-        if (random < this.powerUpProbability) {
+        const roll = this.random.next();
+        if (roll < this.powerUpProbability) {
             const powerUp = {
                 id: `powerup_${Date.now()}`,
                 type: '2x_multiplier',
@@ -162,6 +169,15 @@ export class PowerUpManager {
         return baseWinnings;
     }
 
+    /**
+     * Replaces the random generator used for award rolls
+     * 
+     * @param {RandomGenerator} random - Seeded generator for the match
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+
     /**
      * Clears any held power-up (used when starting new match)
      */
@@ -2,7 +2,9 @@
  * TimerManager - Manages match timer, countdowns, and pause/resume functionality
  * 
  * Handles:
- * - 90-minute match timer
+ * - 90-minute match timer split into halves, each followed by stoppage time
+ *   (the clock holds at 45' and 90' while added time runs, shown as "45+2'")
+ * - 30 minutes of extra time after 90' for knockout ties that are level
  * - Pause/resume functionality for action betting
  * - 10-second countdown timer for action betting windows
  * - Timer synchronization and accuracy validation
@@ -21,9 +23,20 @@ export class TimerManager {
                 totalPausedDuration: 0,
                 isRunning: false,
                 isPaused: false,
-                currentTime: 0 // in minutes
+                currentTime: 0, // match clock in minutes
+                elapsedTime: 0, // minutes played including stoppage time
+                periodIndex: 0
             };
 
+            // Periods of play; each ends after its clock end plus its stoppage time.
+            // Extra time is only started for knockout ties that are level after 90'
+            this.PERIODS = [
+                { name: 'FIRST_HALF', end: 45, stoppageKey: 'firstHalf' },
+                { name: 'SECOND_HALF', end: 90, stoppageKey: 'secondHalf' },
+                { name: 'EXTRA_TIME', end: 120, stoppageKey: 'extraTime' }
+            ];
+            this.stoppageTime = { firstHalf: 0, secondHalf: 0 };
+
             this.countdown = {
                 duration: 0,
                 startTime: null,
@@ -71,6 +84,8 @@ export class TimerManager {
             this.matchTimer.isRunning = true;
             this.matchTimer.isPaused = false;
             this.matchTimer.currentTime = 0;
+            this.matchTimer.elapsedTime = 0;
+            this.matchTimer.periodIndex = 0;
             this.fallbackMode = false;
             this.manualTime = 0;
 
@@ -104,6 +119,7 @@ export class TimerManager {
                 return { success: false, message: 'Timer not running or already paused' };
             }
 
+            this._syncMatchTime();
             this.matchTimer.isPaused = true;
             this.matchTimer.pausedTime = Date.now();
             
@@ -217,20 +233,121 @@ export class TimerManager {
     }
 
     /**
-     * Gets the current match time in minutes
-     * @returns {number} Current match time in minutes
+     * Sets the stoppage time added to each half
+     * @param {Object} stoppageTime - Added minutes { firstHalf, secondHalf }
      */
-    getMatchTime() {
+    setStoppageTime(stoppageTime = {}) {
+        this.stoppageTime = { ...this.stoppageTime, ...stoppageTime };
+    }
+
+    /**
+     * Starts the next period (the second half after the half-time break, or extra time)
+     * @returns {Object} Result with the new period name
+     */
+    startNextPeriod() {
+        if (!this.matchTimer.isRunning) {
+            return { success: false, message: 'Timer not running' };
+        }
+        if (this.matchTimer.periodIndex >= this.PERIODS.length - 1) {
+            return { success: false, message: 'No period left to start' };
+        }
+
+        if (this.matchTimer.isPaused) {
+            this.resumeTimer();
+        }
+
+        // Time that ran on past the end of the period was never played - drop it
+        const overshoot = this._getRawElapsedMinutes() - this.getPeriodEndElapsed();
+        if (overshoot > 0) {
+            this.matchTimer.totalPausedDuration += (overshoot / this.speedMultiplier) * 60 * 1000;
+        }
+        this.manualTime = Math.min(this.manualTime, this.getPeriodEndElapsed());
+
+        this.matchTimer.periodIndex++;
+        const period = this.PERIODS[this.matchTimer.periodIndex].name;
+        console.log(`Match timer: ${period} started`);
+        return { success: true, period };
+    }
+
+    /**
+     * Gets the current period
+     * @returns {string} Period name, e.g. 'FIRST_HALF'
+     */
+    getPeriod() {
+        return this.PERIODS[this.matchTimer.periodIndex].name;
+    }
+
+    /**
+     * Checks whether the current period has played all of its stoppage time
+     * @returns {boolean} True once the clock is waiting for the next period or full time
+     */
+    isPeriodComplete() {
+        return this.matchTimer.isRunning && this.getElapsedTime() >= this.getPeriodEndElapsed();
+    }
+
+    /**
+     * Gets the elapsed minutes at which the current period ends
+     * @returns {number} Elapsed minutes including stoppage time so far
+     */
+    getPeriodEndElapsed() {
+        return this.PERIODS.slice(0, this.matchTimer.periodIndex + 1)
+            .reduce((end, period) => end + (this.stoppageTime[period.stoppageKey] || 0),
+                this.PERIODS[this.matchTimer.periodIndex].end);
+    }
+
+    /**
+     * Gets minutes played including stoppage time, held at the end of the current period
+     * @returns {number} Elapsed minutes
+     */
+    getElapsedTime() {
         if (!this.matchTimer.isRunning) {
             return 0;
         }
 
         if (this.matchTimer.isPaused) {
-            return this.matchTimer.currentTime;
+            return this.matchTimer.elapsedTime;
         }
 
-        const elapsed = Date.now() - this.matchTimer.startTime - this.matchTimer.totalPausedDuration;
-        return Math.min(90, (elapsed / (1000 * 60)) * this.speedMultiplier); // Cap at 90 minutes
+        const elapsed = this.fallbackMode ? this.manualTime : this._getRawElapsedMinutes();
+        return Math.min(this.getPeriodEndElapsed(), elapsed);
+    }
+
+    /**
+     * Gets the match clock
+     * @returns {Object} Clock { time, addedTime, period } where time holds at 45/90 during stoppage
+     */
+    getMatchClock() {
+        const period = this.PERIODS[this.matchTimer.periodIndex];
+        const previousStoppage = this.PERIODS.slice(0, this.matchTimer.periodIndex)
+            .reduce((sum, previous) => sum + (this.stoppageTime[previous.stoppageKey] || 0), 0);
+        const clockTime = this.getElapsedTime() - previousStoppage;
+
+        return {
+            time: Math.min(period.end, clockTime),
+            addedTime: Math.max(0, clockTime - period.end),
+            period: period.name
+        };
+    }
+
+    /**
+     * Gets the current match time in minutes
+     * @returns {number} Current match clock in minutes (never above 90, or 120 in extra time)
+     */
+    getMatchTime() {
+        return this.getMatchClock().time;
+    }
+
+    /**
+     * Formats a match clock for display, e.g. "45+2'"
+     * @param {number} time - Match clock in minutes
+     * @param {number} [addedTime] - Minutes into stoppage time
+     * @returns {string} Display string
+     */
+    static formatMatchClock(time, addedTime = 0) {
+        if (addedTime > 0) {
+            return `${Math.floor(time)}+${Math.ceil(addedTime)}'`;
+        }
+        return `${Math.floor(time)}'`;
     }
 
     /**
@@ -333,6 +450,7 @@ export class TimerManager {
                 isRunning: this.matchTimer.isRunning,
                 isPaused: this.matchTimer.isPaused,
                 currentTime: this.getMatchTime(),
+                clock: this.getMatchClock(),
                 totalPausedDuration: this.matchTimer.totalPausedDuration / 1000
             },
             countdown: {
@@ -356,8 +474,11 @@ export class TimerManager {
             totalPausedDuration: 0,
             isRunning: false,
             isPaused: false,
-            currentTime: 0
+            currentTime: 0,
+            elapsedTime: 0,
+            periodIndex: 0
         };
+        this.stoppageTime = { firstHalf: 0, secondHalf: 0 };
 
         this.countdown = {
             duration: 0,
@@ -380,19 +501,18 @@ export class TimerManager {
             this.matchIntervalId = setInterval(() => {
                 try {
                     if (this.fallbackMode) {
-                        this.manualTime += 1/60; // Add 1 minute per second in fallback mode
-                        this.matchTimer.currentTime = Math.min(90, this.manualTime);
-                    } else {
-                        this.matchTimer.currentTime = this.getMatchTime();
+                        // Add 1 minute per second in fallback mode
+                        this.manualTime = Math.min(this.getPeriodEndElapsed(), this.manualTime + 1/60);
                     }
+                    const clock = this._syncMatchTime();
                     
                     if (this.callbacks.onMatchTimeUpdate) {
-                        console.log(`TimerManager: Updating time to ${this.matchTimer.currentTime.toFixed(2)} minutes`);
-                        this.callbacks.onMatchTimeUpdate(this.matchTimer.currentTime);
+                        console.log(`TimerManager: Updating time to ${TimerManager.formatMatchClock(clock.time, clock.addedTime)}`);
+                        this.callbacks.onMatchTimeUpdate(clock.time, clock);
                     }
 
-                    // Let GameController handle match end at 90 minutes
-                    // (GameController will call stopMatch() when needed)
+                    // The clock holds at the end of each period; GameController starts
+                    // the next period or ends the match when HALF_TIME/FULL_TIME are processed
 
                     // Validate timer accuracy periodically (only in normal mode)
                     if (!this.fallbackMode) {
@@ -420,6 +540,26 @@ export class TimerManager {
         }
     }
 
+    /**
+     * Private method to get real elapsed minutes since kickoff, excluding pauses
+     * @returns {number} Elapsed minutes, not capped at the period end
+     */
+    _getRawElapsedMinutes() {
+        const elapsed = Date.now() - this.matchTimer.startTime - this.matchTimer.totalPausedDuration;
+        return (elapsed / (1000 * 60)) * this.speedMultiplier;
+    }
+
+    /**
+     * Private method to store the current clock on the timer
+     * @returns {Object} Current clock { time, addedTime, period }
+     */
+    _syncMatchTime() {
+        const clock = this.getMatchClock();
+        this.matchTimer.elapsedTime = this.getElapsedTime();
+        this.matchTimer.currentTime = clock.time;
+        return clock;
+    }
+
     /**
      * Setup error recovery strategies for timer operations
      */
@@ -427,14 +567,16 @@ export class TimerManager {
         // Register recovery callback for timer restart
         errorHandler.registerRecoveryCallback('restart_timer', async (errorInfo, options) => {
             try {
-                const currentTime = this.matchTimer.currentTime;
+                const { currentTime, elapsedTime, periodIndex } = this.matchTimer;
                 this.stopMatch();
                 
                 // Restart with preserved time
                 const result = this.startMatch();
                 if (result.success) {
                     this.matchTimer.currentTime = currentTime;
-                    this.manualTime = currentTime;
+                    this.matchTimer.elapsedTime = elapsedTime;
+                    this.matchTimer.periodIndex = periodIndex;
+                    this.manualTime = elapsedTime;
                 }
                 
                 return { 
@@ -466,8 +608,8 @@ export class TimerManager {
             this.fallbackMode = true;
             
             // Preserve current time if available
-            if (this.matchTimer.currentTime > 0) {
-                this.manualTime = this.matchTimer.currentTime;
+            if (this.matchTimer.elapsedTime > 0) {
+                this.manualTime = this.matchTimer.elapsedTime;
             }
             
             // Clear existing intervals and restart with fallback
@@ -325,6 +325,77 @@ describe('TimerManager', () => {
         });
     });
 
+    describe('Periods and Stoppage Time', () => {
+        // Moves the match clock forward by a number of elapsed match minutes
+        const advanceMinutes = (minutes) => {
+            timerManager.matchTimer.startTime -= (minutes / timerManager.speedMultiplier) * 60 * 1000;
+        };
+
+        test('should hold the clock at 45 and count stoppage time separately', () => {
+            timerManager.setStoppageTime({ firstHalf: 3, secondHalf: 5 });
+            timerManager.startMatch();
+            advanceMinutes(47);
+
+            const clock = timerManager.getMatchClock();
+            expect(clock.time).toBe(45);
+            expect(clock.addedTime).toBeCloseTo(2, 1);
+            expect(clock.period).toBe('FIRST_HALF');
+            expect(timerManager.getMatchTime()).toBe(45);
+            expect(timerManager.isPeriodComplete()).toBe(false);
+        });
+
+        test('should stop at the end of first-half stoppage time until the next period starts', () => {
+            timerManager.setStoppageTime({ firstHalf: 2, secondHalf: 4 });
+            timerManager.startMatch();
+            advanceMinutes(60);
+
+            expect(timerManager.isPeriodComplete()).toBe(true);
+            expect(timerManager.getMatchClock()).toEqual({ time: 45, addedTime: 2, period: 'FIRST_HALF' });
+
+            const result = timerManager.startNextPeriod();
+            expect(result).toEqual({ success: true, period: 'SECOND_HALF' });
+
+            const clock = timerManager.getMatchClock();
+            expect(clock.period).toBe('SECOND_HALF');
+            expect(clock.time).toBeCloseTo(45, 1);
+            expect(clock.addedTime).toBe(0);
+        });
+
+        test('should run the second half on to 90 plus stoppage time', () => {
+            timerManager.setStoppageTime({ firstHalf: 2, secondHalf: 4 });
+            timerManager.startMatch();
+            advanceMinutes(47);
+            timerManager.startNextPeriod();
+            advanceMinutes(120);
+
+            expect(timerManager.getMatchClock()).toEqual({ time: 90, addedTime: 4, period: 'SECOND_HALF' });
+            expect(timerManager.isPeriodComplete()).toBe(true);
+        });
+
+        test('should play extra time from 90 to 120 after the second half', () => {
+            timerManager.setStoppageTime({ firstHalf: 2, secondHalf: 4 });
+            timerManager.startMatch();
+            advanceMinutes(47);
+            timerManager.startNextPeriod();
+            advanceMinutes(49);
+
+            expect(timerManager.startNextPeriod()).toEqual({ success: true, period: 'EXTRA_TIME' });
+            advanceMinutes(10);
+            expect(timerManager.getMatchClock().time).toBeCloseTo(100, 1);
+
+            advanceMinutes(60);
+            expect(timerManager.getMatchClock()).toEqual({ time: 120, addedTime: 0, period: 'EXTRA_TIME' });
+            expect(timerManager.isPeriodComplete()).toBe(true);
+            expect(timerManager.startNextPeriod().success).toBe(false);
+        });
+
+        test('should format the match clock with added time', () => {
+            expect(TimerManager.formatMatchClock(23.6)).toBe("23'");
+            expect(TimerManager.formatMatchClock(45, 1.2)).toBe("45+2'");
+            expect(TimerManager.formatMatchClock(90, 3)).toBe("90+3'");
+        });
+    });
+
     describe('Integration with Action Betting Requirements', () => {
         test('should support 10-second action betting window', async () => {
             const callback = jest.fn ? jest.fn() : () => {};
@@ -4,6 +4,7 @@
  * Provides:
  * - Action betting opportunity modal with countdown
  * - Bet slip modal with pre-populated amounts
+ * - Half-time modal with a score recap and a short betting window
  * - Match summary modal with comprehensive results
  * - Consistent styling and responsive behavior
  */
@@ -17,6 +18,7 @@ export class BettingModal {
         this.activeModal = null;
         this.modalOverlay = null;
         this.countdownInterval = null;
+        this.halfTimeInterval = null;
         
         this.callbacks = {
             onModalShow: null,
@@ -152,7 +154,9 @@ export class BettingModal {
             // Legacy format - extract from state
             const matchData = summaryData;
             const state = this.stateManager.getState();
-            const allBets = [...(state.bets.fullMatch || []), ...(state.bets.actionBet || [])];
+            const allBets = [
+                'fullMatch', 'actionBet', 'toQualify', 'overUnder', 'btts', 'correctScore', 'nextGoal', 'goalscorer', 'accumulator'
+            ].flatMap(type => state.bets[type] || []);
             const wonBets = allBets.filter(bet => bet.status === 'won');
             const totalStaked = allBets.reduce((sum, bet) => sum + bet.stake, 0);
             const totalWinnings = wonBets.reduce((sum, bet) => sum + (bet.actualWinnings || 0), 0);
@@ -184,7 +188,7 @@ export class BettingModal {
         modal.className = 'betting-modal match-summary-modal';
         modal.innerHTML = `
             <div class="modal-header">
-                <h2 class="modal-title">🏆 Match Complete</h2>
+                <h2 class="modal-title">${match.abandoned ? '⚠️ Match Abandoned' : '🏆 Match Complete'}</h2>
                 <button class="modal-close" type="button">&times;</button>
             </div>
             <div class="modal-body">
@@ -198,6 +202,11 @@ export class BettingModal {
                     <div class="match-outcome">
                         ${this.getMatchOutcomeText(match.outcome, match)}
                     </div>
+                    ${this.renderKnockoutResult(match)}
+                    ${this.renderMatchIncidents(match)}
+                    ${match.seed !== undefined && match.seed !== null ? `
+                        <div class="match-seed">Match seed: ${match.seed}</div>
+                    ` : ''}
                 </div>
 
                 <div class="summary-section">
@@ -223,6 +232,12 @@ export class BettingModal {
                             <div class="detail-label">Total Winnings</div>
                             <div class="detail-value won">$${betting.totalWinnings.toFixed(2)}</div>
                         </div>
+                        ${betting.voidBets > 0 ? `
+                            <div class="detail-item">
+                                <div class="detail-label">↩️ Bets Voided</div>
+                                <div class="detail-value">${betting.voidBets} ($${betting.refundedAmount.toFixed(2)} refunded)</div>
+                            </div>
+                        ` : ''}
                         ${powerUps.applied > 0 ? `
                             <div class="detail-item">
                                 <div class="detail-label">⭐ Power-up Bonuses</div>
@@ -244,10 +259,26 @@ export class BettingModal {
                                             $${bet.stake.toFixed(2)} @ ${bet.odds.toFixed(2)}
                                             ${bet.powerUpApplied ? ' ⭐ Power-up Applied' : ''}
                                         </div>
+                                        ${bet.cashOuts?.length ? `
+                                            <div class="bet-legs-text">
+                                                Cashed out $${bet.cashOuts.reduce((sum, cashOut) => sum + cashOut.amount, 0).toFixed(2)}
+                                                of a $${(bet.stake + bet.cashOuts.reduce((sum, cashOut) => sum + cashOut.stake, 0)).toFixed(2)} stake
+                                            </div>
+                                        ` : ''}
+                                        ${bet.legs ? `
+                                            <div class="bet-legs-text">
+                                                ${bet.legs.map(leg => `${leg.outcome} @ ${leg.odds.toFixed(2)} (${leg.status})`).join(' · ')}
+                                            </div>
+                                        ` : ''}
+                                        ${bet.status === 'void' && bet.voidReason ? `
+                                            <div class="bet-legs-text">Void: ${this.getVoidReasonText(bet.voidReason)}</div>
+                                        ` : ''}
                                     </div>
                                     <div class="bet-result ${bet.status}">
                                         ${bet.status === 'won' ? `+$${(bet.actualWinnings || bet.winnings || 0).toFixed(2)}` : 
-                                          bet.status === 'lost' ? `-$${bet.stake.toFixed(2)}` : 'Pending'}
+                                          bet.status === 'lost' ? `-$${bet.stake.toFixed(2)}` :
+                                          bet.status === 'void' ? 'Void (refunded)' :
+                                          bet.status === 'cashedOut' ? `Cashed out $${(bet.actualWinnings || bet.winnings || 0).toFixed(2)}` : 'Pending'}
                                     </div>
                                 </div>
                             `).join('')}
@@ -316,6 +347,251 @@ export class BettingModal {
         });
     }
 
+    /**
+     * Shows the half-time modal with a recap and a short betting window
+     * @param {Object} recap - Half-time data { homeTeam, awayTeam, homeScore, awayScore, goals, bookings, stats, odds }
+     * @param {Object} handlers - { onBet(outcome, stake), onContinue() }
+     */
+    showHalfTimeModal(recap, handlers = {}) {
+        const modal = this.createHalfTimeModal(recap, handlers);
+        this.showModal(modal);
+        this.startHalfTimeCountdown(modal);
+    }
+
+    /**
+     * Creates half-time modal element
+     */
+    createHalfTimeModal(recap, handlers = {}) {
+        const odds = recap.odds || {};
+        const stake = this.stateManager.getBetAmountMemory
+            ? this.stateManager.getBetAmountMemory('fullMatch')
+            : 25;
+        const outcomes = [
+            { key: 'home', label: recap.homeTeam },
+            { key: 'draw', label: 'Draw' },
+            { key: 'away', label: recap.awayTeam }
+        ];
+
+        const modal = document.createElement('div');
+        modal.className = 'betting-modal match-summary-modal half-time-modal';
+        modal.innerHTML = `
+            <div class="modal-header">
+                <h2 class="modal-title">⏸️ Half-Time</h2>
+                <button class="modal-close" type="button">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="match-summary">
+                    <div class="team-names">
+                        ${recap.homeTeam} vs ${recap.awayTeam}
+                    </div>
+                    <div class="final-score">
+                        ${recap.homeScore} - ${recap.awayScore}
+                    </div>
+                    ${this.renderMatchIncidents(recap)}
+                </div>
+
+                ${this.renderHalfTimeStats(recap.stats)}
+
+                <div class="summary-section">
+                    <h4>🎯 Second-Half Betting</h4>
+                    <div class="half-time-stake">
+                        <label for="half-time-stake-input">Stake $</label>
+                        <input type="number" id="half-time-stake-input" min="1" step="1" value="${stake}">
+                    </div>
+                    <div class="half-time-odds">
+                        ${outcomes.map(({ key, label }) => `
+                            <button class="modal-btn half-time-bet" type="button" data-outcome="${key}">
+                                <span class="half-time-bet-label">${label}</span>
+                                <span class="half-time-bet-odds">${odds[key] ? odds[key].toFixed(2) : '-'}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                    <div class="half-time-message" aria-live="polite"></div>
+                </div>
+
+                <div class="modal-actions">
+                    <div class="half-time-countdown"></div>
+                    <button class="modal-btn modal-btn-primary" id="start-second-half">
+                        Start Second Half
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.setupHalfTimeListeners(modal, handlers);
+        this.applyMatchSummaryStyles();
+        this.applyHalfTimeStyles();
+        return modal;
+    }
+
+    /**
+     * Renders possession, shots and xG for the half-time recap
+     */
+    renderHalfTimeStats(stats) {
+        if (!stats?.home || !stats?.away) return '';
+
+        const rows = [
+            ['Possession', `${stats.home.possession}%`, `${stats.away.possession}%`],
+            ['Shots (on target)', `${stats.home.shots} (${stats.home.shotsOnTarget})`, `${stats.away.shots} (${stats.away.shotsOnTarget})`],
+            ['Expected Goals', stats.home.xG.toFixed(2), stats.away.xG.toFixed(2)],
+            ['Corners', stats.home.corners, stats.away.corners]
+        ];
+
+        return `
+            <div class="summary-section">
+                <h4>📈 First-Half Stats</h4>
+                ${rows.map(([label, home, away]) => `
+                    <div class="half-time-stat">
+                        <span>${home}</span>
+                        <span class="half-time-stat-label">${label}</span>
+                        <span>${away}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners for half-time modal
+     */
+    setupHalfTimeListeners(modal, handlers) {
+        const message = modal.querySelector('.half-time-message');
+        const stakeInput = modal.querySelector('#half-time-stake-input');
+        const continueMatch = () => {
+            if (handlers.onContinue) {
+                handlers.onContinue();
+            }
+        };
+
+        modal.querySelectorAll('.half-time-bet').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!handlers.onBet) return;
+
+                const stake = parseFloat(stakeInput.value);
+                const result = await handlers.onBet(button.dataset.outcome, stake);
+                message.textContent = result?.success
+                    ? `Bet placed: $${stake.toFixed(2)} on ${button.querySelector('.half-time-bet-label').textContent}`
+                    : (result?.error || 'Bet could not be placed');
+                message.className = `half-time-message ${result?.success ? 'won' : 'lost'}`;
+            });
+        });
+
+        modal.querySelector('#start-second-half').addEventListener('click', continueMatch);
+        modal.querySelector('.modal-close').addEventListener('click', continueMatch);
+    }
+
+    /**
+     * Shows the time left in the half-time break
+     */
+    startHalfTimeCountdown(modal) {
+        const display = modal.querySelector('.half-time-countdown');
+        const update = () => {
+            if (!this.timerManager?.isCountdownRunning?.()) return;
+            display.textContent = `Second half in ${Math.ceil(this.timerManager.getCountdownTime())}s`;
+        };
+
+        this.stopHalfTimeCountdown();
+        update();
+        this.halfTimeInterval = setInterval(update, 250);
+    }
+
+    /**
+     * Stops the half-time countdown display
+     */
+    stopHalfTimeCountdown() {
+        if (this.halfTimeInterval) {
+            clearInterval(this.halfTimeInterval);
+            this.halfTimeInterval = null;
+        }
+    }
+
+    /**
+     * Apply styles for the half-time modal
+     */
+    applyHalfTimeStyles() {
+        if (document.getElementById('half-time-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'half-time-styles';
+        style.textContent = `
+            .half-time-stat {
+                display: flex;
+                justify-content: space-between;
+                padding: 4px 0;
+                color: #e2e8f0;
+            }
+
+            .half-time-stat-label {
+                color: #94a3b8;
+                font-size: 14px;
+            }
+
+            .half-time-stake {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 12px;
+                color: #e2e8f0;
+            }
+
+            .half-time-stake input {
+                width: 100px;
+                padding: 8px;
+                border-radius: 6px;
+                border: 1px solid #475569;
+                background: rgba(15, 23, 42, 0.6);
+                color: #ffffff;
+            }
+
+            .half-time-odds {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 8px;
+            }
+
+            .half-time-bet {
+                border-color: #475569;
+                min-width: 0;
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                font-size: 14px;
+            }
+
+            .half-time-bet:hover {
+                border-color: #10b981;
+            }
+
+            .half-time-bet-odds {
+                color: #10b981;
+                font-size: 18px;
+            }
+
+            .half-time-message {
+                margin-top: 12px;
+                min-height: 20px;
+                font-size: 14px;
+            }
+
+            .half-time-message.won {
+                color: #10b981;
+            }
+
+            .half-time-message.lost {
+                color: #ef4444;
+            }
+
+            .half-time-countdown {
+                color: #94a3b8;
+                margin-bottom: 12px;
+                text-align: center;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
     /**
      * Apply additional styles for match summary modal
      */
@@ -363,6 +639,40 @@ export class BettingModal {
                 opacity: 0.9;
             }
 
+            .knockout-result {
+                margin-top: 6px;
+                font-size: 14px;
+                color: #f59e0b;
+            }
+
+            .match-incidents {
+                display: flex;
+                justify-content: space-between;
+                gap: 16px;
+                margin-top: 12px;
+                font-size: 13px;
+                color: #cbd5e1;
+            }
+
+            .incident-team {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+            }
+
+            .incident-team.away {
+                text-align: right;
+            }
+
+            .match-seed {
+                margin-top: 8px;
+                font-size: 12px;
+                font-family: monospace;
+                color: #94a3b8;
+                user-select: all;
+            }
+
             .summary-section {
                 margin-bottom: 20px;
                 padding: 16px;
@@ -444,6 +754,12 @@ export class BettingModal {
                 color: #94a3b8;
             }
 
+            .bet-legs-text {
+                font-size: 12px;
+                color: #64748b;
+                margin-top: 4px;
+            }
+
             .bet-result {
                 font-weight: 600;
                 font-size: 14px;
@@ -465,6 +781,18 @@ export class BettingModal {
                 border: 1px solid #ef4444;
             }
 
+            .bet-result.void {
+                color: #94a3b8;
+                background: rgba(148, 163, 184, 0.1);
+                border: 1px solid #94a3b8;
+            }
+
+            .bet-result.cashedOut {
+                color: #f59e0b;
+                background: rgba(245, 158, 11, 0.1);
+                border: 1px solid #f59e0b;
+            }
+
             .wallet-summary {
                 display: grid;
                 grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
@@ -610,10 +938,48 @@ export class BettingModal {
         document.head.appendChild(style);
     }
 
+    /**
+     * Renders goal scorers and cards per team under the final score
+     */
+    renderMatchIncidents(match) {
+        const goals = match.goals || [];
+        const bookings = match.bookings || [];
+        const substitutions = match.substitutions || [];
+        if (goals.length === 0 && bookings.length === 0 && substitutions.length === 0) return '';
+
+        const cardIcons = { yellow: '🟨', red: '🟥' };
+        const renderTeam = (team) => [
+            ...goals.filter(goal => goal.team === team)
+                .map(goal => ({ time: goal.time, text: `⚽ ${goal.player} ${Math.floor(goal.time)}'` })),
+            ...bookings.filter(booking => booking.team === team && booking.player)
+                .map(booking => ({ time: booking.time, text: `${cardIcons[booking.card]} ${booking.player} ${Math.floor(booking.time)}'` })),
+            ...substitutions.filter(sub => sub.team === team && sub.playerOn)
+                .map(sub => ({ time: sub.time, text: `🔄 ${sub.playerOn} for ${sub.playerOff} ${Math.floor(sub.time)}'` }))
+        ]
+            .sort((a, b) => a.time - b.time)
+            .map(incident => `<div class="incident">${incident.text}</div>`)
+            .join('');
+
+        return `
+            <div class="match-incidents">
+                <div class="incident-team home">${renderTeam('home')}</div>
+                <div class="incident-team away">${renderTeam('away')}</div>
+            </div>
+        `;
+    }
+
     /**
      * Get match outcome text for display
      */
     getMatchOutcomeText(outcome, match) {
+        if (match.abandoned) {
+            return `Abandoned at ${match.finalTime ?? 0}'`;
+        }
+
+        if (match.knockout && match.qualifier) {
+            return `${match.qualifier === 'home' ? match.homeTeam : match.awayTeam} Qualify!`;
+        }
+
         switch (outcome) {
             case 'home':
                 return `${match.homeTeam} Wins!`;
@@ -626,6 +992,44 @@ export class BettingModal {
         }
     }
 
+    /**
+     * Get why a bet was voided, for display
+     * @param {string} reason - Void reason kept on the bet, e.g. 'goalOverturned'
+     * @returns {string} Reason text
+     */
+    getVoidReasonText(reason) {
+        const labels = {
+            goalOverturned: 'goal overturned by VAR',
+            matchEnded: 'match ended before the outcome',
+            returnedToLobby: 'match abandoned',
+            error: 'match abandoned after an error',
+            reset: 'match abandoned by a game reset',
+            abandoned: 'match abandoned'
+        };
+
+        return labels[reason] || reason;
+    }
+
+    /**
+     * Render how a knockout tie was settled beyond 90 minutes
+     * @param {Object} match - Summary match data with regulationScore and shootout
+     * @returns {string} HTML, empty when the tie finished in normal time
+     */
+    renderKnockoutResult(match) {
+        const regulation = match.regulationScore;
+        const wentToExtraTime = match.knockout && regulation &&
+            (regulation.home !== match.homeScore || regulation.away !== match.awayScore || match.shootout);
+        if (!wentToExtraTime) return '';
+
+        const lines = [`After extra time (90 mins: ${regulation.home} - ${regulation.away})`];
+        if (match.shootout?.winner) {
+            const winner = match.shootout.winner === 'home' ? match.homeTeam : match.awayTeam;
+            lines.push(`${winner} win ${match.shootout.score.home} - ${match.shootout.score.away} on penalties`);
+        }
+
+        return `<div class="knockout-result">${lines.map(line => `<div>${line}</div>`).join('')}</div>`;
+    }
+
     /**
      * Determine match outcome from scores
      */
@@ -648,6 +1052,8 @@ export class BettingModal {
                 case 'draw': return 'Draw';
                 default: return bet.outcome;
             }
+        } else if (bet.type === 'accumulator') {
+            return `${bet.legs?.length || 0}-fold Accumulator`;
         } else {
             return bet.outcome || 'Action Bet';
         }
@@ -676,6 +1082,8 @@ export class BettingModal {
     closeModal() {
         if (!this.activeModal) return;
 
+        this.stopHalfTimeCountdown();
+
         // Trigger hide animation
         this.modalOverlay.classList.remove('show');
         
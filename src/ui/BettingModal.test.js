@@ -571,6 +571,31 @@ describe('BettingModal', () => {
         });
     });
 
+    describe('Half-Time Modal', () => {
+        const mockRecap = {
+            homeTeam: 'Arsenal',
+            awayTeam: 'Chelsea',
+            homeScore: 1,
+            awayScore: 0,
+            goals: [{ time: 30, team: 'home', player: 'Bukayo Saka', goalType: 'header' }],
+            bookings: [],
+            odds: { home: 1.45, draw: 4.10, away: 7.50 }
+        };
+
+        test('should show the half-time score recap and second-half odds', () => {
+            bettingModal.showHalfTimeModal(mockRecap, {});
+
+            expect(bettingModal.isModalActive()).toBe(true);
+
+            const modal = bettingModal.activeModal;
+            expect(modal.innerHTML).toContain('⏸️ Half-Time');
+            expect(modal.innerHTML).toContain('1 - 0');
+            expect(modal.innerHTML).toContain('Bukayo Saka');
+            expect(modal.innerHTML).toContain('1.45');
+            expect(modal.innerHTML).toContain('7.50');
+        });
+    });
+
     describe('Modal Management', () => {
         test('should close modal on overlay click', async () => {
             const mockEventData = {
@@ -2,14 +2,33 @@
  * LobbyScreen - Match selection interface with wallet display and classic mode toggle
  * Handles match selection and auto-join functionality
  */
+import { RandomGenerator } from '../utils/RandomGenerator.js';
+import { goalModel } from '../utils/GoalModel.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+import { tempoProfiles } from '../utils/TempoProfiles.js';
+
 export class LobbyScreen {
-    constructor() {
+    /**
+     * @param {RandomGenerator} [random] - Seeded generator for match listings
+     */
+    constructor(random = new RandomGenerator()) {
+        this.random = random;
         this.stateManager = null;
         this.element = null;
         this.availableMatches = [];
         this.selectedMatch = null;
         this.callbacks = {};
         
+        // Share of listed matches that are cup ties (extra time and penalties if level)
+        this.KNOCKOUT_SHARE = 0.3;
+
+        // Choices for what bet placement does when the price moved after the bet was opened
+        this.ODDS_CHANGE_OPTIONS = [
+            { value: 'higher', label: 'Accept higher odds' },
+            { value: 'any', label: 'Accept any odds' },
+            { value: 'confirm', label: 'Always confirm' }
+        ];
+        
         // Generate available matches
         this.generateAvailableMatches();
     }
@@ -58,7 +77,7 @@ export class LobbyScreen {
         this.availableMatches = [];
         
         // Generate 3-5 random matches
-        const numMatches = 3 + Math.floor(Math.random() * 3);
+        const numMatches = this.random.nextInt(3, 5);
         const usedTeams = new Set();
         
         for (let i = 0; i < numMatches; i++) {
@@ -66,37 +85,35 @@ export class LobbyScreen {
             
             // Ensure unique teams
             do {
-                homeTeam = teams[Math.floor(Math.random() * teams.length)];
+                homeTeam = this.random.pick(teams);
             } while (usedTeams.has(homeTeam));
             usedTeams.add(homeTeam);
             
             do {
-                awayTeam = teams[Math.floor(Math.random() * teams.length)];
+                awayTeam = this.random.pick(teams);
             } while (usedTeams.has(awayTeam));
             usedTeams.add(awayTeam);
             
-            // Generate realistic odds with some variation
-            const baseOdds = { home: 1.85, draw: 3.50, away: 4.20 };
-            const variation = 0.3;
+            // Price the match from the same ratings that drive the simulation
+            const teamRatings = goalModel.getMatchRatings(homeTeam, awayTeam);
+            const knockout = this.random.next() < this.KNOCKOUT_SHARE;
+            const tempo = tempoProfiles.pickProfile(this.random, homeTeam, awayTeam);
             
             const match = {
                 id: `match_${i + 1}`,
                 homeTeam,
                 awayTeam,
-                odds: {
-                    home: Math.max(1.20, baseOdds.home + (Math.random() - 0.5) * variation),
-                    draw: Math.max(2.50, baseOdds.draw + (Math.random() - 0.5) * variation),
-                    away: Math.max(1.20, baseOdds.away + (Math.random() - 0.5) * variation)
-                },
+                teamRatings,
+                odds: oddsCalculator.getInitialOdds(teamRatings),
+                knockout,
+                qualifyOdds: knockout ? oddsCalculator.calculateQualifyOdds({ teamRatings }) : null,
+                tempo,
                 status: 'available',
-                kickoff: this.generateKickoffTime()
+                kickoff: this.generateKickoffTime(),
+                // Each match carries its own seed so it can be replayed exactly
+                seed: this.random.nextSeed()
             };
             
-            // Round odds to 2 decimal places
-            match.odds.home = Math.round(match.odds.home * 100) / 100;
-            match.odds.draw = Math.round(match.odds.draw * 100) / 100;
-            match.odds.away = Math.round(match.odds.away * 100) / 100;
-            
             this.availableMatches.push(match);
         }
     }
@@ -106,7 +123,7 @@ export class LobbyScreen {
      */
     generateKickoffTime() {
         const now = new Date();
-        const minutes = Math.floor(Math.random() * 60) + 5; // 5-65 minutes from now
+        const minutes = this.random.nextInt(5, 64); // 5-65 minutes from now
         const kickoff = new Date(now.getTime() + minutes * 60000);
         
         return kickoff.toLocaleTimeString('en-US', { 
@@ -139,6 +156,7 @@ export class LobbyScreen {
     getHTML(state) {
         const wallet = state.wallet || 1000;
         const classicMode = state.classicMode || false;
+        const oddsChangePolicy = state.oddsChangePolicy || 'higher';
         
         return `
             <div class="lobby-container">
@@ -163,6 +181,14 @@ export class LobbyScreen {
                                 <span class="info-text">Disables power-up system</span>
                             </div>
                         </div>
+                        <div class="odds-change-setting">
+                            <label for="odds-change-policy" class="setting-label">When odds change</label>
+                            <select id="odds-change-policy">
+                                ${this.ODDS_CHANGE_OPTIONS.map(option => `
+                                    <option value="${option.value}" ${option.value === oddsChangePolicy ? 'selected' : ''}>${option.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
                     </div>
                 </header>
 
@@ -195,7 +221,9 @@ export class LobbyScreen {
      */
     renderMatchCard(match) {
         return `
-            <div class="match-card" data-match-id="${match.id}">
+            <div class="match-card${match.knockout ? ' knockout' : ''}" data-match-id="${match.id}">
+                ${match.knockout ? '<div class="cup-tie-badge">🏆 Cup tie</div>' : ''}
+                ${this.renderTempoBadge(match)}
                 <div class="match-header">
                     <div class="match-teams">
                         <span class="home-team">${match.homeTeam}</span>
@@ -213,19 +241,19 @@ export class LobbyScreen {
                     <div class="odds-grid">
                         <div class="odds-item">
                             <span class="odds-label">Home</span>
-                            <span class="odds-value">${match.odds.home.toFixed(2)}</span>
+                            <span class="odds-value">${this.formatOdds(match.odds.home)}</span>
                         </div>
                         <div class="odds-item">
                             <span class="odds-label">Draw</span>
-                            <span class="odds-value">${match.odds.draw.toFixed(2)}</span>
+                            <span class="odds-value">${this.formatOdds(match.odds.draw)}</span>
                         </div>
                         <div class="odds-item">
                             <span class="odds-label">Away</span>
-                            <span class="odds-value">${match.odds.away.toFixed(2)}</span>
+                            <span class="odds-value">${this.formatOdds(match.odds.away)}</span>
                         </div>
                     </div>
                 </div>
-                
+                ${match.knockout ? this.renderQualifyOdds(match) : ''}
                 <div class="match-actions">
                     <button class="btn btn-primary join-match-btn" data-match-id="${match.id}">
                         Join Match
@@ -235,6 +263,43 @@ export class LobbyScreen {
         `;
     }
 
+    /**
+     * Format a price for display; outcomes too near certain to price show a dash
+     */
+    formatOdds(odds) {
+        return odds ? odds.toFixed(2) : '-';
+    }
+
+    /**
+     * Render the tempo profile the match is expected to follow
+     */
+    renderTempoBadge(match) {
+        if (!match.tempo) return '';
+        const profile = tempoProfiles.getProfile(match.tempo);
+        return `<div class="tempo-badge" data-tempo="${profile.id}" title="${profile.description}">${profile.icon} ${profile.name}</div>`;
+    }
+
+    /**
+     * Render the "to qualify" odds of a cup tie
+     */
+    renderQualifyOdds(match) {
+        return `
+                <div class="match-odds qualify-odds">
+                    <div class="odds-header">To Qualify</div>
+                    <div class="odds-grid">
+                        <div class="odds-item">
+                            <span class="odds-label">${match.homeTeam}</span>
+                            <span class="odds-value">${this.formatOdds(match.qualifyOdds.home)}</span>
+                        </div>
+                        <div class="odds-item">
+                            <span class="odds-label">${match.awayTeam}</span>
+                            <span class="odds-value">${this.formatOdds(match.qualifyOdds.away)}</span>
+                        </div>
+                    </div>
+                </div>
+        `;
+    }
+
     /**
      * Setup event listeners for lobby interactions
      */
@@ -249,6 +314,14 @@ export class LobbyScreen {
             });
         }
 
+        // Odds change policy
+        const oddsChangeSelect = this.element.querySelector('#odds-change-policy');
+        if (oddsChangeSelect) {
+            oddsChangeSelect.addEventListener('change', (event) => {
+                this.handleOddsChangePolicy(event.target.value);
+            });
+        }
+
         // Match selection buttons
         const joinButtons = this.element.querySelectorAll('.join-match-btn');
         joinButtons.forEach(button => {
@@ -276,6 +349,22 @@ export class LobbyScreen {
         });
     }
 
+    /**
+     * Handle odds change policy selection
+     */
+    handleOddsChangePolicy(policy) {
+        if (this.stateManager) {
+            this.stateManager.updateState({
+                oddsChangePolicy: policy
+            });
+        }
+
+        const option = this.ODDS_CHANGE_OPTIONS.find(o => o.value === policy);
+        if (window.uiManager && option) {
+            window.uiManager.showNotification(`Odds changes: ${option.label}`, 'info', 'Setting Changed');
+        }
+    }
+
     /**
      * Handle classic mode toggle
      */
@@ -408,6 +497,12 @@ export class LobbyScreen {
         if (classicModeCheckbox && state.classicMode !== undefined) {
             classicModeCheckbox.checked = state.classicMode;
         }
+
+        // Update odds change policy
+        const oddsChangeSelect = this.element.querySelector('#odds-change-policy');
+        if (oddsChangeSelect && state.oddsChangePolicy) {
+            oddsChangeSelect.value = state.oddsChangePolicy;
+        }
     }
 
     /**
@@ -597,6 +692,26 @@ const lobbyStyles = `
         color: #94a3b8;
     }
 
+    /* Odds Change Setting */
+    .odds-change-setting {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 8px;
+    }
+
+    .setting-label {
+        font-weight: 600;
+    }
+
+    #odds-change-policy {
+        background: #334155;
+        color: #e2e8f0;
+        border: 2px solid #64748b;
+        border-radius: 8px;
+        padding: 6px 10px;
+    }
+
     /* Main Content */
     .lobby-main {
         display: grid;
@@ -711,6 +826,34 @@ const lobbyStyles = `
         font-size: 1.1rem;
     }
 
+    /* Cup Ties */
+    .cup-tie-badge {
+        display: inline-block;
+        margin-bottom: 8px;
+        padding: 2px 8px;
+        border-radius: 4px;
+        background: rgba(245, 158, 11, 0.2);
+        color: #f59e0b;
+        font-size: 0.8rem;
+        font-weight: 600;
+    }
+
+    /* Tempo Profiles */
+    .tempo-badge {
+        display: inline-block;
+        margin-bottom: 8px;
+        padding: 2px 8px;
+        border-radius: 4px;
+        background: rgba(99, 102, 241, 0.2);
+        color: #a5b4fc;
+        font-size: 0.8rem;
+        font-weight: 600;
+    }
+
+    .qualify-odds .odds-grid {
+        grid-template-columns: repeat(2, 1fr);
+    }
+
     /* Match Actions */
     .match-actions {
         text-align: center;
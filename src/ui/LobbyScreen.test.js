@@ -132,6 +132,26 @@ describe('LobbyScreen', () => {
         });
     });
 
+    describe('Odds Change Setting', () => {
+        test('should store the chosen odds change policy', () => {
+            const element = lobbyScreen.render(stateManager.getState());
+            document.body.appendChild(element);
+
+            const select = element.querySelector('#odds-change-policy');
+            expect(select.value).toBe('higher');
+
+            select.value = 'confirm';
+            select.dispatchEvent(new Event('change'));
+
+            expect(stateManager.getState().oddsChangePolicy).toBe('confirm');
+            expect(mockUIManager.showNotification).toHaveBeenCalledWith(
+                'Odds changes: Always confirm',
+                'info',
+                'Setting Changed'
+            );
+        });
+    });
+
     describe('Classic Mode Toggle', () => {
         test('should handle classic mode toggle', () => {
             const state = stateManager.getState();
@@ -356,6 +376,35 @@ describe('LobbyScreen', () => {
             });
         });
 
+        test('should mark cup ties and price them to qualify', () => {
+            lobbyScreen.availableMatches[0] = {
+                ...lobbyScreen.availableMatches[0],
+                knockout: true,
+                qualifyOdds: { home: 1.40, away: 3.10 }
+            };
+            lobbyScreen.availableMatches[1] = { ...lobbyScreen.availableMatches[1], knockout: false, qualifyOdds: null };
+
+            const element = lobbyScreen.render(stateManager.getState());
+            const [cupTie, leagueMatch] = element.querySelectorAll('.match-card');
+
+            expect(cupTie.classList.contains('knockout')).toBe(true);
+            expect(cupTie.querySelector('.cup-tie-badge')).toBeTruthy();
+            expect(cupTie.querySelector('.qualify-odds').textContent).toContain('3.10');
+            expect(leagueMatch.querySelector('.cup-tie-badge')).toBeNull();
+            expect(leagueMatch.querySelector('.qualify-odds')).toBeNull();
+        });
+
+        test('should show the tempo profile on match cards', () => {
+            lobbyScreen.availableMatches[0] = { ...lobbyScreen.availableMatches[0], tempo: 'late_drama' };
+
+            const element = lobbyScreen.render(stateManager.getState());
+            const badge = element.querySelector('.match-card .tempo-badge');
+
+            expect(badge.dataset.tempo).toBe('late_drama');
+            expect(badge.textContent).toContain('Late drama');
+            lobbyScreen.availableMatches.forEach(match => expect(match.tempo).toEqual(expect.any(String)));
+        });
+
         test('should refresh matches', () => {
             const originalMatches = lobbyScreen.getAvailableMatches();
             
@@ -1,13 +1,18 @@
 /**
  * MatchScreen - Main match interface with live updates and betting controls
  * Displays live match timer, score, team information, continuous betting buttons,
- * event feed, wallet tracking, and power-up display with real-time state updates
+ * event feed, match stats, wallet tracking, and power-up display with real-time state updates
  */
+import { TimerManager } from '../systems/TimerManager.js';
+import { oddsCalculator } from '../utils/OddsCalculator.js';
+import { MarketRegistry } from '../betting/MarketRegistry.js';
+
 export class MatchScreen {
     constructor() {
         this.element = null;
         this.stateManager = null;
         this.fullMatchBetting = null;
+        this.marketRegistry = null;
         this.eventFeedContainer = null;
         this.walletDisplay = null;
         this.powerUpDisplay = null;
@@ -16,8 +21,27 @@ export class MatchScreen {
         this.teamDisplay = null;
         this.oddsDisplay = null;
         this.betsDisplay = null;
+        this.betSlipDisplay = null;
+        this.statsDisplay = null;
+        this.activeMarketTab = 'result';
         this.isInitialized = false;
         this.callbacks = {};
+
+        // Goal markets with a button per selection, and the match field holding their odds
+        this.GOAL_MARKET_ODDS = {
+            overUnder: 'overUnderOdds',
+            btts: 'bttsOdds',
+            correctScore: 'correctScoreOdds',
+            nextGoal: 'nextGoalOdds'
+        };
+
+        // Badge text for each market status; open markets show none
+        this.MARKET_STATUS_LABELS = {
+            open: '',
+            suspended: 'Suspended',
+            closed: 'Closed',
+            settled: 'Settled'
+        };
     }
 
     /**
@@ -27,6 +51,7 @@ export class MatchScreen {
     initialize(dependencies = {}) {
         this.stateManager = dependencies.stateManager;
         this.fullMatchBetting = dependencies.fullMatchBetting;
+        this.marketRegistry = dependencies.marketRegistry || new MarketRegistry(dependencies.stateManager);
         this.isInitialized = true;
     }
 
@@ -61,7 +86,9 @@ export class MatchScreen {
                         <span class="match-score">${state.match.homeScore} - ${state.match.awayScore}</span>
                         <span class="away-team">${state.match.awayTeam || 'Away'}</span>
                     </div>
-                    <div class="match-timer">${Math.floor(state.match.time)}'</div>
+                    <div class="match-timer">${TimerManager.formatMatchClock(state.match.time, state.match.addedTime)}</div>
+                    <div class="players-on-pitch" id="players-on-pitch">${this.renderPlayersOnPitch(state.match)}</div>
+                    <div class="shootout-panel" id="shootout-panel">${this.renderShootout(state.match)}</div>
                 </div>
                 <div class="match-status">
                     <div class="wallet-section">
@@ -76,14 +103,64 @@ export class MatchScreen {
 
             <div class="match-content">
                 <div class="betting-section">
-                    <h3>Match Outcome Betting</h3>
-                    <div class="betting-buttons-container">
-                        ${this.renderBettingButtons(state)}
+                    <div class="market-tabs">
+                        ${this.renderMarketTabs()}
+                    </div>
+                    <div class="market-panel${this.activeMarketTab === 'result' ? '' : ' hidden'}" data-market-panel="result">
+                        <h3>${state.match.knockout ? 'Match Result (90 mins)' : 'Match Outcome Betting'}${this.renderMarketStatus('fullMatch', state)}</h3>
+                        <div class="betting-buttons-container">
+                            ${this.renderBettingButtons(state)}
+                        </div>
+                        ${state.match.knockout ? `
+                        <h3>To Qualify${this.renderMarketStatus('toQualify', state)}</h3>
+                        <div class="betting-buttons-container qualify-buttons-container">
+                            ${this.renderQualifyButtons(state)}
+                        </div>` : ''}
+                    </div>
+                    <div class="market-panel${this.activeMarketTab === 'overUnder' ? '' : ' hidden'}" data-market-panel="overUnder">
+                        <h3>Total Goals (90 mins)${this.renderMarketStatus('overUnder', state)}</h3>
+                        <div class="over-under-container">
+                            ${this.renderOverUnderButtons(state)}
+                        </div>
+                    </div>
+                    <div class="market-panel${this.activeMarketTab === 'btts' ? '' : ' hidden'}" data-market-panel="btts">
+                        <h3>Both Teams To Score (90 mins)${this.renderMarketStatus('btts', state)}</h3>
+                        <div class="betting-buttons-container">
+                            ${this.renderBttsButtons(state)}
+                        </div>
+                    </div>
+                    <div class="market-panel${this.activeMarketTab === 'correctScore' ? '' : ' hidden'}" data-market-panel="correctScore">
+                        <h3>Correct Score (90 mins)${this.renderMarketStatus('correctScore', state)}</h3>
+                        ${this.renderCorrectScoreGrid(state)}
+                    </div>
+                    <div class="market-panel${this.activeMarketTab === 'nextGoal' ? '' : ' hidden'}" data-market-panel="nextGoal">
+                        <h3>Next Goal${this.renderMarketStatus('nextGoal', state)}</h3>
+                        <div class="betting-buttons-container">
+                            ${this.renderNextGoalButtons(state)}
+                        </div>
+                    </div>
+                    <div class="market-panel${this.activeMarketTab === 'goalscorer' ? '' : ' hidden'}" data-market-panel="goalscorer">
+                        <h3>Anytime Goalscorer (90 mins)${this.renderMarketStatus('goalscorer', state)}</h3>
+                        <div class="betting-buttons-container">
+                            ${this.renderGoalscorerButton(state)}
+                        </div>
                     </div>
                     <div class="betting-form-container" id="betting-form-container"></div>
                 </div>
 
                 <div class="match-stats">
+                    <div class="stats-panel">
+                        <h4>Match Stats</h4>
+                        <div class="stats-display" id="stats-display">
+                            ${this.renderMatchStats(state.match.stats)}
+                        </div>
+                    </div>
+                    <div class="bet-slip-panel">
+                        <h4>Bet Slip</h4>
+                        <div class="bet-slip" id="bet-slip">
+                            ${this.renderBetSlip(state)}
+                        </div>
+                    </div>
                     <div class="current-bets">
                         <h4>Your Bets</h4>
                         <div class="bets-display" id="bets-display">
@@ -93,6 +170,9 @@ export class MatchScreen {
                 </div>
 
                 <div class="event-feed-section">
+                    <div class="opportunity-queue" id="opportunity-queue">
+                        ${this.renderOpportunityQueue(state.opportunityQueue)}
+                    </div>
                     <h4>Match Events</h4>
                     <div class="event-feed" id="event-feed">
                         ${this.renderEventFeed(state.match.eventFeed)}
@@ -103,6 +183,7 @@ export class MatchScreen {
 
         // Cache important elements
         this.cacheElements();
+        this.renderedBetSlip = JSON.stringify(state.betSlip);
 
         // Setup event listeners
         this.setupEventListeners();
@@ -128,13 +209,25 @@ export class MatchScreen {
         this.walletDisplay = this.element.querySelector('.wallet-balance');
         this.powerUpDisplay = this.element.querySelector('.power-up-section');
         this.eventFeedContainer = this.element.querySelector('#event-feed');
+        this.opportunityQueueDisplay = this.element.querySelector('#opportunity-queue');
         this.betsDisplay = this.element.querySelector('#bets-display');
+        this.betSlipDisplay = this.element.querySelector('#bet-slip');
+        this.statsDisplay = this.element.querySelector('#stats-display');
         this.bettingFormContainer = this.element.querySelector('#betting-form-container');
+        this.shootoutDisplay = this.element.querySelector('#shootout-panel');
+        this.playersOnPitchDisplay = this.element.querySelector('#players-on-pitch');
         this.oddsDisplay = {
             home: this.element.querySelector('.odds-home'),
             draw: this.element.querySelector('.odds-draw'),
             away: this.element.querySelector('.odds-away')
         };
+        this.qualifyOddsDisplay = {
+            home: this.element.querySelector('.qualify-odds-home'),
+            away: this.element.querySelector('.qualify-odds-away')
+        };
+        this.goalMarketButtons = this.element.querySelectorAll(
+            Object.keys(this.GOAL_MARKET_ODDS).map(market => `[data-market="${market}"]`).join(', '));
+        this.goalscorerButton = this.element.querySelector('.goalscorer-button');
     }
 
     /**
@@ -147,11 +240,40 @@ export class MatchScreen {
         const bettingButtons = this.element.querySelectorAll('.betting-button');
         bettingButtons.forEach(button => {
             button.addEventListener('click', (e) => {
-                const outcome = e.currentTarget.dataset.outcome;
-                this.showBettingForm(outcome);
+                const { outcome, market } = e.currentTarget.dataset;
+                this.showBettingForm(outcome, market);
+            });
+        });
+
+        // Market tab clicks
+        this.element.querySelectorAll('.market-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                this.selectMarketTab(e.currentTarget.dataset.marketTab);
             });
         });
 
+        // Cash-out clicks in the bet list (the list is re-rendered on every update)
+        if (this.betsDisplay) {
+            this.betsDisplay.addEventListener('click', (e) => {
+                const cashOutButton = e.target.closest('.cash-out-btn');
+                if (cashOutButton) {
+                    this.fullMatchBetting?.cashOut(cashOutButton.dataset.betId, Number(cashOutButton.dataset.fraction));
+                }
+            });
+        }
+
+        // Bet slip clicks (the slip is re-rendered as selections change)
+        if (this.betSlipDisplay) {
+            this.betSlipDisplay.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('.remove-leg-btn');
+                if (removeButton) {
+                    this.fullMatchBetting?.removeFromBetSlip(Number(removeButton.dataset.legIndex));
+                } else if (e.target.closest('.place-slip-btn')) {
+                    this.handleBetSlipPlacement(parseFloat(this.betSlipDisplay.querySelector('#slip-stake').value));
+                }
+            });
+        }
+
         // Power-up button click
         const powerUpButton = this.element.querySelector('.power-up-button');
         if (powerUpButton) {
@@ -161,6 +283,42 @@ export class MatchScreen {
         }
     }
 
+    /**
+     * Render the market tabs above the betting buttons
+     * @returns {string} HTML for market tabs
+     */
+    renderMarketTabs() {
+        const tabs = [
+            { id: 'result', label: 'Match Result' },
+            { id: 'overUnder', label: 'Over/Under' },
+            { id: 'btts', label: 'Both Teams To Score' },
+            { id: 'correctScore', label: 'Correct Score' },
+            { id: 'nextGoal', label: 'Next Goal' },
+            { id: 'goalscorer', label: 'Goalscorer' }
+        ];
+
+        return tabs.map(tab => `
+            <button class="market-tab${tab.id === this.activeMarketTab ? ' active' : ''}" data-market-tab="${tab.id}">${tab.label}</button>
+        `).join('');
+    }
+
+    /**
+     * Show one market's betting buttons and hide the others
+     * @param {string} tabId - 'result', 'overUnder', 'btts', 'correctScore', 'nextGoal' or 'goalscorer'
+     */
+    selectMarketTab(tabId) {
+        if (!this.element) return;
+
+        this.activeMarketTab = tabId;
+        this.element.querySelectorAll('.market-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.marketTab === tabId);
+        });
+        this.element.querySelectorAll('.market-panel').forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.marketPanel !== tabId);
+        });
+        this.closeBettingForm();
+    }
+
     /**
      * Render betting buttons for match outcomes
      * @param {Object} state - Current game state
@@ -170,29 +328,268 @@ export class MatchScreen {
         const odds = state.match?.odds || { home: 1.85, draw: 3.50, away: 4.20 };
         const homeTeam = state.match?.homeTeam || 'Home';
         const awayTeam = state.match?.awayTeam || 'Away';
+        const open = this.isMarketOpen('fullMatch', state);
+        const disabled = outcome => (open && odds[outcome] ? '' : ' disabled');
+        const price = outcome => (odds[outcome] ? odds[outcome].toFixed(2) : '-');
 
         return `
-            <button class="betting-button btn-primary" data-outcome="home">
+            <button class="betting-button btn-primary" data-outcome="home"${disabled('home')}>
                 <div class="betting-button-content">
                     <span class="outcome-label">${homeTeam}</span>
-                    <span class="odds-display odds-home">${odds.home.toFixed(2)}</span>
+                    <span class="odds-display odds-home">${price('home')}</span>
                 </div>
             </button>
-            <button class="betting-button btn-primary" data-outcome="draw">
+            <button class="betting-button btn-primary" data-outcome="draw"${disabled('draw')}>
                 <div class="betting-button-content">
                     <span class="outcome-label">Draw</span>
-                    <span class="odds-display odds-draw">${odds.draw.toFixed(2)}</span>
+                    <span class="odds-display odds-draw">${price('draw')}</span>
                 </div>
             </button>
-            <button class="betting-button btn-primary" data-outcome="away">
+            <button class="betting-button btn-primary" data-outcome="away"${disabled('away')}>
                 <div class="betting-button-content">
                     <span class="outcome-label">${awayTeam}</span>
-                    <span class="odds-display odds-away">${odds.away.toFixed(2)}</span>
+                    <span class="odds-display odds-away">${price('away')}</span>
+                </div>
+            </button>
+        `;
+    }
+
+    /**
+     * Render "to qualify" buttons for knockout ties
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for qualify buttons
+     */
+    renderQualifyButtons(state) {
+        const odds = state.match?.qualifyOdds || { home: 1.9, away: 1.9 };
+        const open = this.isMarketOpen('toQualify', state);
+
+        return ['home', 'away'].map(outcome => `
+            <button class="betting-button qualify-button btn-primary" data-outcome="${outcome}" data-market="toQualify"${open && odds[outcome] ? '' : ' disabled'}>
+                <div class="betting-button-content">
+                    <span class="outcome-label">${this.getOutcomeLabel(outcome, state)}</span>
+                    <span class="odds-display qualify-odds-${outcome}">${odds[outcome] ? odds[outcome].toFixed(2) : '-'}</span>
+                </div>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Check whether a market is taking bets
+     * @param {string} market - Market ID
+     * @param {Object} state - Current game state
+     * @returns {boolean} True while the market is open
+     */
+    isMarketOpen(market, state) {
+        return !this.marketRegistry || this.marketRegistry.isOpen(market, state.markets);
+    }
+
+    /**
+     * Render the status badge shown in a market heading; open markets have no badge text
+     * @param {string} market - Market ID
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for the badge
+     */
+    renderMarketStatus(market, state) {
+        const status = this.marketRegistry ? this.marketRegistry.getStatus(market, state.markets) : 'open';
+
+        return `<span class="market-status market-status-${status}" data-status-market="${market}">${this.MARKET_STATUS_LABELS[status]}</span>`;
+    }
+
+    /**
+     * Render the button for one selection of a goal market; closed selections, and every
+     * selection while the market is not open, are disabled
+     * @param {string} market - 'overUnder', 'btts', 'correctScore' or 'nextGoal'
+     * @param {string} outcome - Selection, e.g. 'over_2.5', 'yes' or '2-1'
+     * @param {string} label - Button label
+     * @param {Object} state - Current game state holding the market odds and statuses
+     * @param {string} className - Extra class for the market's layout
+     * @returns {string} HTML for the button
+     */
+    renderSelectionButton(market, outcome, label, state, className) {
+        const odds = oddsCalculator.getSelectionOdds(state.match || {}, market, outcome);
+        const open = Boolean(odds) && this.isMarketOpen(market, state);
+
+        return `
+            <button class="betting-button ${className} btn-primary" data-outcome="${outcome}" data-market="${market}"${open ? '' : ' disabled'}>
+                <div class="betting-button-content">
+                    <span class="outcome-label">${label}</span>
+                    <span class="odds-display">${odds ? odds.toFixed(2) : '-'}</span>
                 </div>
             </button>
         `;
     }
 
+    /**
+     * Render Over/Under buttons, one row per goals line; lines already passed are closed
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for Over/Under buttons
+     */
+    renderOverUnderButtons(state) {
+        return oddsCalculator.OVER_UNDER_LINES.map(line => `
+            <div class="over-under-row" data-line="${line}">
+                <span class="over-under-line">${line} goals</span>
+                ${this.renderSelectionButton('overUnder', `over_${line}`, 'Over', state, 'over-under-button')}
+                ${this.renderSelectionButton('overUnder', `under_${line}`, 'Under', state, 'over-under-button')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render Both Teams To Score buttons; both close once both teams have scored
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for yes/no buttons
+     */
+    renderBttsButtons(state) {
+        return this.renderSelectionButton('btts', 'yes', 'Yes', state, 'btts-button')
+            + this.renderSelectionButton('btts', 'no', 'No', state, 'btts-button');
+    }
+
+    /**
+     * Render the Correct Score picker: a grid with home goals down the side and away
+     * goals across the top, then "any other score". Scores already passed are closed.
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for the score grid
+     */
+    renderCorrectScoreGrid(state) {
+        const goals = Array.from({ length: oddsCalculator.CORRECT_SCORE_MAX_GOALS + 1 }, (_, index) => index);
+        const homeTeam = state.match?.homeTeam || 'Home';
+        const awayTeam = state.match?.awayTeam || 'Away';
+
+        const header = goals.map(away => `<span class="score-grid-head">${away}</span>`).join('');
+        const rows = goals.map(home => `
+            <span class="score-grid-head">${home}</span>
+            ${goals.map(away => this.renderSelectionButton(
+                'correctScore', `${home}-${away}`, `${home}-${away}`, state, 'score-cell')).join('')}
+        `).join('');
+
+        return `
+            <div class="score-grid-legend">Rows: ${homeTeam} goals · Columns: ${awayTeam} goals</div>
+            <div class="score-grid">
+                <span class="score-grid-head"></span>
+                ${header}
+                ${rows}
+            </div>
+            <div class="betting-buttons-container">
+                ${this.renderSelectionButton('correctScore', oddsCalculator.CORRECT_SCORE_OTHER, 'Any other score', state, 'score-other')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render next goal buttons: either side, or no more goals in the 90 minutes.
+     * The market re-opens at new prices after every goal.
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for next goal buttons
+     */
+    renderNextGoalButtons(state) {
+        return this.renderSelectionButton('nextGoal', 'home', this.getOutcomeLabel('home', state), state, 'next-goal-button')
+            + this.renderSelectionButton('nextGoal', 'none', 'No more goals', state, 'next-goal-button')
+            + this.renderSelectionButton('nextGoal', 'away', this.getOutcomeLabel('away', state), state, 'next-goal-button');
+    }
+
+    /**
+     * Render the goalscorer button; the player is picked in the betting form
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for the goalscorer button
+     */
+    renderGoalscorerButton(state) {
+        const open = Boolean(this.getFavouriteGoalscorer(state.match)) && this.isMarketOpen('goalscorer', state);
+
+        return `
+            <button class="betting-button goalscorer-button btn-primary" data-outcome="" data-market="goalscorer"${open ? '' : ' disabled'}>
+                <div class="betting-button-content">
+                    <span class="outcome-label">Pick a goalscorer</span>
+                </div>
+            </button>
+        `;
+    }
+
+    /**
+     * Get the shortest-priced player in the goalscorer market
+     * @param {Object} match - Match state
+     * @returns {string|null} Outcome such as 'home:Saka', or null while the market is closed
+     */
+    getFavouriteGoalscorer(match) {
+        const entries = Object.entries(match?.goalscorerOdds || {});
+        if (entries.length === 0) return null;
+
+        return entries.reduce((best, entry) => (entry[1] < best[1] ? entry : best))[0];
+    }
+
+    /**
+     * Render the goalscorer picker for the betting form, one group per team
+     * @param {Object} state - Current game state
+     * @param {string} selected - Selected outcome
+     * @returns {string} HTML for the player select
+     */
+    renderGoalscorerSelect(state, selected) {
+        const odds = state.match?.goalscorerOdds || {};
+        const groups = ['home', 'away'].map(team => {
+            const options = Object.keys(odds)
+                .filter(outcome => oddsCalculator.parseGoalscorerOutcome(outcome)?.team === team)
+                .map(outcome => `
+                    <option value="${outcome}"${outcome === selected ? ' selected' : ''}>${oddsCalculator.parseGoalscorerOutcome(outcome).player} (${odds[outcome].toFixed(2)})</option>
+                `).join('');
+            return options ? `<optgroup label="${this.getOutcomeLabel(team, state)}">${options}</optgroup>` : '';
+        }).join('');
+
+        return `
+            <div class="bet-player-section">
+                <label for="bet-player">Player:</label>
+                <select id="bet-player">${groups}</select>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the players-on-pitch indicator, e.g. "🟥 10 v 11"
+     * @param {Object} match - Match state
+     * @returns {string} Indicator text (empty while both sides have eleven)
+     */
+    renderPlayersOnPitch(match) {
+        const players = match?.playersOnPitch;
+        if (!players || (players.home === 11 && players.away === 11)) return '';
+        return `🟥 ${players.home} v ${players.away}`;
+    }
+
+    /**
+     * Render the penalty shootout scoreboard: ● scored, ✕ missed, ○ still to take
+     * @param {Object} match - Match state
+     * @returns {string} HTML for the shootout panel (empty outside a shootout)
+     */
+    renderShootout(match) {
+        const shootout = match?.shootout;
+        if (!shootout) return '';
+
+        const kicksPerTeam = Math.max(5, ...['home', 'away'].map(team =>
+            shootout.kicks.filter(kick => kick.team === team).length));
+
+        const renderRow = (team) => {
+            const kicks = shootout.kicks.filter(kick => kick.team === team);
+            const marks = Array.from({ length: kicksPerTeam }, (_, index) => {
+                const kick = kicks[index];
+                if (!kick) return '<span class="shootout-kick pending">○</span>';
+                return kick.scored
+                    ? '<span class="shootout-kick scored">●</span>'
+                    : '<span class="shootout-kick missed">✕</span>';
+            }).join('');
+
+            return `
+                <div class="shootout-row${shootout.winner === team ? ' shootout-winner' : ''}">
+                    <span class="shootout-team">${this.getOutcomeLabel(team, { match })}</span>
+                    <span class="shootout-kicks">${marks}</span>
+                    <span class="shootout-score">${shootout.score[team]}</span>
+                </div>
+            `;
+        };
+
+        return `
+            <div class="shootout-title">Penalties</div>
+            ${renderRow('home')}
+            ${renderRow('away')}
+        `;
+    }
+
     /**
      * Render power-up display section
      * @param {Object} powerUp - Power-up state
@@ -218,31 +615,75 @@ export class MatchScreen {
      * @returns {string} HTML for bets display
      */
     renderCurrentBets(bets) {
-        if (!bets || (!bets.fullMatch?.length && !bets.actionBets?.length)) {
+        const categories = [
+            { key: 'fullMatch', title: 'Full Match Bets' },
+            { key: 'toQualify', title: 'To Qualify' },
+            { key: 'overUnder', title: 'Over/Under' },
+            { key: 'btts', title: 'Both Teams To Score' },
+            { key: 'correctScore', title: 'Correct Score' },
+            { key: 'nextGoal', title: 'Next Goal' },
+            { key: 'goalscorer', title: 'Goalscorer' },
+            { key: 'accumulator', title: 'Accumulators' },
+            { key: 'actionBets', title: 'Action Bets' }
+        ].filter(category => bets?.[category.key]?.length);
+
+        if (categories.length === 0) {
             return '<div class="no-bets">No active bets</div>';
         }
 
-        let html = '';
+        return categories.map(({ key, title }) =>
+            `<div class="bet-category"><h5>${title}</h5>${bets[key].map(bet => this.renderBetItem(bet)).join('')}</div>`
+        ).join('');
+    }
 
-        // Full match bets
-        if (bets.fullMatch?.length) {
-            html += '<div class="bet-category"><h5>Full Match Bets</h5>';
-            bets.fullMatch.forEach(bet => {
-                html += this.renderBetItem(bet);
-            });
-            html += '</div>';
-        }
+    /**
+     * Render the legs of an accumulator with how each has settled
+     * @param {Array} legs - Accumulator legs
+     * @returns {string} HTML for the leg list
+     */
+    renderAccumulatorLegs(legs) {
+        const state = this.stateManager?.getState() || {};
+        const icons = { won: '✅', lost: '❌', void: '↩️', pending: '⏳' };
 
-        // Action bets
-        if (bets.actionBets?.length) {
-            html += '<div class="bet-category"><h5>Action Bets</h5>';
-            bets.actionBets.forEach(bet => {
-                html += this.renderBetItem(bet);
-            });
-            html += '</div>';
+        return `
+            <ul class="bet-legs">
+                ${legs.map(leg => `
+                    <li class="bet-leg leg-${leg.status}">${icons[leg.status] || ''} ${this.getSelectionLabel(leg.outcome, leg.market, state)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render the bet slip: the selections for an accumulator, their combined odds and a stake
+     * @param {Object} state - Current game state
+     * @returns {string} HTML for the bet slip
+     */
+    renderBetSlip(state) {
+        const legs = state.betSlip || [];
+        if (legs.length === 0) {
+            return '<div class="slip-empty">Add selections from the betting form to build an accumulator</div>';
         }
 
-        return html;
+        const odds = legs.reduce((product, leg) => product * leg.odds, 1);
+        const stake = state.betAmountMemory?.fullMatch || 25;
+
+        return `
+            <ul class="slip-legs">
+                ${legs.map((leg, index) => `
+                    <li class="slip-leg">
+                        <span class="slip-leg-label">${this.getSelectionLabel(leg.outcome, leg.market, state)}</span>
+                        <span class="slip-leg-odds">${leg.odds.toFixed(2)}</span>
+                        <button class="remove-leg-btn" type="button" data-leg-index="${index}" aria-label="Remove selection">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="slip-summary">
+                <span>${legs.length}-fold @ <span class="slip-odds">${odds.toFixed(2)}</span></span>
+                <input type="number" id="slip-stake" value="${stake}" min="1" step="0.01">
+                <button class="place-slip-btn btn-primary"${legs.length < 2 ? ' disabled' : ''}>Place Accumulator</button>
+            </div>
+        `;
     }
 
     /**
@@ -252,7 +693,9 @@ export class MatchScreen {
      */
     renderBetItem(bet) {
         const statusClass = bet.status === 'won' ? 'bet-won' : 
-                           bet.status === 'lost' ? 'bet-lost' : 'bet-pending';
+                           bet.status === 'lost' ? 'bet-lost' :
+                           bet.status === 'void' ? 'bet-void' :
+                           bet.status === 'cashedOut' ? 'bet-cashed-out' : 'bet-pending';
         
         const powerUpIndicator = bet.powerUpApplied ? ' ⭐' : '';
         
@@ -261,15 +704,82 @@ export class MatchScreen {
                 <div class="bet-info">
                     <span class="bet-outcome">${bet.outcome}${powerUpIndicator}</span>
                     <span class="bet-stake">$${bet.stake.toFixed(2)}</span>
+                    ${bet.legs ? this.renderAccumulatorLegs(bet.legs) : ''}
                 </div>
                 <div class="bet-details">
                     <span class="bet-odds">${bet.odds.toFixed(2)}</span>
                     <span class="bet-potential">$${bet.potentialWinnings.toFixed(2)}</span>
+                    ${bet.status === 'void'
+                        ? `<span class="bet-void-value">Void, $${(bet.actualWinnings ?? bet.stake).toFixed(2)} refunded</span>`
+                        : this.renderCashOut(bet)}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Render cash-out buttons for a pending bet at its live value, or what a cashed-out bet paid
+     * @param {Object} bet - Bet data
+     * @returns {string} HTML for the cash-out controls
+     */
+    renderCashOut(bet) {
+        if (bet.status === 'cashedOut') {
+            return `<span class="bet-cashed-out-value">Cashed out $${bet.actualWinnings.toFixed(2)}</span>`;
+        }
+
+        const value = this.fullMatchBetting?.getCashOutValue?.(bet);
+        if (value === null || value === undefined) return '';
+
+        return `
+            <div class="cash-out-actions">
+                <button class="cash-out-btn" type="button" data-bet-id="${bet.id}" data-fraction="1">Cash Out $${value.toFixed(2)}</button>
+                <button class="cash-out-btn partial" type="button" data-bet-id="${bet.id}" data-fraction="0.5">Half $${(value / 2).toFixed(2)}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render match stats as home/away rows with a comparison bar
+     * @param {Object} stats - Match stats { home, away }
+     * @returns {string} HTML for stats panel
+     */
+    renderMatchStats(stats) {
+        if (!stats?.home || !stats?.away) {
+            return '<div class="no-stats">Stats available at kick-off</div>';
+        }
+
+        const rows = [
+            { key: 'possession', label: 'Possession', format: value => `${value}%` },
+            { key: 'shots', label: 'Shots' },
+            { key: 'shotsOnTarget', label: 'Shots on Target' },
+            { key: 'xG', label: 'Expected Goals (xG)', format: value => value.toFixed(2) },
+            { key: 'corners', label: 'Corners' },
+            { key: 'fouls', label: 'Fouls' },
+            { key: 'yellowCards', label: 'Yellow Cards' },
+            { key: 'redCards', label: 'Red Cards' }
+        ];
+
+        return rows.map(({ key, label, format = value => value }) => {
+            const home = stats.home[key] || 0;
+            const away = stats.away[key] || 0;
+            const total = home + away;
+            const homeShare = total > 0 ? (home / total) * 100 : 50;
+
+            return `
+                <div class="stat-row" data-stat="${key}">
+                    <span class="stat-value stat-home">${format(home)}</span>
+                    <div class="stat-center">
+                        <span class="stat-label">${label}</span>
+                        <div class="stat-bar">
+                            <div class="stat-bar-home" style="width: ${homeShare}%"></div>
+                        </div>
+                    </div>
+                    <span class="stat-value stat-away">${format(away)}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
     /**
      * Render event feed
      * @param {Array} eventFeed - Match events that have actually occurred
@@ -287,7 +797,7 @@ export class MatchScreen {
             const eventClass = this.getEventClass(event.type);
             return `
                 <div class="event-item ${eventClass}">
-                    <div class="event-time">${Math.floor(event.time)}'</div>
+                    <div class="event-time">${TimerManager.formatMatchClock(event.time, event.addedTime)}</div>
                     <div class="event-description">${event.description}</div>
                     ${event.outcome ? `<div class="event-outcome">${event.outcome}</div>` : ''}
                 </div>
@@ -295,6 +805,25 @@ export class MatchScreen {
         }).join('');
     }
 
+    /**
+     * Render the action bet opportunities waiting behind the one on screen
+     * @param {Array} [queue] - Queue entries from state.opportunityQueue
+     * @returns {string} HTML, empty when nothing is waiting
+     */
+    renderOpportunityQueue(queue = []) {
+        if (!queue.length) return '';
+
+        return `
+            <h4>Up Next</h4>
+            ${queue.map(({ event }) => `
+                <div class="queued-opportunity" data-event-id="${event.id}">
+                    <span class="event-time">${TimerManager.formatMatchClock(event.time, event.addedTime)}</span>
+                    <span class="event-description">${event.description}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
     /**
      * Get CSS class for event type
      * @param {string} eventType - Type of event
@@ -313,12 +842,21 @@ export class MatchScreen {
     /**
      * Show betting form for selected outcome
      * @param {string} outcome - Selected outcome
+     * @param {string} [market='fullMatch'] - 'fullMatch', 'toQualify', 'overUnder', 'btts',
+     *   'correctScore', 'nextGoal' or 'goalscorer' (the favourite is picked when no player is given)
      */
-    showBettingForm(outcome) {
+    showBettingForm(outcome, market = 'fullMatch') {
         if (!this.stateManager || !this.bettingFormContainer) return;
 
         const state = this.stateManager.getState();
-        const odds = state.match.odds[outcome];
+        if (!this.isMarketOpen(market, state)) return;
+        if (market === 'goalscorer' && !outcome) {
+            outcome = this.getFavouriteGoalscorer(state.match);
+        }
+        const odds = oddsCalculator.getSelectionOdds(state.match, market, outcome);
+        if (!odds) return;
+
+        const label = this.getSelectionLabel(outcome, market, state);
         const rememberedAmount = state.betAmountMemory.fullMatch;
 
         // Create betting form
@@ -326,12 +864,13 @@ export class MatchScreen {
         form.className = 'betting-form active';
         form.innerHTML = `
             <div class="betting-form-header">
-                <h4>Bet on ${this.getOutcomeLabel(outcome, state)}</h4>
+                <h4>Bet on ${label}</h4>
                 <button class="close-form-btn" type="button">×</button>
             </div>
             <div class="betting-form-content">
+                ${market === 'goalscorer' ? this.renderGoalscorerSelect(state, outcome) : ''}
                 <div class="bet-details">
-                    <span>Odds: ${odds.toFixed(2)}</span>
+                    <span>Odds: <span id="bet-odds">${odds.toFixed(2)}</span></span>
                 </div>
                 <div class="bet-amount-section">
                     <label for="bet-amount">Bet Amount:</label>
@@ -342,6 +881,7 @@ export class MatchScreen {
                 </div>
                 <div class="betting-form-actions">
                     <button class="place-bet-btn btn-primary" data-outcome="${outcome}">Place Bet</button>
+                    <button class="add-to-slip-btn btn-secondary">Add to Slip</button>
                     <button class="cancel-bet-btn btn-secondary">Cancel</button>
                 </div>
             </div>
@@ -352,7 +892,7 @@ export class MatchScreen {
         this.bettingFormContainer.appendChild(form);
 
         // Setup form event listeners
-        this.setupBettingFormListeners(form, outcome, odds);
+        this.setupBettingFormListeners(form, outcome, odds, market);
 
         // Focus on amount input
         const amountInput = form.querySelector('#bet-amount');
@@ -365,13 +905,16 @@ export class MatchScreen {
      * @param {HTMLElement} form - Betting form element
      * @param {string} outcome - Selected outcome
      * @param {number} odds - Current odds
+     * @param {string} [market='fullMatch'] - Market of the selection (see showBettingForm)
      */
-    setupBettingFormListeners(form, outcome, odds) {
+    setupBettingFormListeners(form, outcome, odds, market = 'fullMatch') {
         const amountInput = form.querySelector('#bet-amount');
         const potentialWinningsSpan = form.querySelector('#potential-winnings');
         const placeBetBtn = form.querySelector('.place-bet-btn');
         const cancelBtn = form.querySelector('.cancel-bet-btn');
         const closeBtn = form.querySelector('.close-form-btn');
+        const addToSlipBtn = form.querySelector('.add-to-slip-btn');
+        const playerSelect = form.querySelector('#bet-player');
 
         // Update potential winnings on amount change
         amountInput.addEventListener('input', () => {
@@ -379,9 +922,38 @@ export class MatchScreen {
             potentialWinningsSpan.textContent = (amount * odds).toFixed(2);
         });
 
-        // Place bet
-        placeBetBtn.addEventListener('click', () => {
-            this.handleBetPlacement(outcome, parseFloat(amountInput.value));
+        // Switch the selection to another goalscorer
+        if (playerSelect) {
+            playerSelect.addEventListener('change', () => {
+                const state = this.stateManager.getState();
+                outcome = playerSelect.value;
+                odds = oddsCalculator.getSelectionOdds(state.match, market, outcome) || odds;
+                form.querySelector('.betting-form-header h4').textContent = `Bet on ${this.getSelectionLabel(outcome, market, state)}`;
+                form.querySelector('#bet-odds').textContent = odds.toFixed(2);
+                potentialWinningsSpan.textContent = ((parseFloat(amountInput.value) || 0) * odds).toFixed(2);
+            });
+        }
+
+        // Place bet at the price shown; if it moved, show the new price for the player to confirm,
+        // and if it was refused, show why
+        const placeBet = () => {
+            const result = this.handleBetPlacement(outcome, parseFloat(amountInput.value), market, odds);
+            if (result?.oddsChanged) {
+                odds = result.newOdds;
+                this.showOddsChange(form, result);
+                potentialWinningsSpan.textContent = ((parseFloat(amountInput.value) || 0) * odds).toFixed(2);
+            } else if (result && !result.success) {
+                this.showBetError(form, result.error);
+            }
+        };
+
+        placeBetBtn.addEventListener('click', placeBet);
+
+        // Keep the selection for an accumulator instead
+        addToSlipBtn.addEventListener('click', () => {
+            if (this.fullMatchBetting?.addToBetSlip(outcome, market)?.success) {
+                this.closeBettingForm();
+            }
         });
 
         // Cancel/close form
@@ -394,17 +966,56 @@ export class MatchScreen {
         // Enter key to place bet
         amountInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
-                this.handleBetPlacement(outcome, parseFloat(amountInput.value));
+                placeBet();
             }
         });
     }
 
+    /**
+     * Shows a price change in the open betting form
+     * @param {HTMLElement} form - Betting form element
+     * @param {Object} result - Rejected placement { requestedOdds, newOdds }
+     */
+    showOddsChange(form, result) {
+        let notice = form.querySelector('.odds-change-notice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'odds-change-notice';
+            form.querySelector('.bet-details').after(notice);
+        }
+
+        const direction = result.newOdds > result.requestedOdds ? 'up' : 'down';
+        notice.className = `odds-change-notice odds-${direction}`;
+        notice.textContent = `Odds changed from ${result.requestedOdds.toFixed(2)} to ${result.newOdds.toFixed(2)}`;
+        form.querySelector('#bet-odds').textContent = result.newOdds.toFixed(2);
+        form.querySelector('.place-bet-btn').textContent = `Accept ${result.newOdds.toFixed(2)} & Place Bet`;
+    }
+
+    /**
+     * Shows why a placement was refused in the open betting form
+     * @param {HTMLElement} form - Betting form element
+     * @param {string} message - Refusal reason
+     */
+    showBetError(form, message) {
+        let notice = form.querySelector('.bet-error-notice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'bet-error-notice';
+            form.querySelector('.bet-details').after(notice);
+        }
+
+        notice.textContent = message;
+    }
+
     /**
      * Handle bet placement
      * @param {string} outcome - Selected outcome
      * @param {number} amount - Bet amount
+     * @param {string} [market='fullMatch'] - Market of the selection (see showBettingForm)
+     * @param {number} [odds] - Odds shown in the form
+     * @returns {Object|undefined} Placement result; failed ones, odds changes included, keep the form open
      */
-    handleBetPlacement(outcome, amount) {
+    handleBetPlacement(outcome, amount, market = 'fullMatch', odds = null) {
         if (!this.stateManager || !this.fullMatchBetting) return;
 
         try {
@@ -419,7 +1030,10 @@ export class MatchScreen {
             }
 
             // Place bet through FullMatchBetting
-            this.fullMatchBetting.placeBet(outcome, amount);
+            const result = this.fullMatchBetting.placeBet(outcome, amount, market, odds);
+            if (!result?.success) {
+                return result;
+            }
 
             // Close form
             this.closeBettingForm();
@@ -427,11 +1041,12 @@ export class MatchScreen {
             // Show success notification (if UIManager available)
             if (window.uiManager) {
                 window.uiManager.showNotification(
-                    `Bet placed: $${amount.toFixed(2)} on ${this.getOutcomeLabel(outcome, state)}`,
+                    `Bet placed: $${amount.toFixed(2)} on ${this.getSelectionLabel(outcome, market, state)}`,
                     'success'
                 );
             }
 
+            return result;
         } catch (error) {
             console.error('Bet placement failed:', error);
             
@@ -442,6 +1057,21 @@ export class MatchScreen {
         }
     }
 
+    /**
+     * Handle placing the bet slip as an accumulator
+     * @param {number} amount - Bet amount
+     */
+    handleBetSlipPlacement(amount) {
+        if (!this.stateManager || !this.fullMatchBetting) return;
+
+        if (!amount || amount <= 0) {
+            window.uiManager?.showNotification('Please enter a valid bet amount', 'error');
+            return;
+        }
+
+        this.fullMatchBetting.placeBetSlip(amount);
+    }
+
     /**
      * Close betting form
      */
@@ -480,10 +1110,49 @@ export class MatchScreen {
             case 'home': return state.match?.homeTeam || 'Home';
             case 'away': return state.match?.awayTeam || 'Away';
             case 'draw': return 'Draw';
-            default: return outcome;
+            case 'none': return 'No more goals';
+            case 'yes': return 'Both teams to score';
+            case 'no': return 'Not both teams to score';
+            case oddsCalculator.CORRECT_SCORE_OTHER: return 'Any other score';
+            default: {
+                const selection = oddsCalculator.parseOverUnderOutcome(outcome);
+                if (selection) {
+                    return `${selection.side === 'over' ? 'Over' : 'Under'} ${selection.line} goals`;
+                }
+                if (/^\d+-\d+$/.test(outcome)) {
+                    return `Correct score ${outcome}`;
+                }
+                const scorer = oddsCalculator.parseGoalscorerOutcome(outcome);
+                if (scorer) {
+                    return `${scorer.player} to score`;
+                }
+                if (/^\d+-fold$/.test(outcome)) {
+                    return `${outcome} accumulator`;
+                }
+                return outcome;
+            }
         }
     }
 
+    /**
+     * Get the label for a selection in its market, where the outcome alone is ambiguous
+     * (a team backed to qualify or to score next rather than to win)
+     * @param {string} outcome - Outcome key
+     * @param {string} market - Market of the selection
+     * @param {Object} state - Current state
+     * @returns {string} Display label
+     */
+    getSelectionLabel(outcome, market, state) {
+        const label = this.getOutcomeLabel(outcome, state);
+        if (market === 'toQualify') {
+            return `${label} to qualify`;
+        }
+        if (market === 'nextGoal' && outcome !== 'none') {
+            return `${label} to score next`;
+        }
+        return label;
+    }
+
     /**
      * Update screen with new state data
      * @param {Object} state - New state data
@@ -493,7 +1162,7 @@ export class MatchScreen {
 
         // Update timer
         if (state.match?.time !== undefined) {
-            this.updateTimer(state.match.time);
+            this.updateTimer(state.match.time, state.match.addedTime);
         }
 
         // Update score
@@ -511,6 +1180,28 @@ export class MatchScreen {
             this.updateOdds(state.match.odds);
         }
 
+        if (state.match?.qualifyOdds) {
+            this.updateQualifyOdds(state.match.qualifyOdds);
+        }
+
+        if (state.match) {
+            this.updateGoalMarketOdds(state.match);
+        }
+
+        if (state.match && 'goalscorerOdds' in state.match && this.goalscorerButton) {
+            this.goalscorerButton.disabled = !this.getFavouriteGoalscorer(state.match);
+        }
+
+        if (state.markets) {
+            this.updateMarketStatus(state);
+        }
+
+        // Update penalty shootout and players on the pitch
+        if (state.match) {
+            this.updateShootoutDisplay(state.match);
+            this.updatePlayersOnPitch(state.match);
+        }
+
         // Update power-up display
         if (state.powerUp !== undefined) {
             this.updatePowerUpDisplay(state.powerUp);
@@ -521,6 +1212,19 @@ export class MatchScreen {
             this.updateBetsDisplay(state.bets);
         }
 
+        if (state.betSlip) {
+            this.updateBetSlip(state);
+        }
+
+        // Update match stats
+        if (state.match?.stats) {
+            this.updateStatsDisplay(state.match.stats);
+        }
+
+        if (state.opportunityQueue) {
+            this.updateOpportunityQueue(state.opportunityQueue);
+        }
+
         // Update event feed
         if (state.match?.eventFeed) {
             this.updateEventFeed(state.match.eventFeed);
@@ -530,47 +1234,119 @@ export class MatchScreen {
     /**
      * Update match timer display
      * @param {number} time - Current match time in minutes
+     * @param {number} [addedTime=0] - Minutes played into stoppage time
+     */
+    updateTimer(time, addedTime = 0) {
+        if (this.timerDisplay) {
+            this.timerDisplay.textContent = TimerManager.formatMatchClock(time, addedTime);
+        }
+    }
+
+    /**
+     * Update score display
+     * @param {number} homeScore - Home team score
+     * @param {number} awayScore - Away team score
+     */
+    updateScore(homeScore, awayScore) {
+        if (this.scoreDisplay) {
+            this.scoreDisplay.textContent = `${homeScore} - ${awayScore}`;
+        }
+    }
+
+    /**
+     * Update wallet display
+     * @param {number} balance - Current wallet balance
+     */
+    updateWallet(balance) {
+        if (this.walletDisplay) {
+            this.walletDisplay.textContent = `$${balance.toFixed(2)}`;
+        }
+    }
+
+    /**
+     * Update odds display; unpriced outcomes show a dash
+     * @param {Object} odds - Current odds
+     */
+    updateOdds(odds) {
+        ['home', 'draw', 'away'].forEach(outcome => {
+            if (this.oddsDisplay[outcome]) {
+                this.oddsDisplay[outcome].textContent = odds[outcome] ? odds[outcome].toFixed(2) : '-';
+            }
+        });
+    }
+
+    /**
+     * Update "to qualify" odds display
+     * @param {Object} qualifyOdds - Current qualify odds { home, away }
+     */
+    updateQualifyOdds(qualifyOdds) {
+        ['home', 'away'].forEach(outcome => {
+            if (this.qualifyOddsDisplay?.[outcome]) {
+                this.qualifyOddsDisplay[outcome].textContent = qualifyOdds[outcome] ? qualifyOdds[outcome].toFixed(2) : '-';
+            }
+        });
+    }
+
+    /**
+     * Update Over/Under, Both Teams To Score, Correct Score and next goal odds, closing the selections
+     * the score has decided. Markets whose odds are not part of the update are left alone.
+     * @param {Object} match - Match state
      */
-    updateTimer(time) {
-        if (this.timerDisplay) {
-            this.timerDisplay.textContent = `${Math.floor(time)}'`;
-        }
+    updateGoalMarketOdds(match) {
+        this.goalMarketButtons?.forEach(button => {
+            const { market, outcome } = button.dataset;
+            if (!(this.GOAL_MARKET_ODDS[market] in match)) return;
+
+            const odds = oddsCalculator.getSelectionOdds(match, market, outcome);
+            button.disabled = !odds;
+            button.querySelector('.odds-display').textContent = odds ? odds.toFixed(2) : '-';
+        });
     }
 
     /**
-     * Update score display
-     * @param {number} homeScore - Home team score
-     * @param {number} awayScore - Away team score
+     * Disable the buttons of markets that are not open and refresh the status badges
+     * @param {Object} state - Current game state
      */
-    updateScore(homeScore, awayScore) {
-        if (this.scoreDisplay) {
-            this.scoreDisplay.textContent = `${homeScore} - ${awayScore}`;
-        }
+    updateMarketStatus(state) {
+        this.element.querySelectorAll('.betting-button').forEach(button => {
+            const { market = 'fullMatch', outcome } = button.dataset;
+            if (!this.isMarketOpen(market, state)) {
+                button.disabled = true;
+            } else if (market === 'goalscorer') {
+                button.disabled = !this.getFavouriteGoalscorer(state.match);
+            } else if (market in this.GOAL_MARKET_ODDS) {
+                button.disabled = !oddsCalculator.getSelectionOdds(state.match || {}, market, outcome);
+            } else {
+                // Result and qualify outcomes too near certain to price are left unpriced
+                const odds = market === 'toQualify' ? state.match?.qualifyOdds : state.match?.odds;
+                button.disabled = Boolean(odds) && !odds[outcome];
+            }
+        });
+
+        this.element.querySelectorAll('.market-status').forEach(badge => {
+            const status = this.marketRegistry ? this.marketRegistry.getStatus(badge.dataset.statusMarket, state.markets) : 'open';
+            badge.className = `market-status market-status-${status}`;
+            badge.textContent = this.MARKET_STATUS_LABELS[status];
+        });
     }
 
     /**
-     * Update wallet display
-     * @param {number} balance - Current wallet balance
+     * Update penalty shootout panel
+     * @param {Object} match - Match state
      */
-    updateWallet(balance) {
-        if (this.walletDisplay) {
-            this.walletDisplay.textContent = `$${balance.toFixed(2)}`;
+    updateShootoutDisplay(match) {
+        if (this.shootoutDisplay) {
+            this.shootoutDisplay.innerHTML = this.renderShootout(match);
         }
     }
 
     /**
-     * Update odds display
-     * @param {Object} odds - Current odds
+     * Update players-on-pitch indicator
+     * @param {Object} match - Match state
      */
-    updateOdds(odds) {
-        if (this.oddsDisplay.home) {
-            this.oddsDisplay.home.textContent = odds.home.toFixed(2);
-        }
-        if (this.oddsDisplay.draw) {
-            this.oddsDisplay.draw.textContent = odds.draw.toFixed(2);
-        }
-        if (this.oddsDisplay.away) {
-            this.oddsDisplay.away.textContent = odds.away.toFixed(2);
+    updatePlayersOnPitch(match) {
+        if (this.playersOnPitchDisplay) {
+            this.playersOnPitchDisplay.textContent = this.renderPlayersOnPitch(match);
         }
     }
 
@@ -592,6 +1368,18 @@ export class MatchScreen {
         }
     }
 
+    /**
+     * Update the bet slip when its selections change, keeping the stake being typed otherwise
+     * @param {Object} state - New state data
+     */
+    updateBetSlip(state) {
+        const key = JSON.stringify(state.betSlip);
+        if (!this.betSlipDisplay || key === this.renderedBetSlip) return;
+
+        this.renderedBetSlip = key;
+        this.betSlipDisplay.innerHTML = this.renderBetSlip({ ...(this.stateManager?.getState() || {}), ...state });
+    }
+
     /**
      * Update bets display
      * @param {Object} bets - Current bets
@@ -602,6 +1390,16 @@ export class MatchScreen {
         }
     }
 
+    /**
+     * Update match stats panel
+     * @param {Object} stats - Match stats { home, away }
+     */
+    updateStatsDisplay(stats) {
+        if (this.statsDisplay) {
+            this.statsDisplay.innerHTML = this.renderMatchStats(stats);
+        }
+    }
+
     /**
      * Update event feed
      * @param {Array} eventFeed - Match events that have actually occurred
@@ -615,6 +1413,16 @@ export class MatchScreen {
         }
     }
 
+    /**
+     * Update the list of queued action bet opportunities
+     * @param {Array} queue - Queue entries from state.opportunityQueue
+     */
+    updateOpportunityQueue(queue) {
+        if (this.opportunityQueueDisplay) {
+            this.opportunityQueueDisplay.innerHTML = this.renderOpportunityQueue(queue);
+        }
+    }
+
     /**
      * Create error screen when match data is missing
      * @returns {HTMLElement} Error screen element
@@ -711,6 +1519,69 @@ export class MatchScreen {
                 border: 1px solid #059669;
             }
 
+            .shootout-panel:empty,
+            .players-on-pitch:empty {
+                display: none;
+            }
+
+            .players-on-pitch {
+                margin-top: 6px;
+                font-size: 14px;
+                font-weight: 600;
+                color: #f87171;
+            }
+
+            .shootout-panel {
+                margin-top: 8px;
+                padding: 8px 12px;
+                background: rgba(245, 158, 11, 0.1);
+                border: 1px solid #f59e0b;
+                border-radius: 6px;
+            }
+
+            .shootout-title {
+                font-size: 12px;
+                font-weight: 600;
+                color: #f59e0b;
+                text-transform: uppercase;
+                margin-bottom: 4px;
+            }
+
+            .shootout-row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .shootout-team {
+                flex: 1;
+            }
+
+            .shootout-winner .shootout-team {
+                color: #34d399;
+                font-weight: 600;
+            }
+
+            .shootout-kick {
+                margin-right: 4px;
+            }
+
+            .shootout-kick.scored {
+                color: #34d399;
+            }
+
+            .shootout-kick.missed {
+                color: #f87171;
+            }
+
+            .shootout-kick.pending {
+                color: #64748b;
+            }
+
+            .shootout-score {
+                font-weight: 700;
+            }
+
             .match-status {
                 display: flex;
                 flex-direction: column;
@@ -785,6 +1656,27 @@ export class MatchScreen {
                 font-size: 20px;
             }
 
+            .market-status {
+                margin-left: 8px;
+                font-size: 12px;
+                font-weight: 600;
+                text-transform: uppercase;
+                vertical-align: middle;
+            }
+
+            .market-status:empty {
+                display: none;
+            }
+
+            .market-status-suspended {
+                color: #f59e0b;
+            }
+
+            .market-status-closed,
+            .market-status-settled {
+                color: #94a3b8;
+            }
+
             .betting-buttons-container {
                 display: flex;
                 gap: 12px;
@@ -803,6 +1695,89 @@ export class MatchScreen {
                 box-shadow: 0 4px 12px rgba(5, 150, 105, 0.3);
             }
 
+            .betting-button:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+
+            .market-tabs {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-bottom: 16px;
+            }
+
+            .market-tab {
+                background: transparent;
+                border: 1px solid #475569;
+                color: #94a3b8;
+                padding: 8px 14px;
+                border-radius: 6px;
+                cursor: pointer;
+                font-weight: 600;
+            }
+
+            .market-tab.active {
+                background: #10b981;
+                border-color: #10b981;
+                color: white;
+            }
+
+            .market-panel.hidden {
+                display: none;
+            }
+
+            .over-under-row {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                margin-bottom: 10px;
+            }
+
+            .over-under-line {
+                width: 80px;
+                font-weight: 600;
+                color: #cbd5e1;
+            }
+
+            .over-under-button {
+                padding: 10px;
+            }
+
+            .score-grid-legend {
+                color: #94a3b8;
+                font-size: 13px;
+                margin-bottom: 8px;
+            }
+
+            .score-grid {
+                display: grid;
+                grid-template-columns: 24px repeat(4, minmax(0, 1fr));
+                gap: 6px;
+                margin-bottom: 12px;
+            }
+
+            .score-grid-head {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                color: #94a3b8;
+                font-weight: 600;
+            }
+
+            .score-cell {
+                min-width: 0;
+                padding: 6px 2px;
+            }
+
+            .score-cell .outcome-label {
+                font-size: 13px;
+            }
+
+            .score-cell .odds-display {
+                font-size: 14px;
+            }
+
             .betting-button:hover {
                 background: linear-gradient(135deg, #047857 0%, #059669 100%);
                 box-shadow: 0 6px 16px rgba(5, 150, 105, 0.4);
@@ -880,6 +1855,33 @@ export class MatchScreen {
                 font-weight: 600;
             }
 
+            .odds-change-notice {
+                padding: 8px 12px;
+                border-radius: 6px;
+                font-size: 14px;
+                font-weight: 600;
+            }
+
+            .odds-change-notice.odds-up {
+                background: rgba(34, 197, 94, 0.15);
+                color: #4ade80;
+            }
+
+            .odds-change-notice.odds-down {
+                background: rgba(239, 68, 68, 0.15);
+                color: #f87171;
+            }
+
+            .bet-error-notice {
+                padding: 8px 12px;
+                border-radius: 6px;
+                font-size: 14px;
+                font-weight: 600;
+                background: rgba(239, 68, 68, 0.15);
+                color: #f87171;
+            }
+
+            .bet-player-section label,
             .bet-amount-section label {
                 display: block;
                 margin-bottom: 8px;
@@ -887,6 +1889,7 @@ export class MatchScreen {
                 font-weight: 600;
             }
 
+            .bet-player-section select,
             .bet-amount-section input {
                 width: 100%;
                 padding: 12px;
@@ -897,6 +1900,7 @@ export class MatchScreen {
                 font-size: 16px;
             }
 
+            .bet-player-section select:focus,
             .bet-amount-section input:focus {
                 outline: none;
                 border-color: #10b981;
@@ -920,7 +1924,7 @@ export class MatchScreen {
                 gap: 20px;
             }
 
-            .current-bets, .event-feed-section {
+            .stats-panel, .bet-slip-panel, .current-bets, .event-feed-section {
                 background: rgba(51, 65, 85, 0.3);
                 border: 2px solid #475569;
                 border-radius: 12px;
@@ -928,13 +1932,60 @@ export class MatchScreen {
                 backdrop-filter: blur(4px);
             }
 
-            .current-bets h4, .event-feed-section h4 {
+            .stats-panel h4, .bet-slip-panel h4, .current-bets h4, .event-feed-section h4 {
                 margin: 0 0 16px 0;
                 color: #10b981;
                 font-size: 18px;
             }
 
-            .no-bets, .no-events {
+            .stat-row {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 6px 0;
+            }
+
+            .stat-value {
+                width: 40px;
+                font-weight: 600;
+                color: #e2e8f0;
+            }
+
+            .stat-home {
+                text-align: left;
+            }
+
+            .stat-away {
+                text-align: right;
+            }
+
+            .stat-center {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+            }
+
+            .stat-label {
+                color: #94a3b8;
+                font-size: 13px;
+                text-align: center;
+            }
+
+            .stat-bar {
+                height: 4px;
+                border-radius: 2px;
+                background: #ef4444;
+                overflow: hidden;
+            }
+
+            .stat-bar-home {
+                height: 100%;
+                background: #10b981;
+                transition: width 0.3s ease;
+            }
+
+            .no-bets, .no-events, .no-stats, .slip-empty {
                 color: #64748b;
                 font-style: italic;
                 text-align: center;
@@ -970,6 +2021,48 @@ export class MatchScreen {
                 background: rgba(220, 38, 38, 0.1);
             }
 
+            .bet-item.bet-void {
+                border-color: #64748b;
+                opacity: 0.6;
+            }
+
+            .bet-item.bet-cashed-out {
+                border-color: #f59e0b;
+                background: rgba(245, 158, 11, 0.1);
+            }
+
+            .bet-cashed-out-value {
+                color: #f59e0b;
+                font-size: 13px;
+                font-weight: 600;
+            }
+
+            .bet-void-value {
+                color: #94a3b8;
+                font-size: 13px;
+                font-weight: 600;
+            }
+
+            .cash-out-actions {
+                display: flex;
+                gap: 4px;
+            }
+
+            .cash-out-btn {
+                padding: 4px 8px;
+                border: 1px solid #f59e0b;
+                border-radius: 4px;
+                background: rgba(245, 158, 11, 0.15);
+                color: #fbbf24;
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+
+            .cash-out-btn:hover {
+                background: rgba(245, 158, 11, 0.3);
+            }
+
             .bet-info, .bet-details {
                 display: flex;
                 flex-direction: column;
@@ -991,11 +2084,78 @@ export class MatchScreen {
                 font-weight: 600;
             }
 
+            .bet-legs, .slip-legs {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .bet-leg {
+                color: #94a3b8;
+                font-size: 13px;
+            }
+
+            .slip-leg {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 0;
+                border-bottom: 1px solid #475569;
+                color: #e2e8f0;
+            }
+
+            .slip-leg-label {
+                flex: 1;
+            }
+
+            .slip-leg-odds {
+                color: #10b981;
+                font-weight: 600;
+            }
+
+            .remove-leg-btn {
+                background: none;
+                border: none;
+                color: #94a3b8;
+                font-size: 18px;
+                cursor: pointer;
+            }
+
+            .slip-summary {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
+                margin-top: 12px;
+                color: #e2e8f0;
+                font-weight: 600;
+            }
+
+            .slip-summary input {
+                width: 90px;
+                padding: 8px;
+                border: 2px solid #475569;
+                border-radius: 6px;
+                background: rgba(15, 23, 42, 0.8);
+                color: #e2e8f0;
+            }
+
             .event-feed {
                 max-height: 400px;
                 overflow-y: auto;
             }
 
+            .queued-opportunity {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 8px 12px;
+                margin-bottom: 8px;
+                border-radius: 6px;
+                border-left: 4px solid #f59e0b;
+                background: rgba(245, 158, 11, 0.1);
+            }
+
             .event-item {
                 display: flex;
                 align-items: center;
@@ -1090,6 +2250,14 @@ export class MatchScreen {
                     flex-direction: column;
                 }
 
+                .score-grid {
+                    gap: 4px;
+                }
+
+                .score-cell .odds-display {
+                    font-size: 12px;
+                }
+
                 .betting-form-actions {
                     flex-direction: column;
                 }
@@ -1132,6 +2300,7 @@ export class MatchScreen {
         this.element = null;
         this.stateManager = null;
         this.fullMatchBetting = null;
+        this.marketRegistry = null;
         this.eventFeedContainer = null;
         this.walletDisplay = null;
         this.powerUpDisplay = null;
@@ -1140,6 +2309,8 @@ export class MatchScreen {
         this.teamDisplay = null;
         this.oddsDisplay = null;
         this.betsDisplay = null;
+        this.betSlipDisplay = null;
+        this.statsDisplay = null;
         this.isInitialized = false;
     }
 }
\ No newline at end of file
@@ -107,7 +107,7 @@ class MockFullMatchBetting {
         };
         
         this.bets.push(bet);
-        return bet;
+        return { success: true, bet };
     }
 
     getBets() {
@@ -338,6 +338,53 @@ describe('MatchScreen', () => {
         });
     });
 
+    describe('Match Stats Panel', () => {
+        test('should show placeholder before stats exist', () => {
+            const state = mockStateManager.getState();
+            const element = matchScreen.render(state);
+
+            const noStats = element.querySelector('.no-stats');
+            expect(noStats).toBeTruthy();
+            expect(noStats.textContent).toBe('Stats available at kick-off');
+        });
+
+        test('should render a row per stat with home and away values', () => {
+            const state = mockStateManager.getState();
+            state.match.stats = {
+                home: { possession: 58, shots: 7, shotsOnTarget: 3, xG: 1.234, corners: 4, fouls: 6, yellowCards: 1, redCards: 0 },
+                away: { possession: 42, shots: 4, shotsOnTarget: 1, xG: 0.5, corners: 2, fouls: 9, yellowCards: 2, redCards: 1 }
+            };
+            const element = matchScreen.render(state);
+
+            expect(element.querySelectorAll('.stat-row').length).toBe(8);
+
+            const possession = element.querySelector('[data-stat="possession"]');
+            expect(possession.querySelector('.stat-home').textContent).toBe('58%');
+            expect(possession.querySelector('.stat-away').textContent).toBe('42%');
+
+            const xG = element.querySelector('[data-stat="xG"]');
+            expect(xG.querySelector('.stat-home').textContent).toBe('1.23');
+        });
+
+        test('should refresh stats on state update', () => {
+            const state = mockStateManager.getState();
+            const element = matchScreen.render(state);
+
+            matchScreen.update({
+                match: {
+                    stats: {
+                        home: { possession: 50, shots: 2, shotsOnTarget: 1, xG: 0.2, corners: 0, fouls: 0, yellowCards: 0, redCards: 0 },
+                        away: { possession: 50, shots: 0, shotsOnTarget: 0, xG: 0, corners: 1, fouls: 1, yellowCards: 0, redCards: 0 }
+                    }
+                }
+            });
+
+            const shots = element.querySelector('[data-stat="shots"]');
+            expect(shots.querySelector('.stat-home').textContent).toBe('2');
+            expect(element.querySelector('.no-stats')).toBeNull();
+        });
+    });
+
     describe('Betting Form', () => {
         test('should show betting form when betting button clicked', () => {
             const state = mockStateManager.getState();
@@ -478,7 +525,408 @@ describe('MatchScreen', () => {
         });
     });
 
+    describe('Over/Under', () => {
+        const overUnderState = () => {
+            const state = mockStateManager.getState();
+            return {
+                ...state,
+                match: {
+                    ...state.match,
+                    homeScore: 1,
+                    overUnderOdds: { '1.5': { over: 1.62, under: 2.20 }, '2.5': { over: 2.75, under: 1.40 } }
+                }
+            };
+        };
+
+        test('should switch to the Over/Under tab with passed lines closed', () => {
+            const element = matchScreen.render(overUnderState());
+            const panel = element.querySelector('[data-market-panel="overUnder"]');
+            expect(panel.classList.contains('hidden')).toBe(true);
+
+            element.querySelector('.market-tab[data-market-tab="overUnder"]').click();
+
+            expect(panel.classList.contains('hidden')).toBe(false);
+            expect(element.querySelector('[data-market-panel="result"]').classList.contains('hidden')).toBe(true);
+            expect(element.querySelector('[data-outcome="over_0.5"]').disabled).toBe(true);
+            expect(element.querySelector('[data-outcome="over_2.5"] .odds-display').textContent).toBe('2.75');
+        });
+
+        test('should place an Over/Under bet at the line odds', () => {
+            mockStateManager.updateState(overUnderState());
+            const element = matchScreen.render(mockStateManager.getState());
+            const placeBet = jest.spyOn(mockFullMatchBetting, 'placeBet');
+
+            element.querySelector('[data-outcome="over_2.5"]').click();
+            expect(element.querySelector('.betting-form h4').textContent).toBe('Bet on Over 2.5 goals');
+
+            element.querySelector('#bet-amount').value = '40';
+            element.querySelector('.place-bet-btn').click();
+
+            expect(placeBet).toHaveBeenCalledWith('over_2.5', 40, 'overUnder', 2.75);
+        });
+
+        test('should reprice and close lines on update', () => {
+            const element = matchScreen.render(overUnderState());
+
+            matchScreen.update({ match: { overUnderOdds: { '2.5': { over: 1.70, under: 2.10 } } } });
+
+            expect(element.querySelector('[data-outcome="under_1.5"]').disabled).toBe(true);
+            expect(element.querySelector('[data-outcome="under_2.5"] .odds-display').textContent).toBe('2.10');
+        });
+    });
+
+    describe('Both Teams To Score and Correct Score', () => {
+        const goalMarketState = () => {
+            const state = mockStateManager.getState();
+            return {
+                ...state,
+                match: {
+                    ...state.match,
+                    homeScore: 1,
+                    bttsOdds: { yes: 1.95, no: 1.80 },
+                    correctScoreOdds: { '1-0': 5.50, '2-1': 9.00, other: 7.25 }
+                }
+            };
+        };
+
+        test('should offer both teams to score and a score grid', () => {
+            const element = matchScreen.render(goalMarketState());
+
+            expect(element.querySelector('.btts-button[data-outcome="yes"] .odds-display').textContent).toBe('1.95');
+            expect(element.querySelectorAll('.score-grid .score-cell')).toHaveLength(16);
+            expect(element.querySelector('[data-outcome="0-0"]').disabled).toBe(true);
+            expect(element.querySelector('[data-outcome="other"] .odds-display').textContent).toBe('7.25');
+        });
+
+        test('should place a correct score bet from the grid', () => {
+            mockStateManager.updateState(goalMarketState());
+            const element = matchScreen.render(mockStateManager.getState());
+            const placeBet = jest.spyOn(mockFullMatchBetting, 'placeBet');
+
+            element.querySelector('.market-tab[data-market-tab="correctScore"]').click();
+            element.querySelector('.score-cell[data-outcome="2-1"]').click();
+            expect(element.querySelector('.betting-form h4').textContent).toBe('Bet on Correct score 2-1');
+
+            element.querySelector('#bet-amount').value = '20';
+            element.querySelector('.place-bet-btn').click();
+
+            expect(placeBet).toHaveBeenCalledWith('2-1', 20, 'correctScore', 9);
+        });
+
+        test('should suspend both teams to score once both sides have scored', () => {
+            const element = matchScreen.render(goalMarketState());
+
+            matchScreen.update({ match: { bttsOdds: null } });
+
+            expect(element.querySelector('.btts-button[data-outcome="no"]').disabled).toBe(true);
+            expect(element.querySelector('[data-outcome="2-1"]').disabled).toBe(false);
+        });
+    });
+
+    describe('Next Goal and Goalscorer', () => {
+        const goalMarketState = () => {
+            const state = mockStateManager.getState();
+            return {
+                ...state,
+                match: {
+                    ...state.match,
+                    homeTeam: 'Arsenal',
+                    awayTeam: 'Chelsea',
+                    nextGoalOdds: { home: 2.10, none: 6.50, away: 2.90 },
+                    goalscorerOdds: { 'home:Saka': 3.40, 'home:Havertz': 3.10, 'away:Palmer': 3.60 }
+                }
+            };
+        };
+
+        test('should place a next goal bet on a team to score next', () => {
+            mockStateManager.updateState(goalMarketState());
+            const element = matchScreen.render(mockStateManager.getState());
+            const placeBet = jest.spyOn(mockFullMatchBetting, 'placeBet');
+
+            element.querySelector('.market-tab[data-market-tab="nextGoal"]').click();
+            expect(element.querySelector('.next-goal-button[data-outcome="none"] .odds-display').textContent).toBe('6.50');
+
+            element.querySelector('.next-goal-button[data-outcome="away"]').click();
+            expect(element.querySelector('.betting-form h4').textContent).toBe('Bet on Chelsea to score next');
+
+            element.querySelector('#bet-amount').value = '15';
+            element.querySelector('.place-bet-btn').click();
+
+            expect(placeBet).toHaveBeenCalledWith('away', 15, 'nextGoal', 2.9);
+        });
+
+        test('should pick the goalscorer in the betting form', () => {
+            mockStateManager.updateState(goalMarketState());
+            const element = matchScreen.render(mockStateManager.getState());
+            const placeBet = jest.spyOn(mockFullMatchBetting, 'placeBet');
+
+            element.querySelector('.goalscorer-button').click();
+            const playerSelect = element.querySelector('#bet-player');
+            expect(playerSelect.value).toBe('home:Havertz');
+            expect(playerSelect.querySelectorAll('optgroup')).toHaveLength(2);
+
+            playerSelect.value = 'away:Palmer';
+            playerSelect.dispatchEvent(new Event('change'));
+            expect(element.querySelector('.betting-form h4').textContent).toBe('Bet on Palmer to score');
+            expect(element.querySelector('#bet-odds').textContent).toBe('3.60');
+
+            element.querySelector('#bet-amount').value = '10';
+            element.querySelector('.place-bet-btn').click();
+
+            expect(placeBet).toHaveBeenCalledWith('away:Palmer', 10, 'goalscorer', 3.6);
+        });
+
+        test('should close the goalscorer market when it is not priced', () => {
+            const element = matchScreen.render(goalMarketState());
+
+            matchScreen.update({ match: { goalscorerOdds: null } });
+
+            expect(element.querySelector('.goalscorer-button').disabled).toBe(true);
+        });
+    });
+
+    describe('Odds Changes', () => {
+        test('should keep the form open at the new price when the odds moved', () => {
+            mockStateManager.updateState({ match: { ...mockStateManager.getState().match, odds: { home: 2.10, draw: 3.40, away: 3.60 } } });
+            const element = matchScreen.render(mockStateManager.getState());
+            const placeBet = jest.spyOn(mockFullMatchBetting, 'placeBet')
+                .mockReturnValueOnce({ success: false, oddsChanged: true, requestedOdds: 2.10, newOdds: 1.95 })
+                .mockReturnValueOnce({ success: true });
+
+            element.querySelector('[data-outcome="home"]').click();
+            element.querySelector('#bet-amount').value = '20';
+            element.querySelector('.place-bet-btn').click();
+
+            expect(placeBet).toHaveBeenLastCalledWith('home', 20, 'fullMatch', 2.10);
+            expect(element.querySelector('.odds-change-notice.odds-down').textContent).toBe('Odds changed from 2.10 to 1.95');
+            expect(element.querySelector('#bet-odds').textContent).toBe('1.95');
+            expect(element.querySelector('#potential-winnings').textContent).toBe('39.00');
+            expect(element.querySelector('.place-bet-btn').textContent).toBe('Accept 1.95 & Place Bet');
+
+            element.querySelector('.place-bet-btn').click();
+
+            expect(placeBet).toHaveBeenLastCalledWith('home', 20, 'fullMatch', 1.95);
+            expect(element.querySelector('.betting-form')).toBeNull();
+        });
+
+        test('should keep the form open with the reason when a bet is refused', () => {
+            window.uiManager = { showNotification: jest.fn() };
+            const element = matchScreen.render(mockStateManager.getState());
+            jest.spyOn(mockFullMatchBetting, 'placeBet')
+                .mockReturnValueOnce({ success: false, error: 'That selection is not priced' });
+
+            element.querySelector('[data-outcome="home"]').click();
+            element.querySelector('#bet-amount').value = '20';
+            element.querySelector('.place-bet-btn').click();
+
+            expect(element.querySelector('.betting-form')).not.toBeNull();
+            expect(element.querySelector('.bet-error-notice').textContent).toBe('That selection is not priced');
+            expect(window.uiManager.showNotification).not.toHaveBeenCalledWith(expect.stringContaining('Bet placed'), 'success');
+            delete window.uiManager;
+        });
+    });
+
+    describe('Market Status', () => {
+        test('should disable a suspended market and badge its heading', () => {
+            const element = matchScreen.render(mockStateManager.getState());
+
+            matchScreen.update({
+                ...mockStateManager.getState(),
+                markets: [{ id: 'fullMatch', status: 'suspended', reason: 'goal', until: 26, changedAt: 25 }]
+            });
+
+            expect(element.querySelector('[data-outcome="home"]').disabled).toBe(true);
+            expect(element.querySelector('[data-outcome="draw"]').disabled).toBe(true);
+            expect(element.querySelector('[data-status-market="fullMatch"]').textContent).toBe('Suspended');
+
+            element.querySelector('[data-outcome="home"]').click();
+            expect(element.querySelector('.betting-form')).toBeNull();
+
+            matchScreen.update({ ...mockStateManager.getState(), markets: [] });
+            expect(element.querySelector('[data-outcome="home"]').disabled).toBe(false);
+            expect(element.querySelector('[data-status-market="fullMatch"]').textContent).toBe('');
+        });
+    });
+
+    describe('Opportunity Queue', () => {
+        test('should list the action bet opportunities waiting to be offered', () => {
+            const element = matchScreen.render(mockStateManager.getState());
+            expect(element.querySelector('#opportunity-queue').textContent.trim()).toBe('');
+
+            matchScreen.update({
+                ...mockStateManager.getState(),
+                opportunityQueue: [{
+                    event: { id: 'event_4', time: 52, description: 'Corner for Arsenal', data: { category: 'corner' } },
+                    priority: 7,
+                    queuedAt: 0
+                }]
+            });
+
+            const queued = element.querySelectorAll('.queued-opportunity');
+            expect(queued).toHaveLength(1);
+            expect(queued[0].dataset.eventId).toBe('event_4');
+            expect(queued[0].textContent).toContain('Corner for Arsenal');
+        });
+    });
+
+    describe('Cash Out', () => {
+        const betState = status => {
+            const state = mockStateManager.getState();
+            return {
+                ...state,
+                bets: {
+                    ...state.bets,
+                    fullMatch: [{
+                        id: 'bet_7', type: 'fullMatch', outcome: 'home', stake: 20, odds: 3,
+                        potentialWinnings: 60, status, actualWinnings: 31.5, powerUpApplied: false
+                    }]
+                }
+            };
+        };
+
+        test('should offer full and half cash out on pending bets', () => {
+            mockFullMatchBetting.getCashOutValue = jest.fn(() => 31.5);
+            mockFullMatchBetting.cashOut = jest.fn();
+            const element = matchScreen.render(betState('pending'));
+
+            const buttons = element.querySelectorAll('.cash-out-btn');
+            expect(buttons[0].textContent).toBe('Cash Out $31.50');
+            expect(buttons[1].textContent).toBe('Half $15.75');
+
+            buttons[1].click();
+            expect(mockFullMatchBetting.cashOut).toHaveBeenCalledWith('bet_7', 0.5);
+        });
+
+        test('should show what a cashed-out bet paid', () => {
+            mockFullMatchBetting.getCashOutValue = jest.fn(() => null);
+            const element = matchScreen.render(betState('cashedOut'));
+
+            expect(element.querySelector('.cash-out-btn')).toBeNull();
+            expect(element.querySelector('.bet-item.bet-cashed-out .bet-cashed-out-value').textContent).toBe('Cashed out $31.50');
+        });
+    });
+
+    describe('Bet Slip', () => {
+        const slipState = () => {
+            const state = mockStateManager.getState();
+            return {
+                ...state,
+                betSlip: [
+                    { market: 'fullMatch', outcome: 'home', odds: 2.00, matchId: 'Arsenal v Chelsea' },
+                    { market: 'btts', outcome: 'yes', odds: 1.90, matchId: 'Arsenal v Chelsea' }
+                ]
+            };
+        };
+
+        test('should add a selection to the bet slip from the betting form', () => {
+            mockStateManager.updateState({});
+            const element = matchScreen.render(mockStateManager.getState());
+            mockFullMatchBetting.addToBetSlip = jest.fn(() => ({ success: true }));
+
+            element.querySelector('[data-outcome="draw"]').click();
+            element.querySelector('.add-to-slip-btn').click();
+
+            expect(mockFullMatchBetting.addToBetSlip).toHaveBeenCalledWith('draw', 'fullMatch');
+            expect(element.querySelector('.betting-form')).toBeNull();
+        });
+
+        test('should show the selections with their combined odds and place them', () => {
+            mockStateManager.updateState(slipState());
+            const element = matchScreen.render(mockStateManager.getState());
+            mockFullMatchBetting.placeBetSlip = jest.fn(() => ({ success: true }));
+            mockFullMatchBetting.removeFromBetSlip = jest.fn();
+
+            expect(element.querySelectorAll('.slip-leg')).toHaveLength(2);
+            expect(element.querySelector('.slip-leg-label').textContent).toBe('Arsenal');
+            expect(element.querySelector('.slip-odds').textContent).toBe('3.80');
+
+            element.querySelector('#slip-stake').value = '20';
+            element.querySelector('.place-slip-btn').click();
+            element.querySelector('.remove-leg-btn[data-leg-index="1"]').click();
+
+            expect(mockFullMatchBetting.placeBetSlip).toHaveBeenCalledWith(20);
+            expect(mockFullMatchBetting.removeFromBetSlip).toHaveBeenCalledWith(1);
+        });
+
+        test('should re-render the slip only when its selections change', () => {
+            const element = matchScreen.render(slipState());
+            element.querySelector('#slip-stake').value = '75';
+
+            matchScreen.update(slipState());
+            expect(element.querySelector('#slip-stake').value).toBe('75');
+
+            matchScreen.update({ betSlip: slipState().betSlip.slice(0, 1) });
+            expect(element.querySelectorAll('.slip-leg')).toHaveLength(1);
+            expect(element.querySelector('.place-slip-btn').disabled).toBe(true);
+        });
+    });
+
+    describe('Knockout Ties', () => {
+        const knockoutState = (match = {}) => {
+            const state = mockStateManager.getState();
+            return {
+                ...state,
+                match: { ...state.match, knockout: true, qualifyOdds: { home: 1.45, away: 2.80 }, ...match }
+            };
+        };
+
+        test('should offer a to qualify market next to the 90-minute result', () => {
+            const element = matchScreen.render(knockoutState());
+
+            const qualifyButtons = element.querySelectorAll('.qualify-button');
+            expect(qualifyButtons).toHaveLength(2);
+            expect(element.querySelector('.qualify-odds-away').textContent).toBe('2.80');
+            expect(element.querySelector('.betting-section h3').textContent).toBe('Match Result (90 mins)');
+        });
+
+        test('should place a to qualify bet at the qualify odds', () => {
+            mockStateManager.updateState(knockoutState());
+            const element = matchScreen.render(mockStateManager.getState());
+            const placeBet = jest.spyOn(mockFullMatchBetting, 'placeBet');
+
+            element.querySelector('.qualify-button[data-outcome="away"]').click();
+            expect(element.querySelector('.betting-form .bet-details').textContent).toContain('2.80');
+
+            element.querySelector('#bet-amount').value = '40';
+            element.querySelector('.place-bet-btn').click();
+
+            expect(placeBet).toHaveBeenCalledWith('away', 40, 'toQualify', 2.8);
+        });
+
+        test('should show the penalty shootout kick by kick', () => {
+            const element = matchScreen.render(knockoutState());
+            expect(element.querySelector('#shootout-panel').innerHTML).toBe('');
+
+            matchScreen.update(knockoutState({
+                shootout: {
+                    firstTeam: 'home',
+                    kicks: [
+                        { round: 1, team: 'home', player: 'A', outcome: 'goal', scored: true },
+                        { round: 1, team: 'away', player: 'B', outcome: 'save', scored: false }
+                    ],
+                    score: { home: 1, away: 0 },
+                    winner: null
+                }
+            }));
+
+            const rows = element.querySelectorAll('.shootout-row');
+            expect(rows).toHaveLength(2);
+            expect(rows[0].querySelector('.shootout-kicks').textContent).toBe('●○○○○');
+            expect(rows[1].querySelector('.shootout-kicks').textContent).toBe('✕○○○○');
+            expect(rows[0].querySelector('.shootout-score').textContent).toBe('1');
+        });
+    });
+
     describe('State Updates', () => {
+        test('should show when a side is down to fewer than eleven players', () => {
+            const state = mockStateManager.getState();
+            const element = matchScreen.render(state);
+            expect(element.querySelector('#players-on-pitch').textContent).toBe('');
+
+            matchScreen.update({ ...state, match: { ...state.match, playersOnPitch: { home: 11, away: 10 } } });
+            expect(element.querySelector('#players-on-pitch').textContent).toBe('🟥 11 v 10');
+        });
+
         test('should update timer display when time changes', () => {
             const state = mockStateManager.getState();
             const element = matchScreen.render(state);
@@ -489,6 +937,16 @@ describe('MatchScreen', () => {
             expect(timer.textContent).toBe('67\'');
         });
 
+        test('should show stoppage time on the timer', () => {
+            const state = mockStateManager.getState();
+            const element = matchScreen.render(state);
+
+            matchScreen.update({ match: { ...state.match, time: 45, addedTime: 1.4 } });
+
+            const timer = element.querySelector('.match-timer');
+            expect(timer.textContent).toBe('45+2\'');
+        });
+
         test('should update score display when score changes', () => {
             const state = mockStateManager.getState();
             const element = matchScreen.render(state);
@@ -0,0 +1,250 @@
+/**
+ * CommentaryGenerator - Narrates commentary events from the live match context
+ *
+ * Features:
+ * - Reads the match situation when the event is played: score, minutes left, players
+ *   on the pitch and possession (e.g. "Luton pressing for an equaliser with 10 minutes left")
+ * - Links consecutive events from the same side into short build-up sequences
+ * - Phrasing varies with the template's intensity (low, medium, high)
+ * - Keeps the template line when it names a player, so squads still feature
+ */
+
+import { RandomGenerator } from './RandomGenerator.js';
+
+export class CommentaryGenerator {
+    /**
+     * @param {RandomGenerator} [random] - Seeded generator; an unseeded one is created when omitted
+     */
+    constructor(random = new RandomGenerator()) {
+        this.random = random;
+
+        // Minutes left in a period when the clock becomes part of the story
+        this.LATE_MINUTES = 15;
+
+        // Minutes at the start of a match before settling-in lines stop
+        this.EARLY_MINUTES = 10;
+
+        // Possession share (%) at which a side is said to be dominating
+        this.DOMINANT_POSSESSION = 60;
+
+        // Events from the same side within this many minutes continue a build-up sequence,
+        // and a sequence is at most this many events long
+        this.SEQUENCE_WINDOW = 15;
+        this.MAX_SEQUENCE = 3;
+
+        // Situation lines by intensity. Placeholders: {team}, {opponent}, {minutesLeft}, {deficit}
+        this.SITUATION_LINES = {
+            manDown: {
+                low: ['{team} are keeping their shape with a man down.'],
+                medium: ['{team}, down to ten, are having to dig in.', 'The extra man is starting to tell against {team}.'],
+                high: ['{team} are hanging on with ten men!', 'Backs to the wall for ten-man {team}!']
+            },
+            manUp: {
+                low: ['{team} are passing it around with the extra man.'],
+                medium: ['{team} are trying to make the extra man count.', '{team} are stretching {opponent} with a man advantage.'],
+                high: ['{team} are piling forward against ten men!']
+            },
+            chasingEqualiser: {
+                low: ['{team} still looking for an equaliser with {minutesLeft} minutes left.'],
+                medium: ['{team} pressing for an equaliser with {minutesLeft} minutes left.', '{minutesLeft} minutes for {team} to find a leveller.'],
+                high: ['{team} throwing everything forward for an equaliser with {minutesLeft} minutes left!', 'Desperate stuff from {team} - {minutesLeft} minutes to save this!']
+            },
+            chasingGame: {
+                low: ['{team} need {deficit} goals and time is running out.'],
+                medium: ['{team} need {deficit} goals with only {minutesLeft} minutes left.'],
+                high: ['{team} need {deficit} goals in {minutesLeft} minutes - it would take something special!']
+            },
+            seeingItOut: {
+                low: ['{team} keeping the ball well, {minutesLeft} minutes to see out.'],
+                medium: ['{team} trying to see this out with {minutesLeft} minutes to go.', '{opponent} can\'t get the ball off {team} as the clock runs down.'],
+                high: ['{team} defending for their lives with {minutesLeft} minutes left!']
+            },
+            pushingForWinner: {
+                low: ['{minutesLeft} minutes left and it\'s all square.'],
+                medium: ['{team} pushing for a winner with {minutesLeft} minutes left.'],
+                high: ['{team} going for the winner with {minutesLeft} minutes to go!', 'Who will blink first? {team} pouring forward with {minutesLeft} left!']
+            },
+            trailing: {
+                low: ['{team} patiently looking for a way back into this.'],
+                medium: ['{team} looking for a way back into the game.', '{team} need a response after falling behind.'],
+                high: ['{team} desperate to hit back!']
+            },
+            settling: {
+                low: ['{team} settling into their rhythm early on.'],
+                medium: ['A lively start from {team}.'],
+                high: ['{team} have come flying out of the blocks!']
+            },
+            dominating: {
+                low: ['{team} have had most of the ball.'],
+                medium: ['{team} are dominating possession.', '{opponent} can\'t get a touch - it\'s all {team}.'],
+                high: ['{team} are camped in the {opponent} half!']
+            }
+        };
+
+        // Lines that open the second and later events of a build-up sequence
+        this.SEQUENCE_LINES = {
+            low: ['Still {team} on the ball.', '{team} keep it moving.'],
+            medium: ['{team} keep coming forward.', 'More from {team}.'],
+            high: ['Wave after wave from {team}!', '{team} won\'t let up!']
+        };
+    }
+
+    /**
+     * Replaces the random generator (e.g. when a new match seed is chosen)
+     * @param {RandomGenerator} random - Seeded generator
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+
+    /**
+     * Narrates a commentary event in the current match context
+     * @param {Object} event - Commentary event { time, description, data: { team, player, intensity } }
+     * @param {Object} match - Match state (teams, score, period, playersOnPitch, stats, eventFeed)
+     * @returns {Object} Narration { description, situation, sequence: { team, step } }
+     */
+    narrate(event, match) {
+        const team = event.data?.team;
+        const intensity = this.getIntensity(event.data?.intensity);
+        if (team !== 'home' && team !== 'away') {
+            return { description: event.description, situation: null, sequence: null };
+        }
+
+        const situation = this.getSituation(team, event.time, match);
+        const sequence = this.getSequence(team, event.time, match.eventFeed || []);
+        const values = this.getPlaceholderValues(team, event.time, match);
+
+        const parts = [];
+        if (sequence.step > 1) {
+            parts.push(this.fill(this.pickLine(this.SEQUENCE_LINES[intensity]), values));
+        }
+        if (situation) {
+            parts.push(this.fill(this.pickLine(this.SITUATION_LINES[situation][intensity]), values));
+        }
+        // The template line stays when there is no story yet, or when it names a player
+        if (!situation || event.data.player) {
+            parts.push(event.description);
+        }
+
+        return { description: parts.join(' '), situation, sequence };
+    }
+
+    /**
+     * Works out the story for a side at this point of the match
+     * @param {string} team - 'home' or 'away'
+     * @param {number} time - Event time in minutes
+     * @param {Object} match - Match state
+     * @returns {string|null} Situation key from SITUATION_LINES, or null when nothing stands out
+     */
+    getSituation(team, time, match) {
+        const opponent = team === 'home' ? 'away' : 'home';
+        const players = match.playersOnPitch || { home: 11, away: 11 };
+        const goalDifference = this.getScore(match, team) - this.getScore(match, opponent);
+        const minutesLeft = this.getMinutesLeft(time, match);
+
+        if (players[team] < players[opponent]) return 'manDown';
+        if (players[team] > players[opponent]) return 'manUp';
+
+        if (minutesLeft <= this.LATE_MINUTES) {
+            if (goalDifference === -1) return 'chasingEqualiser';
+            if (goalDifference < -1) return 'chasingGame';
+            if (goalDifference > 0) return 'seeingItOut';
+            return 'pushingForWinner';
+        }
+
+        if (goalDifference < 0) return 'trailing';
+        if (time <= this.EARLY_MINUTES) return 'settling';
+        if ((match.stats?.[team]?.possession ?? 0) >= this.DOMINANT_POSSESSION) return 'dominating';
+        return null;
+    }
+
+    /**
+     * Continues the side's build-up sequence when the latest event in the feed
+     * was theirs and recent enough, otherwise starts a new one
+     * @param {string} team - 'home' or 'away'
+     * @param {number} time - Event time in minutes
+     * @param {Array} eventFeed - Match feed, newest first
+     * @returns {Object} Sequence { team, step }
+     */
+    getSequence(team, time, eventFeed) {
+        const previous = eventFeed.find(entry => entry.data?.team);
+        const previousStep = previous?.data?.sequence?.step ?? 1;
+        const continues = previous
+            && previous.data.team === team
+            && time - previous.time <= this.SEQUENCE_WINDOW
+            && previousStep < this.MAX_SEQUENCE;
+
+        return { team, step: continues ? previousStep + 1 : 1 };
+    }
+
+    /**
+     * Gets minutes left in the current period (90 minutes, or 120 in extra time)
+     * @param {number} time - Event time in minutes
+     * @param {Object} match - Match state
+     * @returns {number} Whole minutes left, at least 1
+     */
+    getMinutesLeft(time, match) {
+        const end = match.period === 'EXTRA_TIME' ? 120 : 90;
+        return Math.max(1, end - Math.floor(time));
+    }
+
+    /**
+     * Gets a side's goals
+     * @param {Object} match - Match state
+     * @param {string} team - 'home' or 'away'
+     * @returns {number} Goals scored
+     */
+    getScore(match, team) {
+        return (team === 'home' ? match.homeScore : match.awayScore) || 0;
+    }
+
+    /**
+     * Builds the placeholder values for a side
+     * @param {string} team - 'home' or 'away'
+     * @param {number} time - Event time in minutes
+     * @param {Object} match - Match state
+     * @returns {Object} Values { team, opponent, minutesLeft, deficit }
+     */
+    getPlaceholderValues(team, time, match) {
+        const opponent = team === 'home' ? 'away' : 'home';
+        const teamName = side => (side === 'home' ? match.homeTeam : match.awayTeam) || (side === 'home' ? 'The home side' : 'The away side');
+
+        return {
+            team: teamName(team),
+            opponent: teamName(opponent),
+            minutesLeft: this.getMinutesLeft(time, match),
+            deficit: Math.max(0, this.getScore(match, opponent) - this.getScore(match, team))
+        };
+    }
+
+    /**
+     * Normalizes a template intensity
+     * @param {string} intensity - 'low', 'medium' or 'high'
+     * @returns {string} Known intensity, 'medium' when missing
+     */
+    getIntensity(intensity) {
+        return ['low', 'medium', 'high'].includes(intensity) ? intensity : 'medium';
+    }
+
+    /**
+     * Picks one line from a list
+     * @param {Array} lines - Candidate lines
+     * @returns {string} Chosen line
+     */
+    pickLine(lines) {
+        return lines.length === 1 ? lines[0] : this.random.pick(lines);
+    }
+
+    /**
+     * Fills {placeholders} in a line
+     * @param {string} line - Line with placeholders
+     * @param {Object} values - Placeholder values
+     * @returns {string} Filled line
+     */
+    fill(line, values) {
+        return line.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+    }
+}
+
+// Export singleton instance
+export const commentaryGenerator = new CommentaryGenerator();
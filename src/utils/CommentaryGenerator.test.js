@@ -0,0 +1,140 @@
+/**
+ * CommentaryGenerator Tests
+ * Tests for context-aware commentary lines and build-up sequences
+ */
+
+import { CommentaryGenerator, commentaryGenerator } from './CommentaryGenerator.js';
+import { RandomGenerator } from './RandomGenerator.js';
+
+describe('CommentaryGenerator', () => {
+    let generator;
+
+    const match = (overrides = {}) => ({
+        homeTeam: 'Arsenal',
+        awayTeam: 'Luton',
+        homeScore: 0,
+        awayScore: 0,
+        period: 'SECOND_HALF',
+        playersOnPitch: { home: 11, away: 11 },
+        stats: { home: { possession: 50 }, away: { possession: 50 } },
+        eventFeed: [],
+        ...overrides
+    });
+
+    const commentary = (team, time, overrides = {}) => ({
+        id: `commentary_${time}`,
+        type: 'COMMENTARY',
+        time,
+        description: 'Good passing move in midfield',
+        data: { category: 'possession', intensity: 'medium', team, ...overrides }
+    });
+
+    beforeEach(() => {
+        generator = new CommentaryGenerator(new RandomGenerator(3));
+    });
+
+    describe('Match Situation', () => {
+        test('should describe a side chasing an equaliser late on', () => {
+            const narration = generator.narrate(commentary('away', 80), match({ homeScore: 1 }));
+
+            expect(narration.situation).toBe('chasingEqualiser');
+            expect(narration.description).toMatch(/Luton/);
+            expect(narration.description).toMatch(/equaliser|leveller/);
+            expect(narration.description).toContain('10 minutes');
+        });
+
+        test('should pick the story from score, clock, players and possession', () => {
+            expect(generator.getSituation('home', 85, match({ homeScore: 2, awayScore: 1 }))).toBe('seeingItOut');
+            expect(generator.getSituation('away', 85, match({ homeScore: 3 }))).toBe('chasingGame');
+            expect(generator.getSituation('home', 80, match())).toBe('pushingForWinner');
+            expect(generator.getSituation('home', 30, match({ awayScore: 1 }))).toBe('trailing');
+            expect(generator.getSituation('home', 5, match())).toBe('settling');
+            expect(generator.getSituation('home', 40, match({ stats: { home: { possession: 64 }, away: { possession: 36 } } }))).toBe('dominating');
+            expect(generator.getSituation('home', 40, match())).toBeNull();
+        });
+
+        test('should put a numbers advantage ahead of the scoreline', () => {
+            const tenMen = match({ playersOnPitch: { home: 10, away: 11 }, homeScore: 1 });
+
+            expect(generator.getSituation('home', 85, tenMen)).toBe('manDown');
+            expect(generator.getSituation('away', 85, tenMen)).toBe('manUp');
+        });
+
+        test('should count minutes left to the end of extra time', () => {
+            const narration = generator.narrate(commentary('home', 112), match({ period: 'EXTRA_TIME', awayScore: 1 }));
+            expect(narration.description).toContain('8 minutes');
+        });
+
+        test('should keep the template line when nothing stands out or a player is named', () => {
+            expect(generator.narrate(commentary('home', 40), match()).description).toBe('Good passing move in midfield');
+
+            const named = commentary('away', 80, { player: 'Adebayo' });
+            named.description = 'Adebayo starts a good passing move in midfield';
+            const narration = generator.narrate(named, match({ homeScore: 1 }));
+            expect(narration.description).toMatch(/equaliser|leveller/);
+            expect(narration.description).toContain('Adebayo starts a good passing move in midfield');
+        });
+
+        test('should leave events without a side unchanged', () => {
+            const event = { ...commentary('home', 40), data: { category: 'weather', intensity: 'low' } };
+            expect(generator.narrate(event, match())).toEqual({ description: event.description, situation: null, sequence: null });
+        });
+    });
+
+    describe('Intensity', () => {
+        test('should phrase the same situation differently by intensity', () => {
+            const context = match({ homeScore: 1 });
+            const lines = ['low', 'medium', 'high'].map(intensity =>
+                new Set(Array.from({ length: 10 }, () =>
+                    generator.narrate(commentary('away', 80, { intensity }), context).description)));
+
+            expect([...lines[0]].some(line => lines[2].has(line))).toBe(false);
+            [...lines[2]].forEach(line => expect(line).toMatch(/!$/));
+        });
+
+        test('should treat an unknown intensity as medium', () => {
+            expect(generator.getIntensity('extreme')).toBe('medium');
+            expect(generator.getIntensity('high')).toBe('high');
+        });
+    });
+
+    describe('Build-up Sequences', () => {
+        test('should link consecutive events from the same side', () => {
+            const feed = [{ time: 30, type: 'ACTION_BET', data: { team: 'home', category: 'corner' } }];
+            const narration = generator.narrate(commentary('home', 38), match({ eventFeed: feed }));
+
+            expect(narration.sequence).toEqual({ team: 'home', step: 2 });
+            expect(narration.description).toMatch(/Arsenal/);
+            expect(narration.description).toMatch(/Good passing move in midfield$/);
+        });
+
+        test('should start a new sequence for the other side, after a gap or at the maximum length', () => {
+            const feedEntry = (team, time, step) => [{ time, type: 'COMMENTARY', data: { team, sequence: { team, step } } }];
+
+            expect(generator.getSequence('home', 38, feedEntry('away', 30, 1)).step).toBe(1);
+            expect(generator.getSequence('home', 60, feedEntry('home', 30, 1)).step).toBe(1);
+            expect(generator.getSequence('home', 38, feedEntry('home', 30, 2)).step).toBe(3);
+            expect(generator.getSequence('home', 45, feedEntry('home', 38, generator.MAX_SEQUENCE)).step).toBe(1);
+        });
+
+        test('should skip feed entries without a side when finding the previous event', () => {
+            const feed = [
+                { time: 35, type: 'HALF_TIME', data: {} },
+                { time: 30, type: 'GOAL', data: { team: 'home' } }
+            ];
+            expect(generator.getSequence('home', 38, feed).step).toBe(2);
+        });
+    });
+
+    test('should replay the same lines for the same seed', () => {
+        const lines = seed => {
+            const seeded = new CommentaryGenerator(new RandomGenerator(seed));
+            return Array.from({ length: 5 }, () => seeded.narrate(commentary('away', 80), match({ homeScore: 1 })).description);
+        };
+        expect(lines(9)).toEqual(lines(9));
+    });
+
+    test('should provide singleton instance', () => {
+        expect(commentaryGenerator).toBeInstanceOf(CommentaryGenerator);
+    });
+});
@@ -1,45 +1,129 @@
 /**
  * EventGenerator - Generates realistic match events and timeline
- * Implements event distribution logic and spacing algorithms
+ * Implements event distribution logic and spacing algorithms, shaped by the
+ * match's tempo profile (see TempoProfiles)
  */
 
+import { RandomGenerator } from './RandomGenerator.js';
+import { goalModel } from './GoalModel.js';
+import { oddsCalculator } from './OddsCalculator.js';
+import { teamRosters } from './TeamRosters.js';
+import { templateRegistry } from './TemplateRegistry.js';
+import { tempoProfiles } from './TempoProfiles.js';
+
 export class EventGenerator {
-    constructor() {
-        // Event distribution percentages
+    /**
+     * @param {RandomGenerator} [random] - Seeded generator; an unseeded one is created when omitted
+     */
+    constructor(random = new RandomGenerator()) {
+        this.random = random;
+
+        // Events generated for the current match; numbers their IDs
+        this.eventCount = 0;
+
+        // Team-strength model that decides when goals happen and who scores
+        this.goalModel = goalModel;
+
+        // Shared pricer so action bets carry the same margin as every other market
+        this.oddsCalculator = oddsCalculator;
+
+        // Event distribution percentages (the balanced tempo profile's mix)
         this.EVENT_DISTRIBUTION = {
             GOALS: 0.20,        // 20% goals
             ACTION_BETS: 0.45,  // 45% action betting opportunities
             COMMENTARY: 0.35    // 35% commentary events
         };
 
-        // Event spacing configuration (8-18 minutes apart)
+        // How far a phase's share of action bets may stray from its tempo profile, on top of
+        // the half an event its count is rounded by
+        this.PHASE_SHARE_TOLERANCE = 0.1;
+
+        // Event spacing configuration (8-18 minutes apart), for phases that don't set their own
         this.MIN_EVENT_SPACING = 8;
         this.MAX_EVENT_SPACING = 18;
 
         // Match duration in minutes
         this.MATCH_DURATION = 90;
+        this.HALF_DURATION = 45;
+        this.EXTRA_TIME_DURATION = 30;
+
+        // Added minutes at the end of each half and how often each length comes up
+        this.STOPPAGE_TIME_WEIGHTS = {
+            firstHalf: { 1: 0.30, 2: 0.35, 3: 0.20, 4: 0.15 },
+            secondHalf: { 2: 0.10, 3: 0.20, 4: 0.25, 5: 0.20, 6: 0.15, 7: 0.10 }
+        };
+        this.stoppageTime = { firstHalf: 0, secondHalf: 0 };
 
         // Event type constants
         this.EVENT_TYPES = {
             GOAL: 'GOAL',
             ACTION_BET: 'ACTION_BET',
-            COMMENTARY: 'COMMENTARY'
+            COMMENTARY: 'COMMENTARY',
+            HALF_TIME: 'HALF_TIME',
+            FULL_TIME: 'FULL_TIME',
+            INJURY: 'INJURY',
+            VAR_REVIEW: 'VAR_REVIEW'
         };
 
+        // Outcomes of a VAR check on a goal and how often each is given
+        this.VAR_CHOICES = [
+            { outcome: 'stands', description: 'Goal stands', probability: 0.7 },
+            { outcome: 'disallowed', description: 'Goal disallowed', probability: 0.3 }
+        ];
+
+        // Injuries that stop a player continuing, per team per 90 minutes
+        this.INJURIES_PER_TEAM = 0.3;
+
+        // Expected goals for the current fixture (league average until a timeline is generated)
+        this.expectedGoals = this.goalModel.getExpectedGoals();
+
+        // Squads that goal scorers, bookings and commentary name players from
+        this.teamRosters = teamRosters;
+        this.lineups = null;
+
+        // Goals of the timeline being generated, which template triggers read the score from
+        this.scheduledGoals = [];
+
+        // Tempo of the match being generated: event spacing, goal timing and event mix by phase
+        this.tempoProfiles = tempoProfiles;
+        this.tempoProfile = this.tempoProfiles.getProfile();
+
         // Predefined event templates
         this.initializeEventTemplates();
     }
 
+    /**
+     * Replaces the random generator (e.g. when a new match seed is chosen)
+     * @param {RandomGenerator} random - Seeded generator
+     */
+    setRandom(random) {
+        this.random = random;
+        this.eventCount = 0;
+    }
+
     /**
      * Generates a complete match timeline with realistic event distribution
+     * @param {Object} [teamRatings] - Ratings { home, away } from GoalModel; league average when omitted
+     * @param {Object} [lineups] - Lineups { home, away } from TeamRosters; generic player names when omitted
+     * @param {string} [tempo] - Tempo profile id from TempoProfiles; balanced when omitted
      * @returns {Array} Array of match events sorted by time
      */
-    generateMatchTimeline() {
+    generateMatchTimeline(teamRatings = null, lineups = null, tempo = null) {
+        // Team strength decides goals and which side the play belongs to
+        this.expectedGoals = this.goalModel.getExpectedGoals(teamRatings);
+        this.lineups = lineups;
+        this.tempoProfile = this.tempoProfiles.getProfile(tempo ?? undefined);
+
         const events = [];
         const eventTimes = this.generateEventTimes();
+
+        // Goal count and scorer side follow the team ratings, goal timing the tempo. Goals are drawn
+        // before the other events so template triggers can see the score at each event's minute.
+        const goals = this.generateGoalEvents(this.expectedGoals, 0, this.MATCH_DURATION, this.getGoalCurve());
+        this.scheduledGoals = goals;
         
-        // Determine event types based on distribution
-        const eventTypes = this.distributeEventTypes(eventTimes.length);
+        // Determine event types from each phase's mix; goals are placed by the model below
+        const eventTypes = this.distributeEventTypesByPhase(eventTimes);
         
         // Generate events for each time slot
         eventTimes.forEach((time, index) => {
@@ -50,6 +134,12 @@ export class EventGenerator {
             }
         });
 
+        events.push(...goals);
+
+        // Added time is drawn after the events above so it never shifts them for a given seed
+        this.stoppageTime = this.generateStoppageTime();
+        events.push(...this.generateInjuryEvents(0, this.MATCH_DURATION));
+
         // Sort events by time
         events.sort((a, b) => a.time - b.time);
         
@@ -58,41 +148,154 @@ export class EventGenerator {
     }
 
     /**
-     * Generates event times with proper spacing (8-18 minutes apart)
+     * Generates the 30 minutes of extra time in a knockout tie, ending with the final whistle.
+     * Uses the lineups of the last generated match timeline.
+     * @param {Object} [expectedGoals] - Full-match expected goals { home, away } for the sides as they stand
+     * @returns {Array} Extra-time events sorted by time
+     */
+    generateExtraTimeTimeline(expectedGoals = this.expectedGoals) {
+        const start = this.MATCH_DURATION;
+        const end = start + this.EXTRA_TIME_DURATION;
+
+        const eventTimes = this.generateEventTimes(start, end);
+
+        // Extra time starts level, so its own goals give the score state for template triggers
+        const goals = this.generateGoalEvents(this.goalModel.getExtraTimeExpectedGoals(expectedGoals), start, end);
+        this.scheduledGoals = goals;
+
+        const eventTypes = this.distributeEventTypesByPhase(eventTimes);
+        const events = eventTimes
+            .map((time, index) => this.generateEvent(eventTypes[index], time))
+            .filter(Boolean);
+
+        events.push(...goals);
+        events.push(...this.generateInjuryEvents(start, end));
+
+        events.sort((a, b) => a.time - b.time);
+        events.push({
+            id: this.generateEventId(),
+            type: this.EVENT_TYPES.FULL_TIME,
+            time: end,
+            addedTime: 0,
+            description: 'End of extra time',
+            data: { period: 'FULL_TIME', stoppageTime: 0, extraTime: true }
+        });
+
+        return events;
+    }
+
+    /**
+     * Samples goal events for a stretch of the match from the expected goals over it
+     * @param {Object} expectedGoals - Expected goals { home, away } between start and end
+     * @param {number} start - Minute the stretch starts
+     * @param {number} end - Minute the stretch ends
+     * @param {Array} [goalCurve] - Goal curve of the tempo profile; goals spread evenly when omitted
+     * @returns {Array} Goal events sorted by time
+     */
+    generateGoalEvents(expectedGoals, start, end, goalCurve = null) {
+        return this.goalModel.sampleGoals(this.random, expectedGoals, end - start, goalCurve, start)
+            .map(goal => this.generateGoalEvent(this.generateEventId(), start + goal.time, goal.team));
+    }
+
+    /**
+     * Gets the goal curve of the current tempo profile
+     * @returns {Array} Curve [{ until, weight }]
+     */
+    getGoalCurve() {
+        return this.tempoProfiles.getGoalCurve(this.tempoProfile.id);
+    }
+
+    /**
+     * Gets the tempo phase a minute falls in
+     * @param {number} time - Match minute
+     * @returns {Object} Phase { until, spacing, goalWeight, actionBetShare }
+     */
+    getTempoPhase(time) {
+        return this.tempoProfiles.getPhase(this.tempoProfile, time);
+    }
+
+    /**
+     * Samples injuries for a stretch of the match. The injured player is chosen when the
+     * event is processed, from whoever is on the pitch by then.
+     * @param {number} start - Minute the stretch starts
+     * @param {number} end - Minute the stretch ends
+     * @returns {Array} Injury events sorted by time
+     */
+    generateInjuryEvents(start, end) {
+        const perTeam = this.INJURIES_PER_TEAM * (end - start) / this.MATCH_DURATION;
+
+        return this.goalModel.sampleGoals(this.random, { home: perTeam, away: perTeam }, end - start)
+            .map(injury => ({
+                id: this.generateEventId(),
+                type: this.EVENT_TYPES.INJURY,
+                time: start + injury.time,
+                description: `Injury concern for the ${injury.team} team`,
+                data: { team: injury.team }
+            }));
+    }
+
+    /**
+     * Generates event times spaced by the tempo phase each gap starts in
+     * @param {number} [start=0] - Minute the window opens
+     * @param {number} [end] - Minute the window closes (full time by default)
      * @returns {Array} Array of event times in minutes
      */
-    generateEventTimes() {
+    generateEventTimes(start = 0, end = this.MATCH_DURATION) {
         const times = [];
-        let currentTime = this.getRandomSpacing(); // Start with random offset
+        let currentTime = start + this.getRandomSpacing(start); // Start with random offset
         
-        while (currentTime < this.MATCH_DURATION) {
+        while (currentTime < end) {
             times.push(Math.round(currentTime));
-            currentTime += this.getRandomSpacing();
+            currentTime += this.getRandomSpacing(currentTime);
         }
         
         return times;
     }
 
     /**
-     * Gets a random spacing between events (8-18 minutes)
+     * Gets a random spacing between events (8-18 minutes unless the tempo phase sets its own)
+     * @param {number} [time=0] - Minute the gap starts
      * @returns {number} Random spacing in minutes
      */
-    getRandomSpacing() {
-        return this.MIN_EVENT_SPACING + 
-               Math.random() * (this.MAX_EVENT_SPACING - this.MIN_EVENT_SPACING);
+    getRandomSpacing(time = 0) {
+        const spacing = this.getTempoSpacing(time);
+        return this.random.nextFloat(spacing.min, spacing.max);
+    }
+
+    /**
+     * Gets the event spacing range at a minute
+     * @param {number} time - Match minute
+     * @returns {Object} Spacing { min, max } in minutes
+     */
+    getTempoSpacing(time) {
+        return this.getTempoPhase(time).spacing || { min: this.MIN_EVENT_SPACING, max: this.MAX_EVENT_SPACING };
+    }
+
+    /**
+     * Gets the share of non-goal events that open an action bet at a minute
+     * @param {number} time - Match minute
+     * @returns {number} Share between 0 and 1
+     */
+    getActionBetShare(time) {
+        return this.getTempoPhase(time).actionBetShare
+            ?? this.EVENT_DISTRIBUTION.ACTION_BETS / (this.EVENT_DISTRIBUTION.ACTION_BETS + this.EVENT_DISTRIBUTION.COMMENTARY);
     }
 
     /**
      * Distributes event types based on the defined percentages
      * @param {number} totalEvents - Total number of events to distribute
+     * @param {boolean} [includeGoals=true] - False to split all slots between action bets and commentary
      * @returns {Array} Array of event types
      */
-    distributeEventTypes(totalEvents) {
+    distributeEventTypes(totalEvents, includeGoals = true) {
         const types = [];
         
         // Calculate counts for each type
-        const goalCount = Math.round(totalEvents * this.EVENT_DISTRIBUTION.GOALS);
-        const actionBetCount = Math.round(totalEvents * this.EVENT_DISTRIBUTION.ACTION_BETS);
+        const goalCount = includeGoals ? Math.round(totalEvents * this.EVENT_DISTRIBUTION.GOALS) : 0;
+        const actionBetShare = includeGoals
+            ? this.EVENT_DISTRIBUTION.ACTION_BETS
+            : this.EVENT_DISTRIBUTION.ACTION_BETS / (this.EVENT_DISTRIBUTION.ACTION_BETS + this.EVENT_DISTRIBUTION.COMMENTARY);
+        const actionBetCount = Math.round(totalEvents * actionBetShare);
         const commentaryCount = totalEvents - goalCount - actionBetCount;
         
         // Add events to array
@@ -110,6 +313,32 @@ export class EventGenerator {
         return this.shuffleArray(types);
     }
 
+    /**
+     * Distributes action bets and commentary over event times, with each tempo phase's
+     * own mix (e.g. more action bets late in a late-drama match)
+     * @param {Array} eventTimes - Event times in minutes, in order
+     * @returns {Array} Event types, one per time
+     */
+    distributeEventTypesByPhase(eventTimes) {
+        const types = [];
+        let index = 0;
+
+        while (index < eventTimes.length) {
+            const phase = this.getTempoPhase(eventTimes[index]);
+            const phaseTimes = [];
+            while (index < eventTimes.length && this.getTempoPhase(eventTimes[index]) === phase) {
+                phaseTimes.push(eventTimes[index++]);
+            }
+
+            const actionBetCount = Math.round(phaseTimes.length * this.getActionBetShare(phaseTimes[0]));
+            const phaseTypes = phaseTimes.map((time, position) =>
+                position < actionBetCount ? this.EVENT_TYPES.ACTION_BET : this.EVENT_TYPES.COMMENTARY);
+            types.push(...this.shuffleArray(phaseTypes));
+        }
+
+        return types;
+    }
+
     /**
      * Generates a specific event based on type and time
      * @param {string} eventType - Type of event to generate
@@ -117,7 +346,7 @@ export class EventGenerator {
      * @returns {Object} Generated event object
      */
     generateEvent(eventType, time) {
-        const eventId = `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const eventId = this.generateEventId();
         
         switch (eventType) {
             case this.EVENT_TYPES.GOAL:
@@ -132,15 +361,67 @@ export class EventGenerator {
         }
     }
 
+    /**
+     * Draws the stoppage time added to each half
+     * @returns {Object} Added minutes { firstHalf, secondHalf }
+     */
+    generateStoppageTime() {
+        const draw = (weights) => Number(this.random.weightedPick(Object.keys(weights), minutes => weights[minutes]));
+
+        return {
+            firstHalf: draw(this.STOPPAGE_TIME_WEIGHTS.firstHalf),
+            secondHalf: draw(this.STOPPAGE_TIME_WEIGHTS.secondHalf)
+        };
+    }
+
+    /**
+     * Generates the HALF_TIME and FULL_TIME whistles at the end of each half's stoppage time
+     * @param {Object} [stoppageTime] - Added minutes { firstHalf, secondHalf }; the last drawn when omitted
+     * @returns {Array} Period events
+     */
+    generatePeriodEvents(stoppageTime = this.stoppageTime) {
+        return [
+            {
+                id: this.generateEventId(),
+                type: this.EVENT_TYPES.HALF_TIME,
+                time: this.HALF_DURATION,
+                addedTime: stoppageTime.firstHalf,
+                description: 'Half-time',
+                data: { period: 'HALF_TIME', stoppageTime: stoppageTime.firstHalf }
+            },
+            {
+                id: this.generateEventId(),
+                type: this.EVENT_TYPES.FULL_TIME,
+                time: this.MATCH_DURATION,
+                addedTime: stoppageTime.secondHalf,
+                description: 'Full-time',
+                data: { period: 'FULL_TIME', stoppageTime: stoppageTime.secondHalf }
+            }
+        ];
+    }
+
+    /**
+     * Generates an event ID unique within the match. A seeded generator numbers the events
+     * after its seed, so a replay gives the same event and action bet market IDs.
+     * @returns {string} Event ID
+     */
+    generateEventId() {
+        this.eventCount++;
+        const seed = this.random.getSeed();
+        return seed === null
+            ? `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+            : `event_${seed}_${this.eventCount}`;
+    }
+
     /**
      * Generates a goal event
      * @param {string} id - Event ID
      * @param {number} time - Event time in minutes
+     * @param {string} [team] - Scoring side; drawn from the expected goals when omitted
      * @returns {Object} Goal event object
      */
-    generateGoalEvent(id, time) {
-        const team = Math.random() < 0.5 ? 'home' : 'away';
-        const player = this.getRandomPlayer();
+    generateGoalEvent(id, time, team = this.getRandomScoringTeam()) {
+        const player = this.getRandomPlayer(team, 'scorer');
         
         return {
             id,
@@ -155,6 +436,30 @@ export class EventGenerator {
         };
     }
 
+    /**
+     * Generates a VAR check on a goal, offered as an action bet on the decision
+     * @param {Object} goalEvent - Goal under review
+     * @returns {Object} VAR review event object
+     */
+    generateVarReviewEvent(goalEvent) {
+        const { team, player } = goalEvent.data;
+
+        return {
+            id: `var_${goalEvent.id}`,
+            type: this.EVENT_TYPES.VAR_REVIEW,
+            time: goalEvent.time,
+            description: `VAR is checking ${player ? `${player}'s goal` : `the goal for the ${team} team`}. Will it stand?`,
+            data: {
+                choices: this.priceChoices(this.VAR_CHOICES),
+                category: 'var',
+                team,
+                ...(player && { player }),
+                goalId: goalEvent.id,
+                goalTime: goalEvent.time
+            }
+        };
+    }
+
     /**
      * Generates an action betting event
      * @param {string} id - Event ID
@@ -162,16 +467,25 @@ export class EventGenerator {
      * @returns {Object} Action betting event object
      */
     generateActionBetEvent(id, time) {
-        const template = this.getRandomActionBetTemplate();
+        const template = this.getRandomActionBetTemplate(this.getTemplateContext(time));
+        if (!template) {
+            // No market can open at this point of the match
+            return this.generateCommentaryEvent(id, time);
+        }
+
+        const team = this.getActionBetTeam(template);
+        const player = this.getLineupPlayer(template.playerRole, team);
         
         return {
             id,
             type: this.EVENT_TYPES.ACTION_BET,
             time,
-            description: template.description,
+            description: this.describeTemplate(template, player),
             data: {
-                choices: template.choices,
-                category: template.category
+                choices: this.priceChoices(template.choices),
+                category: template.category,
+                team,
+                ...(player && { player })
             }
         };
     }
@@ -183,114 +497,32 @@ export class EventGenerator {
      * @returns {Object} Commentary event object
      */
     generateCommentaryEvent(id, time) {
-        const template = this.getRandomCommentaryTemplate();
+        const template = this.getRandomCommentaryTemplate(this.getTemplateContext(time));
+        if (!template) return null;
+
+        const team = this.getRandomScoringTeam();
+        const player = this.getLineupPlayer(template.playerRole, team);
         
         return {
             id,
             type: this.EVENT_TYPES.COMMENTARY,
             time,
-            description: template.description,
+            description: this.describeTemplate(template, player),
             data: {
                 category: template.category,
-                intensity: template.intensity
+                intensity: template.intensity,
+                team,
+                ...(player && { player })
             }
         };
     }
 
     /**
-     * Initializes event templates for different types of events
+     * Initializes event templates for different types of events. Action bet and commentary
+     * templates come from the template registry (data/event-templates.json).
      */
     initializeEventTemplates() {
-        this.actionBetTemplates = [
-            {
-                category: 'corner',
-                description: 'Corner kick awarded! Will it result in a goal?',
-                choices: [
-                    { outcome: 'goal', description: 'Goal from corner', odds: 4.5 },
-                    { outcome: 'shot', description: 'Shot on target', odds: 2.8 },
-                    { outcome: 'cleared', description: 'Corner cleared safely', odds: 1.6 }
-                ]
-            },
-            {
-                category: 'freekick',
-                description: 'Free kick in dangerous position! What happens next?',
-                choices: [
-                    { outcome: 'goal', description: 'Direct free kick goal', odds: 5.2 },
-                    { outcome: 'wall', description: 'Hits the wall', odds: 2.1 },
-                    { outcome: 'save', description: 'Goalkeeper saves', odds: 2.4 }
-                ]
-            },
-            {
-                category: 'attack',
-                description: 'Dangerous attack developing! How does it end?',
-                choices: [
-                    { outcome: 'goal', description: 'Goal scored!', odds: 3.8 },
-                    { outcome: 'save', description: 'Great save by keeper', odds: 2.2 },
-                    { outcome: 'miss', description: 'Shot goes wide', odds: 2.0 }
-                ]
-            },
-            {
-                category: 'penalty',
-                description: 'PENALTY! What will be the outcome?',
-                choices: [
-                    { outcome: 'goal', description: 'Penalty scored', odds: 1.4 },
-                    { outcome: 'save', description: 'Penalty saved!', odds: 4.8 },
-                    { outcome: 'miss', description: 'Penalty missed!', odds: 6.2 }
-                ]
-            },
-            {
-                category: 'card',
-                description: 'Referee reaches for his pocket! What card?',
-                choices: [
-                    { outcome: 'yellow', description: 'Yellow card shown', odds: 1.8 },
-                    { outcome: 'red', description: 'Red card!', odds: 4.5 },
-                    { outcome: 'warning', description: 'Just a warning', odds: 2.3 }
-                ]
-            }
-        ];
-
-        this.commentaryTemplates = [
-            {
-                category: 'possession',
-                description: 'Good passing move in midfield',
-                intensity: 'low'
-            },
-            {
-                category: 'defense',
-                description: 'Solid defensive work to break up the attack',
-                intensity: 'medium'
-            },
-            {
-                category: 'crowd',
-                description: 'The crowd is getting behind their team!',
-                intensity: 'medium'
-            },
-            {
-                category: 'weather',
-                description: 'Playing conditions remain good for football',
-                intensity: 'low'
-            },
-            {
-                category: 'substitution',
-                description: 'The manager is considering a tactical change',
-                intensity: 'medium'
-            },
-            {
-                category: 'pressure',
-                description: 'Building pressure as we approach the final third',
-                intensity: 'high'
-            },
-            {
-                category: 'tempo',
-                description: 'The pace of the game is picking up now',
-                intensity: 'medium'
-            },
-            {
-                category: 'tactics',
-                description: 'Interesting tactical battle developing',
-                intensity: 'low'
-            }
-        ];
+        this.templateRegistry = templateRegistry;
 
         this.playerNames = [
             'Rodriguez', 'Silva', 'Johnson', 'Martinez', 'Anderson', 'Wilson',
@@ -304,33 +536,152 @@ export class EventGenerator {
     }
 
     /**
-     * Gets a random action betting template
-     * @returns {Object} Random action betting template
+     * Loaded action bet templates
+     * @returns {Array} Templates from the registry
      */
-    getRandomActionBetTemplate() {
-        return this.actionBetTemplates[
-            Math.floor(Math.random() * this.actionBetTemplates.length)
-        ];
+    get actionBetTemplates() {
+        return this.templateRegistry.actionBetTemplates;
     }
 
     /**
-     * Gets a random commentary template
-     * @returns {Object} Random commentary template
+     * Loaded commentary templates
+     * @returns {Array} Templates from the registry
      */
-    getRandomCommentaryTemplate() {
-        return this.commentaryTemplates[
-            Math.floor(Math.random() * this.commentaryTemplates.length)
-        ];
+    get commentaryTemplates() {
+        return this.templateRegistry.commentaryTemplates;
     }
 
     /**
-     * Gets a random player name
-     * @returns {string} Random player name
+     * Builds the match context template triggers are checked against
+     * @param {number} time - Event time in minutes
+     * @returns {Object} Context { minute, score } with the score from goals scheduled before the event
      */
-    getRandomPlayer() {
-        return this.playerNames[
-            Math.floor(Math.random() * this.playerNames.length)
-        ];
+    getTemplateContext(time) {
+        const score = { home: 0, away: 0 };
+        (this.scheduledGoals || [])
+            .filter(goal => goal.time < time)
+            .forEach(goal => score[goal.data.team]++);
+
+        return { minute: time, score };
+    }
+
+    /**
+     * Derives priced odds for action bet choices from their true probabilities
+     * @param {Array} choices - Choices with outcome probabilities
+     * @returns {Array} Choices with normalized probabilities and odds including the bookmaker margin
+     */
+    priceChoices(choices) {
+        const total = choices.reduce((sum, choice) => sum + choice.probability, 0);
+
+        return choices.map(choice => {
+            const probability = choice.probability / total;
+            return {
+                ...choice,
+                probability,
+                odds: this.oddsCalculator.priceProbability(probability)
+            };
+        });
+    }
+
+    /**
+     * Gets the current action bet prices keyed by template category
+     * @returns {Object} Map of category to an array of odds
+     */
+    getActionBetMarketOdds() {
+        const markets = {};
+        this.actionBetTemplates.forEach(template => {
+            markets[template.category] = this.priceChoices(template.choices).map(choice => choice.odds);
+        });
+        return markets;
+    }
+
+    /**
+     * Gets a random action betting template whose trigger fits the match context
+     * @param {Object} [context] - Match context { minute, score }
+     * @returns {Object|null} Action betting template, or null when none can fire
+     */
+    getRandomActionBetTemplate(context = {}) {
+        return this.templateRegistry.pickActionBetTemplate(this.random, context);
+    }
+
+    /**
+     * Picks a scoring side in proportion to each team's expected goals
+     * @returns {string} 'home' or 'away'
+     */
+    getRandomScoringTeam() {
+        const { home, away } = this.expectedGoals;
+        return this.random.next() < home / (home + away) ? 'home' : 'away';
+    }
+
+    /**
+     * Picks the side an action bet situation belongs to: the attacking side, or for
+     * templates on the defending side (e.g. cards) the side whose player is involved
+     * @param {Object} template - Action bet template
+     * @returns {string} 'home' or 'away'
+     */
+    getActionBetTeam(template) {
+        const attackingTeam = this.getRandomScoringTeam();
+        if (template.side === 'defending') {
+            return attackingTeam === 'home' ? 'away' : 'home';
+        }
+        return attackingTeam;
+    }
+
+    /**
+     * Gets a random commentary template whose trigger fits the match context
+     * @param {Object} [context] - Match context { minute, score }
+     * @returns {Object|null} Commentary template, or null when none can fire
+     */
+    getRandomCommentaryTemplate(context = {}) {
+        return this.templateRegistry.pickCommentaryTemplate(this.random, context);
+    }
+
+    /**
+     * Gets a player name for an event, from the team's lineup when lineups are set
+     * @param {string} [team] - 'home' or 'away'
+     * @param {string} [role] - TeamRosters role, e.g. 'scorer'
+     * @returns {string} Player name
+     */
+    getRandomPlayer(team = null, role = 'scorer') {
+        return this.getLineupPlayer(role, team) || this.random.pick(this.playerNames);
+    }
+
+    /**
+     * Picks a named player from the team's lineup for a role
+     * @param {string} [role] - TeamRosters role, or 'substitute' for the bench
+     * @param {string} team - 'home' or 'away'
+     * @returns {string|null} Player name, or null without a role or lineups
+     */
+    getLineupPlayer(role, team) {
+        const lineup = this.lineups?.[team];
+        if (!role || !lineup) return null;
+
+        const candidates = role === 'substitute' ? lineup.bench : lineup.starting;
+        const player = this.teamRosters.pickPlayer(this.random, candidates, role === 'substitute' ? 'involvement' : role);
+        return player ? player.name : null;
+    }
+
+    /**
+     * Builds an event description, naming the player when one is involved
+     * @param {Object} template - Action bet or commentary template
+     * @param {string|null} player - Player name
+     * @returns {string} Description
+     */
+    describeTemplate(template, player) {
+        if (player && template.playerDescription) {
+            return this.pickVariant(template.playerDescriptions || [template.playerDescription]).replace('{player}', player);
+        }
+        return this.pickVariant(template.descriptions || [template.description]);
+    }
+
+    /**
+     * Picks one of a template's description variants
+     * @param {Array} variants - Description variants
+     * @returns {string} Chosen variant
+     */
+    pickVariant(variants) {
+        // A single variant draws nothing, so templates without variants keep the random stream unchanged
+        return variants.length === 1 ? variants[0] : this.random.pick(variants);
     }
 
     /**
@@ -338,9 +689,7 @@ export class EventGenerator {
      * @returns {string} Random goal type
      */
     getRandomGoalType() {
-        return this.goalTypes[
-            Math.floor(Math.random() * this.goalTypes.length)
-        ];
+        return this.random.pick(this.goalTypes);
     }
 
     /**
@@ -349,24 +698,57 @@ export class EventGenerator {
      * @returns {Array} Shuffled array
      */
     shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return this.random.shuffle(array);
     }
 
     /**
-     * Validates event distribution percentages
+     * Validates event distribution percentages and the selected tempo profile, and when
+     * given a generated timeline, checks its event spacing and each phase's mix of action
+     * bets and commentary against the profile's phases
+     * @param {Array} [events] - Timeline generated with the selected profile
      * @returns {boolean} True if distribution is valid
      */
-    validateDistribution() {
+    validateDistribution(events = null) {
         const total = this.EVENT_DISTRIBUTION.GOALS + 
                      this.EVENT_DISTRIBUTION.ACTION_BETS + 
                      this.EVENT_DISTRIBUTION.COMMENTARY;
         
-        return Math.abs(total - 1.0) < 0.001; // Allow for floating point precision
+        if (Math.abs(total - 1.0) >= 0.001) { // Allow for floating point precision
+            return false;
+        }
+        if (!this.tempoProfiles.validateProfile(this.tempoProfile).valid) {
+            return false;
+        }
+        if (!events) {
+            return true;
+        }
+
+        // Goals and injuries are placed by their own models; action bets and commentary fill the
+        // spaced slots. A slot can stay empty when no template fits, so only the minimum is checked.
+        const slotEvents = events.filter(event =>
+            event.type === this.EVENT_TYPES.ACTION_BET || event.type === this.EVENT_TYPES.COMMENTARY);
+
+        const spaced = slotEvents.every((event, index) => {
+            if (index === 0) return true;
+            const previous = slotEvents[index - 1];
+            // Times are rounded to whole minutes, so a gap can come up to a minute short
+            return event.time - previous.time >= this.getTempoSpacing(previous.time).min - 1;
+        });
+        if (!spaced) {
+            return false;
+        }
+
+        const phases = new Map();
+        slotEvents.forEach(event => {
+            const phase = this.getTempoPhase(event.time);
+            const counts = phases.get(phase) || { actionBets: 0, total: 0, share: this.getActionBetShare(event.time) };
+            counts.total++;
+            if (event.type === this.EVENT_TYPES.ACTION_BET) counts.actionBets++;
+            phases.set(phase, counts);
+        });
+
+        return [...phases.values()].every(({ actionBets, total, share }) =>
+            Math.abs(actionBets / total - share) <= this.PHASE_SHARE_TOLERANCE + 0.5 / total);
     }
 
     /**
@@ -393,7 +775,9 @@ export class EventGenerator {
                 case this.EVENT_TYPES.ACTION_BET:
                     stats.actionBets++;
                     break;
+                // Injuries show in the feed like commentary and carry no market
                 case this.EVENT_TYPES.COMMENTARY:
+                case this.EVENT_TYPES.INJURY:
                     stats.commentary++;
                     break;
             }
@@ -4,6 +4,9 @@
  */
 
 import { EventGenerator } from './EventGenerator.js';
+import { RandomGenerator } from './RandomGenerator.js';
+import { teamRosters } from './TeamRosters.js';
+import { TemplateRegistry } from './TemplateRegistry.js';
 
 describe('EventGenerator', () => {
     let eventGenerator;
@@ -150,6 +153,44 @@ describe('EventGenerator', () => {
         });
     });
 
+    describe('Team Strength', () => {
+        test('should let the stronger side score more goals', () => {
+            const random = new RandomGenerator(77);
+            const generator = new EventGenerator(random);
+            const teamRatings = {
+                home: { attack: 1.45, defence: 1.35 },
+                away: { attack: 0.70, defence: 0.60 }
+            };
+            const goals = { home: 0, away: 0 };
+
+            for (let i = 0; i < 200; i++) {
+                generator.generateMatchTimeline(teamRatings)
+                    .filter(event => event.type === 'GOAL')
+                    .forEach(event => goals[event.data.team]++);
+            }
+
+            expect(goals.home).toBeGreaterThan(goals.away * 2);
+        });
+
+        test('should scale goal counts with expected goals', () => {
+            const generator = new EventGenerator(new RandomGenerator(5));
+            const expected = generator.goalModel.getExpectedGoals();
+            let total = 0;
+
+            for (let i = 0; i < 300; i++) {
+                total += generator.generateMatchTimeline()
+                    .filter(event => event.type === 'GOAL').length;
+            }
+
+            expect(total / 300).toBeCloseTo(expected.home + expected.away, 0);
+        });
+
+        test('should pick the scoring side from expected goals when not given', () => {
+            eventGenerator.expectedGoals = { home: 1, away: 0 };
+            expect(eventGenerator.generateGoalEvent('id', 10).data.team).toBe('home');
+        });
+    });
+
     describe('Goal Event Generation', () => {
         test('should generate valid goal events', () => {
             const goalEvent = eventGenerator.generateGoalEvent('test_id', 25);
@@ -206,6 +247,60 @@ describe('EventGenerator', () => {
             });
         });
 
+        test('should give every choice a true probability', () => {
+            eventGenerator.actionBetTemplates.forEach(template => {
+                const total = template.choices.reduce((sum, choice) => sum + choice.probability, 0);
+                expect(total).toBeCloseTo(1, 5);
+
+                template.choices.forEach(choice => {
+                    expect(choice.probability).toBeGreaterThan(0);
+                    expect(choice.probability).toBeLessThan(1);
+                });
+            });
+        });
+
+        test('should price odds from probabilities with the house margin', () => {
+            eventGenerator.actionBetTemplates.forEach(template => {
+                const choices = eventGenerator.priceChoices(template.choices);
+                const bookPercentage = choices.reduce((sum, choice) => sum + 1 / choice.odds, 0);
+                expect(bookPercentage).toBeCloseTo(1 + eventGenerator.oddsCalculator.getMargin(), 2);
+
+                // Less likely outcomes must pay more
+                const sorted = [...choices].sort((a, b) => a.probability - b.probability);
+                for (let i = 1; i < sorted.length; i++) {
+                    expect(sorted[i].odds).toBeLessThan(sorted[i - 1].odds);
+                }
+            });
+        });
+
+        test('should reprice action bets when the margin changes', () => {
+            const originalMargin = eventGenerator.oddsCalculator.getMargin();
+
+            try {
+                eventGenerator.oddsCalculator.setMargin(0.04);
+                const markets = eventGenerator.getActionBetMarketOdds();
+
+                Object.values(markets).forEach(odds => {
+                    const bookPercentage = odds.reduce((sum, price) => sum + 1 / price, 0);
+                    expect(bookPercentage).toBeCloseTo(1.04, 2);
+                });
+            } finally {
+                eventGenerator.oddsCalculator.setMargin(originalMargin);
+            }
+        });
+
+        test('should attribute action bets to a team, booking the defending side', () => {
+            eventGenerator.expectedGoals = { home: 1, away: 0.0001 };
+
+            const corner = { ...eventGenerator.actionBetTemplates.find(t => t.category === 'corner') };
+            const card = { ...eventGenerator.actionBetTemplates.find(t => t.category === 'card') };
+
+            jest.spyOn(eventGenerator, 'getRandomActionBetTemplate').mockReturnValueOnce(corner).mockReturnValueOnce(card);
+
+            expect(eventGenerator.generateActionBetEvent('corner_id', 30).data.team).toBe('home');
+            expect(eventGenerator.generateActionBetEvent('card_id', 31).data.team).toBe('away');
+        });
+
         test('should use predefined action bet templates', () => {
             const actionBetEvent = eventGenerator.generateActionBetEvent('test_id', 30);
             
@@ -224,6 +319,7 @@ describe('EventGenerator', () => {
             expect(typeof commentaryEvent.description).toBe('string');
             expect(commentaryEvent.data).toHaveProperty('category');
             expect(commentaryEvent.data).toHaveProperty('intensity');
+            expect(['home', 'away']).toContain(commentaryEvent.data.team);
         });
 
         test('should use predefined commentary templates', () => {
@@ -332,6 +428,50 @@ describe('EventGenerator', () => {
         });
     });
 
+    describe('Team Rosters', () => {
+        const lineups = teamRosters.getMatchLineups('Arsenal', 'Luton');
+        const squadNames = team => lineups[team].starting.map(player => player.name);
+
+        test('should pick goal scorers from the scoring side', () => {
+            const timeline = eventGenerator.generateMatchTimeline(null, lineups);
+
+            timeline.filter(event => event.type === 'GOAL').forEach(goal => {
+                expect(squadNames(goal.data.team)).toContain(goal.data.player);
+            });
+        });
+
+        test('should name the penalty taker and the booked player', () => {
+            eventGenerator.lineups = lineups;
+            const penalty = eventGenerator.actionBetTemplates.find(t => t.category === 'penalty');
+            const card = eventGenerator.actionBetTemplates.find(t => t.category === 'card');
+            jest.spyOn(eventGenerator, 'getRandomActionBetTemplate').mockReturnValueOnce(penalty).mockReturnValueOnce(card);
+
+            const penaltyEvent = eventGenerator.generateActionBetEvent('penalty_id', 40);
+            expect(squadNames(penaltyEvent.data.team)).toContain(penaltyEvent.data.player);
+            expect(penaltyEvent.description).toContain(penaltyEvent.data.player);
+
+            const cardEvent = eventGenerator.generateActionBetEvent('card_id', 41);
+            expect(squadNames(cardEvent.data.team)).toContain(cardEvent.data.player);
+        });
+
+        test('should name bench players in substitution commentary', () => {
+            eventGenerator.lineups = lineups;
+            const substitution = eventGenerator.commentaryTemplates.find(t => t.category === 'substitution');
+            jest.spyOn(eventGenerator, 'getRandomCommentaryTemplate').mockReturnValueOnce(substitution);
+
+            const event = eventGenerator.generateCommentaryEvent('sub_id', 60);
+            const benchNames = lineups[event.data.team].bench.map(player => player.name);
+            expect(benchNames).toContain(event.data.player);
+            expect(event.description).toContain(event.data.player);
+        });
+
+        test('should keep generic descriptions without lineups', () => {
+            const event = eventGenerator.generateActionBetEvent('test_id', 30);
+            expect(event.data.player).toBeUndefined();
+            expect(event.description).not.toContain('{player}');
+        });
+    });
+
     describe('Template Validation', () => {
         test('should have valid action bet templates', () => {
             expect(eventGenerator.actionBetTemplates).toBeDefined();
@@ -367,6 +507,235 @@ describe('EventGenerator', () => {
             expect(eventGenerator.goalTypes.length).toBeGreaterThan(0);
         });
     });
+
+    describe('Stoppage Time', () => {
+        test('should draw stoppage time for each half within the configured range', () => {
+            for (let i = 0; i < 20; i++) {
+                eventGenerator.generateMatchTimeline();
+                const { firstHalf, secondHalf } = eventGenerator.stoppageTime;
+
+                expect(Object.keys(eventGenerator.STOPPAGE_TIME_WEIGHTS.firstHalf)).toContain(String(firstHalf));
+                expect(Object.keys(eventGenerator.STOPPAGE_TIME_WEIGHTS.secondHalf)).toContain(String(secondHalf));
+            }
+        });
+
+        test('should keep period whistles out of the generated timeline', () => {
+            const timeline = eventGenerator.generateMatchTimeline();
+
+            expect(timeline.some(event => event.type === 'HALF_TIME' || event.type === 'FULL_TIME')).toBe(false);
+        });
+
+        test('should place the whistles at the end of each half\'s stoppage time', () => {
+            const [halfTime, fullTime] = eventGenerator.generatePeriodEvents({ firstHalf: 2, secondHalf: 5 });
+
+            expect(halfTime).toMatchObject({ type: 'HALF_TIME', time: 45, addedTime: 2 });
+            expect(fullTime).toMatchObject({ type: 'FULL_TIME', time: 90, addedTime: 5 });
+        });
+    });
+
+    describe('Extra Time', () => {
+        test('should generate extra time events between 90 and 120 minutes', () => {
+            eventGenerator.generateMatchTimeline();
+            const timeline = eventGenerator.generateExtraTimeTimeline();
+            const events = timeline.slice(0, -1);
+
+            events.forEach((event, index) => {
+                expect(event.time).toBeGreaterThan(90);
+                expect(event.time).toBeLessThanOrEqual(120);
+                if (index > 0) {
+                    expect(event.time).toBeGreaterThanOrEqual(events[index - 1].time);
+                }
+            });
+            expect(events.some(event => event.type === 'HALF_TIME' || event.type === 'FULL_TIME')).toBe(false);
+        });
+
+        test('should close extra time with a final whistle at 120 minutes', () => {
+            const timeline = eventGenerator.generateExtraTimeTimeline();
+
+            expect(timeline[timeline.length - 1]).toMatchObject({
+                type: 'FULL_TIME',
+                time: 120,
+                addedTime: 0,
+                data: { extraTime: true }
+            });
+        });
+    });
+
+    describe('Template Registry', () => {
+        const lateOffside = {
+            category: 'offside',
+            descriptions: ['Flag up! Is it offside?'],
+            choices: [
+                { outcome: 'offside', description: 'Offside given', probability: 0.6 },
+                { outcome: 'onside', description: 'Play on!', probability: 0.4 }
+            ],
+            trigger: { minutes: [75, 90], scoreStates: ['level'] }
+        };
+
+        beforeEach(() => {
+            eventGenerator.templateRegistry = new TemplateRegistry({ actionBets: [lateOffside], commentary: [] });
+        });
+
+        test('should only open markets whose trigger fits the minute and scheduled score', () => {
+            eventGenerator.scheduledGoals = [eventGenerator.generateGoalEvent('goal_id', 78, 'home')];
+
+            expect(eventGenerator.generateActionBetEvent('early', 30)).toBeNull();
+            expect(eventGenerator.generateActionBetEvent('level', 77).data.category).toBe('offside');
+            expect(eventGenerator.generateActionBetEvent('after_goal', 80)).toBeNull();
+        });
+
+        test('should price registry templates with the house margin', () => {
+            eventGenerator.scheduledGoals = [];
+            const event = eventGenerator.generateActionBetEvent('offside_id', 85);
+            const bookPercentage = event.data.choices.reduce((sum, choice) => sum + 1 / choice.odds, 0);
+
+            expect(event.description).toBe('Flag up! Is it offside?');
+            expect(bookPercentage).toBeCloseTo(1 + eventGenerator.oddsCalculator.getMargin(), 2);
+        });
+
+        test('should read the score state from the goals in the timeline', () => {
+            eventGenerator.scheduledGoals = [
+                eventGenerator.generateGoalEvent('g1', 10, 'home'),
+                eventGenerator.generateGoalEvent('g2', 20, 'home')
+            ];
+
+            expect(eventGenerator.getTemplateContext(15)).toEqual({ minute: 15, score: { home: 1, away: 0 } });
+            expect(eventGenerator.getTemplateContext(30).score).toEqual({ home: 2, away: 0 });
+        });
+    });
+
+    describe('Injuries', () => {
+        test('should place injuries inside the match for either side', () => {
+            const injuries = eventGenerator.generateInjuryEvents(0, 90);
+
+            injuries.forEach(injury => {
+                expect(injury.type).toBe('INJURY');
+                expect(injury.time).toBeGreaterThan(0);
+                expect(injury.time).toBeLessThan(90);
+                expect(['home', 'away']).toContain(injury.data.team);
+            });
+        });
+
+        test('should average the configured injuries per side', () => {
+            eventGenerator.setRandom(new RandomGenerator(42));
+            const runs = 500;
+            let injuries = 0;
+
+            for (let i = 0; i < runs; i++) {
+                injuries += eventGenerator.generateInjuryEvents(0, 90).length;
+            }
+
+            expect(injuries / runs).toBeCloseTo(eventGenerator.INJURIES_PER_TEAM * 2, 1);
+        });
+    });
+
+    describe('Tempo Profiles', () => {
+        test('should default to the balanced profile', () => {
+            eventGenerator.generateMatchTimeline();
+
+            expect(eventGenerator.tempoProfile.id).toBe('balanced');
+            expect(eventGenerator.getTempoSpacing(80)).toEqual({ min: 8, max: 18 });
+        });
+
+        test('should space events by the phase each gap starts in', () => {
+            eventGenerator.setRandom(new RandomGenerator(5));
+            eventGenerator.generateMatchTimeline(null, null, 'late_drama');
+            const times = eventGenerator.generateEventTimes();
+
+            for (let i = 1; i < times.length; i++) {
+                const spacing = eventGenerator.getTempoSpacing(times[i - 1]);
+                expect(times[i] - times[i - 1]).toBeGreaterThanOrEqual(spacing.min - 1);
+                expect(times[i] - times[i - 1]).toBeLessThanOrEqual(spacing.max + 1);
+            }
+        });
+
+        test('should give late drama more late events and goals than a cagey derby', () => {
+            const lateShare = (tempo, seed) => {
+                const generator = new EventGenerator(new RandomGenerator(seed));
+                let late = 0;
+                let total = 0;
+                for (let i = 0; i < 200; i++) {
+                    generator.generateMatchTimeline(null, null, tempo)
+                        .filter(event => event.type === 'GOAL' || event.type === 'ACTION_BET')
+                        .forEach(event => {
+                            total++;
+                            if (event.time >= 75) late++;
+                        });
+                }
+                return late / total;
+            };
+
+            expect(lateShare('late_drama', 11)).toBeGreaterThan(lateShare('balanced', 11));
+            expect(lateShare('late_drama', 11)).toBeGreaterThan(0.4);
+        });
+
+        test('should mix action bets by phase', () => {
+            eventGenerator.generateMatchTimeline(null, null, 'late_drama');
+            const times = [10, 25, 40, 80, 84, 88];
+            const types = eventGenerator.distributeEventTypesByPhase(times);
+
+            expect(types).toHaveLength(6);
+            // 80% of the three late events, 45% of the three early ones
+            expect(types.slice(3).filter(type => type === 'ACTION_BET')).toHaveLength(2);
+            expect(types.slice(0, 3).filter(type => type === 'ACTION_BET')).toHaveLength(1);
+        });
+
+        test('should validate a timeline against the selected profile', () => {
+            eventGenerator.setRandom(new RandomGenerator(3));
+            const timeline = eventGenerator.generateMatchTimeline(null, null, 'end_to_end');
+
+            expect(eventGenerator.validateDistribution(timeline)).toBe(true);
+
+            const crowded = [
+                { type: 'ACTION_BET', time: 10 },
+                { type: 'COMMENTARY', time: 11 }
+            ];
+            expect(eventGenerator.validateDistribution(crowded)).toBe(false);
+        });
+
+        test('should check each phase mixes action bets and commentary as its profile says', () => {
+            eventGenerator.setRandom(new RandomGenerator(5));
+            const timeline = eventGenerator.generateMatchTimeline(null, null, 'late_drama');
+
+            expect(eventGenerator.validateDistribution(timeline)).toBe(true);
+
+            // Late drama's last phase opens an action bet at 80% of its events, not a quarter
+            const quiet = [76, 82, 88, 94].map((time, index) => ({ type: index === 0 ? 'ACTION_BET' : 'COMMENTARY', time }));
+            expect(eventGenerator.validateDistribution(quiet)).toBe(false);
+        });
+
+        test('should reject a malformed profile', () => {
+            eventGenerator.tempoProfile = { id: 'broken', phases: [{ until: 60, goalWeight: 1 }] };
+
+            expect(eventGenerator.validateDistribution()).toBe(false);
+        });
+    });
+
+    describe('Seeded Generation', () => {
+        test('should generate identical timelines for the same seed', () => {
+            const first = new EventGenerator(new RandomGenerator(2024)).generateMatchTimeline();
+            const second = new EventGenerator(new RandomGenerator(2024)).generateMatchTimeline();
+
+            expect(first).toEqual(second);
+            expect(new Set(first.map(event => event.id)).size).toBe(first.length);
+        });
+
+        test('should generate different timelines for different seeds', () => {
+            const first = new EventGenerator(new RandomGenerator(1)).generateMatchTimeline();
+            const second = new EventGenerator(new RandomGenerator(2)).generateMatchTimeline();
+
+            expect(first).not.toEqual(second);
+        });
+
+        test('should replay a timeline after the generator is reseeded', () => {
+            eventGenerator.setRandom(new RandomGenerator('replay'));
+            const first = eventGenerator.generateMatchTimeline();
+            eventGenerator.setRandom(new RandomGenerator('replay'));
+            const second = eventGenerator.generateMatchTimeline();
+
+            expect(second).toEqual(first);
+        });
+    });
 });
 
 // Run tests if this file is executed directly
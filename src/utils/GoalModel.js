@@ -0,0 +1,408 @@
+/**
+ * GoalModel - Poisson team-strength model shared by simulation and pricing
+ *
+ * Features:
+ * - Attack and defence ratings per team (1.00 = league average)
+ * - Expected goals per side including home advantage
+ * - 1X2 outcome probabilities from independent Poisson score distributions,
+ *   optionally on top of a current score for in-play pricing
+ * - Total goals (over/under) probabilities from the combined Poisson rate
+ * - Final scoreline distribution and "both teams to score" probabilities
+ * - Next team to score from the race between the two sides' remaining goals
+ * - Minute-by-minute goal sampling so timing and scorer side follow the ratings
+ * - "To qualify" probabilities for knockout ties through extra time and penalties
+ * - Match situation adjustments: red cards and forced substitutions change the ratings
+ *   for the rest of the match
+ * - Goal curves (from TempoProfiles) that move goals between phases of the match
+ *   without changing how many are expected
+ */
+
+export class GoalModel {
+    constructor() {
+        // Average goals scored by one team in a 90 minute match
+        this.BASE_GOALS = 1.35;
+
+        // Multiplier applied to the home side's expected goals
+        this.HOME_ADVANTAGE = 1.15;
+
+        // Score matrix is truncated at this many goals per team
+        this.MAX_GOALS = 10;
+
+        // Knockout ties: 30 minutes of extra time at a slightly lower scoring rate
+        // (tired legs, cautious teams), then a shootout treated as a coin flip
+        this.REGULATION_DURATION = 90;
+        this.EXTRA_TIME_DURATION = 30;
+        this.EXTRA_TIME_GOAL_RATE = 0.85;
+        this.SHOOTOUT_HOME_WIN = 0.5;
+
+        // Each player a side is short multiplies its attack and defence ratings:
+        // down to ten men a team scores about 30% less and concedes about a third more
+        this.FULL_TEAM = 11;
+        this.MAN_DOWN_EFFECT = { attack: 0.7, defence: 0.75 };
+
+        // Team strength change per rating point between a replaced player and the substitute
+        this.SUBSTITUTE_RATING_EFFECT = 0.004;
+
+        // Ratings used for teams without an entry
+        this.defaultRatings = { attack: 1.00, defence: 1.00 };
+
+        // Attack > 1 scores more than average, defence > 1 concedes less
+        this.teamRatings = {
+            'Manchester City': { attack: 1.45, defence: 1.35 },
+            'Arsenal': { attack: 1.35, defence: 1.35 },
+            'Liverpool': { attack: 1.40, defence: 1.25 },
+            'Aston Villa': { attack: 1.20, defence: 1.00 },
+            'Tottenham': { attack: 1.25, defence: 0.90 },
+            'Newcastle': { attack: 1.20, defence: 1.05 },
+            'Chelsea': { attack: 1.15, defence: 1.00 },
+            'Manchester United': { attack: 1.05, defence: 1.00 },
+            'West Ham': { attack: 1.00, defence: 0.85 },
+            'Brighton': { attack: 1.05, defence: 0.90 },
+            'Crystal Palace': { attack: 0.90, defence: 0.95 },
+            'Fulham': { attack: 0.95, defence: 0.90 },
+            'Brentford': { attack: 0.95, defence: 0.85 },
+            'Wolves': { attack: 0.90, defence: 0.85 },
+            'Everton': { attack: 0.80, defence: 1.00 },
+            'Bournemouth': { attack: 0.95, defence: 0.80 },
+            'Nottingham Forest': { attack: 0.85, defence: 0.80 },
+            'Luton': { attack: 0.80, defence: 0.70 },
+            'Burnley': { attack: 0.75, defence: 0.70 },
+            'Sheffield United': { attack: 0.70, defence: 0.60 }
+        };
+    }
+
+    /**
+     * Gets attack and defence ratings for a team
+     * @param {string} teamName - Team name
+     * @returns {Object} Ratings { attack, defence }
+     */
+    getTeamRatings(teamName) {
+        return { ...(this.teamRatings[teamName] || this.defaultRatings) };
+    }
+
+    /**
+     * Builds the ratings pair for a fixture
+     * @param {string} homeTeam - Home team name
+     * @param {string} awayTeam - Away team name
+     * @returns {Object} Ratings { home, away }
+     */
+    getMatchRatings(homeTeam, awayTeam) {
+        return {
+            home: this.getTeamRatings(homeTeam),
+            away: this.getTeamRatings(awayTeam)
+        };
+    }
+
+    /**
+     * Adjusts fixture ratings for the match situation: players sent off or
+     * injured without a replacement, and the strength of substitutes
+     * @param {Object} [teamRatings] - Ratings { home, away }; missing sides use league average
+     * @param {Object} [situation] - { playersOnPitch: { home, away }, teamStrength: { home, away } }
+     * @returns {Object} Adjusted ratings { home, away }
+     */
+    getSituationalRatings(teamRatings = null, situation = {}) {
+        const adjust = (team) => {
+            const ratings = { ...this.defaultRatings, ...(teamRatings?.[team] || {}) };
+            const playersShort = this.FULL_TEAM - (situation.playersOnPitch?.[team] ?? this.FULL_TEAM);
+            const strength = situation.teamStrength?.[team] ?? 1;
+
+            return {
+                attack: ratings.attack * strength * Math.pow(this.MAN_DOWN_EFFECT.attack, playersShort),
+                defence: ratings.defence * strength * Math.pow(this.MAN_DOWN_EFFECT.defence, playersShort)
+            };
+        };
+
+        return { home: adjust('home'), away: adjust('away') };
+    }
+
+    /**
+     * Gets the team strength multiplier for bringing on a substitute
+     * @param {Object} playerOff - Player leaving { rating }
+     * @param {Object} playerOn - Substitute { rating }
+     * @returns {number} Strength multiplier (below 1 for a weaker substitute)
+     */
+    getSubstitutionStrength(playerOff, playerOn) {
+        if (!playerOff?.rating || !playerOn?.rating) return 1;
+        return 1 + (playerOn.rating - playerOff.rating) * this.SUBSTITUTE_RATING_EFFECT;
+    }
+
+    /**
+     * Calculates expected goals for each side over a full match
+     * @param {Object} [teamRatings] - Ratings { home, away }; missing sides use league average
+     * @returns {Object} Expected goals { home, away }
+     */
+    getExpectedGoals(teamRatings = null) {
+        const home = { ...this.defaultRatings, ...(teamRatings?.home || {}) };
+        const away = { ...this.defaultRatings, ...(teamRatings?.away || {}) };
+
+        return {
+            home: this.BASE_GOALS * this.HOME_ADVANTAGE * home.attack / away.defence,
+            away: this.BASE_GOALS * away.attack / home.defence
+        };
+    }
+
+    /**
+     * Poisson probability of exactly k goals
+     * @param {number} k - Number of goals
+     * @param {number} lambda - Expected goals
+     * @returns {number} Probability
+     */
+    poisson(k, lambda) {
+        let factorial = 1;
+        for (let i = 2; i <= k; i++) {
+            factorial *= i;
+        }
+        return Math.pow(lambda, k) * Math.exp(-lambda) / factorial;
+    }
+
+    /**
+     * Calculates fair home/draw/away probabilities from expected goals
+     * @param {Object} expectedGoals - Expected goals { home, away } still to be scored
+     * @param {Object} [currentScore] - Goals already scored { home, away }
+     * @returns {Object} Probabilities { home, draw, away } summing to 1
+     */
+    getOutcomeProbabilities(expectedGoals, currentScore = { home: 0, away: 0 }) {
+        const probabilities = { home: 0, draw: 0, away: 0 };
+        const lead = currentScore.home - currentScore.away;
+
+        for (let homeGoals = 0; homeGoals <= this.MAX_GOALS; homeGoals++) {
+            const pHome = this.poisson(homeGoals, expectedGoals.home);
+            for (let awayGoals = 0; awayGoals <= this.MAX_GOALS; awayGoals++) {
+                const p = pHome * this.poisson(awayGoals, expectedGoals.away);
+                const finalLead = lead + homeGoals - awayGoals;
+                if (finalLead > 0) {
+                    probabilities.home += p;
+                } else if (finalLead === 0) {
+                    probabilities.draw += p;
+                } else {
+                    probabilities.away += p;
+                }
+            }
+        }
+
+        // Renormalize the mass lost to truncation
+        const total = probabilities.home + probabilities.draw + probabilities.away;
+        return {
+            home: probabilities.home / total,
+            draw: probabilities.draw / total,
+            away: probabilities.away / total
+        };
+    }
+
+    /**
+     * Calculates the probability of every final score from the goals still to come
+     * @param {Object} expectedGoals - Expected goals { home, away } still to be scored
+     * @param {Object} [currentScore] - Goals already scored { home, away }
+     * @returns {Object} Probabilities keyed by final score, e.g. { '1-0': 0.11, ... }, summing to 1
+     */
+    getScorelineProbabilities(expectedGoals, currentScore = { home: 0, away: 0 }) {
+        const probabilities = {};
+        let total = 0;
+
+        for (let homeGoals = 0; homeGoals <= this.MAX_GOALS; homeGoals++) {
+            const pHome = this.poisson(homeGoals, expectedGoals.home);
+            for (let awayGoals = 0; awayGoals <= this.MAX_GOALS; awayGoals++) {
+                const p = pHome * this.poisson(awayGoals, expectedGoals.away);
+                probabilities[`${currentScore.home + homeGoals}-${currentScore.away + awayGoals}`] = p;
+                total += p;
+            }
+        }
+
+        // Renormalize the mass lost to truncation
+        Object.keys(probabilities).forEach(score => {
+            probabilities[score] /= total;
+        });
+        return probabilities;
+    }
+
+    /**
+     * Probability that both sides score at least once
+     * @param {Object} expectedGoals - Expected goals { home, away } still to be scored
+     * @param {Object} [currentScore] - Goals already scored { home, away }
+     * @returns {number} Probability between 0 and 1
+     */
+    getBothTeamsScoreProbability(expectedGoals, currentScore = { home: 0, away: 0 }) {
+        // The sides score independently, so multiply each side's chance of a goal
+        const scores = (team) => currentScore[team] > 0 ? 1 : 1 - Math.exp(-expectedGoals[team]);
+        return scores('home') * scores('away');
+    }
+
+    /**
+     * Probabilities of which side scores the next goal, or that no goal comes
+     * @param {Object} expectedGoals - Expected goals { home, away } still to be scored
+     * @returns {Object} Probabilities { home, none, away } summing to 1
+     */
+    getNextGoalProbabilities(expectedGoals) {
+        const rate = expectedGoals.home + expectedGoals.away;
+        if (!(rate > 0)) {
+            return { home: 0, none: 1, away: 0 };
+        }
+
+        // Whichever side's goal comes first takes the market, in proportion to its rate
+        const none = Math.exp(-rate);
+        return {
+            home: (1 - none) * expectedGoals.home / rate,
+            none,
+            away: (1 - none) * expectedGoals.away / rate
+        };
+    }
+
+    /**
+     * Gets the relative goal likelihood at a minute
+     * @param {number} minute - Match minute
+     * @param {Array} [goalCurve] - Curve [{ until, weight }]; flat when omitted
+     * @returns {number} Weight (1 on a flat curve)
+     */
+    getGoalWeight(minute, goalCurve = null) {
+        if (!goalCurve || goalCurve.length === 0) return 1;
+        const phase = goalCurve.find(point => minute < point.until) || goalCurve[goalCurve.length - 1];
+        return phase.weight;
+    }
+
+    /**
+     * Share of a match's goals expected between two minutes
+     * @param {number} from - Start minute
+     * @param {number} to - End minute
+     * @param {number} duration - Match length in minutes
+     * @param {Array} [goalCurve] - Curve [{ until, weight }]; flat when omitted
+     * @returns {number} Share between 0 and 1
+     */
+    getGoalShare(from, to, duration, goalCurve = null) {
+        // Area under the piecewise-constant curve between two minutes
+        const area = (start, end) => {
+            if (!goalCurve || goalCurve.length === 0) return Math.max(0, end - start);
+            let total = 0;
+            let phaseStart = 0;
+            goalCurve.forEach((point, index) => {
+                const phaseEnd = index === goalCurve.length - 1 ? Infinity : point.until;
+                total += point.weight * Math.max(0, Math.min(end, phaseEnd) - Math.max(start, phaseStart));
+                phaseStart = phaseEnd;
+            });
+            return total;
+        };
+
+        const whole = area(0, duration);
+        if (whole <= 0) return 0;
+        return Math.max(0, Math.min(1, area(Math.max(0, from), Math.min(duration, to)) / whole));
+    }
+
+    /**
+     * Probability that a match ends with more goals than a line (e.g. over 2.5)
+     * @param {Object} expectedGoals - Expected goals { home, away } still to be scored
+     * @param {number} line - Total goals line (0.5, 1.5, ...)
+     * @param {number} [currentTotal=0] - Goals already scored by both sides
+     * @returns {number} Probability of going over the line
+     */
+    getOverProbability(expectedGoals, line, currentTotal = 0) {
+        // The sum of two independent Poisson counts is Poisson with the summed rate
+        const rate = expectedGoals.home + expectedGoals.away;
+        const goalsNeeded = Math.floor(line) + 1 - currentTotal;
+        if (goalsNeeded <= 0) return 1;
+
+        let under = 0;
+        for (let goals = 0; goals < goalsNeeded; goals++) {
+            under += this.poisson(goals, rate);
+        }
+        return Math.max(0, 1 - under);
+    }
+
+    /**
+     * Scales full-match expected goals down to the time that is left
+     * @param {Object} expectedGoals - Full-match expected goals { home, away }
+     * @param {number} time - Current match time in minutes
+     * @param {number} duration - Match length in minutes
+     * @param {Array} [goalCurve] - Curve [{ until, weight }] of the match's tempo; flat when omitted
+     * @returns {Object} Remaining expected goals { home, away }
+     */
+    getRemainingExpectedGoals(expectedGoals, time, duration, goalCurve = null) {
+        const remaining = this.getGoalShare(time, duration, duration, goalCurve);
+        return {
+            home: expectedGoals.home * remaining,
+            away: expectedGoals.away * remaining
+        };
+    }
+
+    /**
+     * Scales full-match expected goals to 30 minutes of extra time
+     * @param {Object} expectedGoals - Full-match expected goals { home, away }
+     * @returns {Object} Extra-time expected goals { home, away }
+     */
+    getExtraTimeExpectedGoals(expectedGoals) {
+        const scale = this.EXTRA_TIME_GOAL_RATE * this.EXTRA_TIME_DURATION / this.REGULATION_DURATION;
+        return {
+            home: expectedGoals.home * scale,
+            away: expectedGoals.away * scale
+        };
+    }
+
+    /**
+     * Calculates fair "to qualify" probabilities for a knockout tie; a draw after
+     * 90 minutes goes to extra time, a draw after extra time to penalties
+     * @param {Object} expectedGoals - Full-match expected goals { home, away }
+     * @param {Object} [currentScore] - Goals scored so far { home, away }
+     * @param {number} [time=0] - Match time in minutes (90-120 during extra time)
+     * @param {Array} [goalCurve] - Goal curve of the 90 minutes; extra time is always flat
+     * @returns {Object} Probabilities { home, away } summing to 1
+     */
+    getQualifyProbabilities(expectedGoals, currentScore = { home: 0, away: 0 }, time = 0, goalCurve = null) {
+        const extraTimeGoals = this.getExtraTimeExpectedGoals(expectedGoals);
+        let home;
+
+        if (time < this.REGULATION_DURATION) {
+            const regulation = this.getOutcomeProbabilities(
+                this.getRemainingExpectedGoals(expectedGoals, time, this.REGULATION_DURATION, goalCurve), currentScore);
+            const extraTime = this.getOutcomeProbabilities(extraTimeGoals);
+            home = regulation.home + regulation.draw * (extraTime.home + extraTime.draw * this.SHOOTOUT_HOME_WIN);
+        } else {
+            const extraTime = this.getOutcomeProbabilities(
+                this.getRemainingExpectedGoals(extraTimeGoals, time - this.REGULATION_DURATION, this.EXTRA_TIME_DURATION),
+                currentScore);
+            home = extraTime.home + extraTime.draw * this.SHOOTOUT_HOME_WIN;
+        }
+
+        return { home, away: 1 - home };
+    }
+
+    /**
+     * Samples goals minute by minute from the expected goal rates
+     * @param {RandomGenerator} random - Generator to draw from
+     * @param {Object} expectedGoals - Expected goals { home, away } over the duration
+     * @param {number} duration - Match length in minutes
+     * @param {Array} [goalCurve] - Curve [{ until, weight }] on match minutes; flat when omitted
+     * @param {number} [start=0] - Match minute the duration starts at, to read the curve
+     * @returns {Array} Goals as { time, team } sorted by time, time counted from start
+     */
+    sampleGoals(random, expectedGoals, duration, goalCurve = null, start = 0) {
+        const goals = [];
+        // Goals fall in minutes 1..duration-1, like the rest of the timeline
+        const minutes = duration - 1;
+        const homeBase = expectedGoals.home / minutes;
+        const awayBase = expectedGoals.away / minutes;
+
+        // The curve moves goals between minutes; its average over the window is 1
+        let meanWeight = 1;
+        if (goalCurve) {
+            meanWeight = 0;
+            for (let minute = 1; minute <= minutes; minute++) {
+                meanWeight += this.getGoalWeight(start + minute, goalCurve) / minutes;
+            }
+        }
+
+        for (let minute = 1; minute <= minutes; minute++) {
+            const weight = this.getGoalWeight(start + minute, goalCurve) / meanWeight;
+            const homeRate = homeBase * weight;
+            const awayRate = awayBase * weight;
+            const roll = random.next();
+            if (roll < homeRate) {
+                goals.push({ time: minute, team: 'home' });
+            } else if (roll < homeRate + awayRate) {
+                goals.push({ time: minute, team: 'away' });
+            }
+        }
+
+        return goals;
+    }
+}
+
+// Export singleton instance
+export const goalModel = new GoalModel();
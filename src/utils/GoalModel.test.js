@@ -0,0 +1,219 @@
+/**
+ * GoalModel Tests
+ * Tests for the Poisson team-strength model
+ */
+
+import { GoalModel, goalModel } from './GoalModel.js';
+import { RandomGenerator } from './RandomGenerator.js';
+
+describe('GoalModel', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new GoalModel();
+    });
+
+    describe('Ratings', () => {
+        test('should return ratings for known teams', () => {
+            const ratings = model.getTeamRatings('Manchester City');
+            expect(ratings.attack).toBeGreaterThan(1);
+            expect(ratings.defence).toBeGreaterThan(1);
+        });
+
+        test('should fall back to league average for unknown teams', () => {
+            expect(model.getTeamRatings('Unknown FC')).toEqual({ attack: 1, defence: 1 });
+        });
+
+        test('should return copies so callers cannot change the table', () => {
+            model.getTeamRatings('Arsenal').attack = 99;
+            expect(model.getTeamRatings('Arsenal').attack).not.toBe(99);
+        });
+
+        test('should build ratings for both sides of a fixture', () => {
+            const ratings = model.getMatchRatings('Arsenal', 'Luton');
+            expect(ratings.home).toEqual(model.getTeamRatings('Arsenal'));
+            expect(ratings.away).toEqual(model.getTeamRatings('Luton'));
+        });
+    });
+
+    describe('Expected Goals', () => {
+        test('should apply home advantage between average teams', () => {
+            const expected = model.getExpectedGoals();
+            expect(expected.home).toBeCloseTo(model.BASE_GOALS * model.HOME_ADVANTAGE, 5);
+            expect(expected.away).toBeCloseTo(model.BASE_GOALS, 5);
+        });
+
+        test('should reward attack and punish weak defence', () => {
+            const expected = model.getExpectedGoals({
+                home: { attack: 1.5, defence: 1.0 },
+                away: { attack: 1.0, defence: 0.5 }
+            });
+            expect(expected.home).toBeCloseTo(model.BASE_GOALS * model.HOME_ADVANTAGE * 3, 5);
+        });
+    });
+
+    describe('Outcome Probabilities', () => {
+        test('should sum to one', () => {
+            const p = model.getOutcomeProbabilities({ home: 1.6, away: 1.1 });
+            expect(p.home + p.draw + p.away).toBeCloseTo(1, 10);
+        });
+
+        test('should be symmetric for equal expected goals', () => {
+            const p = model.getOutcomeProbabilities({ home: 1.3, away: 1.3 });
+            expect(p.home).toBeCloseTo(p.away, 10);
+        });
+
+        test('should match the Poisson 0-0 probability', () => {
+            const p = model.getOutcomeProbabilities({ home: 0.0001, away: 0.0001 });
+            expect(p.draw).toBeCloseTo(1, 3);
+        });
+    });
+
+    describe('Scorelines', () => {
+        test('should give a distribution of final scores that sums to one', () => {
+            const scorelines = model.getScorelineProbabilities({ home: 1.6, away: 1.1 });
+            const total = Object.values(scorelines).reduce((sum, p) => sum + p, 0);
+
+            expect(total).toBeCloseTo(1, 10);
+            expect(scorelines['0-0']).toBeCloseTo(Math.exp(-2.7), 5);
+        });
+
+        test('should build final scores on top of the current score', () => {
+            const scorelines = model.getScorelineProbabilities({ home: 0.5, away: 0.5 }, { home: 2, away: 1 });
+
+            expect(scorelines['0-0']).toBeUndefined();
+            expect(scorelines['2-1']).toBeCloseTo(Math.exp(-1), 5);
+        });
+
+        test('should price both teams to score from each side scoring', () => {
+            expect(model.getBothTeamsScoreProbability({ home: 1.2, away: 0.8 }))
+                .toBeCloseTo((1 - Math.exp(-1.2)) * (1 - Math.exp(-0.8)), 10);
+            expect(model.getBothTeamsScoreProbability({ home: 0.4, away: 0.3 }, { home: 1, away: 0 }))
+                .toBeCloseTo(1 - Math.exp(-0.3), 10);
+        });
+
+        test('should split the next goal between the sides by their rates', () => {
+            const p = model.getNextGoalProbabilities({ home: 0.9, away: 0.3 });
+
+            expect(p.home + p.none + p.away).toBeCloseTo(1, 10);
+            expect(p.none).toBeCloseTo(Math.exp(-1.2), 10);
+            expect(p.home).toBeCloseTo(3 * p.away, 10);
+            expect(model.getNextGoalProbabilities({ home: 0, away: 0 }).none).toBe(1);
+        });
+    });
+
+    describe('Knockout Ties', () => {
+        test('should scale extra time goals to a third of a match at a lower rate', () => {
+            const extraTime = model.getExtraTimeExpectedGoals({ home: 1.8, away: 0.9 });
+            expect(extraTime.home).toBeCloseTo(1.8 * model.EXTRA_TIME_GOAL_RATE / 3, 10);
+            expect(extraTime.away).toBeCloseTo(0.9 * model.EXTRA_TIME_GOAL_RATE / 3, 10);
+        });
+
+        test('should give every tie a qualifier', () => {
+            const p = model.getQualifyProbabilities({ home: 1.6, away: 1.1 });
+            expect(p.home + p.away).toBeCloseTo(1, 10);
+            expect(p.home).toBeGreaterThan(model.getOutcomeProbabilities({ home: 1.6, away: 1.1 }).home);
+        });
+
+        test('should decide a level tie on penalties at the end of extra time', () => {
+            const p = model.getQualifyProbabilities({ home: 1.6, away: 1.1 }, { home: 2, away: 2 }, 120);
+            expect(p.home).toBeCloseTo(model.SHOOTOUT_HOME_WIN, 10);
+            expect(model.getQualifyProbabilities({ home: 1.6, away: 1.1 }, { home: 1, away: 2 }, 120).away).toBeCloseTo(1, 10);
+        });
+    });
+
+    describe('Match Situation', () => {
+        const ratings = { home: { attack: 1.2, defence: 1.1 }, away: { attack: 1, defence: 1 } };
+
+        test('should leave ratings unchanged with full sides', () => {
+            expect(model.getSituationalRatings(ratings, { playersOnPitch: { home: 11, away: 11 } })).toEqual(ratings);
+        });
+
+        test('should make a side down to ten score less and concede more', () => {
+            const full = model.getExpectedGoals(ratings);
+            const tenMen = model.getExpectedGoals(model.getSituationalRatings(ratings, { playersOnPitch: { home: 10, away: 11 } }));
+
+            expect(tenMen.home).toBeLessThan(full.home);
+            expect(tenMen.away).toBeGreaterThan(full.away);
+        });
+
+        test('should weaken a side that brings on a lower-rated substitute', () => {
+            const strength = model.getSubstitutionStrength({ rating: 85 }, { rating: 75 });
+            expect(strength).toBeLessThan(1);
+            expect(model.getSubstitutionStrength({ rating: 75 }, { rating: 85 })).toBeGreaterThan(1);
+            expect(model.getSubstitutionStrength(null, { rating: 75 })).toBe(1);
+
+            const weakened = model.getSituationalRatings(ratings, { teamStrength: { home: strength, away: 1 } });
+            expect(weakened.home.attack).toBeLessThan(ratings.home.attack);
+        });
+    });
+
+    describe('Goal Sampling', () => {
+        test('should sample goals inside the match in time order', () => {
+            const goals = model.sampleGoals(new RandomGenerator(1), { home: 3, away: 3 }, 90);
+
+            goals.forEach((goal, index) => {
+                expect(goal.time).toBeGreaterThanOrEqual(1);
+                expect(goal.time).toBeLessThan(90);
+                expect(['home', 'away']).toContain(goal.team);
+                if (index > 0) {
+                    expect(goal.time).toBeGreaterThan(goals[index - 1].time);
+                }
+            });
+        });
+
+        test('should average the expected goals per side', () => {
+            const random = new RandomGenerator(123);
+            const totals = { home: 0, away: 0 };
+            const runs = 2000;
+
+            for (let i = 0; i < runs; i++) {
+                model.sampleGoals(random, { home: 1.8, away: 0.9 }, 90)
+                    .forEach(goal => totals[goal.team]++);
+            }
+
+            expect(totals.home / runs).toBeCloseTo(1.8, 1);
+            expect(totals.away / runs).toBeCloseTo(0.9, 1);
+        });
+    });
+
+    describe('Goal Curves', () => {
+        const lateCurve = [{ until: 60, weight: 0.5 }, { until: 90, weight: 2 }];
+
+        test('should move goals to heavier phases without changing the total', () => {
+            const random = new RandomGenerator(7);
+            const runs = 2000;
+            let total = 0;
+            let late = 0;
+
+            for (let i = 0; i < runs; i++) {
+                model.sampleGoals(random, { home: 1.5, away: 1.5 }, 90, lateCurve).forEach(goal => {
+                    total++;
+                    if (goal.time >= 60) late++;
+                });
+            }
+
+            // Within about three standard errors of the 3 goals expected
+            expect(Math.abs(total / runs - 3)).toBeLessThan(0.12);
+            // 30 minutes at weight 2 against 60 at weight 0.5: two thirds of the goals
+            expect(late / total).toBeCloseTo(2 / 3, 1);
+        });
+
+        test('should leave more goals to come late in a late-heavy match', () => {
+            const flat = model.getRemainingExpectedGoals({ home: 1.5, away: 1.5 }, 60, 90);
+            const curved = model.getRemainingExpectedGoals({ home: 1.5, away: 1.5 }, 60, 90, lateCurve);
+
+            expect(flat.home).toBeCloseTo(0.5, 5);
+            expect(curved.home).toBeCloseTo(1, 5);
+        });
+
+        test('should weigh minutes past the last phase like the last phase', () => {
+            expect(model.getGoalWeight(100, lateCurve)).toBe(2);
+            expect(model.getGoalWeight(30)).toBe(1);
+        });
+    });
+
+    test('should provide singleton instance', () => {
+        expect(goalModel).toBeInstanceOf(GoalModel);
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * MatchStatistics - Running match stats driven by timeline events and action bet outcomes
+ *
+ * Features:
+ * - Possession, shots, shots on target, expected goals, corners, fouls and cards per team
+ * - Goals, action bet announcements and their resolutions all leave a trace
+ * - Possession drifts towards the side generating the play, starting from team strength
+ * - Pure updates: every method returns a new stats object suitable for state.match.stats
+ */
+
+export class MatchStatistics {
+    constructor() {
+        // Expected goals of a single shot by goal type (timeline goals)
+        this.GOAL_TYPE_XG = {
+            tap_in: 0.45,
+            header: 0.12,
+            volley: 0.08,
+            left_foot: 0.15,
+            right_foot: 0.15,
+            long_shot: 0.04
+        };
+
+        // Expected goals of the shot taken in each action bet situation
+        this.ACTION_BET_XG = {
+            corner: 0.04,
+            freekick: 0.07,
+            attack: 0.15,
+            penalty: 0.76
+        };
+
+        // What happens on the pitch when an action bet situation is announced.
+        // 'team' stats go to the event's team, 'opponent' stats to the other side
+        this.ANNOUNCEMENT_EFFECTS = {
+            corner: { team: { corners: 1 }, possession: 'team' },
+            freekick: { opponent: { fouls: 1 }, possession: 'team' },
+            attack: { possession: 'team' },
+            penalty: { opponent: { fouls: 1 }, possession: 'team' },
+            card: { team: { fouls: 1 }, possession: 'opponent' }
+        };
+
+        // What each resolved outcome adds for the event's team
+        this.RESOLUTION_EFFECTS = {
+            corner: {
+                goal: { shots: 1, shotsOnTarget: 1 },
+                shot: { shots: 1, shotsOnTarget: 1 },
+                cleared: {}
+            },
+            freekick: {
+                goal: { shots: 1, shotsOnTarget: 1 },
+                save: { shots: 1, shotsOnTarget: 1 },
+                wall: { shots: 1 }
+            },
+            attack: {
+                goal: { shots: 1, shotsOnTarget: 1 },
+                save: { shots: 1, shotsOnTarget: 1 },
+                miss: { shots: 1 }
+            },
+            penalty: {
+                goal: { shots: 1, shotsOnTarget: 1 },
+                save: { shots: 1, shotsOnTarget: 1 },
+                miss: { shots: 1 }
+            },
+            card: {
+                yellow: { yellowCards: 1 },
+                red: { redCards: 1 },
+                warning: {}
+            }
+        };
+
+        // Commentary that implies an attempt on goal
+        this.COMMENTARY_EFFECTS = {
+            pressure: { stats: { shots: 1 }, xG: 0.03 }
+        };
+
+        // Possession weight added per event; the prior keeps early events from swinging it wildly
+        this.POSSESSION_PRIOR = 20;
+        this.POSSESSION_WEIGHTS = {
+            goal: 3,
+            actionBet: 2,
+            commentary: 1
+        };
+    }
+
+    /**
+     * Creates empty stats for a new match
+     * @param {Object} [expectedGoals] - Expected goals { home, away } used to seed possession
+     * @returns {Object} Stats { home, away, possessionWeights }
+     */
+    createStats(expectedGoals = null) {
+        const homeShare = expectedGoals
+            ? expectedGoals.home / (expectedGoals.home + expectedGoals.away)
+            : 0.5;
+
+        const stats = {
+            home: this.createTeamStats(),
+            away: this.createTeamStats(),
+            possessionWeights: {
+                home: this.POSSESSION_PRIOR * homeShare,
+                away: this.POSSESSION_PRIOR * (1 - homeShare)
+            }
+        };
+
+        return this.updatePossession(stats);
+    }
+
+    /**
+     * Creates zeroed stats for one team
+     * @returns {Object} Team stats
+     */
+    createTeamStats() {
+        return {
+            possession: 50,
+            shots: 0,
+            shotsOnTarget: 0,
+            xG: 0,
+            corners: 0,
+            fouls: 0,
+            yellowCards: 0,
+            redCards: 0
+        };
+    }
+
+    /**
+     * Records a goal from the timeline
+     * @param {Object} stats - Current stats
+     * @param {Object} event - Goal event
+     * @returns {Object} Updated stats
+     */
+    recordGoal(stats, event) {
+        const team = event.data?.team;
+        if (!this.isTeam(team)) return stats;
+
+        const xG = this.GOAL_TYPE_XG[event.data.goalType] ?? 0.15;
+        let updated = this.addTeamStats(stats, team, { shots: 1, shotsOnTarget: 1, xG });
+        updated = this.addPossession(updated, team, this.POSSESSION_WEIGHTS.goal);
+        return updated;
+    }
+
+    /**
+     * Records the situation behind an action bet when it is announced (e.g. the corner itself)
+     * @param {Object} stats - Current stats
+     * @param {Object} event - Action bet event
+     * @returns {Object} Updated stats
+     */
+    recordActionBetEvent(stats, event) {
+        const team = event.data?.team;
+        const effects = this.ANNOUNCEMENT_EFFECTS[event.data?.category];
+        if (!this.isTeam(team) || !effects) return stats;
+
+        const opponent = this.getOpponent(team);
+        let updated = stats;
+        if (effects.team) updated = this.addTeamStats(updated, team, effects.team);
+        if (effects.opponent) updated = this.addTeamStats(updated, opponent, effects.opponent);
+        updated = this.addPossession(updated, effects.possession === 'team' ? team : opponent, this.POSSESSION_WEIGHTS.actionBet);
+        return updated;
+    }
+
+    /**
+     * Records how an action bet situation played out
+     * @param {Object} stats - Current stats
+     * @param {Object} event - Original action bet event
+     * @param {string} outcome - Winning outcome
+     * @returns {Object} Updated stats
+     */
+    recordActionBetResolution(stats, event, outcome) {
+        const team = event.data?.team;
+        const category = event.data?.category;
+        const effects = this.RESOLUTION_EFFECTS[category]?.[outcome];
+        if (!this.isTeam(team) || !effects) return stats;
+
+        const xG = effects.shots ? (this.ACTION_BET_XG[category] ?? 0) : 0;
+        return this.addTeamStats(stats, team, { ...effects, xG });
+    }
+
+    /**
+     * Records a commentary event
+     * @param {Object} stats - Current stats
+     * @param {Object} event - Commentary event
+     * @returns {Object} Updated stats
+     */
+    recordCommentary(stats, event) {
+        const team = event.data?.team;
+        if (!this.isTeam(team)) return stats;
+
+        const effects = this.COMMENTARY_EFFECTS[event.data.category];
+        let updated = effects
+            ? this.addTeamStats(stats, team, { ...effects.stats, xG: effects.xG })
+            : stats;
+        updated = this.addPossession(updated, team, this.POSSESSION_WEIGHTS.commentary);
+        return updated;
+    }
+
+    /**
+     * Adds counters to one team's stats
+     * @param {Object} stats - Current stats
+     * @param {string} team - 'home' or 'away'
+     * @param {Object} additions - Counter increments (xG may be fractional)
+     * @returns {Object} Updated stats
+     */
+    addTeamStats(stats, team, additions) {
+        const teamStats = { ...stats[team] };
+        Object.entries(additions).forEach(([key, value]) => {
+            teamStats[key] = (teamStats[key] || 0) + value;
+        });
+        teamStats.xG = Math.round(teamStats.xG * 100) / 100;
+
+        return { ...stats, [team]: teamStats };
+    }
+
+    /**
+     * Shifts possession towards a team
+     * @param {Object} stats - Current stats
+     * @param {string} team - 'home' or 'away'
+     * @param {number} weight - Possession weight to add
+     * @returns {Object} Updated stats
+     */
+    addPossession(stats, team, weight) {
+        return this.updatePossession({
+            ...stats,
+            possessionWeights: {
+                ...stats.possessionWeights,
+                [team]: stats.possessionWeights[team] + weight
+            }
+        });
+    }
+
+    /**
+     * Recomputes possession percentages from the weights
+     * @param {Object} stats - Stats with possessionWeights
+     * @returns {Object} Stats with whole-number possession summing to 100
+     */
+    updatePossession(stats) {
+        const { home, away } = stats.possessionWeights;
+        const homePossession = Math.round(100 * home / (home + away));
+
+        return {
+            ...stats,
+            home: { ...stats.home, possession: homePossession },
+            away: { ...stats.away, possession: 100 - homePossession }
+        };
+    }
+
+    /**
+     * Checks for a valid team key
+     * @param {string} team - Team key
+     * @returns {boolean} True for 'home' or 'away'
+     */
+    isTeam(team) {
+        return team === 'home' || team === 'away';
+    }
+
+    /**
+     * Gets the other team
+     * @param {string} team - 'home' or 'away'
+     * @returns {string} Opposing team key
+     */
+    getOpponent(team) {
+        return team === 'home' ? 'away' : 'home';
+    }
+}
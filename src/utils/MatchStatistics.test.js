@@ -0,0 +1,117 @@
+/**
+ * MatchStatistics Tests
+ * Tests for live match stats driven by events and action bet outcomes
+ */
+
+import { MatchStatistics } from './MatchStatistics.js';
+
+describe('MatchStatistics', () => {
+    let statistics;
+    let stats;
+
+    beforeEach(() => {
+        statistics = new MatchStatistics();
+        stats = statistics.createStats();
+    });
+
+    describe('Initial Stats', () => {
+        test('should start with zeroed counters and even possession', () => {
+            ['home', 'away'].forEach(team => {
+                expect(stats[team]).toEqual({
+                    possession: 50,
+                    shots: 0,
+                    shotsOnTarget: 0,
+                    xG: 0,
+                    corners: 0,
+                    fouls: 0,
+                    yellowCards: 0,
+                    redCards: 0
+                });
+            });
+        });
+
+        test('should seed possession towards the stronger side', () => {
+            const seeded = statistics.createStats({ home: 2.0, away: 1.0 });
+            expect(seeded.home.possession).toBeGreaterThan(50);
+            expect(seeded.home.possession + seeded.away.possession).toBe(100);
+        });
+    });
+
+    describe('Goals', () => {
+        test('should add a shot on target and xG by goal type', () => {
+            const updated = statistics.recordGoal(stats, { data: { team: 'home', goalType: 'tap_in' } });
+
+            expect(updated.home.shots).toBe(1);
+            expect(updated.home.shotsOnTarget).toBe(1);
+            expect(updated.home.xG).toBe(0.45);
+            expect(updated.home.possession).toBeGreaterThan(50);
+        });
+
+        test('should not mutate the stats passed in', () => {
+            statistics.recordGoal(stats, { data: { team: 'home', goalType: 'header' } });
+            expect(stats.home.shots).toBe(0);
+        });
+
+        test('should ignore goals without a valid team', () => {
+            expect(statistics.recordGoal(stats, { data: { team: 'neither' } })).toBe(stats);
+        });
+    });
+
+    describe('Action Bets', () => {
+        test('should count corners for the attacking side', () => {
+            const updated = statistics.recordActionBetEvent(stats, { data: { category: 'corner', team: 'away' } });
+            expect(updated.away.corners).toBe(1);
+            expect(updated.away.possession).toBeGreaterThan(50);
+        });
+
+        test('should give the foul for a free kick or penalty to the defending side', () => {
+            let updated = statistics.recordActionBetEvent(stats, { data: { category: 'freekick', team: 'home' } });
+            updated = statistics.recordActionBetEvent(updated, { data: { category: 'penalty', team: 'home' } });
+
+            expect(updated.away.fouls).toBe(2);
+            expect(updated.home.fouls).toBe(0);
+        });
+
+        test('should map resolved outcomes to shots and xG', () => {
+            const penalty = { data: { category: 'penalty', team: 'home' } };
+
+            const saved = statistics.recordActionBetResolution(stats, penalty, 'save');
+            expect(saved.home.shots).toBe(1);
+            expect(saved.home.shotsOnTarget).toBe(1);
+            expect(saved.home.xG).toBe(0.76);
+
+            const missed = statistics.recordActionBetResolution(stats, penalty, 'miss');
+            expect(missed.home.shots).toBe(1);
+            expect(missed.home.shotsOnTarget).toBe(0);
+        });
+
+        test('should add no shot when a corner is cleared', () => {
+            const updated = statistics.recordActionBetResolution(stats, { data: { category: 'corner', team: 'home' } }, 'cleared');
+            expect(updated.home.shots).toBe(0);
+            expect(updated.home.xG).toBe(0);
+        });
+
+        test('should book yellow and red cards', () => {
+            const card = { data: { category: 'card', team: 'away' } };
+
+            expect(statistics.recordActionBetResolution(stats, card, 'yellow').away.yellowCards).toBe(1);
+            expect(statistics.recordActionBetResolution(stats, card, 'red').away.redCards).toBe(1);
+            expect(statistics.recordActionBetResolution(stats, card, 'warning')).toEqual(stats);
+        });
+    });
+
+    describe('Commentary', () => {
+        test('should count pressure as a shot off target', () => {
+            const updated = statistics.recordCommentary(stats, { data: { category: 'pressure', team: 'home' } });
+            expect(updated.home.shots).toBe(1);
+            expect(updated.home.shotsOnTarget).toBe(0);
+            expect(updated.home.xG).toBe(0.03);
+        });
+
+        test('should only shift possession for other commentary', () => {
+            const updated = statistics.recordCommentary(stats, { data: { category: 'possession', team: 'away' } });
+            expect(updated.away.shots).toBe(0);
+            expect(updated.away.possession).toBeGreaterThan(50);
+        });
+    });
+});
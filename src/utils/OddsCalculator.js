@@ -3,11 +3,24 @@
  * 
  * Features:
  * - Initial odds generation (Home 1.85, Draw 3.50, Away 4.20)
- * - Goal-based odds recalculation algorithm
+ * - Team-strength pricing from the shared Poisson goal model
+ * - Time-aware in-play pricing from score and remaining expected goals
+ * - Goal-based odds recalculation algorithm, rolled back when VAR disallows a goal
  * - Real-time odds adjustments based on match state
  * - Odds validation and bounds checking
+ * - Configurable bookmaker margin applied to every market's fair probabilities
+ * - Selections too near certain to price above the odds floor are left unpriced
+ * - "To qualify" pricing for knockout ties
+ * - Over/Under total goals pricing at 0.5-4.5 lines
+ * - Both Teams To Score and Correct Score pricing from the scoreline distribution,
+ *   leaving out selections the score has already decided
+ * - Next team to score and anytime goalscorer pricing, re-opened after every goal
+ * - Book percentage reporting against the PRD 4-6% house-edge band
  */
 
+import { goalModel } from './GoalModel.js';
+import { teamRosters } from './TeamRosters.js';
+
 export class OddsCalculator {
     constructor() {
         // Initial odds as specified in requirements
@@ -31,19 +44,444 @@ export class OddsCalculator {
             }
         };
         
+        // Bookmaker margin added to fair probabilities for every market
+        this.margin = 0.05;
+        
+        // Sustainable house-edge band from the PRD (NFR2: 4-6%)
+        this.targetMarginBand = {
+            min: 0.04,
+            max: 0.06
+        };
+        
         // Odds bounds to prevent unrealistic values
         this.oddsBounds = {
             min: 1.10,
             max: 15.00
         };
+        
+        // Wider bounds for in-play prices, which approach certainty late in a match
+        this.inPlayBounds = {
+            min: 1.01,
+            max: 101.00
+        };
+
+        // Total goals lines of the Over/Under market, settled on the 90-minute score
+        this.OVER_UNDER_LINES = [0.5, 1.5, 2.5, 3.5, 4.5];
+
+        // Correct Score grid runs 0-0 to 3-3; every other final score is one 'other' selection
+        this.CORRECT_SCORE_MAX_GOALS = 3;
+        this.CORRECT_SCORE_OTHER = 'other';
+        
+        // Regulation match length used for in-play pricing
+        this.matchDuration = 90;
     }
 
     /**
      * Get initial odds for a new match
+     * @param {Object} [teamRatings] - Ratings { home, away } from GoalModel; defaults apply when omitted
      * @returns {Object} Initial odds object
      */
-    getInitialOdds() {
-        return { ...this.initialOdds };
+    getInitialOdds(teamRatings = null) {
+        if (!teamRatings) {
+            return { ...this.initialOdds };
+        }
+
+        const expectedGoals = goalModel.getExpectedGoals(teamRatings);
+        return this.priceProbabilities(goalModel.getOutcomeProbabilities(expectedGoals));
+    }
+
+    /**
+     * Set the bookmaker margin applied to fair probabilities
+     * @param {number} margin - Margin as a fraction (e.g. 0.05 for 5%)
+     */
+    setMargin(margin) {
+        if (typeof margin !== 'number' || !Number.isFinite(margin) || margin < 0 || margin >= 1) {
+            throw new Error('Margin must be a number between 0 and 1');
+        }
+        
+        this.margin = margin;
+    }
+
+    /**
+     * Get the bookmaker margin applied to fair probabilities
+     * @returns {number} Margin as a fraction
+     */
+    getMargin() {
+        return this.margin;
+    }
+
+    /**
+     * Price a single fair probability including the margin
+     * @param {number} probability - Fair probability between 0 and 1
+     * @returns {number|undefined} Odds rounded to 2 decimal places (Infinity for impossible
+     *   outcomes), or undefined when the margined price falls below the in-play floor
+     */
+    priceProbability(probability) {
+        if (!(probability > 0)) {
+            return Infinity;
+        }
+        
+        const odds = this.getMarginedOdds(probability);
+        return odds < this.inPlayBounds.min ? undefined : Math.round(odds * 100) / 100;
+    }
+
+    /**
+     * Convert a fair probability into unrounded odds including the margin
+     * @param {number} probability - Fair probability between 0 and 1
+     * @returns {number} Odds
+     */
+    getMarginedOdds(probability) {
+        return 1 / (probability * (1 + this.margin));
+    }
+
+    /**
+     * Convert fair 1X2 probabilities into bounded odds including the margin
+     * @param {Object} probabilities - Fair probabilities { home, draw, away }
+     * @param {Object} [bounds] - Bounds to clamp to (defaults to pre-match bounds)
+     * @returns {Object} Priced odds; an outcome that would price below the floor is undefined
+     */
+    priceProbabilities(probabilities, bounds = this.oddsBounds) {
+        const { home, draw, away } = this.priceOutcomes({
+            home: probabilities.home,
+            draw: probabilities.draw,
+            away: probabilities.away
+        }, bounds);
+
+        return { home, draw, away };
+    }
+
+    /**
+     * Convert fair probabilities for any market into bounded odds including the margin.
+     * Long shots are capped at the maximum, but a selection whose margined price falls
+     * below the minimum is left unpriced (undefined): raising it to the floor would offer
+     * a near-certain outcome above its fair odds.
+     * @param {Object} probabilities - Fair probabilities keyed by outcome
+     * @param {Object} [bounds] - Bounds to clamp to (defaults to pre-match bounds)
+     * @returns {Object} Priced odds keyed by outcome
+     */
+    priceOutcomes(probabilities, bounds = this.oddsBounds) {
+        const odds = {};
+        Object.entries(probabilities).forEach(([outcome, probability]) => {
+            // An impossible outcome has no price; let the bounds cap it
+            const price = probability > 0 ? this.getMarginedOdds(probability) : Infinity;
+            odds[outcome] = price < bounds.min ? undefined : Math.round(Math.min(bounds.max, price) * 100) / 100;
+        });
+        return odds;
+    }
+
+    /**
+     * Checks whether a market has nothing left to offer: a selection is unpriced and every
+     * other one sits at the maximum in-play price. Over/Under is decided once every line is.
+     * @param {Object|null} marketOdds - Odds keyed by outcome, or by line for Over/Under
+     * @returns {boolean} True when the market should stop taking bets
+     */
+    isMarketDecided(marketOdds) {
+        const prices = Object.values(marketOdds || {});
+        if (prices.length === 0) {
+            return false;
+        }
+        if (prices.every(odds => typeof odds === 'object' && odds !== null)) {
+            return prices.every(lineOdds => this.isMarketDecided(lineOdds));
+        }
+
+        return prices.includes(undefined)
+            && prices.every(odds => odds === undefined || odds >= this.inPlayBounds.max);
+    }
+
+    /**
+     * Full-match expected goals for the ratings as adjusted by the match situation,
+     * so a side down to ten men is priced to score less and concede more
+     * @param {Object} matchState - Match state with teamRatings, playersOnPitch and teamStrength
+     * @returns {Object} Expected goals { home, away }
+     */
+    getSituationalExpectedGoals(matchState) {
+        const { teamRatings = null, playersOnPitch = null, teamStrength = null } = matchState;
+        return goalModel.getExpectedGoals(goalModel.getSituationalRatings(teamRatings, { playersOnPitch, teamStrength }));
+    }
+
+    /**
+     * Calculate "to qualify" odds for a knockout tie, covering extra time and penalties
+     * @param {Object} matchState - Match state
+     * @param {number} [matchState.time=0] - Current match time in minutes (up to 120)
+     * @param {number} [matchState.homeScore=0] - Home team score
+     * @param {number} [matchState.awayScore=0] - Away team score
+     * @param {Object} [matchState.teamRatings] - Ratings { home, away } from GoalModel
+     * @param {Object} [matchState.playersOnPitch] - Players left { home, away } after red cards and injuries
+     * @param {Object} [matchState.teamStrength] - Strength multipliers { home, away } from substitutions
+     * @param {Array} [matchState.goalCurve] - Goal curve of the match's tempo profile; flat when omitted
+     * @returns {Object} Odds { home, away }
+     */
+    calculateQualifyOdds(matchState = {}) {
+        const { time = 0, homeScore = 0, awayScore = 0, goalCurve = null } = matchState;
+
+        const expectedGoals = this.getSituationalExpectedGoals(matchState);
+        const probabilities = goalModel.getQualifyProbabilities(expectedGoals, {
+            home: homeScore,
+            away: awayScore
+        }, time, goalCurve);
+
+        return this.priceOutcomes(probabilities, time > 0 ? this.inPlayBounds : this.oddsBounds);
+    }
+
+    /**
+     * Calculate Over/Under odds for every line that is still open. A line closes once
+     * the score has gone over it, so decided lines are left out.
+     * @param {Object} matchState - Match state
+     * @param {number} [matchState.time=0] - Current match time in minutes
+     * @param {number} [matchState.homeScore=0] - Home team score
+     * @param {number} [matchState.awayScore=0] - Away team score
+     * @param {Object} [matchState.teamRatings] - Ratings { home, away } from GoalModel
+     * @param {Object} [matchState.playersOnPitch] - Players left { home, away } after red cards and injuries
+     * @param {Object} [matchState.teamStrength] - Strength multipliers { home, away } from substitutions
+     * @param {Array} [matchState.goalCurve] - Goal curve of the match's tempo profile; flat when omitted
+     * @returns {Object} Odds keyed by line, e.g. { '2.5': { over, under } }
+     */
+    calculateOverUnderOdds(matchState = {}) {
+        const { homeScore = 0, awayScore = 0 } = matchState;
+        const totalGoals = homeScore + awayScore;
+        const remainingGoals = this.getRemainingGoals(matchState);
+
+        const odds = {};
+        this.OVER_UNDER_LINES
+            .filter(line => totalGoals < line)
+            .forEach(line => {
+                const over = goalModel.getOverProbability(remainingGoals, line, totalGoals);
+                // Low and high lines are near certain even before kick-off, so they use the wide bounds
+                odds[line] = this.priceOutcomes({ over, under: 1 - over }, this.inPlayBounds);
+            });
+
+        return odds;
+    }
+
+    /**
+     * Expected goals still to come in the 90 minutes for the match situation and tempo
+     * @param {Object} matchState - Match state with time, teamRatings, playersOnPitch, teamStrength and goalCurve
+     * @returns {Object} Remaining expected goals { home, away }
+     */
+    getRemainingGoals(matchState) {
+        const { time = 0, goalCurve = null } = matchState;
+        const expectedGoals = this.getSituationalExpectedGoals(matchState);
+        return goalModel.getRemainingExpectedGoals(expectedGoals, time, this.matchDuration, goalCurve);
+    }
+
+    /**
+     * Calculate Both Teams To Score odds. The market is decided (and priced no more)
+     * once both sides have scored.
+     * @param {Object} matchState - Match state (see calculateOverUnderOdds)
+     * @returns {Object|null} Odds { yes, no }, or null once both teams have scored
+     */
+    calculateBttsOdds(matchState = {}) {
+        const { homeScore = 0, awayScore = 0 } = matchState;
+        if (homeScore > 0 && awayScore > 0) {
+            return null;
+        }
+
+        const yes = goalModel.getBothTeamsScoreProbability(this.getRemainingGoals(matchState), {
+            home: homeScore,
+            away: awayScore
+        });
+        return this.priceOutcomes({ yes, no: 1 - yes }, this.inPlayBounds);
+    }
+
+    /**
+     * Calculate Correct Score odds for the grid scores still reachable and 'other'
+     * @param {Object} matchState - Match state (see calculateOverUnderOdds)
+     * @returns {Object|null} Odds keyed by score, e.g. { '1-0': 7.5, ..., other: 9.2 },
+     *   or null once the score has left the grid
+     */
+    calculateCorrectScoreOdds(matchState = {}) {
+        const { homeScore = 0, awayScore = 0 } = matchState;
+        const scorelines = goalModel.getScorelineProbabilities(this.getRemainingGoals(matchState), {
+            home: homeScore,
+            away: awayScore
+        });
+
+        const probabilities = {};
+        let gridTotal = 0;
+        this.getCorrectScoreOutcomes()
+            .filter(outcome => outcome !== this.CORRECT_SCORE_OTHER)
+            .forEach(outcome => {
+                const [home, away] = outcome.split('-').map(Number);
+                if (home >= homeScore && away >= awayScore) {
+                    probabilities[outcome] = scorelines[outcome] || 0;
+                    gridTotal += probabilities[outcome];
+                }
+            });
+
+        if (Object.keys(probabilities).length === 0) {
+            return null;
+        }
+        probabilities[this.CORRECT_SCORE_OTHER] = Math.max(0, 1 - gridTotal);
+
+        return this.priceOutcomes(probabilities, this.inPlayBounds);
+    }
+
+    /**
+     * Calculate next team to score odds for the goal still to come
+     * @param {Object} matchState - Match state (see calculateOverUnderOdds)
+     * @returns {Object} Odds { home, none, away }
+     */
+    calculateNextGoalOdds(matchState = {}) {
+        return this.priceOutcomes(goalModel.getNextGoalProbabilities(this.getRemainingGoals(matchState)), this.inPlayBounds);
+    }
+
+    /**
+     * Calculate anytime goalscorer odds for the players on the pitch. A side's remaining
+     * goals are shared out by each player's scorer weight (position and rating, as when
+     * goal scorers are picked); players who have already scored are left out.
+     * @param {Object} matchState - Match state (see calculateOverUnderOdds)
+     * @param {Object} [matchState.lineups] - Lineups { home, away } from TeamRosters
+     * @param {Array} [matchState.goals] - Goals so far [{ team, player }]
+     * @returns {Object|null} Odds keyed by 'team:player', e.g. { 'home:Saka': 3.4 }, or null without lineups
+     */
+    calculateGoalscorerOdds(matchState = {}) {
+        const { lineups = null, goals = [] } = matchState;
+        if (!lineups) {
+            return null;
+        }
+
+        const remainingGoals = this.getRemainingGoals(matchState);
+        const probabilities = {};
+        ['home', 'away'].forEach(team => {
+            const players = lineups[team]?.starting || [];
+            const totalWeight = players.reduce((sum, player) => sum + teamRosters.getRoleWeight(player, 'scorer'), 0);
+            if (!(totalWeight > 0)) return;
+
+            players
+                .filter(player => !goals.some(goal => goal.team === team && goal.player === player.name))
+                .forEach(player => {
+                    const share = teamRosters.getRoleWeight(player, 'scorer') / totalWeight;
+                    probabilities[`${team}:${player.name}`] = 1 - Math.exp(-remainingGoals[team] * share);
+                });
+        });
+
+        return this.priceOutcomes(probabilities, this.inPlayBounds);
+    }
+
+    /**
+     * Parses an anytime goalscorer outcome such as 'home:Saka'
+     * @param {string} outcome - Bet outcome
+     * @returns {Object|null} Selection { team, player }, or null for anything else
+     */
+    parseGoalscorerOutcome(outcome) {
+        const match = /^(home|away):(.+)$/.exec(outcome || '');
+        return match ? { team: match[1], player: match[2] } : null;
+    }
+
+    /**
+     * Gets every Correct Score selection: the grid scores, then 'other'
+     * @returns {Array<string>} Outcomes, e.g. ['0-0', '0-1', ..., '3-3', 'other']
+     */
+    getCorrectScoreOutcomes() {
+        const outcomes = [];
+        for (let home = 0; home <= this.CORRECT_SCORE_MAX_GOALS; home++) {
+            for (let away = 0; away <= this.CORRECT_SCORE_MAX_GOALS; away++) {
+                outcomes.push(`${home}-${away}`);
+            }
+        }
+        outcomes.push(this.CORRECT_SCORE_OTHER);
+        return outcomes;
+    }
+
+    /**
+     * Gets the winning Correct Score outcome for a final score
+     * @param {number} homeScore - Home goals in 90 minutes
+     * @param {number} awayScore - Away goals in 90 minutes
+     * @returns {string} Score such as '2-1', or 'other' outside the grid
+     */
+    getCorrectScoreResult(homeScore, awayScore) {
+        const score = `${homeScore}-${awayScore}`;
+        return this.getCorrectScoreOutcomes().includes(score) ? score : this.CORRECT_SCORE_OTHER;
+    }
+
+    /**
+     * Gets the winning Both Teams To Score outcome for a score
+     * @param {number} homeScore - Home goals
+     * @param {number} awayScore - Away goals
+     * @returns {string} 'yes' or 'no'
+     */
+    getBttsResult(homeScore, awayScore) {
+        return homeScore > 0 && awayScore > 0 ? 'yes' : 'no';
+    }
+
+    /**
+     * Looks up the current price of a selection in any match market
+     * @param {Object} match - Match state holding the market odds
+     * @param {string} market - 'fullMatch', 'toQualify', 'overUnder', 'btts', 'correctScore',
+     *   'nextGoal' or 'goalscorer'
+     * @param {string} outcome - Selection, e.g. 'home', 'over_2.5', 'yes', '2-1' or 'home:Saka'
+     * @returns {number|undefined} Odds, or undefined when the market or selection is closed
+     */
+    getSelectionOdds(match, market, outcome) {
+        switch (market) {
+            case 'toQualify':
+                return match.qualifyOdds?.[outcome];
+            case 'overUnder': {
+                const selection = this.parseOverUnderOutcome(outcome);
+                return selection ? match.overUnderOdds?.[selection.line]?.[selection.side] : undefined;
+            }
+            case 'btts':
+                return match.bttsOdds?.[outcome];
+            case 'correctScore':
+                return match.correctScoreOdds?.[outcome];
+            case 'nextGoal':
+                return match.nextGoalOdds?.[outcome];
+            case 'goalscorer':
+                return match.goalscorerOdds?.[outcome];
+            default:
+                return match.odds?.[outcome];
+        }
+    }
+
+    /**
+     * Parses an Over/Under outcome such as 'over_2.5'
+     * @param {string} outcome - Bet outcome
+     * @returns {Object|null} Selection { side: 'over'|'under', line }, or null for anything else
+     */
+    parseOverUnderOutcome(outcome) {
+        const match = /^(over|under)_(\d+\.5)$/.exec(outcome || '');
+        if (!match || !this.OVER_UNDER_LINES.includes(Number(match[2]))) {
+            return null;
+        }
+        return { side: match[1], line: Number(match[2]) };
+    }
+
+    /**
+     * Gets the winning Over/Under outcome of every line for a final total
+     * @param {number} totalGoals - Goals scored by both sides in 90 minutes
+     * @returns {Array<string>} Winning outcomes, e.g. ['over_0.5', 'over_1.5', 'under_2.5', ...]
+     */
+    getOverUnderResults(totalGoals) {
+        return this.OVER_UNDER_LINES.map(line => `${totalGoals > line ? 'over' : 'under'}_${line}`);
+    }
+
+    /**
+     * Calculate in-play odds from the score, the clock and the goals still expected
+     * @param {Object} matchState - Match state
+     * @param {number} [matchState.time=0] - Current match time in minutes
+     * @param {number} [matchState.homeScore=0] - Home team score
+     * @param {number} [matchState.awayScore=0] - Away team score
+     * @param {Object} [matchState.teamRatings] - Ratings { home, away } from GoalModel
+     * @param {Object} [matchState.playersOnPitch] - Players left { home, away } after red cards and injuries
+     * @param {Object} [matchState.teamStrength] - Strength multipliers { home, away } from substitutions
+     * @param {Array} [matchState.goalCurve] - Goal curve of the match's tempo profile; flat when omitted
+     * @returns {Object} In-play odds
+     */
+    calculateInPlayOdds(matchState) {
+        if (!matchState || typeof matchState !== 'object') {
+            throw new Error('Invalid match state provided');
+        }
+
+        const { time = 0, homeScore = 0, awayScore = 0, goalCurve = null } = matchState;
+        
+        const expectedGoals = this.getSituationalExpectedGoals(matchState);
+        const remainingGoals = goalModel.getRemainingExpectedGoals(expectedGoals, time, this.matchDuration, goalCurve);
+        const probabilities = goalModel.getOutcomeProbabilities(remainingGoals, {
+            home: homeScore,
+            away: awayScore
+        });
+        
+        return this.priceProbabilities(probabilities, this.inPlayBounds);
     }
 
     /**
@@ -107,16 +545,41 @@ export class OddsCalculator {
         };
     }
 
+    /**
+     * Roll odds back after a goal is disallowed, undoing adjustForGoal
+     * @param {string} team - Team whose goal was disallowed ('home' or 'away')
+     * @param {Object} currentOdds - Odds with the goal applied
+     * @returns {Object} Odds without the goal
+     */
+    rollbackGoal(team, currentOdds) {
+        if (!currentOdds || typeof currentOdds !== 'object') {
+            throw new Error('Invalid current odds provided');
+        }
+
+        if (team !== 'home' && team !== 'away') {
+            throw new Error('Team must be "home" or "away"');
+        }
+
+        const factors = this.goalAdjustmentFactors[team === 'home' ? 'homeGoal' : 'awayGoal'];
+        
+        return {
+            home: currentOdds.home / factors.home,
+            draw: currentOdds.draw / factors.draw,
+            away: currentOdds.away / factors.away
+        };
+    }
+
     /**
      * Apply odds bounds to prevent unrealistic values
      * @param {Object} odds - Odds to bound
+     * @param {Object} [bounds] - Bounds { min, max } (defaults to pre-match bounds)
      * @returns {Object} Bounded odds
      */
-    applyOddsBounds(odds) {
+    applyOddsBounds(odds, bounds = this.oddsBounds) {
         return {
-            home: Math.max(this.oddsBounds.min, Math.min(this.oddsBounds.max, odds.home)),
-            draw: Math.max(this.oddsBounds.min, Math.min(this.oddsBounds.max, odds.draw)),
-            away: Math.max(this.oddsBounds.min, Math.min(this.oddsBounds.max, odds.away))
+            home: Math.max(bounds.min, Math.min(bounds.max, odds.home)),
+            draw: Math.max(bounds.min, Math.min(bounds.max, odds.draw)),
+            away: Math.max(bounds.min, Math.min(bounds.max, odds.away))
         };
     }
 
@@ -136,9 +599,10 @@ export class OddsCalculator {
     /**
      * Validate odds object structure and values
      * @param {Object} odds - Odds to validate
+     * @param {Object} [bounds] - Bounds { min, max } (defaults to pre-match bounds)
      * @returns {boolean} True if valid
      */
-    validateOdds(odds) {
+    validateOdds(odds, bounds = this.oddsBounds) {
         if (!odds || typeof odds !== 'object') {
             return false;
         }
@@ -152,7 +616,7 @@ export class OddsCalculator {
             }
             
             // Check bounds
-            if (odds[key] < this.oddsBounds.min || odds[key] > this.oddsBounds.max) {
+            if (odds[key] < bounds.min || odds[key] > bounds.max) {
                 return false;
             }
         }
@@ -183,8 +647,8 @@ export class OddsCalculator {
             return false;
         }
 
-        // Update odds for goal events
-        return event.type === 'GOAL';
+        // Update odds for goals, and for VAR reviews that take a goal off the score
+        return event.type === 'GOAL' || (event.type === 'VAR_REVIEW' && event.data?.overturned === true);
     }
 
     /**
@@ -194,7 +658,7 @@ export class OddsCalculator {
      * @returns {Object} Percentage changes
      */
     calculateOddsChange(oldOdds, newOdds) {
-        if (!this.validateOdds(oldOdds) || !this.validateOdds(newOdds)) {
+        if (!this.validateOdds(oldOdds, this.inPlayBounds) || !this.validateOdds(newOdds, this.inPlayBounds)) {
             throw new Error('Invalid odds provided for comparison');
         }
 
@@ -205,16 +669,43 @@ export class OddsCalculator {
         };
     }
 
+    /**
+     * Calculate the book percentage of a market
+     * @param {Array|Object} marketOdds - Odds for every outcome of the market
+     * @returns {Object} Book percentage, margin and whether it sits in the target band
+     */
+    getBookSummary(marketOdds) {
+        const prices = Array.isArray(marketOdds) ? marketOdds : Object.values(marketOdds || {});
+        if (prices.length === 0 || prices.some(price => typeof price !== 'number' || price <= 0)) {
+            throw new Error('Invalid market odds provided');
+        }
+        
+        const bookPercentage = prices.reduce((sum, price) => sum + 100 / price, 0);
+        const margin = bookPercentage - 100;
+        
+        return {
+            bookPercentage: Math.round(bookPercentage * 100) / 100,
+            margin: Math.round(margin * 100) / 100,
+            withinTargetBand: margin >= this.targetMarginBand.min * 100 && margin <= this.targetMarginBand.max * 100
+        };
+    }
+
     /**
      * Get odds summary with implied probabilities
      * @param {Object} odds - Odds to summarize
-     * @returns {Object} Odds summary with probabilities
+     * @param {Object} [additionalMarkets] - Other markets to report, keyed by name (e.g. action bet categories)
+     * @returns {Object} Odds summary with probabilities and book percentage per market
      */
-    getOddsSummary(odds) {
-        if (!this.validateOdds(odds)) {
+    getOddsSummary(odds, additionalMarkets = {}) {
+        if (!this.validateOdds(odds, this.inPlayBounds)) {
             throw new Error('Invalid odds provided');
         }
 
+        const markets = { matchResult: this.getBookSummary(odds) };
+        Object.entries(additionalMarkets).forEach(([name, marketOdds]) => {
+            markets[name] = this.getBookSummary(marketOdds);
+        });
+
         return {
             odds: { ...odds },
             probabilities: {
@@ -226,7 +717,10 @@ export class OddsCalculator {
                 this.getImpliedProbability(odds.home) +
                 this.getImpliedProbability(odds.draw) +
                 this.getImpliedProbability(odds.away)
-            ) * 100) / 100
+            ) * 100) / 100,
+            margin: this.margin,
+            targetMarginBand: { ...this.targetMarginBand },
+            markets
         };
     }
 }
@@ -5,6 +5,8 @@
  */
 
 import { OddsCalculator, oddsCalculator } from './OddsCalculator.js';
+import { goalModel } from './GoalModel.js';
+import { teamRosters } from './TeamRosters.js';
 
 // Test suite for OddsCalculator
 export function runOddsCalculatorTests() {
@@ -113,6 +115,27 @@ export function runOddsCalculatorTests() {
         if (adjustedOdds.draw <= currentOdds.draw) throw new Error('Draw odds should increase');
     });
 
+    // Test rollbackGoal method
+    test('Should roll odds back when a goal is disallowed', () => {
+        const calculator = new OddsCalculator();
+        const currentOdds = { home: 2.00, draw: 3.00, away: 4.00 };
+        const rolledBack = calculator.rollbackGoal('away', calculator.adjustForGoal('away', currentOdds));
+        
+        ['home', 'draw', 'away'].forEach(outcome => {
+            if (Math.abs(rolledBack[outcome] - currentOdds[outcome]) > 1e-9) {
+                throw new Error(`${outcome} odds should return to ${currentOdds[outcome]}`);
+            }
+        });
+        
+        let errorThrown = false;
+        try {
+            calculator.rollbackGoal('invalid', currentOdds);
+        } catch (error) {
+            errorThrown = true;
+        }
+        if (!errorThrown) throw new Error('Should throw error for invalid team');
+    });
+
     // Test odds bounds application
     test('Should apply odds bounds correctly', () => {
         const calculator = new OddsCalculator();
@@ -176,6 +199,10 @@ export function runOddsCalculatorTests() {
         
         const commentaryEvent = { type: 'COMMENTARY' };
         if (calculator.shouldUpdateOdds(commentaryEvent)) throw new Error('Should not update odds for commentary events');
+        
+        const overturnedEvent = { type: 'VAR_REVIEW', data: { overturned: true } };
+        if (!calculator.shouldUpdateOdds(overturnedEvent)) throw new Error('Should update odds when VAR disallows a goal');
+        if (calculator.shouldUpdateOdds({ type: 'VAR_REVIEW', data: {} })) throw new Error('Should not update odds while a goal is under review');
     });
 
     // Test odds change calculation
@@ -246,6 +273,335 @@ export function runOddsCalculatorTests() {
         if (odds.away < 1.10 || odds.away > 15.00) throw new Error('Extreme away odds out of bounds');
     });
 
+    // Test team-strength pricing
+    test('Should price initial odds from team ratings', () => {
+        const calculator = new OddsCalculator();
+        const odds = calculator.getInitialOdds({
+            home: { attack: 1.40, defence: 1.30 },
+            away: { attack: 0.75, defence: 0.70 }
+        });
+        
+        if (!calculator.validateOdds(odds)) throw new Error('Rated odds should be valid');
+        if (odds.home >= odds.away) throw new Error('Stronger home side should be favourite');
+        
+        const book = 1 / odds.home + 1 / odds.draw + 1 / odds.away;
+        if (Math.abs(book - (1 + calculator.margin)) > 0.01) {
+            throw new Error(`Book should include the ${calculator.margin * 100}% margin, got ${book}`);
+        }
+    });
+
+    test('Should make the away side favourite when it is stronger', () => {
+        const calculator = new OddsCalculator();
+        const odds = calculator.getInitialOdds({
+            home: { attack: 0.70, defence: 0.60 },
+            away: { attack: 1.45, defence: 1.35 }
+        });
+        
+        if (odds.away >= odds.home) throw new Error('Stronger away side should be favourite');
+    });
+
+    // Test in-play pricing
+    test('Should price the same score differently by match time', () => {
+        const calculator = new OddsCalculator();
+        const early = calculator.calculateInPlayOdds({ time: 5, homeScore: 1, awayScore: 0 });
+        const late = calculator.calculateInPlayOdds({ time: 88, homeScore: 1, awayScore: 0 });
+        
+        if (late.home >= early.home) throw new Error('Leader should shorten as time runs out');
+        if (late.away <= early.away) throw new Error('Trailing side should drift as time runs out');
+    });
+
+    test('Should shorten the draw as a level match runs down', () => {
+        const calculator = new OddsCalculator();
+        const kickoff = calculator.calculateInPlayOdds({ time: 0, homeScore: 0, awayScore: 0 });
+        const late = calculator.calculateInPlayOdds({ time: 85, homeScore: 0, awayScore: 0 });
+        
+        if (late.draw >= kickoff.draw) throw new Error('Draw should shorten late in a level match');
+    });
+
+    test('Should let a team two goals down drift beyond the pre-match cap late on', () => {
+        const calculator = new OddsCalculator();
+        const odds = calculator.calculateInPlayOdds({ time: 80, homeScore: 2, awayScore: 0 });
+        
+        if (odds.away <= calculator.oddsBounds.max) throw new Error('Away odds should exceed the pre-match cap');
+        if (!Object.values(odds).every(price => price === undefined || price <= calculator.inPlayBounds.max)) {
+            throw new Error('In-play odds should be within in-play bounds');
+        }
+    });
+
+    test('Should leave a settled winner unpriced at full time', () => {
+        const calculator = new OddsCalculator();
+        const odds = calculator.calculateInPlayOdds({ time: 90, homeScore: 1, awayScore: 0 });
+        
+        if (odds.home !== undefined) throw new Error('Settled winner should be left unpriced');
+        if (odds.away !== calculator.inPlayBounds.max) throw new Error('Settled loser should sit at the maximum price');
+    });
+
+    test('Should leave near-certain selections unpriced late in a goalless match', () => {
+        const calculator = new OddsCalculator();
+        const overUnder = calculator.calculateOverUnderOdds({ time: 89 });
+        const btts = calculator.calculateBttsOdds({ time: 80 });
+
+        if (overUnder['0.5'].under !== undefined || overUnder['4.5'].under !== undefined) {
+            throw new Error('Unders the clock has all but decided should be unpriced');
+        }
+        if (!(overUnder['0.5'].over > 1) || btts.no !== undefined || !(btts.yes > 1)) {
+            throw new Error('Only the near-certain side should be unpriced');
+        }
+        if (calculator.isMarketDecided(overUnder) || calculator.isMarketDecided(btts)) {
+            throw new Error('Markets with a selection still priced should stay open');
+        }
+        if (!calculator.isMarketDecided(calculator.calculateInPlayOdds({ time: 90, homeScore: 1, awayScore: 0 }))) {
+            throw new Error('A result market with only its winner left should be decided');
+        }
+    });
+
+    test('Should never offer a live selection above its fair odds', () => {
+        const calculator = new OddsCalculator();
+        const teamRatings = goalModel.getMatchRatings('Manchester City', 'Sheffield United');
+        const check = (probability, odds, label) => {
+            if (odds !== undefined && probability * odds > 1) {
+                throw new Error(`${label} offered at ${odds} with probability ${probability}`);
+            }
+        };
+
+        [0, 30, 60, 75, 80, 85, 89, 90].forEach(time => {
+            [[0, 0], [1, 0], [0, 1], [2, 0], [3, 0], [2, 2]].forEach(([homeScore, awayScore]) => {
+                const state = { time, homeScore, awayScore, teamRatings };
+                const remaining = calculator.getRemainingGoals(state);
+                const score = { home: homeScore, away: awayScore };
+                const label = `${homeScore}-${awayScore} at ${time}'`;
+
+                const result = goalModel.getOutcomeProbabilities(remaining, score);
+                const resultOdds = calculator.calculateInPlayOdds(state);
+                ['home', 'draw', 'away'].forEach(outcome => check(result[outcome], resultOdds[outcome], `${label} ${outcome}`));
+
+                Object.entries(calculator.calculateOverUnderOdds(state)).forEach(([line, odds]) => {
+                    const over = goalModel.getOverProbability(remaining, Number(line), homeScore + awayScore);
+                    check(over, odds.over, `${label} over ${line}`);
+                    check(1 - over, odds.under, `${label} under ${line}`);
+                });
+
+                const btts = calculator.calculateBttsOdds(state);
+                if (btts) {
+                    const yes = goalModel.getBothTeamsScoreProbability(remaining, score);
+                    check(yes, btts.yes, `${label} BTTS yes`);
+                    check(1 - yes, btts.no, `${label} BTTS no`);
+                }
+
+                const nextGoal = goalModel.getNextGoalProbabilities(remaining);
+                const nextGoalOdds = calculator.calculateNextGoalOdds(state);
+                Object.keys(nextGoal).forEach(outcome => check(nextGoal[outcome], nextGoalOdds[outcome], `${label} next goal ${outcome}`));
+            });
+        });
+
+        for (let probability = 0.9; probability <= 1; probability += 0.0005) {
+            check(probability, calculator.priceProbability(probability), 'Action bet choice');
+        }
+    });
+
+    test('Should price the favourite to qualify shorter than to win in 90 minutes', () => {
+        const calculator = new OddsCalculator();
+        const teamRatings = goalModel.getMatchRatings('Arsenal', 'Luton');
+        const qualify = calculator.calculateQualifyOdds({ teamRatings });
+        const result = calculator.getInitialOdds(teamRatings);
+        
+        if (qualify.home >= result.home) throw new Error('Qualifying should be more likely than winning in 90 minutes');
+        if (qualify.draw !== undefined) throw new Error('The qualify market has no draw');
+        if (qualify.away > calculator.oddsBounds.max) throw new Error('Pre-match qualify odds should be within bounds');
+    });
+
+    test('Should move the qualify market during extra time', () => {
+        const calculator = new OddsCalculator();
+        const level = calculator.calculateQualifyOdds({ time: 100, homeScore: 1, awayScore: 1 });
+        const ahead = calculator.calculateQualifyOdds({ time: 100, homeScore: 2, awayScore: 1 });
+        
+        if (ahead.home >= level.home) throw new Error('Scoring in extra time should shorten the qualify price');
+        if (ahead.away <= level.away) throw new Error('Conceding in extra time should lengthen the qualify price');
+    });
+
+    test('Should drift the odds of a side down to ten men', () => {
+        const calculator = new OddsCalculator();
+        const teamRatings = goalModel.getMatchRatings('Arsenal', 'Chelsea');
+        const full = calculator.calculateInPlayOdds({ time: 30, homeScore: 0, awayScore: 0, teamRatings });
+        const tenMen = calculator.calculateInPlayOdds({
+            time: 30, homeScore: 0, awayScore: 0, teamRatings,
+            playersOnPitch: { home: 10, away: 11 }
+        });
+        const qualify = calculator.calculateQualifyOdds({ time: 30, teamRatings });
+        const qualifyTenMen = calculator.calculateQualifyOdds({ time: 30, teamRatings, playersOnPitch: { home: 10, away: 11 } });
+        
+        if (tenMen.home <= full.home) throw new Error('A side down to ten men should drift');
+        if (tenMen.away >= full.away) throw new Error('The side with the extra man should shorten');
+        if (qualifyTenMen.home <= qualify.home) throw new Error('Ten men should drift in the qualify market too');
+    });
+
+    // Test Over/Under market
+    test('Should price every Over/Under line with the configured margin before kick-off', () => {
+        const calculator = new OddsCalculator();
+        const odds = calculator.calculateOverUnderOdds({ teamRatings: goalModel.getMatchRatings('Arsenal', 'Chelsea') });
+
+        if (Object.keys(odds).length !== calculator.OVER_UNDER_LINES.length) throw new Error('All lines should be open at kick-off');
+        if (odds['0.5'].over >= odds['4.5'].over) throw new Error('Over 0.5 should be shorter than over 4.5');
+
+        const book = calculator.getBookSummary(odds['2.5']);
+        if (Math.abs(book.margin - calculator.getMargin() * 100) > 1) {
+            throw new Error(`Over/Under 2.5 book should carry the margin, got ${book.margin}%`);
+        }
+    });
+
+    test('Should close Over/Under lines that have been passed and shorten the overs after a goal', () => {
+        const calculator = new OddsCalculator();
+        const before = calculator.calculateOverUnderOdds({ time: 30, homeScore: 1, awayScore: 0 });
+        const after = calculator.calculateOverUnderOdds({ time: 30, homeScore: 1, awayScore: 1 });
+
+        if (before['0.5'] || after['1.5']) throw new Error('Passed lines should be closed');
+        if (after['2.5'].over >= before['2.5'].over) throw new Error('A goal should shorten the over');
+    });
+
+    test('Should parse and settle Over/Under outcomes', () => {
+        const calculator = new OddsCalculator();
+        const selection = calculator.parseOverUnderOutcome('under_3.5');
+
+        if (selection.side !== 'under' || selection.line !== 3.5) throw new Error('Outcome should parse into side and line');
+        if (calculator.parseOverUnderOutcome('over_2') || calculator.parseOverUnderOutcome('over_5.5')) {
+            throw new Error('Unknown lines should not parse');
+        }
+        if (calculator.getOverUnderResults(2).join() !== 'over_0.5,over_1.5,under_2.5,under_3.5,under_4.5') {
+            throw new Error('Two goals should win overs up to 1.5 and unders from 2.5');
+        }
+    });
+
+    // Test Both Teams To Score and Correct Score markets
+    test('Should price Both Teams To Score until both sides have scored', () => {
+        const calculator = new OddsCalculator();
+        const before = calculator.calculateBttsOdds({ time: 20, homeScore: 1, awayScore: 0 });
+        const kickOff = calculator.calculateBttsOdds({});
+
+        if (before.yes >= kickOff.yes) throw new Error('A goal should shorten BTTS yes');
+        if (calculator.calculateBttsOdds({ time: 20, homeScore: 1, awayScore: 1 }) !== null) {
+            throw new Error('BTTS should close once both teams have scored');
+        }
+        if (calculator.getBttsResult(2, 0) !== 'no' || calculator.getBttsResult(1, 3) !== 'yes') {
+            throw new Error('BTTS should settle on both sides scoring');
+        }
+    });
+
+    test('Should price the Correct Score grid and close scores that have been passed', () => {
+        const calculator = new OddsCalculator();
+        const kickOff = calculator.calculateCorrectScoreOdds({ teamRatings: goalModel.getMatchRatings('Arsenal', 'Chelsea') });
+        const book = calculator.getBookSummary(kickOff);
+
+        if (Object.keys(kickOff).length !== 17) throw new Error('The grid should have 16 scores and other');
+        if (Math.abs(book.margin - calculator.getMargin() * 100) > 1) throw new Error(`Correct score book should carry the margin, got ${book.margin}%`);
+
+        const inPlay = calculator.calculateCorrectScoreOdds({ time: 60, homeScore: 2, awayScore: 1 });
+        if (inPlay['1-1'] || inPlay['0-0']) throw new Error('Scores below the current score should be closed');
+        if (!(inPlay['2-1'] < inPlay['3-3'])) throw new Error('Holding the score should be shorter than three more goals');
+        if (calculator.calculateCorrectScoreOdds({ time: 60, homeScore: 4, awayScore: 0 }) !== null) {
+            throw new Error('The market should close once the score leaves the grid');
+        }
+        if (calculator.getCorrectScoreResult(4, 2) !== 'other' || calculator.getCorrectScoreResult(3, 0) !== '3-0') {
+            throw new Error('Scores outside the grid should settle as other');
+        }
+    });
+
+    // Test next goal and anytime goalscorer markets
+    test('Should price the next goal and lengthen both sides as time runs out', () => {
+        const calculator = new OddsCalculator();
+        const kickOff = calculator.calculateNextGoalOdds({});
+        const late = calculator.calculateNextGoalOdds({ time: 85, homeScore: 1, awayScore: 0 });
+
+        if (!(kickOff.home < kickOff.away && kickOff.none > kickOff.home)) throw new Error('Kick-off should favour a home goal');
+        if (!(late.none < late.home && late.home > kickOff.home)) throw new Error('No more goals should be favourite late on');
+    });
+
+    test('Should price anytime goalscorers and drop players who have scored', () => {
+        const calculator = new OddsCalculator();
+        const lineups = teamRosters.getMatchLineups('Arsenal', 'Chelsea');
+        const kickOff = calculator.calculateGoalscorerOdds({ lineups });
+        const [scorer, odds] = Object.entries(kickOff).reduce((best, entry) => (entry[1] < best[1] ? entry : best));
+        const { team, player } = calculator.parseGoalscorerOutcome(scorer);
+
+        if (Object.keys(kickOff).length !== lineups.home.starting.length + lineups.away.starting.length) {
+            throw new Error('Every starter should be priced');
+        }
+        if (lineups[team].starting.find(p => p.name === player).position !== 'FWD') {
+            throw new Error(`Favourite should be a forward, got ${player} at ${odds}`);
+        }
+
+        const afterGoal = calculator.calculateGoalscorerOdds({ lineups, time: 30, goals: [{ team, player }] });
+        if (afterGoal[scorer]) throw new Error('A player who has scored should leave the market');
+        if (calculator.calculateGoalscorerOdds({}) !== null) throw new Error('No lineups should mean no market');
+        if (calculator.parseGoalscorerOutcome('Saka')) throw new Error('Outcomes need a team');
+    });
+
+    test('Should look up selection odds in any match market', () => {
+        const calculator = new OddsCalculator();
+        const match = {
+            odds: { home: 2.1 },
+            overUnderOdds: { '2.5': { over: 1.9 } },
+            bttsOdds: { yes: 1.8 },
+            correctScoreOdds: { '1-0': 7.5 },
+            nextGoalOdds: { none: 3.2 },
+            goalscorerOdds: { 'away:Palmer': 3.6 }
+        };
+
+        if (calculator.getSelectionOdds(match, 'fullMatch', 'home') !== 2.1) throw new Error('1X2 lookup failed');
+        if (calculator.getSelectionOdds(match, 'overUnder', 'over_2.5') !== 1.9) throw new Error('Over/Under lookup failed');
+        if (calculator.getSelectionOdds(match, 'btts', 'yes') !== 1.8) throw new Error('BTTS lookup failed');
+        if (calculator.getSelectionOdds(match, 'correctScore', '1-0') !== 7.5) throw new Error('Correct score lookup failed');
+        if (calculator.getSelectionOdds(match, 'nextGoal', 'none') !== 3.2) throw new Error('Next goal lookup failed');
+        if (calculator.getSelectionOdds(match, 'goalscorer', 'away:Palmer') !== 3.6) throw new Error('Goalscorer lookup failed');
+        if (calculator.getSelectionOdds(match, 'toQualify', 'home') !== undefined) throw new Error('Closed markets have no odds');
+    });
+
+    // Test margin configuration
+    test('Should apply a configurable margin to fair probabilities', () => {
+        const calculator = new OddsCalculator();
+        calculator.setMargin(0.04);
+        
+        if (calculator.getMargin() !== 0.04) throw new Error('Margin should be updated');
+        if (calculator.priceProbability(0.5) !== 1.92) throw new Error('50% should price at 1.92 with a 4% margin');
+        if (calculator.priceProbability(0.99) !== undefined || calculator.priceProbability(1) !== undefined) {
+            throw new Error('Outcomes that would price below the 1.01 floor should be unpriced');
+        }
+        if (calculator.priceProbability(0.95) !== 1.01) throw new Error('95% should price at the 1.01 floor with a 4% margin');
+        
+        const odds = calculator.calculateInPlayOdds({ time: 0, homeScore: 0, awayScore: 0 });
+        const book = calculator.getBookSummary(odds);
+        if (Math.abs(book.margin - 4) > 0.1) throw new Error(`Book margin should be 4%, got ${book.margin}`);
+    });
+
+    test('Should reject invalid margins', () => {
+        const calculator = new OddsCalculator();
+        
+        [-0.01, 1, NaN, '0.05'].forEach(margin => {
+            try {
+                calculator.setMargin(margin);
+                throw new Error(`Margin ${margin} should be rejected`);
+            } catch (error) {
+                if (!error.message.includes('Margin must be')) throw error;
+            }
+        });
+    });
+
+    // Test book percentage reporting
+    test('Should report book percentage per market in the odds summary', () => {
+        const calculator = new OddsCalculator();
+        const odds = calculator.getInitialOdds({
+            home: { attack: 1.2, defence: 1.1 },
+            away: { attack: 0.9, defence: 0.9 }
+        });
+        const summary = calculator.getOddsSummary(odds, { corner: [10, 1.25] });
+        
+        if (!summary.markets.matchResult.withinTargetBand) {
+            throw new Error(`1X2 book should be inside the target band, got ${summary.markets.matchResult.bookPercentage}%`);
+        }
+        if (summary.markets.corner.bookPercentage !== 90) throw new Error('Corner book should be 90%');
+        if (summary.markets.corner.withinTargetBand) throw new Error('Under-round market should be outside the target band');
+        if (summary.margin !== calculator.getMargin()) throw new Error('Summary should report the configured margin');
+    });
+
     console.log(`\n📊 OddsCalculator Test Results:`);
     console.log(`✅ Passed: ${results.passed}`);
     console.log(`❌ Failed: ${results.failed}`);
@@ -0,0 +1,173 @@
+/**
+ * PenaltyShootout - Kick-by-kick penalty shootout for knockout ties
+ *
+ * Features:
+ * - Alternating kicks, best of five, then sudden death
+ * - Ends as soon as one side can no longer be caught
+ * - Takers drawn from the starting XI by penalty-taking weight, nobody kicks twice
+ *   until every player has taken one
+ * - Kick outcome probabilities from the taker's rating, ready to be priced as an action bet
+ * - Pure updates: every method returns a new shootout object suitable for state.match.shootout
+ */
+
+import { teamRosters } from './TeamRosters.js';
+
+export class PenaltyShootout {
+    constructor() {
+        // Kicks per side before sudden death
+        this.REGULATION_KICKS = 5;
+
+        // Shootout conversion rate for an average taker, and how much each rating point adds
+        this.BASE_CONVERSION = 0.76;
+        this.RATING_EFFECT = 0.008;
+        this.CONVERSION_BOUNDS = { min: 0.6, max: 0.9 };
+
+        // How unconverted kicks split between keeper saves and misses
+        this.SAVE_SHARE = 0.7;
+
+        this.teamRosters = teamRosters;
+    }
+
+    /**
+     * Creates an empty shootout
+     * @param {string} [firstTeam='home'] - Side taking the first kick
+     * @returns {Object} Shootout { firstTeam, kicks, score, winner }
+     */
+    createShootout(firstTeam = 'home') {
+        return {
+            firstTeam,
+            kicks: [],
+            score: { home: 0, away: 0 },
+            winner: null
+        };
+    }
+
+    /**
+     * Gets the side taking the next kick
+     * @param {Object} shootout - Current shootout
+     * @returns {string} 'home' or 'away'
+     */
+    getNextTeam(shootout) {
+        const secondTeam = shootout.firstTeam === 'home' ? 'away' : 'home';
+        return shootout.kicks.length % 2 === 0 ? shootout.firstTeam : secondTeam;
+    }
+
+    /**
+     * Gets the round of the next kick (6 and above is sudden death)
+     * @param {Object} shootout - Current shootout
+     * @returns {number} Round number starting at 1
+     */
+    getNextRound(shootout) {
+        return Math.floor(shootout.kicks.length / 2) + 1;
+    }
+
+    /**
+     * Counts the kicks each side has taken
+     * @param {Object} shootout - Current shootout
+     * @returns {Object} Kicks taken { home, away }
+     */
+    getKicksTaken(shootout) {
+        return {
+            home: shootout.kicks.filter(kick => kick.team === 'home').length,
+            away: shootout.kicks.filter(kick => kick.team === 'away').length
+        };
+    }
+
+    /**
+     * Picks the next taker for a side from its starting XI
+     * @param {RandomGenerator} random - Generator to draw from
+     * @param {Object} shootout - Current shootout
+     * @param {Object} lineup - Team lineup { team, starting, bench }
+     * @param {string} team - 'home' or 'away'
+     * @returns {Object|null} Player { name, position, rating }
+     */
+    pickTaker(random, shootout, lineup, team) {
+        const players = lineup?.starting || [];
+        const taken = shootout.kicks.filter(kick => kick.team === team).map(kick => kick.player);
+
+        // Once all eleven have taken one, the order starts again
+        const fresh = players.filter(player => !taken.includes(player.name));
+        return this.teamRosters.pickPlayer(random, fresh.length > 0 ? fresh : players, 'penaltyTaker');
+    }
+
+    /**
+     * Gets the possible kick outcomes with their true probabilities
+     * @param {Object} [taker] - Player { rating }; an average taker when omitted
+     * @returns {Array} Choices { outcome, description, probability }
+     */
+    getKickChoices(taker = null) {
+        const rating = taker?.rating ?? this.teamRosters.AVERAGE_RATING;
+        const goal = Math.max(this.CONVERSION_BOUNDS.min, Math.min(this.CONVERSION_BOUNDS.max,
+            this.BASE_CONVERSION + (rating - this.teamRosters.AVERAGE_RATING) * this.RATING_EFFECT));
+        const notScored = 1 - goal;
+
+        return [
+            { outcome: 'goal', description: 'Penalty scored', probability: goal },
+            { outcome: 'save', description: 'Penalty saved!', probability: notScored * this.SAVE_SHARE },
+            { outcome: 'miss', description: 'Penalty missed!', probability: notScored * (1 - this.SAVE_SHARE) }
+        ];
+    }
+
+    /**
+     * Records a kick and decides the shootout if it is over
+     * @param {Object} shootout - Current shootout
+     * @param {Object} kick - Kick { team, player, outcome }
+     * @returns {Object} Updated shootout
+     */
+    recordKick(shootout, kick) {
+        const scored = kick.outcome === 'goal';
+        const updated = {
+            ...shootout,
+            kicks: [...shootout.kicks, {
+                round: this.getNextRound(shootout),
+                team: kick.team,
+                player: kick.player,
+                outcome: kick.outcome,
+                scored
+            }],
+            score: {
+                ...shootout.score,
+                [kick.team]: shootout.score[kick.team] + (scored ? 1 : 0)
+            }
+        };
+
+        return { ...updated, winner: this.getWinner(updated) };
+    }
+
+    /**
+     * Works out whether one side has won
+     * @param {Object} shootout - Current shootout
+     * @returns {string|null} 'home', 'away' or null while undecided
+     */
+    getWinner(shootout) {
+        const { home, away } = shootout.score;
+        const taken = this.getKicksTaken(shootout);
+
+        // Best of five: over once the trailing side cannot catch up with its remaining kicks
+        if (taken.home <= this.REGULATION_KICKS && taken.away <= this.REGULATION_KICKS) {
+            const homeRemaining = this.REGULATION_KICKS - taken.home;
+            const awayRemaining = this.REGULATION_KICKS - taken.away;
+            if (home > away + awayRemaining) return 'home';
+            if (away > home + homeRemaining) return 'away';
+            if (homeRemaining > 0 || awayRemaining > 0) return null;
+        }
+
+        // Sudden death: decided after a completed round with the scores apart
+        if (taken.home === taken.away && home !== away) {
+            return home > away ? 'home' : 'away';
+        }
+        return null;
+    }
+
+    /**
+     * Formats the shootout score, e.g. "4-3"
+     * @param {Object} shootout - Current shootout
+     * @returns {string} Score string
+     */
+    formatScore(shootout) {
+        return `${shootout.score.home}-${shootout.score.away}`;
+    }
+}
+
+// Export singleton instance
+export const penaltyShootout = new PenaltyShootout();
@@ -0,0 +1,121 @@
+/**
+ * PenaltyShootout Tests
+ * Tests for kick order, taker selection and deciding the shootout
+ */
+
+import { PenaltyShootout, penaltyShootout } from './PenaltyShootout.js';
+import { teamRosters } from './TeamRosters.js';
+import { RandomGenerator } from './RandomGenerator.js';
+
+describe('PenaltyShootout', () => {
+    let shootouts;
+
+    // Records alternating kicks from a list of [team, outcome] pairs
+    const playKicks = (shootout, kicks) => kicks.reduce(
+        (current, [team, outcome]) => shootouts.recordKick(current, { team, player: `${team} taker`, outcome }),
+        shootout
+    );
+
+    beforeEach(() => {
+        shootouts = new PenaltyShootout();
+    });
+
+    describe('Kick Order', () => {
+        test('should alternate from the side kicking first', () => {
+            let shootout = shootouts.createShootout('away');
+            expect(shootouts.getNextTeam(shootout)).toBe('away');
+
+            shootout = playKicks(shootout, [['away', 'goal']]);
+            expect(shootouts.getNextTeam(shootout)).toBe('home');
+            expect(shootouts.getNextRound(shootout)).toBe(1);
+
+            shootout = playKicks(shootout, [['home', 'goal']]);
+            expect(shootouts.getNextTeam(shootout)).toBe('away');
+            expect(shootouts.getNextRound(shootout)).toBe(2);
+        });
+
+        test('should record kicks without mutating the previous shootout', () => {
+            const shootout = shootouts.createShootout();
+            const updated = playKicks(shootout, [['home', 'save']]);
+
+            expect(shootout.kicks).toHaveLength(0);
+            expect(updated.kicks[0]).toEqual({ round: 1, team: 'home', player: 'home taker', outcome: 'save', scored: false });
+            expect(updated.score).toEqual({ home: 0, away: 0 });
+        });
+    });
+
+    describe('Deciding the Shootout', () => {
+        test('should end early once the trailing side cannot catch up', () => {
+            let shootout = playKicks(shootouts.createShootout(), [
+                ['home', 'goal'], ['away', 'save'],
+                ['home', 'goal'], ['away', 'miss'],
+                ['home', 'goal']
+            ]);
+            expect(shootout.winner).toBeNull();
+
+            shootout = playKicks(shootout, [['away', 'save']]);
+            expect(shootout.score).toEqual({ home: 3, away: 0 });
+            expect(shootout.winner).toBe('home');
+        });
+
+        test('should stay undecided while the trailing side can still level', () => {
+            const shootout = playKicks(shootouts.createShootout(), [
+                ['home', 'goal'], ['away', 'save'],
+                ['home', 'goal'], ['away', 'goal'],
+                ['home', 'goal'], ['away', 'goal'],
+                ['home', 'goal'], ['away', 'goal']
+            ]);
+
+            expect(shootout.score).toEqual({ home: 4, away: 3 });
+            expect(shootout.winner).toBeNull();
+        });
+
+        test('should go to sudden death when level after five kicks each', () => {
+            const fiveEach = Array.from({ length: 5 }, () => [['home', 'goal'], ['away', 'goal']]).flat();
+            let shootout = playKicks(shootouts.createShootout(), fiveEach);
+            expect(shootout.winner).toBeNull();
+
+            // A sudden death round is only decided once both sides have kicked
+            shootout = playKicks(shootout, [['home', 'save']]);
+            expect(shootouts.getNextRound(shootout)).toBe(6);
+            expect(shootout.winner).toBeNull();
+
+            shootout = playKicks(shootout, [['away', 'goal']]);
+            expect(shootout.winner).toBe('away');
+            expect(shootouts.formatScore(shootout)).toBe('5-6');
+        });
+    });
+
+    describe('Takers and Kick Choices', () => {
+        test('should not pick a taker twice until the whole XI has kicked', () => {
+            const random = new RandomGenerator(7);
+            const lineup = teamRosters.getMatchLineups('Arsenal', 'Chelsea').home;
+            let shootout = shootouts.createShootout();
+            const takers = [];
+
+            for (let i = 0; i < lineup.starting.length; i++) {
+                const taker = shootouts.pickTaker(random, shootout, lineup, 'home');
+                takers.push(taker.name);
+                shootout = { ...shootout, kicks: [...shootout.kicks, { team: 'home', player: taker.name }] };
+            }
+
+            expect(new Set(takers).size).toBe(lineup.starting.length);
+            expect(shootouts.pickTaker(random, shootout, lineup, 'home')).toBeTruthy();
+        });
+
+        test('should give better takers a higher chance of scoring', () => {
+            const average = shootouts.getKickChoices();
+            const strong = shootouts.getKickChoices({ rating: teamRosters.AVERAGE_RATING + 10 });
+            const goalChance = choices => choices.find(choice => choice.outcome === 'goal').probability;
+
+            expect(goalChance(average)).toBeCloseTo(shootouts.BASE_CONVERSION);
+            expect(goalChance(strong)).toBeGreaterThan(goalChance(average));
+            expect(goalChance(shootouts.getKickChoices({ rating: 200 }))).toBe(shootouts.CONVERSION_BOUNDS.max);
+            expect(strong.reduce((sum, choice) => sum + choice.probability, 0)).toBeCloseTo(1);
+        });
+    });
+
+    test('should provide singleton instance', () => {
+        expect(penaltyShootout).toBeInstanceOf(PenaltyShootout);
+    });
+});
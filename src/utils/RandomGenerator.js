@@ -0,0 +1,204 @@
+/**
+ * RandomGenerator - Seedable pseudo-random number generator
+ *
+ * Features:
+ * - Deterministic sequences from a numeric or string seed (mulberry32)
+ * - Unseeded mode that falls back to Math.random()
+ * - Named sub-streams so independent systems don't shift each other's draws
+ * - Helpers for ranges, array picks and weighted choices
+ */
+
+export class RandomGenerator {
+    /**
+     * @param {number|string|null} [seed] - Seed value; omit for unseeded Math.random() behaviour
+     */
+    constructor(seed = null) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Creates a fresh random seed for a new session or match
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Converts a seed value into an unsigned 32-bit integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        if (typeof seed === 'string' && seed.length > 0) {
+            // Numeric strings (e.g. from a URL) map to the same stream as the number
+            if (/^\d+$/.test(seed)) {
+                return Number(seed) >>> 0;
+            }
+            return RandomGenerator.hashString(seed);
+        }
+
+        throw new Error('Seed must be a finite number or a non-empty string');
+    }
+
+    /**
+     * Hashes a string into an unsigned 32-bit integer (FNV-1a)
+     * @param {string} value - String to hash
+     * @returns {number} Hash value
+     */
+    static hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Resets the generator to the start of the sequence for a seed
+     * @param {number|string|null} seed - Seed value, or null for unseeded mode
+     */
+    setSeed(seed) {
+        this.seed = seed === undefined ? null : seed;
+        this.state = this.seed === null ? null : RandomGenerator.normalizeSeed(this.seed);
+    }
+
+    /**
+     * Gets the seed the generator was created or last reset with
+     * @returns {number|string|null} Seed value, or null when unseeded
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Checks if the generator produces a reproducible sequence
+     * @returns {boolean} True if seeded
+     */
+    isSeeded() {
+        return this.seed !== null;
+    }
+
+    /**
+     * Returns the next float in [0, 1), drop-in replacement for Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        if (this.state === null) {
+            return Math.random();
+        }
+
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Returns a float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    nextFloat(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Returns an integer in [min, max]
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (inclusive)
+     * @returns {number} Random integer
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Picks a random element from an array
+     * @param {Array} items - Items to pick from
+     * @returns {*} Picked item or undefined for an empty array
+     */
+    pick(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return undefined;
+        }
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Picks an element using relative weights
+     * @param {Array} items - Items to pick from
+     * @param {Function} getWeight - Returns the non-negative weight of an item
+     * @returns {*} Picked item or undefined when no item has weight
+     */
+    weightedPick(items, getWeight) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return undefined;
+        }
+
+        const weights = items.map(item => Math.max(0, Number(getWeight(item)) || 0));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            return undefined;
+        }
+
+        let threshold = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            threshold -= weights[i];
+            if (threshold < 0) {
+                return items[i];
+            }
+        }
+
+        // Floating point fallback - return the last weighted item
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (weights[i] > 0) return items[i];
+        }
+        return undefined;
+    }
+
+    /**
+     * Shuffles an array using Fisher-Yates algorithm
+     * @param {Array} items - Array to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Generates a seed for a child generator from this stream
+     * @returns {number} Unsigned 32-bit seed
+     */
+    nextSeed() {
+        return Math.floor(this.next() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Creates an independent generator for a named subsystem. The child is
+     * derived from this generator's seed, not its position, so drawing from one
+     * stream never changes the sequence of another.
+     * @param {string} label - Stream name (e.g. 'timeline', 'powerUps')
+     * @returns {RandomGenerator} Child generator (unseeded if this one is)
+     */
+    fork(label) {
+        if (!this.isSeeded()) {
+            return new RandomGenerator();
+        }
+
+        const base = RandomGenerator.normalizeSeed(this.seed);
+        return new RandomGenerator(RandomGenerator.hashString(`${base}:${label}`));
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * RandomGenerator Tests
+ * Tests for seeded, reproducible random sequences
+ */
+
+import { RandomGenerator } from './RandomGenerator.js';
+
+describe('RandomGenerator', () => {
+    describe('Seeded Sequences', () => {
+        test('should produce identical sequences for the same seed', () => {
+            const a = new RandomGenerator(12345);
+            const b = new RandomGenerator(12345);
+
+            const seqA = Array.from({ length: 20 }, () => a.next());
+            const seqB = Array.from({ length: 20 }, () => b.next());
+
+            expect(seqA).toEqual(seqB);
+        });
+
+        test('should produce different sequences for different seeds', () => {
+            const a = new RandomGenerator(1);
+            const b = new RandomGenerator(2);
+
+            const seqA = Array.from({ length: 10 }, () => a.next());
+            const seqB = Array.from({ length: 10 }, () => b.next());
+
+            expect(seqA).not.toEqual(seqB);
+        });
+
+        test('should generate floats in [0, 1)', () => {
+            const random = new RandomGenerator(42);
+
+            for (let i = 0; i < 1000; i++) {
+                const value = random.next();
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+
+        test('should accept string seeds', () => {
+            const a = new RandomGenerator('derby-day');
+            const b = new RandomGenerator('derby-day');
+
+            expect(a.next()).toBe(b.next());
+        });
+
+        test('should treat numeric strings like the equivalent number', () => {
+            const a = new RandomGenerator('987');
+            const b = new RandomGenerator(987);
+
+            expect(a.next()).toBe(b.next());
+        });
+
+        test('should restart the sequence when reseeded', () => {
+            const random = new RandomGenerator(7);
+            const first = random.next();
+            random.next();
+
+            random.setSeed(7);
+            expect(random.next()).toBe(first);
+        });
+
+        test('should reject invalid seeds', () => {
+            expect(() => new RandomGenerator(NaN)).toThrow();
+            expect(() => new RandomGenerator('')).toThrow();
+        });
+    });
+
+    describe('Unseeded Mode', () => {
+        test('should fall back to Math.random when no seed is given', () => {
+            const originalRandom = Math.random;
+            Math.random = () => 0.25;
+
+            try {
+                const random = new RandomGenerator();
+                expect(random.isSeeded()).toBe(false);
+                expect(random.getSeed()).toBeNull();
+                expect(random.next()).toBe(0.25);
+            } finally {
+                Math.random = originalRandom;
+            }
+        });
+
+        test('should fork unseeded generators as unseeded', () => {
+            const random = new RandomGenerator();
+            expect(random.fork('timeline').isSeeded()).toBe(false);
+        });
+    });
+
+    describe('Forked Streams', () => {
+        test('should derive the same child stream from the same seed and label', () => {
+            const a = new RandomGenerator(99).fork('timeline');
+            const b = new RandomGenerator(99).fork('timeline');
+
+            expect(a.next()).toBe(b.next());
+        });
+
+        test('should not depend on how far the parent has advanced', () => {
+            const parent = new RandomGenerator(99);
+            const before = parent.fork('resolution').next();
+
+            parent.next();
+            parent.next();
+
+            expect(parent.fork('resolution').next()).toBe(before);
+        });
+
+        test('should give different labels different streams', () => {
+            const parent = new RandomGenerator(99);
+            expect(parent.fork('timeline').next()).not.toBe(parent.fork('powerUps').next());
+        });
+    });
+
+    describe('Helpers', () => {
+        test('should generate integers within inclusive bounds', () => {
+            const random = new RandomGenerator(3);
+            const seen = new Set();
+
+            for (let i = 0; i < 500; i++) {
+                const value = random.nextInt(3, 5);
+                expect(Number.isInteger(value)).toBe(true);
+                expect(value).toBeGreaterThanOrEqual(3);
+                expect(value).toBeLessThanOrEqual(5);
+                seen.add(value);
+            }
+
+            expect(seen.size).toBe(3);
+        });
+
+        test('should pick elements from arrays', () => {
+            const random = new RandomGenerator(5);
+            const items = ['a', 'b', 'c'];
+
+            expect(items).toContain(random.pick(items));
+            expect(random.pick([])).toBeUndefined();
+        });
+
+        test('should respect weights in weighted picks', () => {
+            const random = new RandomGenerator(11);
+            const items = [{ id: 'common', weight: 9 }, { id: 'rare', weight: 1 }, { id: 'never', weight: 0 }];
+            const counts = { common: 0, rare: 0, never: 0 };
+
+            for (let i = 0; i < 5000; i++) {
+                counts[random.weightedPick(items, item => item.weight).id]++;
+            }
+
+            expect(counts.never).toBe(0);
+            expect(counts.common / 5000).toBeCloseTo(0.9, 1);
+            expect(counts.rare / 5000).toBeCloseTo(0.1, 1);
+        });
+
+        test('should shuffle without losing elements', () => {
+            const random = new RandomGenerator(8);
+            const original = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+            const shuffled = random.shuffle(original);
+
+            expect(shuffled).toHaveLength(original.length);
+            expect([...shuffled].sort((a, b) => a - b)).toEqual(original);
+            expect(original).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        });
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * TeamRosters - Named squads for every lobby team
+ *
+ * Features:
+ * - Starting XI and bench per team, each player with a position and a 0-100 rating
+ * - Match lineups stored in state.match.lineups
+ * - Position-weighted player picks for goal scorers, bookings, penalty takers,
+ *   injuries and general involvement in play (commentary)
+ * - Lineup changes for substitutions and players sent off
+ * - Generic squad for teams without an entry
+ */
+
+export class TeamRosters {
+    constructor() {
+        // Players 1-11 start, the rest are on the bench
+        this.STARTING_SIZE = 11;
+
+        // Substitutions each side may make in a match
+        this.SUBSTITUTION_LIMIT = 5;
+
+        // Rating the pick weights are measured against
+        this.AVERAGE_RATING = 75;
+
+        // How likely each position is to fill a role, and how strongly rating matters
+        // (weight = position weight * (rating / AVERAGE_RATING) ^ ratingExponent)
+        this.ROLE_WEIGHTS = {
+            scorer: { positions: { GK: 0.005, DEF: 0.12, MID: 0.3, FWD: 0.6 }, ratingExponent: 4 },
+            booking: { positions: { GK: 0.05, DEF: 0.45, MID: 0.4, FWD: 0.15 }, ratingExponent: 0 },
+            penaltyTaker: { positions: { GK: 0, DEF: 0.05, MID: 0.3, FWD: 0.65 }, ratingExponent: 12 },
+            involvement: { positions: { GK: 0.05, DEF: 0.25, MID: 0.4, FWD: 0.3 }, ratingExponent: 1 },
+            injury: { positions: { GK: 0.03, DEF: 0.3, MID: 0.35, FWD: 0.32 }, ratingExponent: 0 }
+        };
+
+        // Squads as [name, position, rating]
+        this.squads = {
+            'Manchester City': [
+                ['Ederson', 'GK', 86], ['Walker', 'DEF', 82], ['Dias', 'DEF', 87], ['Aké', 'DEF', 81],
+                ['Gvardiol', 'DEF', 82], ['Rodri', 'MID', 89], ['De Bruyne', 'MID', 89], ['Bernardo Silva', 'MID', 86],
+                ['Foden', 'FWD', 87], ['Haaland', 'FWD', 91], ['Doku', 'FWD', 80],
+                ['Ortega', 'GK', 77], ['Stones', 'DEF', 84], ['Kovačić', 'MID', 82], ['Julián Álvarez', 'FWD', 83],
+                ['Grealish', 'FWD', 82]
+            ],
+            'Arsenal': [
+                ['Raya', 'GK', 82], ['White', 'DEF', 80], ['Saliba', 'DEF', 85], ['Gabriel', 'DEF', 84],
+                ['Zinchenko', 'DEF', 78], ['Rice', 'MID', 86], ['Ødegaard', 'MID', 87], ['Havertz', 'MID', 80],
+                ['Saka', 'FWD', 87], ['Martinelli', 'FWD', 82], ['Jesus', 'FWD', 81],
+                ['Ramsdale', 'GK', 78], ['Tomiyasu', 'DEF', 78], ['Jorginho', 'MID', 78], ['Trossard', 'FWD', 81],
+                ['Nketiah', 'FWD', 75]
+            ],
+            'Liverpool': [
+                ['Alisson', 'GK', 88], ['Alexander-Arnold', 'DEF', 85], ['Konaté', 'DEF', 82], ['Van Dijk', 'DEF', 87],
+                ['Robertson', 'DEF', 83], ['Mac Allister', 'MID', 83], ['Szoboszlai', 'MID', 81], ['Jones', 'MID', 78],
+                ['Salah', 'FWD', 89], ['Núñez', 'FWD', 81], ['Díaz', 'FWD', 82],
+                ['Kelleher', 'GK', 75], ['Gomez', 'DEF', 78], ['Endo', 'MID', 77], ['Gakpo', 'FWD', 80],
+                ['Jota', 'FWD', 82]
+            ],
+            'Aston Villa': [
+                ['Emiliano Martínez', 'GK', 85], ['Cash', 'DEF', 77], ['Konsa', 'DEF', 79], ['Torres', 'DEF', 79],
+                ['Digne', 'DEF', 77], ['Kamara', 'MID', 80], ['Douglas Luiz', 'MID', 82], ['McGinn', 'MID', 80],
+                ['Bailey', 'FWD', 79], ['Watkins', 'FWD', 84], ['Diaby', 'FWD', 79],
+                ['Olsen', 'GK', 72], ['Carlos', 'DEF', 76], ['Tielemans', 'MID', 79], ['Jacob Ramsey', 'MID', 74],
+                ['Durán', 'FWD', 73]
+            ],
+            'Tottenham': [
+                ['Vicario', 'GK', 82], ['Porro', 'DEF', 80], ['Romero', 'DEF', 83], ['Van de Ven', 'DEF', 80],
+                ['Udogie', 'DEF', 78], ['Bissouma', 'MID', 79], ['Sarr', 'MID', 77], ['Maddison', 'MID', 83],
+                ['Kulusevski', 'FWD', 81], ['Son', 'FWD', 87], ['Johnson', 'FWD', 77],
+                ['Forster', 'GK', 72], ['Drăgușin', 'DEF', 76], ['Bentancur', 'MID', 79], ['Richarlison', 'FWD', 79],
+                ['Werner', 'FWD', 77]
+            ],
+            'Newcastle': [
+                ['Pope', 'GK', 83], ['Trippier', 'DEF', 82], ['Schär', 'DEF', 79], ['Botman', 'DEF', 80],
+                ['Burn', 'DEF', 76], ['Guimarães', 'MID', 85], ['Longstaff', 'MID', 75], ['Joelinton', 'MID', 79],
+                ['Almirón', 'FWD', 77], ['Isak', 'FWD', 84], ['Gordon', 'FWD', 80],
+                ['Dúbravka', 'GK', 74], ['Lascelles', 'DEF', 75], ['Tonali', 'MID', 81], ['Barnes', 'FWD', 76],
+                ['Callum Wilson', 'FWD', 79]
+            ],
+            'Chelsea': [
+                ['Sánchez', 'GK', 77], ['Gusto', 'DEF', 76], ['Thiago Silva', 'DEF', 82], ['Disasi', 'DEF', 76],
+                ['Cucurella', 'DEF', 76], ['Caicedo', 'MID', 81], ['Enzo Fernández', 'MID', 82], ['Gallagher', 'MID', 79],
+                ['Palmer', 'FWD', 84], ['Jackson', 'FWD', 77], ['Sterling', 'FWD', 81],
+                ['Petrović', 'GK', 74], ['Chalobah', 'DEF', 75], ['Chukwuemeka', 'MID', 72], ['Mudryk', 'FWD', 75],
+                ['Nkunku', 'FWD', 81]
+            ],
+            'Manchester United': [
+                ['André Onana', 'GK', 81], ['Dalot', 'DEF', 78], ['Varane', 'DEF', 81], ['Lisandro Martínez', 'DEF', 81],
+                ['Shaw', 'DEF', 79], ['Casemiro', 'MID', 82], ['Mainoo', 'MID', 74], ['Bruno Fernandes', 'MID', 85],
+                ['Garnacho', 'FWD', 78], ['Højlund', 'FWD', 77], ['Rashford', 'FWD', 82],
+                ['Bayındır', 'GK', 72], ['Maguire', 'DEF', 77], ['Eriksen', 'MID', 79], ['McTominay', 'MID', 77],
+                ['Antony', 'FWD', 76]
+            ],
+            'West Ham': [
+                ['Areola', 'GK', 78], ['Coufal', 'DEF', 75], ['Zouma', 'DEF', 77], ['Aguerd', 'DEF', 77],
+                ['Emerson', 'DEF', 75], ['Edson Álvarez', 'MID', 77], ['Ward-Prowse', 'MID', 80], ['Paquetá', 'MID', 82],
+                ['Bowen', 'FWD', 82], ['Antonio', 'FWD', 75], ['Kudus', 'FWD', 80],
+                ['Fabiański', 'GK', 74], ['Mavropanos', 'DEF', 73], ['Souček', 'MID', 78], ['Ings', 'FWD', 74],
+                ['Benrahma', 'FWD', 76]
+            ],
+            'Brighton': [
+                ['Verbruggen', 'GK', 76], ['Veltman', 'DEF', 75], ['Dunk', 'DEF', 79], ['Webster', 'DEF', 75],
+                ['Estupiñán', 'DEF', 78], ['Gross', 'MID', 80], ['Gilmour', 'MID', 75], ['Baleba', 'MID', 72],
+                ['Adingra', 'FWD', 76], ['Welbeck', 'FWD', 75], ['Mitoma', 'FWD', 80],
+                ['Steele', 'GK', 72], ['Igor', 'DEF', 74], ['Lallana', 'MID', 74], ['João Pedro', 'FWD', 78],
+                ['Ferguson', 'FWD', 76]
+            ],
+            'Crystal Palace': [
+                ['Henderson', 'GK', 76], ['Ward', 'DEF', 75], ['Andersen', 'DEF', 79], ['Guéhi', 'DEF', 80],
+                ['Mitchell', 'DEF', 76], ['Lerma', 'MID', 76], ['Cheick Doucouré', 'MID', 78], ['Wharton', 'MID', 72],
+                ['Olise', 'FWD', 82], ['Mateta', 'FWD', 77], ['Eze', 'FWD', 82],
+                ['Johnstone', 'GK', 73], ['Richards', 'DEF', 73], ['Hughes', 'MID', 74], ['Ayew', 'FWD', 75],
+                ['Edouard', 'FWD', 75]
+            ],
+            'Fulham': [
+                ['Leno', 'GK', 80], ['Castagne', 'DEF', 76], ['Diop', 'DEF', 75], ['Bassey', 'DEF', 74],
+                ['Antonee Robinson', 'DEF', 76], ['Palhinha', 'MID', 83], ['Lukić', 'MID', 75], ['Pereira', 'MID', 78],
+                ['Harry Wilson', 'FWD', 76], ['Muniz', 'FWD', 75], ['Iwobi', 'FWD', 77],
+                ['Rodák', 'GK', 72], ['Adarabioyo', 'DEF', 75], ['Reed', 'MID', 75], ['Jiménez', 'FWD', 74],
+                ['Willian', 'FWD', 77]
+            ],
+            'Brentford': [
+                ['Flekken', 'GK', 77], ['Roerslev', 'DEF', 72], ['Collins', 'DEF', 76], ['Pinnock', 'DEF', 76],
+                ['Mee', 'DEF', 75], ['Nørgaard', 'MID', 77], ['Jensen', 'MID', 76], ['Janelt', 'MID', 75],
+                ['Mbeumo', 'FWD', 80], ['Toney', 'FWD', 82], ['Wissa', 'FWD', 78],
+                ['Strakosha', 'GK', 72], ['Ajer', 'DEF', 74], ['Damsgaard', 'MID', 74], ['Schade', 'FWD', 74],
+                ['Lewis-Potter', 'FWD', 72]
+            ],
+            'Wolves': [
+                ['Sá', 'GK', 78], ['Semedo', 'DEF', 77], ['Dawson', 'DEF', 75], ['Kilman', 'DEF', 77],
+                ['Aït-Nouri', 'DEF', 77], ['Lemina', 'MID', 78], ['Gomes', 'MID', 76], ['Sarabia', 'MID', 77],
+                ['Hwang', 'FWD', 79], ['Cunha', 'FWD', 80], ['Pedro Neto', 'FWD', 80],
+                ['Bentley', 'GK', 70], ['Toti', 'DEF', 73], ['Doyle', 'MID', 70], ['Traoré', 'FWD', 74],
+                ['Kalajdžić', 'FWD', 72]
+            ],
+            'Everton': [
+                ['Pickford', 'GK', 82], ['Young', 'DEF', 73], ['Tarkowski', 'DEF', 79], ['Branthwaite', 'DEF', 78],
+                ['Mykolenko', 'DEF', 75], ['Gueye', 'MID', 75], ['Amadou Onana', 'MID', 78], ['Abdoulaye Doucouré', 'MID', 76],
+                ['McNeil', 'FWD', 77], ['Calvert-Lewin', 'FWD', 77], ['Harrison', 'FWD', 75],
+                ['Virginia', 'GK', 68], ['Godfrey', 'DEF', 74], ['Garner', 'MID', 73], ['Beto', 'FWD', 74],
+                ['Danjuma', 'FWD', 74]
+            ],
+            'Bournemouth': [
+                ['Neto', 'GK', 77], ['Smith', 'DEF', 76], ['Zabarnyi', 'DEF', 77], ['Senesi', 'DEF', 76],
+                ['Kerkez', 'DEF', 75], ['Cook', 'MID', 75], ['Christie', 'MID', 74], ['Kluivert', 'MID', 77],
+                ['Semenyo', 'FWD', 76], ['Solanke', 'FWD', 80], ['Tavernier', 'FWD', 77],
+                ['Travers', 'GK', 71], ['Kelly', 'DEF', 73], ['Billing', 'MID', 74], ['Ouattara', 'FWD', 74],
+                ['Sinisterra', 'FWD', 75]
+            ],
+            'Nottingham Forest': [
+                ['Turner', 'GK', 73], ['Aina', 'DEF', 75], ['Murillo', 'DEF', 77], ['Niakhaté', 'DEF', 75],
+                ['Toffolo', 'DEF', 72], ['Yates', 'MID', 73], ['Danilo', 'MID', 74], ['Gibbs-White', 'MID', 79],
+                ['Elanga', 'FWD', 76], ['Wood', 'FWD', 76], ['Hudson-Odoi', 'FWD', 76],
+                ['Sels', 'GK', 74], ['Omobamidele', 'DEF', 70], ['Domínguez', 'MID', 72], ['Awoniyi', 'FWD', 75],
+                ['Origi', 'FWD', 72]
+            ],
+            'Luton': [
+                ['Kaminski', 'GK', 73], ['Osho', 'DEF', 70], ['Mengi', 'DEF', 71], ['Burke', 'DEF', 70],
+                ['Doughty', 'DEF', 72], ['Barkley', 'MID', 77], ['Lokonga', 'MID', 72], ['Clark', 'MID', 71],
+                ['Townsend', 'FWD', 75], ['Adebayo', 'FWD', 72], ['Morris', 'FWD', 73],
+                ['Krul', 'GK', 72], ['Bell', 'DEF', 68], ['Mpanzu', 'MID', 70], ['Chong', 'FWD', 70],
+                ['Ogbene', 'FWD', 72]
+            ],
+            'Burnley': [
+                ['Trafford', 'GK', 72], ['Roberts', 'DEF', 71], ["O'Shea", 'DEF', 72], ['Esteve', 'DEF', 70],
+                ['Taylor', 'DEF', 71], ['Brownhill', 'MID', 75], ['Berge', 'MID', 74], ['Aaron Ramsey', 'MID', 71],
+                ['Odobert', 'FWD', 72], ['Foster', 'FWD', 72], ['Amdouni', 'FWD', 74],
+                ['Muric', 'GK', 70], ['Beyer', 'DEF', 70], ['Cullen', 'MID', 71], ['Rodriguez', 'FWD', 73],
+                ['Gudmundsson', 'FWD', 70]
+            ],
+            'Sheffield United': [
+                ['Foderingham', 'GK', 71], ['Bogle', 'DEF', 70], ['Ahmedhodžić', 'DEF', 72], ['Jack Robinson', 'DEF', 69],
+                ['Lowe', 'DEF', 69], ['Souza', 'MID', 70], ['Hamer', 'MID', 74], ['Norwood', 'MID', 70],
+                ['McBurnie', 'FWD', 72], ['Archer', 'FWD', 71], ['Brewster', 'FWD', 68],
+                ['Grbić', 'GK', 68], ['Trusty', 'DEF', 69], ['Arblaster', 'MID', 67], ['Osula', 'FWD', 66],
+                ['Brooks', 'MID', 70]
+            ]
+        };
+
+        // Generic squad for teams without an entry
+        this.defaultSquad = [
+            ['Rodriguez', 'GK', 72], ['Silva', 'DEF', 72], ['Johnson', 'DEF', 72], ['Martinez', 'DEF', 72],
+            ['Anderson', 'DEF', 72], ['Wilson', 'MID', 72], ['Garcia', 'MID', 72], ['Brown', 'MID', 72],
+            ['Davis', 'FWD', 72], ['Miller', 'FWD', 72], ['Taylor', 'FWD', 72],
+            ['Thomas', 'GK', 70], ['Jackson', 'DEF', 70], ['White', 'MID', 70], ['Harris', 'FWD', 70],
+            ['Martin', 'FWD', 70]
+        ];
+    }
+
+    /**
+     * Gets the squad for a team
+     * @param {string} teamName - Team name
+     * @returns {Object} Squad { starting, bench } of { name, position, rating }
+     */
+    getSquad(teamName) {
+        const players = (this.squads[teamName] || this.defaultSquad)
+            .map(([name, position, rating]) => ({ name, position, rating }));
+
+        return {
+            starting: players.slice(0, this.STARTING_SIZE),
+            bench: players.slice(this.STARTING_SIZE)
+        };
+    }
+
+    /**
+     * Builds the lineups for a fixture
+     * @param {string} homeTeam - Home team name
+     * @param {string} awayTeam - Away team name
+     * @returns {Object} Lineups { home, away }, each { team, starting, bench }
+     */
+    getMatchLineups(homeTeam, awayTeam) {
+        return {
+            home: { team: homeTeam, ...this.getSquad(homeTeam) },
+            away: { team: awayTeam, ...this.getSquad(awayTeam) }
+        };
+    }
+
+    /**
+     * Gets how likely a player is to fill a role relative to teammates
+     * @param {Object} player - Player { position, rating }
+     * @param {string} role - Role key from ROLE_WEIGHTS
+     * @returns {number} Unnormalized pick weight
+     */
+    getRoleWeight(player, role) {
+        const { positions, ratingExponent } = this.ROLE_WEIGHTS[role] || this.ROLE_WEIGHTS.involvement;
+        const positionWeight = positions[player.position] ?? 0;
+        return positionWeight * Math.pow(player.rating / this.AVERAGE_RATING, ratingExponent);
+    }
+
+    /**
+     * Picks a player for a role, weighted by position and rating
+     * @param {RandomGenerator} random - Generator to draw from
+     * @param {Array} players - Candidate players
+     * @param {string} role - Role key from ROLE_WEIGHTS
+     * @returns {Object|null} Picked player, or null when there are no candidates
+     */
+    pickPlayer(random, players, role) {
+        if (!players || players.length === 0) return null;
+
+        // Fall back to a uniform pick if nobody fits the role (e.g. only keepers left)
+        return random.weightedPick(players, player => this.getRoleWeight(player, role))
+            ?? random.pick(players);
+    }
+
+    /**
+     * Picks the bench player to replace someone: the best rated in the same position,
+     * otherwise the best rated outfield player (keepers only replace keepers)
+     * @param {Array} bench - Available substitutes
+     * @param {Object} player - Player coming off { position }
+     * @returns {Object|null} Substitute, or null when nobody suitable is left
+     */
+    pickReplacement(bench, player) {
+        const byRating = [...(bench || [])].sort((a, b) => b.rating - a.rating);
+        const samePosition = byRating.find(sub => sub.position === player?.position);
+        if (samePosition) return samePosition;
+        if (player?.position === 'GK') return byRating[0] || null;
+        return byRating.find(sub => sub.position !== 'GK') || null;
+    }
+
+    /**
+     * Swaps a substitute into a lineup
+     * @param {Object} lineup - Lineup { team, starting, bench }
+     * @param {string} playerOff - Name of the player coming off
+     * @param {Object} playerOn - Substitute from the bench
+     * @returns {Object} Updated lineup
+     */
+    substitute(lineup, playerOff, playerOn) {
+        return {
+            ...lineup,
+            starting: lineup.starting.map(player => player.name === playerOff ? playerOn : player),
+            bench: lineup.bench.filter(player => player.name !== playerOn.name)
+        };
+    }
+
+    /**
+     * Takes a player off without a replacement (sent off, or injured with no substitutions left)
+     * @param {Object} lineup - Lineup { team, starting, bench }
+     * @param {string} playerName - Name of the player leaving
+     * @returns {Object} Updated lineup
+     */
+    removePlayer(lineup, playerName) {
+        return {
+            ...lineup,
+            starting: lineup.starting.filter(player => player.name !== playerName)
+        };
+    }
+}
+
+// Export singleton instance
+export const teamRosters = new TeamRosters();
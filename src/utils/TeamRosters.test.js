@@ -0,0 +1,129 @@
+/**
+ * TeamRosters Tests
+ * Tests for team squads and position-weighted player picks
+ */
+
+import { TeamRosters } from './TeamRosters.js';
+import { goalModel } from './GoalModel.js';
+import { RandomGenerator } from './RandomGenerator.js';
+
+describe('TeamRosters', () => {
+    let rosters;
+
+    beforeEach(() => {
+        rosters = new TeamRosters();
+    });
+
+    describe('Squads', () => {
+        test('should have a squad for every rated team', () => {
+            Object.keys(goalModel.teamRatings).forEach(team => {
+                expect(rosters.squads[team]).toBeDefined();
+            });
+        });
+
+        test('should split squads into a starting XI with one keeper and a bench', () => {
+            Object.keys(rosters.squads).forEach(team => {
+                const squad = rosters.getSquad(team);
+                expect(squad.starting).toHaveLength(11);
+                expect(squad.bench.length).toBeGreaterThan(0);
+                expect(squad.starting.filter(player => player.position === 'GK')).toHaveLength(1);
+            });
+        });
+
+        test('should give every player a position and a rating', () => {
+            const { starting, bench } = rosters.getSquad('Arsenal');
+            [...starting, ...bench].forEach(player => {
+                expect(['GK', 'DEF', 'MID', 'FWD']).toContain(player.position);
+                expect(player.rating).toBeGreaterThan(0);
+                expect(player.rating).toBeLessThanOrEqual(100);
+            });
+        });
+
+        test('should not share player names between teams', () => {
+            const names = Object.keys(rosters.squads).flatMap(team => rosters.squads[team].map(([name]) => name));
+            expect(new Set(names).size).toBe(names.length);
+        });
+
+        test('should fall back to a generic squad for unknown teams', () => {
+            const squad = rosters.getSquad('Unknown FC');
+            expect(squad.starting).toHaveLength(11);
+        });
+
+        test('should build lineups for both sides of a fixture', () => {
+            const lineups = rosters.getMatchLineups('Arsenal', 'Luton');
+            expect(lineups.home.team).toBe('Arsenal');
+            expect(lineups.away.team).toBe('Luton');
+            expect(lineups.home.starting.map(player => player.name)).toContain('Saka');
+        });
+    });
+
+    describe('Player Picks', () => {
+        const countPicks = (role, draws = 2000) => {
+            const random = new RandomGenerator(7);
+            const { starting } = rosters.getSquad('Arsenal');
+            const counts = { GK: 0, DEF: 0, MID: 0, FWD: 0 };
+            for (let i = 0; i < draws; i++) {
+                counts[rosters.pickPlayer(random, starting, role).position]++;
+            }
+            return counts;
+        };
+
+        test('should favour forwards as goal scorers', () => {
+            const counts = countPicks('scorer');
+            expect(counts.FWD).toBeGreaterThan(counts.MID);
+            expect(counts.MID).toBeGreaterThan(counts.DEF);
+            expect(counts.GK).toBeLessThan(counts.DEF);
+        });
+
+        test('should favour defenders and midfielders for bookings', () => {
+            const counts = countPicks('booking');
+            expect(counts.DEF).toBeGreaterThan(counts.FWD);
+            expect(counts.MID).toBeGreaterThan(counts.FWD);
+        });
+
+        test('should never pick a keeper to take a penalty', () => {
+            expect(countPicks('penaltyTaker').GK).toBe(0);
+        });
+
+        test('should prefer higher-rated players for the same position', () => {
+            const strong = { name: 'Strong', position: 'FWD', rating: 90 };
+            const weak = { name: 'Weak', position: 'FWD', rating: 70 };
+            expect(rosters.getRoleWeight(strong, 'penaltyTaker')).toBeGreaterThan(rosters.getRoleWeight(weak, 'penaltyTaker'));
+        });
+
+        test('should return null without candidates', () => {
+            expect(rosters.pickPlayer(new RandomGenerator(1), [], 'scorer')).toBeNull();
+        });
+    });
+
+    describe('Substitutions', () => {
+        test('should replace a player with the best substitute in the same position', () => {
+            const bench = [
+                { name: 'Sub Keeper', position: 'GK', rating: 80 },
+                { name: 'Squad Defender', position: 'DEF', rating: 70 },
+                { name: 'First Choice Defender', position: 'DEF', rating: 76 },
+                { name: 'Winger', position: 'FWD', rating: 82 }
+            ];
+
+            expect(rosters.pickReplacement(bench, { position: 'DEF' }).name).toBe('First Choice Defender');
+            expect(rosters.pickReplacement(bench, { position: 'MID' }).name).toBe('Winger');
+            expect(rosters.pickReplacement(bench, { position: 'GK' }).name).toBe('Sub Keeper');
+            expect(rosters.pickReplacement([], { position: 'DEF' })).toBeNull();
+        });
+
+        test('should swap the substitute in and take the player off', () => {
+            const lineup = rosters.getMatchLineups('Arsenal', 'Chelsea').home;
+            const playerOff = lineup.starting[3];
+            const playerOn = rosters.pickReplacement(lineup.bench, playerOff);
+
+            const updated = rosters.substitute(lineup, playerOff.name, playerOn);
+            expect(updated.starting).toHaveLength(lineup.starting.length);
+            expect(updated.starting).toContain(playerOn);
+            expect(updated.bench).not.toContain(playerOn);
+
+            const reduced = rosters.removePlayer(updated, playerOn.name);
+            expect(reduced.starting).toHaveLength(lineup.starting.length - 1);
+            expect(reduced.starting.map(player => player.name)).not.toContain(playerOff.name);
+        });
+    });
+});
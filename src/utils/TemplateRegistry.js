@@ -0,0 +1,170 @@
+/**
+ * TemplateRegistry - Action bet and commentary templates loaded from JSON definitions
+ *
+ * Features:
+ * - Default templates from data/event-templates.json, validated when the module loads
+ * - Description variants, with player-named variants when a lineup role is set
+ * - Choices with true outcome probabilities (priced by the odds calculator at generation)
+ * - Trigger conditions on the match minute and score state
+ * - Priority weighting between templates that can fire at the same moment
+ *
+ * Adding a market such as offside only needs a new entry in the JSON file. The schema is
+ * validated by public/scripts/templateSchema.js, shared with the prototype in public/.
+ */
+
+import defaultDefinitions from '../data/event-templates.json' with { type: 'json' };
+import { validateEventTemplates, getScoreState, matchesTrigger } from '../../public/scripts/templateSchema.js';
+import { teamRosters } from './TeamRosters.js';
+import { oddsCalculator } from './OddsCalculator.js';
+
+export class TemplateRegistry {
+    /**
+     * @param {Object} [definitions] - Template definitions { actionBets, commentary }; the bundled JSON when omitted
+     * @throws {Error} When the definitions fail validation
+     */
+    constructor(definitions = defaultDefinitions) {
+        // Lineup roles a template can name a player from ('substitute' picks from the bench)
+        this.PLAYER_ROLES = [...Object.keys(teamRosters.ROLE_WEIGHTS), 'substitute'];
+
+        this.actionBetTemplates = [];
+        this.commentaryTemplates = [];
+
+        const result = this.load(definitions);
+        if (!result.success) {
+            throw new Error(`Invalid event templates: ${result.error}`);
+        }
+    }
+
+    /**
+     * Validates and loads template definitions. Templates replace any loaded
+     * template of the same category; nothing is loaded if any definition is invalid.
+     * @param {Object} definitions - Template definitions { actionBets, commentary }
+     * @returns {Object} Result { success, error, errors, loaded }
+     */
+    load(definitions) {
+        const validation = this.validate(definitions);
+        if (!validation.valid) {
+            return { success: false, error: validation.errors.join('; '), errors: validation.errors };
+        }
+
+        const actionBets = (definitions.actionBets || []).map(template => this.normalizeTemplate(template, 'actionBet'));
+        const commentary = (definitions.commentary || []).map(template => this.normalizeTemplate(template, 'commentary'));
+
+        this.actionBetTemplates = this.mergeTemplates(this.actionBetTemplates, actionBets);
+        this.commentaryTemplates = this.mergeTemplates(this.commentaryTemplates, commentary);
+
+        return { success: true, loaded: actionBets.length + commentary.length };
+    }
+
+    /**
+     * Validates template definitions without loading them
+     * @param {Object} definitions - Template definitions { actionBets, commentary }
+     * @returns {Object} Result { valid, errors }
+     */
+    validate(definitions) {
+        return validateEventTemplates(definitions, { playerRoles: this.PLAYER_ROLES, margin: oddsCalculator.getMargin() });
+    }
+
+    /**
+     * Fills in defaults on a validated definition. The first variants are also kept as
+     * description/playerDescription for callers that show a single text.
+     * @param {Object} template - Validated template definition
+     * @param {string} kind - 'actionBet' or 'commentary'
+     * @returns {Object} Template ready for event generation
+     */
+    normalizeTemplate(template, kind) {
+        return {
+            ...template,
+            description: template.descriptions[0],
+            ...(template.playerDescriptions && { playerDescription: template.playerDescriptions[0] }),
+            ...(kind === 'actionBet' && {
+                side: template.side || 'attacking',
+                choices: template.choices.map(choice => ({ ...choice }))
+            }),
+            priority: template.priority ?? 1,
+            trigger: template.trigger || {}
+        };
+    }
+
+    /**
+     * Merges newly loaded templates over existing ones by category
+     * @param {Array} existing - Loaded templates
+     * @param {Array} incoming - New templates
+     * @returns {Array} Merged templates
+     */
+    mergeTemplates(existing, incoming) {
+        const categories = new Set(incoming.map(template => template.category));
+        return [...existing.filter(template => !categories.has(template.category)), ...incoming];
+    }
+
+    /**
+     * Gets the score state triggers are matched against
+     * @param {Object} score - Score { home, away }
+     * @returns {string} 'level', 'narrow' or 'wide'
+     */
+    getScoreState(score) {
+        return getScoreState(score);
+    }
+
+    /**
+     * Checks whether a template's trigger conditions hold
+     * @param {Object} template - Loaded template
+     * @param {Object} [context] - Match context { minute, score }; unknown parts are not checked
+     * @returns {boolean} True when the template can fire
+     */
+    matchesTrigger(template, context = {}) {
+        return matchesTrigger(template.trigger, context);
+    }
+
+    /**
+     * Gets the action bet templates that can fire in a match context
+     * @param {Object} [context] - Match context { minute, score }
+     * @returns {Array} Matching templates
+     */
+    getActionBetTemplates(context = {}) {
+        return this.actionBetTemplates.filter(template => this.matchesTrigger(template, context));
+    }
+
+    /**
+     * Gets the commentary templates that can fire in a match context
+     * @param {Object} [context] - Match context { minute, score }
+     * @returns {Array} Matching templates
+     */
+    getCommentaryTemplates(context = {}) {
+        return this.commentaryTemplates.filter(template => this.matchesTrigger(template, context));
+    }
+
+    /**
+     * Picks an action bet template for a match context, weighted by priority
+     * @param {RandomGenerator} random - Generator to draw from
+     * @param {Object} [context] - Match context { minute, score }
+     * @returns {Object|null} Template, or null when none can fire
+     */
+    pickActionBetTemplate(random, context = {}) {
+        return this.pickTemplate(random, this.getActionBetTemplates(context));
+    }
+
+    /**
+     * Picks a commentary template for a match context, weighted by priority
+     * @param {RandomGenerator} random - Generator to draw from
+     * @param {Object} [context] - Match context { minute, score }
+     * @returns {Object|null} Template, or null when none can fire
+     */
+    pickCommentaryTemplate(random, context = {}) {
+        return this.pickTemplate(random, this.getCommentaryTemplates(context));
+    }
+
+    /**
+     * Picks one of the candidate templates, weighted by priority
+     * @param {RandomGenerator} random - Generator to draw from
+     * @param {Array} templates - Candidate templates
+     * @returns {Object|null} Template, or null without candidates
+     */
+    pickTemplate(random, templates) {
+        if (templates.length === 0) return null;
+        return random.weightedPick(templates, template => template.priority);
+    }
+}
+
+// Export singleton instance
+export const templateRegistry = new TemplateRegistry();
@@ -0,0 +1,184 @@
+/**
+ * TemplateRegistry Tests
+ * Tests for loading, validating and picking JSON event templates
+ */
+
+import { TemplateRegistry, templateRegistry } from './TemplateRegistry.js';
+import { RandomGenerator } from './RandomGenerator.js';
+import definitions from '../data/event-templates.json' with { type: 'json' };
+import prototypeDefinitions from '../../public/data/event-templates.json' with { type: 'json' };
+
+describe('TemplateRegistry', () => {
+    let registry;
+
+    const offside = (overrides = {}) => ({
+        category: 'offside',
+        descriptions: ['Flag up on the far side! Will the goal stand?', 'The linesman is looking closely...'],
+        choices: [
+            { outcome: 'offside', description: 'Offside given', probability: 0.7 },
+            { outcome: 'onside', description: 'Play on!', probability: 0.3 }
+        ],
+        ...overrides
+    });
+
+    beforeEach(() => {
+        registry = new TemplateRegistry();
+    });
+
+    describe('Loading', () => {
+        test('should load the bundled action bet and commentary templates', () => {
+            expect(registry.actionBetTemplates.map(template => template.category))
+                .toEqual(definitions.actionBets.map(template => template.category));
+            expect(registry.commentaryTemplates).toHaveLength(definitions.commentary.length);
+        });
+
+        test('should fill in defaults and keep the first variant as the description', () => {
+            const card = registry.actionBetTemplates.find(template => template.category === 'card');
+            const corner = registry.actionBetTemplates.find(template => template.category === 'corner');
+
+            expect(card.side).toBe('defending');
+            expect(corner).toMatchObject({ side: 'attacking', priority: 1, trigger: {} });
+            expect(corner.description).toBe(corner.descriptions[0]);
+            expect(card.playerDescription).toContain('{player}');
+        });
+
+        test('should add new markets and replace templates by category', () => {
+            const result = registry.load({
+                actionBets: [offside(), { ...definitions.actionBets[0], descriptions: ['Corner! Who gets on the end of it?'] }]
+            });
+
+            expect(result).toEqual({ success: true, loaded: 2 });
+            expect(registry.actionBetTemplates).toHaveLength(definitions.actionBets.length + 1);
+            expect(registry.actionBetTemplates.find(template => template.category === 'corner').description)
+                .toBe('Corner! Who gets on the end of it?');
+        });
+
+        test('should refuse to start with invalid bundled definitions', () => {
+            expect(() => new TemplateRegistry({ actionBets: [offside({ choices: [] })] }))
+                .toThrow('Invalid event templates: actionBets[0] (offside): choices must list at least two outcomes');
+        });
+    });
+
+    describe('Validation', () => {
+        test('should accept the bundled definitions', () => {
+            expect(registry.validate(definitions)).toEqual({ valid: true, errors: [] });
+        });
+
+        test('should validate the prototype definitions with the same schema', () => {
+            expect(registry.validate(prototypeDefinitions)).toEqual({ valid: true, errors: [] });
+            expect(registry.validate({ actionBets: [offside({ choices: [
+                { outcome: 'offside', description: 'Offside given', probability: 0.7, odds: 1 },
+                { outcome: 'onside', description: 'Play on!', probability: 0.3, odds: 3.3 }
+            ] })] }).errors).toEqual(['actionBets[0] (offside): choices[0] odds must be a number above 1']);
+        });
+
+        test('should reject choices so likely they would price below the 1.01 floor', () => {
+            const { errors } = registry.validate({ actionBets: [offside({ choices: [
+                { outcome: 'offside', description: 'Offside given', probability: 0.96 },
+                { outcome: 'onside', description: 'Play on!', probability: 0.04 }
+            ] })] });
+
+            expect(errors).toEqual(['actionBets[0] (offside): choices[0] probability must be at most 0.9429 to price at 1.01 or more']);
+        });
+
+        test('should report every problem with its template', () => {
+            const { valid, errors } = registry.validate({
+                actionBets: [
+                    offside({
+                        choices: [
+                            { outcome: 'offside', description: 'Offside given', probability: 0.7 },
+                            { outcome: 'offside', description: '', probability: 0.2 }
+                        ],
+                        side: 'both'
+                    }),
+                    { category: 'var', descriptions: [], choices: offside().choices, priority: 0 }
+                ],
+                commentary: [{ category: 'crowd', descriptions: ['Noise!'], intensity: 'deafening' }]
+            });
+
+            expect(valid).toBe(false);
+            expect(errors).toEqual([
+                'actionBets[0] (offside): side must be one of attacking, defending',
+                'actionBets[0] (offside): choices[1] repeats outcome "offside"',
+                'actionBets[0] (offside): choices[1] needs a description',
+                'actionBets[0] (offside): choice probabilities must add up to 1 (got 0.9)',
+                'actionBets[1] (var): descriptions must be a non-empty list of text',
+                'actionBets[1] (var): priority must be a positive number',
+                'commentary[0] (crowd): intensity must be one of low, medium, high'
+            ]);
+        });
+
+        test('should check player roles, player descriptions and triggers', () => {
+            const { errors } = registry.validate({
+                actionBets: [
+                    offside({ playerDescriptions: ['No player here'] }),
+                    offside({ category: 'var', playerRole: 'captain' }),
+                    offside({ category: 'late', trigger: { minutes: [80, 70], scoreStates: ['losing'] } })
+                ]
+            });
+
+            expect(errors).toEqual([
+                'actionBets[0] (offside): playerDescriptions need a playerRole',
+                'actionBets[0] (offside): playerDescriptions must be a non-empty list of text containing {player}',
+                expect.stringContaining('actionBets[1] (var): playerRole must be one of scorer, booking'),
+                'actionBets[2] (late): trigger.minutes must be [from, to] between 0 and 120',
+                'actionBets[2] (late): trigger.scoreStates must list states from level, narrow, wide'
+            ]);
+        });
+
+        test('should load nothing when any template is invalid', () => {
+            const result = registry.load({ actionBets: [offside(), offside({ category: 'var', choices: 'none' })] });
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toHaveLength(1);
+            expect(registry.actionBetTemplates.some(template => template.category === 'offside')).toBe(false);
+        });
+
+        test('should reject duplicate categories and missing lists', () => {
+            expect(registry.validate({ actionBets: [offside(), offside()] }).errors)
+                .toEqual(['actionBets[1] (offside): duplicate category']);
+            expect(registry.validate({}).errors).toEqual(['Template definitions need actionBets or commentary']);
+            expect(registry.validate(null).valid).toBe(false);
+        });
+    });
+
+    describe('Triggers and Priority', () => {
+        test('should classify the score state by the margin between the sides', () => {
+            expect(registry.getScoreState({ home: 1, away: 1 })).toBe('level');
+            expect(registry.getScoreState({ home: 0, away: 1 })).toBe('narrow');
+            expect(registry.getScoreState({ home: 3, away: 1 })).toBe('wide');
+        });
+
+        test('should only offer templates whose trigger fits the minute and score', () => {
+            registry.load({ actionBets: [offside({ trigger: { minutes: [75, 90], scoreStates: ['level', 'narrow'] } })] });
+            const hasOffside = context => registry.getActionBetTemplates(context).some(template => template.category === 'offside');
+
+            expect(hasOffside({ minute: 80, score: { home: 1, away: 0 } })).toBe(true);
+            expect(hasOffside({ minute: 60, score: { home: 1, away: 0 } })).toBe(false);
+            expect(hasOffside({ minute: 80, score: { home: 3, away: 0 } })).toBe(false);
+        });
+
+        test('should pick templates in proportion to their priority', () => {
+            const picker = new TemplateRegistry({
+                actionBets: [offside({ priority: 3 }), offside({ category: 'var' })]
+            });
+            const random = new RandomGenerator(5);
+            const picks = { offside: 0, var: 0 };
+
+            for (let i = 0; i < 2000; i++) {
+                picks[picker.pickActionBetTemplate(random).category]++;
+            }
+
+            expect(picks.offside / 2000).toBeCloseTo(0.75, 1);
+        });
+
+        test('should return null when no template can fire', () => {
+            const picker = new TemplateRegistry({ actionBets: [offside({ trigger: { minutes: [85, 90] } })] });
+            expect(picker.pickActionBetTemplate(new RandomGenerator(1), { minute: 10 })).toBeNull();
+        });
+    });
+
+    test('should provide singleton instance', () => {
+        expect(templateRegistry).toBeInstanceOf(TemplateRegistry);
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * TempoProfiles - How a match unfolds over the 90 minutes
+ *
+ * Features:
+ * - Named profiles (balanced, cagey derby, end-to-end, late drama) shown on lobby match cards
+ * - Phases per profile, each with its own event spacing, goal weight and share of
+ *   action bets among the non-goal events
+ * - Goal weights shape when goals come; team ratings still decide how many, so
+ *   pre-match prices are the same for every profile
+ * - Derby fixtures play as cagey derbies, other fixtures draw a profile by weight
+ * - Extra time plays on at the tempo of the last phase
+ */
+
+export class TempoProfiles {
+    constructor() {
+        // Profile used when none is selected; its phase takes EventGenerator's default
+        // spacing (8-18 minutes) and event mix (45% action bets, 35% commentary)
+        this.DEFAULT_PROFILE = 'balanced';
+
+        // Minutes the phases cover
+        this.MATCH_DURATION = 90;
+
+        // Phases run up to (but not including) minute `until`.
+        // spacing: minutes between events, goalWeight: relative goal likelihood,
+        // actionBetShare: share of the non-goal events that open an action bet
+        this.profiles = {
+            balanced: {
+                id: 'balanced',
+                name: 'Balanced',
+                icon: '⚖️',
+                description: 'An even rhythm from start to finish',
+                weight: 0.4,
+                phases: [
+                    { until: 90, goalWeight: 1 }
+                ]
+            },
+            cagey_derby: {
+                id: 'cagey_derby',
+                name: 'Cagey derby',
+                icon: '🛡️',
+                description: 'Tight and tense, more fouls than chances',
+                weight: 0.1,
+                phases: [
+                    { until: 30, spacing: { min: 12, max: 22 }, goalWeight: 0.6, actionBetShare: 0.65 },
+                    { until: 70, spacing: { min: 10, max: 20 }, goalWeight: 0.9, actionBetShare: 0.6 },
+                    { until: 90, spacing: { min: 8, max: 16 }, goalWeight: 1.4, actionBetShare: 0.7 }
+                ]
+            },
+            end_to_end: {
+                id: 'end_to_end',
+                name: 'End-to-end',
+                icon: '⚡',
+                description: 'Open game with chances at both ends',
+                weight: 0.25,
+                phases: [
+                    { until: 20, spacing: { min: 5, max: 11 }, goalWeight: 1.2, actionBetShare: 0.5 },
+                    { until: 90, spacing: { min: 5, max: 10 }, goalWeight: 1, actionBetShare: 0.55 }
+                ]
+            },
+            late_drama: {
+                id: 'late_drama',
+                name: 'Late drama',
+                icon: '⏱️',
+                description: 'Slow build-up, everything happens late',
+                weight: 0.25,
+                phases: [
+                    { until: 60, spacing: { min: 12, max: 20 }, goalWeight: 0.7, actionBetShare: 0.45 },
+                    { until: 75, spacing: { min: 8, max: 14 }, goalWeight: 1, actionBetShare: 0.6 },
+                    { until: 90, spacing: { min: 4, max: 8 }, goalWeight: 1.9, actionBetShare: 0.8 }
+                ]
+            }
+        };
+
+        // Fixtures that always play as a cagey derby (either side at home)
+        this.DERBIES = [
+            ['Arsenal', 'Tottenham'],
+            ['Liverpool', 'Everton'],
+            ['Manchester City', 'Manchester United'],
+            ['Chelsea', 'Fulham'],
+            ['Brighton', 'Crystal Palace']
+        ];
+    }
+
+    /**
+     * Gets a profile by id
+     * @param {string} [id] - Profile id; the default profile when omitted or unknown
+     * @returns {Object} Profile { id, name, icon, description, weight, phases }
+     */
+    getProfile(id = this.DEFAULT_PROFILE) {
+        return this.profiles[id] || this.profiles[this.DEFAULT_PROFILE];
+    }
+
+    /**
+     * Gets all profiles
+     * @returns {Array} Profiles
+     */
+    getProfiles() {
+        return Object.values(this.profiles);
+    }
+
+    /**
+     * Gets the phase a minute falls in; minutes past the last phase (extra time) use the last one
+     * @param {Object} profile - Tempo profile
+     * @param {number} minute - Match minute
+     * @returns {Object} Phase
+     */
+    getPhase(profile, minute) {
+        return profile.phases.find(phase => minute < phase.until) || profile.phases[profile.phases.length - 1];
+    }
+
+    /**
+     * Gets the goal curve GoalModel weighs goal timing with
+     * @param {string} [id] - Profile id
+     * @returns {Array} Curve [{ until, weight }]
+     */
+    getGoalCurve(id) {
+        return this.getProfile(id).phases.map(phase => ({ until: phase.until, weight: phase.goalWeight }));
+    }
+
+    /**
+     * Checks whether two teams contest a derby
+     * @param {string} homeTeam - Home team name
+     * @param {string} awayTeam - Away team name
+     * @returns {boolean} True for a derby fixture
+     */
+    isDerby(homeTeam, awayTeam) {
+        return this.DERBIES.some(([first, second]) =>
+            (first === homeTeam && second === awayTeam) || (first === awayTeam && second === homeTeam));
+    }
+
+    /**
+     * Picks the tempo profile for a fixture
+     * @param {RandomGenerator} random - Generator to draw from
+     * @param {string} homeTeam - Home team name
+     * @param {string} awayTeam - Away team name
+     * @returns {string} Profile id
+     */
+    pickProfile(random, homeTeam, awayTeam) {
+        if (this.isDerby(homeTeam, awayTeam)) {
+            return 'cagey_derby';
+        }
+        return random.weightedPick(this.getProfiles(), profile => profile.weight).id;
+    }
+
+    /**
+     * Validates a profile's phases
+     * @param {Object} profile - Tempo profile
+     * @returns {Object} Validation result { valid, errors }
+     */
+    validateProfile(profile) {
+        const errors = [];
+
+        if (!profile || !Array.isArray(profile.phases) || profile.phases.length === 0) {
+            return { valid: false, errors: ['Profile must have at least one phase'] };
+        }
+
+        let previousEnd = 0;
+        profile.phases.forEach((phase, index) => {
+            const label = `${profile.id || 'profile'} phase ${index + 1}`;
+
+            if (!(phase.until > previousEnd)) {
+                errors.push(`${label}: phases must end in increasing order`);
+            }
+            previousEnd = phase.until;
+
+            if (!(phase.goalWeight > 0)) {
+                errors.push(`${label}: goalWeight must be positive`);
+            }
+            if (phase.spacing && !(phase.spacing.min > 0 && phase.spacing.min <= phase.spacing.max)) {
+                errors.push(`${label}: spacing must satisfy 0 < min <= max`);
+            }
+            if (phase.actionBetShare !== undefined && !(phase.actionBetShare >= 0 && phase.actionBetShare <= 1)) {
+                errors.push(`${label}: actionBetShare must be between 0 and 1`);
+            }
+        });
+
+        if (previousEnd < this.MATCH_DURATION) {
+            errors.push(`${profile.id || 'profile'}: phases must cover all ${this.MATCH_DURATION} minutes`);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+// Export singleton instance
+export const tempoProfiles = new TempoProfiles();
@@ -0,0 +1,79 @@
+/**
+ * TempoProfiles Tests
+ * Tests for match tempo profiles and fixture profile selection
+ */
+
+import { TempoProfiles, tempoProfiles } from './TempoProfiles.js';
+import { RandomGenerator } from './RandomGenerator.js';
+
+describe('TempoProfiles', () => {
+    let profiles;
+
+    beforeEach(() => {
+        profiles = new TempoProfiles();
+    });
+
+    test('should have valid phases for every profile', () => {
+        profiles.getProfiles().forEach(profile => {
+            expect(profiles.validateProfile(profile)).toEqual({ valid: true, errors: [] });
+        });
+    });
+
+    test('should fall back to the balanced profile', () => {
+        expect(profiles.getProfile().id).toBe('balanced');
+        expect(profiles.getProfile('unknown').id).toBe('balanced');
+    });
+
+    test('should find the phase of a minute, using the last phase in extra time', () => {
+        const lateDrama = profiles.getProfile('late_drama');
+
+        expect(profiles.getPhase(lateDrama, 10).until).toBe(60);
+        expect(profiles.getPhase(lateDrama, 60).until).toBe(75);
+        expect(profiles.getPhase(lateDrama, 105).until).toBe(90);
+    });
+
+    test('should build goal curves from the phases', () => {
+        expect(profiles.getGoalCurve('cagey_derby')).toEqual([
+            { until: 30, weight: 0.6 },
+            { until: 70, weight: 0.9 },
+            { until: 90, weight: 1.4 }
+        ]);
+    });
+
+    test('should play derbies as cagey derbies either way round', () => {
+        const random = new RandomGenerator(1);
+
+        expect(profiles.pickProfile(random, 'Arsenal', 'Tottenham')).toBe('cagey_derby');
+        expect(profiles.pickProfile(random, 'Everton', 'Liverpool')).toBe('cagey_derby');
+    });
+
+    test('should draw profiles by weight for other fixtures', () => {
+        const random = new RandomGenerator(9);
+        const counts = {};
+
+        for (let i = 0; i < 1000; i++) {
+            const id = profiles.pickProfile(random, 'Arsenal', 'Luton');
+            counts[id] = (counts[id] || 0) + 1;
+        }
+
+        expect(counts.balanced / 1000).toBeCloseTo(0.4, 1);
+        expect(Object.keys(counts)).toHaveLength(4);
+    });
+
+    test('should report malformed phases', () => {
+        const result = profiles.validateProfile({
+            id: 'broken',
+            phases: [
+                { until: 50, spacing: { min: 10, max: 5 }, goalWeight: 0, actionBetShare: 1.5 },
+                { until: 40, goalWeight: 1 }
+            ]
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toHaveLength(5);
+    });
+
+    test('should provide singleton instance', () => {
+        expect(tempoProfiles).toBeInstanceOf(TempoProfiles);
+    });
+});